@@ -0,0 +1,1416 @@
+// Express app: middleware, routes and the services they use. server.js
+// starts it; tests import it without opening a port.
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const availability = require('./lib/availability');
+const lifecycle = require('./lib/bookingLifecycle');
+const auth = require('./lib/auth');
+const db = require('./lib/db');
+const storage = require('./lib/storage');
+const icalendar = require('./lib/icalendar');
+const jobQueue = require('./lib/jobQueue');
+const reminders = require('./lib/reminders');
+const timezones = require('./lib/timezones');
+const catalog = require('./lib/catalog');
+const ai = require('./lib/ai');
+const aiValidation = require('./lib/ai/validation');
+const bookingService = require('./lib/bookingService');
+const chatTools = require('./lib/chatTools');
+const conversations = require('./lib/conversations');
+const chatStream = require('./lib/chatStream');
+const sanitize = require('./lib/sanitize');
+const mailer = require('./lib/mailer');
+const emailOutbox = require('./lib/emailOutbox');
+const bookingEmails = require('./lib/bookingEmails');
+const emailTemplates = require('./lib/email');
+const apiErrors = require('./lib/apiErrors');
+const usage = require('./lib/usage');
+const webhooks = require('./lib/webhooks');
+const payments = require('./lib/payments');
+const feeds = require('./lib/feeds');
+const openapi = require('./lib/openapi');
+const { validateRequest } = require('./lib/requestValidation');
+const catalogRoutes = require('./routes/catalog');
+const conversationRoutes = require('./routes/conversations');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+const emailOutboxRoutes = require('./routes/emailOutbox');
+const usageRoutes = require('./routes/usage');
+const feedRoutes = require('./routes/feeds');
+const analyticsRoutes = require('./routes/analytics');
+const webhookRoutes = require('./routes/webhooks');
+const paymentRoutes = require('./routes/payments');
+
+// Calendar feeds and the stats look back a week
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const app = express();
+
+// Behind a proxy (e.g. Railway) req.ip - used for anonymous rate limits - must
+// come from X-Forwarded-For. TRUST_PROXY is the number of proxy hops.
+app.set('trust proxy', process.env.TRUST_PROXY !== undefined
+  ? parseInt(process.env.TRUST_PROXY, 10) || false
+  : (process.env.NODE_ENV === 'production' ? 1 : false));
+
+// Middleware
+
+const corsOptions = {
+  origin: [
+    'http://localhost:3000',
+    'http://localhost:8080',
+    'https://smart-booking-backend-production.up.railway.app',
+    'https://appointment-flow-guru-new0.vercel.app'
+  ],
+  credentials: true,
+  optionsSuccessStatus: 200
+};
+app.use(cors(corsOptions));
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+app.use(auth.authenticate);
+// POST /send-email (staff only) - queued in the outbox like every other email
+app.post('/send-email', auth.requireRole(...auth.STAFF_ROLES), validateRequest('POST /send-email'), async (req, res) => {
+  try {
+    const { to, subject, html } = req.body;
+
+    const message = await emailOutbox.enqueueEmail(store, {
+      to,
+      from: mailer.getSender(),
+      subject,
+      html,
+      text: emailTemplates.htmlToText(html)
+    });
+    emailOutbox.wake();
+    console.log(`📧 Email ${message.id} queued by ${req.user.email} for ${to}`);
+
+    res.status(202).json({ success: true, message: 'Email queued for delivery', messageId: message.id });
+  } catch (error) {
+    console.error('Email error:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to queue email');
+  }
+});
+// Database connection (Railway PostgreSQL) - only if DATABASE_URL is properly configured
+const databasePool = db.createPool();
+
+// Data goes through the storage layer: Postgres, or in memory without a
+// database (STORAGE_DRIVER overrides the choice)
+const store = storage.createStorage({ pool: databasePool });
+
+// The pool itself is only used for migrations and the health check
+const pool = store.db;
+if (pool) {
+  console.log('✅ Database connection configured');
+} else {
+  console.log(`⚠️  ${databasePool ? 'STORAGE_DRIVER=memory' : 'DATABASE_URL not properly configured'} - using in-memory storage (data is lost on restart)`);
+}
+
+// AI provider (Anthropic, or the offline rule-based provider without an API key).
+// Token counts go to the usage event of the request being metered.
+const aiClient = ai.createAIClient({ onUsage: usage.recordTokens });
+
+// IP rate limit for anonymous callers of the AI endpoints
+const anonymousLimiter = usage.createAnonymousLimiter();
+
+// Email transport (SMTP_* settings, or Gmail by default). Emails are queued
+// in the outbox and sent by its worker.
+const emailTransporter = mailer.createTransport();
+
+// Fold older chat turns into a conversation's running summary
+async function summarizeConversation(previousSummary, messages) {
+  const transcript = messages.map(message => `${message.role}: ${message.content}`).join('\n');
+  const response = await aiClient.complete('summary', {
+    system: `Summarise a booking assistant conversation in a few sentences for the assistant's own reference.
+Keep names, emails, dates, times, services, booking ids and anything the customer asked for or agreed to.
+Update the summary_so_far with the new_messages and respond with only the updated summary.
+
+${sanitize.DATA_NOTICE}`,
+    messages: [{
+      role: 'user',
+      content: `${sanitize.wrapData('summary_so_far', previousSummary || '(none)')}
+
+${sanitize.wrapData('new_messages', transcript)}`
+    }]
+  }, { input: { previousSummary, messages } });
+  return ai.getText(response).trim();
+}
+
+// Keep a record of AI replies that didn't match their schema
+async function recordAIValidationFailure({ task, outcome, errors, output, provider, model }) {
+  console.log(`⚠️  AI ${task} output failed validation (${outcome}): ${errors.join('; ')}`);
+
+  try {
+    await store.aiValidationFailures.record({
+      task,
+      outcome,
+      errors,
+      output: output ? output.slice(0, 10000) : null,
+      provider,
+      model
+    });
+  } catch (error) {
+    console.error('Failed to record AI validation failure:', error);
+  }
+}
+
+// Business and its active services for AI prompts (built-in list without a business)
+async function loadServiceCatalog(businessId) {
+  const business = await catalog.resolveBusiness(store, businessId);
+  return { business, services: await catalog.getServiceCatalog(store, business) };
+}
+
+// Posts from the business's social feeds and the platform-wide ones. They are
+// only context, so a storage error means no posts rather than no reply.
+async function loadSocialPosts(business) {
+  try {
+    return await feeds.getPosts(store, { businessId: business ? business.id : null });
+  } catch (error) {
+    console.error('Failed to load social posts:', error);
+    return [];
+  }
+}
+
+// Health check endpoint
+app.get('/health', validateRequest('GET /health'), async (req, res) => {
+  const health = {
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    version: '1.2.0',
+    services: {
+      database: 'unknown',
+      email: 'unknown',
+      ai: aiClient.provider === 'offline' ? 'offline' : 'configured'
+    },
+    storage: store.driver,
+    ai: aiClient.describe()
+  };
+
+  // Test database
+  if (pool) {
+    try {
+      await pool.query('SELECT 1');
+      health.services.database = 'connected';
+    } catch (error) {
+      health.services.database = 'error';
+    }
+  } else {
+    health.services.database = 'not configured';
+  }
+
+  // Email outbox backlog
+  health.emailTransport = mailer.describeTransport();
+  try {
+    health.emailOutbox = await emailOutbox.getStatusCounts(store);
+  } catch (error) {
+    health.emailOutbox = 'error';
+  }
+
+  // Social feeds: refresher state and each source's last fetches
+  try {
+    health.feeds = await feeds.getHealth(store);
+  } catch (error) {
+    health.feeds = 'error';
+  }
+
+  // Test email (only in production)
+  if (process.env.NODE_ENV === 'production') {
+    try {
+      const emailPromise = emailTransporter.verify();
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('timeout')), 5000)
+      );
+      await Promise.race([emailPromise, timeoutPromise]);
+      health.services.email = 'configured';
+    } catch (error) {
+      health.services.email = 'error';
+    }
+  } else {
+    health.services.email = 'skipped (development)';
+  }
+
+  res.json(health);
+});
+
+// Simple test endpoint
+app.get('/test', validateRequest('GET /test'), (req, res) => {
+  res.json({
+    message: '✅ Server is working!',
+    timestamp: new Date().toISOString(),
+    database: pool ? 'connected' : 'not connected',
+    ai: aiClient.provider === 'offline' ? 'offline' : 'configured'
+  });
+});
+
+// Root endpoint
+app.get('/', validateRequest('GET /'), (req, res) => {
+  res.json({
+    message: '🚀 Smart Booking Pro Backend is running!',
+    version: '1.2.0',
+    features: [
+      'AI Chatbot with Social Media Awareness',
+      'Smart Appointment Booking', 
+      'AI-Generated Email Automation',
+      'Real-time Analytics',
+      'Multi-Interface Support'
+    ],
+    endpoints: {
+      test: '/test',
+      health: '/health',
+      chatbot: '/api/chatbot',
+      chatbotStream: '/api/chatbot/stream',
+      conversations: '/api/conversations',
+      analyze: '/api/analyze-message',
+      email: '/api/generate-email',
+      availability: '/api/availability',
+      booking: '/api/create-booking',
+      bookings: '/api/bookings',
+      businesses: '/api/businesses',
+      emailTemplates: '/api/email-templates',
+      emailOutbox: '/api/email-outbox',
+      feeds: '/api/feeds',
+      webhooks: '/api/webhooks',
+      paymentWebhook: '/api/payments/webhook',
+      usage: '/api/usage',
+      stats: '/api/stats',
+      analytics: '/api/analytics',
+      openapi: '/api/openapi.json'
+    }
+  });
+});
+
+// OpenAPI description of every route, generated from the request schemas
+app.get('/api/openapi.json', validateRequest('GET /api/openapi.json'), (req, res) => {
+  res.json(openapi.buildOpenApiDocument({
+    version: '1.2.0',
+    serverUrl: `${req.protocol}://${req.get('host')}`
+  }));
+});
+
+// Log in with email/password and receive an access + refresh token pair
+app.post('/api/auth/login', validateRequest('POST /api/auth/login'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await store.users.findByEmail(email);
+
+    if (!user || !(await auth.verifyPassword(password, user.password_hash))) {
+      return apiErrors.sendError(res, 'UNAUTHORIZED', 'Invalid email or password');
+    }
+
+    await store.users.touch(user.id);
+    const tokens = await auth.issueTokenPair(store, user);
+
+    res.json({
+      ...tokens,
+      user: { id: user.id, email: user.email, name: user.name, role: user.role, businessId: user.business_id }
+    });
+  } catch (error) {
+    console.error('Login failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Login failed');
+  }
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', validateRequest('POST /api/auth/refresh'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const rotated = await auth.rotateRefreshToken(store, refreshToken);
+    if (!rotated) {
+      return apiErrors.sendError(res, 'INVALID_TOKEN', 'Invalid or expired refresh token');
+    }
+
+    res.json({
+      ...rotated.tokens,
+      user: rotated.user
+    });
+  } catch (error) {
+    console.error('Token refresh failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Token refresh failed');
+  }
+});
+
+// Revoke a refresh token
+app.post('/api/auth/logout', validateRequest('POST /api/auth/logout'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await auth.revokeRefreshToken(store, refreshToken);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Logout failed');
+  }
+});
+
+// Current user
+app.get('/api/auth/me', auth.requireAuth, validateRequest('GET /api/auth/me'), (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Create a user account with a role (admin only)
+app.post('/api/users', auth.requireRole('admin'), validateRequest('POST /api/users'), async (req, res) => {
+  try {
+    const { email, name, password, role, businessId } = req.body;
+
+    const user = await store.users.saveAccount({
+      email,
+      name: name || null,
+      passwordHash: await auth.hashPassword(password),
+      role,
+      businessId: businessId || null
+    });
+
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Failed to create user:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to create user');
+  }
+});
+
+const CHAT_RESPONSE_FORMATS = {
+  json: `When you are done (after any tool calls), respond with ONLY a JSON object:
+{
+  "content": "Your engaging, helpful response (reference real social posts when relevant)",
+  "suggestions": ["Quick reply 1", "Quick reply 2", "Quick reply 3"],
+  "action": "book_appointment" or "explain_features" or "show_social" or "confirm_action" or "escalate" or null,
+  "mood": "helpful" or "excited" or "professional"
+}`,
+  stream: `When you are done (after any tool calls), write your engaging, helpful reply to the customer as plain text (reference real social posts when relevant).
+Then, on its own line, write ${chatStream.META_MARKER} followed by ONLY a JSON object:
+{
+  "suggestions": ["Quick reply 1", "Quick reply 2", "Quick reply 3"],
+  "action": "book_appointment" or "explain_features" or "show_social" or "confirm_action" or "escalate" or null,
+  "mood": "helpful" or "excited" or "professional"
+}`
+};
+
+// Load the conversation and build the prompt for a chatbot turn (quotas are
+// checked by the usage middleware). Sends the error response itself and returns null when the
+// request can't go ahead.
+async function prepareChatTurn(req, res, { format = 'json' } = {}) {
+  const { message, context, userEmail, conversationId } = req.body;
+
+  // Server-side history when the client started a conversation
+  let conversation = null;
+  if (conversationId) {
+    conversation = await conversations.getConversation(store, conversationId);
+    if (!conversation) {
+      apiErrors.sendError(res, 'NOT_FOUND', 'Conversation not found');
+      return null;
+    }
+  }
+  const businessId = req.body.businessId || (conversation ? conversation.business_id : undefined);
+
+  const { business, services } = await loadServiceCatalog(businessId);
+
+  // Real posts from the business's social feeds (outside content, so passed as data too)
+  const socialPosts = await loadSocialPosts(business);
+  const socialContext = socialPosts.length > 0
+    ? sanitize.wrapData('social_posts', feeds.formatPosts(socialPosts))
+    : '';
+
+  const businessTimezone = business && timezones.isValidTimezone(business.timezone)
+    ? business.timezone
+    : timezones.getBusinessTimezone();
+  const today = timezones.utcToZonedTime(new Date(), businessTimezone).date;
+
+  let history;
+  if (conversation) {
+    history = await conversations.loadHistory(store, conversation, { summarize: summarizeConversation });
+    await conversations.addMessage(store, conversation.id, { role: 'user', content: message });
+  } else {
+    history = { summary: '', messages: context?.userHistory?.slice(-3) || [] };
+  }
+
+  // Suspicious messages are still answered (the prompt keeps them as data),
+  // but flagged on the interaction for review
+  const injectionSignals = sanitize.detectInjection(message);
+  if (injectionSignals.length > 0) {
+    console.log(`⚠️  Possible prompt injection in chatbot message (${injectionSignals.join(', ')})`);
+  }
+
+  // Instructions go in the system prompt; everything the customer (or an
+  // outside feed) wrote goes in the user turn as delimited data
+  const system = `You are a smart, engaging booking assistant for ${business ? business.name : 'Smart Booking Pro'} - an AI-powered appointment booking system.
+
+Current Context:
+- Today: ${today} (${businessTimezone})
+- The customer's latest message is in the customer_message block, the conversation so far in chat_history${socialContext ? ' and recent social media posts in social_posts' : ''}
+
+Your capabilities:
+- Book, reschedule and cancel appointments through natural conversation using your tools
+- Analyze user needs with AI
+- Generate personalized emails
+- Provide smart scheduling recommendations
+- Answer questions about the services we offer:
+${catalog.formatServicesForPrompt(services)}
+- Reference real social media posts when relevant
+
+${sanitize.DATA_NOTICE}
+
+Personality: Friendly, helpful, professional, use emojis sparingly, be conversational.
+
+${CHAT_RESPONSE_FORMATS[format]}
+
+IMPORTANT GUIDELINES:
+- NEVER mention fake statistics like "10k customers" or "80% time reduction"
+- ONLY reference real data from the social media posts provided
+- If no real social posts are available, focus on AI capabilities without statistics
+- If users want to book, guide them enthusiastically
+- Check availability before suggesting a time and only offer times the tool returned
+- create_booking, reschedule_booking and cancel_booking only prepare a change: summarise it and ask the customer to confirm, and never say it is done
+- Ask for the customer's name and email before preparing a booking
+- If they ask about social media, reference the real posts provided
+- Focus on the AI capabilities and user benefits
+- Be helpful and engaging, not robotic
+- Keep responses conversational and natural
+- Do not make up customer numbers or success metrics
+- If the customer asks for a person, is upset, or needs something you can't do, say a team member will follow up and set action to "escalate"`;
+
+  const prompt = [
+    sanitize.wrapData('chat_history', { summary: history.summary || null, messages: history.messages }),
+    socialContext,
+    sanitize.wrapData('customer_message', message)
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    conversation,
+    message,
+    context,
+    userEmail,
+    system,
+    prompt,
+    injectionSignals,
+    toolContext: {
+      user: req.user,
+      manageToken: req.body.manageToken || req.get('x-manage-token'),
+      businessId: business ? business.id : businessId
+    }
+  };
+}
+
+// Save the reply to the conversation and log the interaction
+async function recordChatTurn(turn, { chatbotResponse, toolCalls = [], pendingAction = null, responseTime, cancelled = false }) {
+  const { conversation, message, context, userEmail, injectionSignals = [] } = turn;
+  try {
+    if (conversation) {
+      await conversations.addMessage(store, conversation.id, {
+        role: 'assistant',
+        content: chatbotResponse.content,
+        metadata: {
+          suggestions: chatbotResponse.suggestions,
+          action: chatbotResponse.action,
+          mood: chatbotResponse.mood,
+          toolCalls,
+          pendingAction: pendingAction ? pendingAction.summary : null,
+          ...(cancelled ? { cancelled: true } : {})
+        }
+      });
+    }
+
+    await store.chatInteractions.record({
+      userEmail: userEmail || null,
+      message,
+      response: { ...chatbotResponse, toolCalls, ...(cancelled ? { cancelled: true } : {}) },
+      context: context || {},
+      responseTimeMs: responseTime,
+      conversationId: conversation ? conversation.id : null,
+      injectionSignals
+    });
+  } catch (logError) {
+    console.error('Failed to log chat interaction:', logError);
+  }
+
+  // The assistant handed the customer over to a person
+  if (chatbotResponse.action === 'escalate' && !cancelled) {
+    try {
+      const businessId = turn.toolContext.businessId || null;
+      await webhooks.queueEvent(store, 'chat.escalated', {
+        conversationId: conversation ? conversation.id : null,
+        userEmail: userEmail || null,
+        businessId,
+        message,
+        reply: chatbotResponse.content
+      }, { businessId });
+      webhooks.wake();
+    } catch (webhookError) {
+      console.error('Failed to queue chat.escalated webhook:', webhookError);
+    }
+  }
+}
+
+// Keep the canned reply in the conversation transcript when the AI fails
+async function recordFallbackReply(conversation, fallbackResponse) {
+  if (!conversation) return;
+  try {
+    await conversations.addMessage(store, conversation.id, {
+      role: 'assistant',
+      content: fallbackResponse.content,
+      metadata: { fallback: true }
+    });
+  } catch (logError) {
+    console.error('Failed to save fallback reply:', logError);
+  }
+}
+
+// AI Chatbot endpoint with social media awareness
+app.post('/api/chatbot', anonymousLimiter, validateRequest('POST /api/chatbot'), usage.meter(store, '/api/chatbot'), async (req, res) => {
+  const startTime = Date.now();
+  let turn = null;
+  
+  try {
+    turn = await prepareChatTurn(req, res);
+    if (!turn) return;
+
+    const input = { message: turn.message, format: 'json' };
+    const { response, request, pendingAction, toolCalls } = await chatTools.runToolLoop(aiClient, store, {
+      system: turn.system,
+      messages: [{
+        role: 'user',
+        content: turn.prompt
+      }],
+      input,
+      context: turn.toolContext
+    });
+
+    const { value: chatbotResponse } = await aiValidation.completeValidated(aiClient, 'chatbot', {
+      request,
+      response,
+      input,
+      onFailure: recordAIValidationFailure
+    });
+    if (pendingAction) {
+      chatbotResponse.action = 'confirm_action';
+    }
+    const responseTime = Date.now() - startTime;
+
+    // Log interaction for analytics
+    await recordChatTurn(turn, { chatbotResponse, toolCalls, pendingAction, responseTime });
+
+    res.json({
+      response: chatbotResponse,
+      pendingAction,
+      conversationId: turn.conversation ? turn.conversation.id : null,
+      responseTime: responseTime,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Chatbot error:', error);
+    
+    // Intelligent fallback response
+    const fallbackResponse = ai.offline.chatReply(req.body.message || '');
+    await recordFallbackReply(turn && turn.conversation, fallbackResponse);
+    
+    res.json({
+      response: fallbackResponse,
+      conversationId: turn && turn.conversation ? turn.conversation.id : null,
+      fallback: true,
+      error: 'AI temporarily unavailable'
+    });
+  }
+});
+
+// Streaming chatbot: Server-Sent Events with "token" events for the reply as
+// it is written, then "done" with suggestions/action/mood (or "error")
+app.post('/api/chatbot/stream', anonymousLimiter, validateRequest('POST /api/chatbot/stream'), usage.meter(store, '/api/chatbot/stream'), async (req, res) => {
+  const startTime = Date.now();
+  const abortController = new AbortController();
+  let turn = null;
+  let splitter = null;
+
+  try {
+    turn = await prepareChatTurn(req, res, { format: 'stream' });
+    if (!turn) return;
+
+    // Stop generating as soon as the client goes away
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    chatStream.openEventStream(res);
+    chatStream.sendEvent(res, 'start', { conversationId: turn.conversation ? turn.conversation.id : null });
+
+    splitter = chatStream.createMetaSplitter(text => chatStream.sendEvent(res, 'token', { text }));
+    const { pendingAction, toolCalls, model } = await chatTools.runToolLoop(aiClient, store, {
+      system: turn.system,
+      messages: [{
+        role: 'user',
+        content: turn.prompt
+      }],
+      input: { message: turn.message, format: 'stream' },
+      context: turn.toolContext,
+      onText: text => splitter.push(text),
+      signal: abortController.signal
+    });
+
+    // The reply is already on the client, so bad metadata falls back to defaults
+    const { content, metaText } = splitter.finish();
+    const metaCheck = aiValidation.checkOutput(metaText, aiValidation.getOutputSpec('chatbot_meta'));
+    if (metaCheck.errors) {
+      await recordAIValidationFailure({
+        task: 'chatbot_meta',
+        outcome: metaCheck.value ? 'repaired' : 'failed',
+        errors: metaCheck.errors,
+        output: metaText,
+        provider: aiClient.provider,
+        model: model || null
+      });
+    }
+    const meta = metaCheck.value || aiValidation.chatbotMetaSchema.validate({}).value;
+    const chatbotResponse = {
+      content,
+      suggestions: meta.suggestions,
+      action: pendingAction ? 'confirm_action' : meta.action,
+      mood: meta.mood
+    };
+    const responseTime = Date.now() - startTime;
+
+    await recordChatTurn(turn, { chatbotResponse, toolCalls, pendingAction, responseTime });
+
+    chatStream.sendEvent(res, 'done', {
+      response: chatbotResponse,
+      pendingAction,
+      conversationId: turn.conversation ? turn.conversation.id : null,
+      responseTime,
+      timestamp: new Date().toISOString()
+    });
+    res.end();
+  } catch (error) {
+    // Client disconnected: keep what was written so far
+    if (abortController.signal.aborted) {
+      console.log('⚠️  Chatbot stream cancelled by client');
+      const partial = splitter ? splitter.finish() : { content: '' };
+      await recordChatTurn(turn, {
+        chatbotResponse: { content: partial.content, suggestions: [], action: null, mood: null },
+        responseTime: Date.now() - startTime,
+        cancelled: true
+      });
+      return;
+    }
+
+    console.error('Chatbot stream error:', error);
+    const fallbackResponse = ai.offline.chatReply(req.body.message || '');
+    await recordFallbackReply(turn && turn.conversation, fallbackResponse);
+
+    if (!res.headersSent) {
+      return res.json({ response: fallbackResponse, fallback: true, error: 'AI temporarily unavailable' });
+    }
+    chatStream.sendEvent(res, 'error', { error: 'AI temporarily unavailable', response: fallbackResponse, fallback: true });
+    res.end();
+  }
+});
+
+// Carry out (or decline) a booking change the chatbot prepared
+app.post('/api/chatbot/confirm', validateRequest('POST /api/chatbot/confirm'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { actionToken, confirmed, userEmail } = req.body;
+
+    const action = chatTools.verifyActionToken(actionToken);
+    if (!action) {
+      return apiErrors.sendError(res, 'VALIDATION_ERROR', 'This confirmation is invalid or has expired');
+    }
+
+    if (confirmed !== true) {
+      return res.json({
+        response: {
+          content: "No problem - I haven't changed anything. What would you like to do instead?",
+          suggestions: ['Pick another time', 'Check availability', 'Start over'],
+          action: null,
+          mood: 'helpful'
+        }
+      });
+    }
+
+    const { tool, booking } = await chatTools.executeAction(store, actionToken, {
+      user: req.user,
+      manageToken: req.body.manageToken || req.get('x-manage-token')
+    });
+    if (!booking) {
+      return apiErrors.sendError(res, 'NOT_FOUND', 'Booking not found');
+    }
+
+    const summary = chatTools.describeBooking(booking);
+    let content;
+    if (tool === 'create_booking') {
+      await recordBookingCustomer(booking.email, booking.name);
+      content = booking.payment
+        ? `💳 I've held ${summary.display} for you (booking #${booking.id}). Complete the payment to confirm it: ${booking.payment.checkoutUrl}`
+        : `✅ You're booked for ${summary.display} (booking #${booking.id}). A confirmation email is on its way to ${booking.email}.`;
+    } else if (tool === 'reschedule_booking') {
+      content = `📅 Done - booking #${booking.id} is now on ${summary.display}.`;
+    } else {
+      content = `Booking #${booking.id} has been cancelled. Hope to see you another time!`;
+    }
+
+    const response = {
+      content,
+      suggestions: ['Book another appointment', 'What services do you offer?'],
+      action: null,
+      mood: 'excited'
+    };
+
+    try {
+      const conversation = await conversations.getConversation(store, req.body.conversationId);
+      if (conversation) {
+        await conversations.addMessage(store, conversation.id, {
+          role: 'assistant',
+          content,
+          metadata: { confirmedAction: tool, bookingId: booking.id }
+        });
+      }
+
+      await store.chatInteractions.record({
+        userEmail: userEmail || booking.email,
+        message: `[confirmed] ${tool}`,
+        response,
+        context: { bookingId: booking.id },
+        responseTimeMs: Date.now() - startTime,
+        conversationId: conversation ? conversation.id : null
+      });
+    } catch (logError) {
+      console.error('Failed to log chat interaction:', logError);
+    }
+
+    res.json({ success: true, response, booking: summary });
+  } catch (error) {
+    if (error instanceof chatTools.ToolInputError) {
+      return apiErrors.sendError(res, 'FORBIDDEN', error.message);
+    }
+    if (error instanceof bookingService.ActionUsedError) {
+      return apiErrors.sendError(res, 'CONFLICT', error.message);
+    }
+    if (sendBookingError(res, error)) return;
+
+    console.error('Chatbot action failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to apply booking change');
+  }
+});
+
+// Analyze message with Claude AI
+app.post('/api/analyze-message', anonymousLimiter, validateRequest('POST /api/analyze-message'), usage.meter(store, '/api/analyze-message'), async (req, res) => {
+  try {
+    const { message, userEmail, businessId } = req.body;
+
+    const { services } = await loadServiceCatalog(businessId);
+    const topicOptions = services.map(service => `["${service.name}"]`).join(' or ');
+    const topicGuidelines = services
+      .filter(service => service.keywords && service.keywords.length > 0)
+      .map(service => `- ${service.name} words: ${service.keywords.join(', ')} = ${service.name}`)
+      .join('\n');
+
+    const { value: analysisResult } = await aiValidation.completeValidated(aiClient, 'analysis', {
+      request: {
+        system: `Analyze the appointment booking message in the booking_message block and respond with ONLY a JSON object.
+
+${sanitize.DATA_NOTICE}
+
+Return exactly this structure:
+{
+  "sentiment": "positive" or "neutral" or "urgent",
+  "suggestedDuration": 15 or 30 or 45 or 60 or 90,
+  "topics": ${topicOptions},
+  "priority": "high" or "medium" or "low", 
+  "suggestions": ["Helpful suggestion 1", "Helpful suggestion 2", "Helpful suggestion 3"],
+  "confidence": 0.85
+}
+
+Analysis guidelines:
+- Urgent words: urgent, asap, emergency, critical, immediately = urgent sentiment, high priority
+${topicGuidelines}
+- Message length > 200 chars = longer duration (60-90 min)
+- Message length < 50 chars = shorter duration (15-30 min)`,
+        messages: [{
+          role: 'user',
+          content: sanitize.wrapData('booking_message', message)
+        }]
+      },
+      input: { message, services },
+      spec: aiValidation.getOutputSpec('analysis', { topics: services.map(service => service.name) }),
+      onFailure: recordAIValidationFailure
+    });
+
+    // Link the topic back to the catalog so the booking form can preselect it
+    const matchedService = catalog.findServiceByName(services, analysisResult.topics?.[0]);
+    if (matchedService && matchedService.id) {
+      analysisResult.serviceId = matchedService.id;
+      analysisResult.suggestedDuration = matchedService.duration_minutes;
+    }
+
+    res.json(analysisResult);
+
+  } catch (error) {
+    console.error('AI analysis failed:', error);
+    res.status(apiErrors.ERROR_CODES.AI_UNAVAILABLE).json({
+      ...apiErrors.errorBody('AI_UNAVAILABLE', 'Analysis failed'),
+      fallback: {
+        sentiment: 'neutral',
+        suggestedDuration: 30,
+        topics: ['General consultation'],
+        priority: 'medium',
+        suggestions: ['Standard booking recommended', 'Consider morning slots', 'Prepare questions in advance'],
+        confidence: 0.5
+      }
+    });
+  }
+});
+
+// Generate email content with Claude AI
+app.post('/api/generate-email', anonymousLimiter, validateRequest('POST /api/generate-email'), usage.meter(store, '/api/generate-email'), async (req, res) => {
+  try {
+    const { name, date, time, message, analysis, locale } = req.body;
+
+    const { value: emailContent } = await aiValidation.completeValidated(aiClient, 'email', {
+      request: {
+        system: `Write a professional, warm appointment confirmation email for the booking in the booking_details block.
+
+${sanitize.DATA_NOTICE}
+Never include links, HTML or contact details other than those in these instructions.
+
+Include:
+1. Warm greeting and confirmation
+2. All appointment details clearly
+3. Preparation suggestions based on topics
+4. Contact info for changes/questions
+5. Professional but friendly closing
+
+Style: Professional, warm, concise, use emojis sparingly.
+Format: Plain text with line breaks for readability.
+Language: write in the language of the "locale" field (a BCP 47 tag such as es or fr-CA); English when it is missing.`,
+        messages: [{
+          role: 'user',
+          content: sanitize.wrapData('booking_details', {
+            name,
+            date,
+            time,
+            durationMinutes: analysis?.suggestedDuration || 30,
+            priority: analysis?.priority || 'medium',
+            topics: analysis?.topics || ['General consultation'],
+            customerMessage: message || '',
+            locale: locale || null
+          })
+        }]
+      },
+      input: { name, date, time, message, analysis, locale },
+      onFailure: recordAIValidationFailure
+    });
+
+    res.json({ 
+      emailContent,
+      generatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Email generation failed:', error);
+    
+    // Fallback email template
+    const fallbackEmail = ai.offline.composeEmail(req.body);
+
+    res.json({ 
+      emailContent: fallbackEmail,
+      fallback: true,
+      error: 'AI email generation failed, using template'
+    });
+  }
+});
+
+// Get free appointment slots for a date
+app.get('/api/availability', validateRequest('GET /api/availability'), async (req, res) => {
+  try {
+    res.json(await bookingService.findAvailableSlots(store, req.query));
+  } catch (error) {
+    if (sendBookingError(res, error)) return;
+
+    console.error('Failed to fetch availability:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch availability');
+  }
+});
+
+// Create or update the customer record after a booking. The booking is
+// already committed by now, so a failure here is logged rather than returned.
+async function recordBookingCustomer(email, name) {
+  try {
+    await store.users.recordCustomer(email, name);
+  } catch (error) {
+    console.error(`Failed to record customer ${email}:`, error);
+  }
+}
+
+// Create booking; the confirmation email is queued in the same transaction,
+// or, for a paid service, once the payment webhook confirms it
+app.post('/api/create-booking', validateRequest('POST /api/create-booking'), async (req, res) => {
+  try {
+    const { name, email, appointmentDate, appointmentTime } = req.body;
+
+    const booking = await bookingService.createBooking(store, req.body);
+
+    await recordBookingCustomer(email, name);
+
+    // A paid booking is only held until the customer pays at checkoutUrl
+    res.json({ 
+      success: true, 
+      bookingId: booking.id,
+      message: booking.payment
+        ? 'Slot held - complete the payment to confirm your booking'
+        : 'Booking created - a confirmation email is on its way!',
+      ...(booking.payment ? { paymentRequired: true, checkoutUrl: booking.payment.checkoutUrl, payment: booking.payment } : {}),
+      booking: {
+        id: booking.id,
+        name: name,
+        email: email,
+        date: appointmentDate,
+        time: appointmentTime,
+        timezone: booking.customer_timezone,
+        businessId: booking.business_id,
+        serviceId: booking.service_id,
+        staffId: booking.staff_id,
+        startsAt: booking.starts_at,
+        endsAt: booking.ends_at,
+        duration: booking.duration_minutes,
+        status: booking.status,
+        createdAt: booking.created_at
+      }
+    });
+
+  } catch (error) {
+    if (sendBookingError(res, error)) return;
+
+    console.error('Booking creation failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Booking creation failed');
+  }
+});
+
+// Get all bookings (admin endpoint)
+app.get('/api/bookings', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/bookings'), async (req, res) => {
+  try {
+    const { limit, offset, status, timezone } = req.query;
+    // Staff only see their own business's bookings
+    const businessId = req.user.role === 'admin' ? undefined : req.user.businessId;
+
+    const result = await store.bookings.list({ status, businessId, limit, offset });
+
+    res.json({
+      bookings: result.bookings.map(booking => withLocalTime(booking, timezone)),
+      timezone: timezone || timezones.getBusinessTimezone(),
+      total: result.total,
+      page: Math.floor(offset / limit) + 1,
+      limit
+    });
+  } catch (error) {
+    console.error('Failed to fetch bookings:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch bookings');
+  }
+});
+
+// Respond to known booking errors (bad input, conflicts, invalid transitions).
+// Returns false for anything else so the caller can log and send a 500.
+function sendBookingError(res, error) {
+  if (error instanceof bookingService.BookingValidationError || error instanceof catalog.CatalogValidationError) {
+    apiErrors.sendError(res, 'VALIDATION_ERROR', error.message);
+    return true;
+  }
+  if (error instanceof availability.BookingConflictError) {
+    apiErrors.sendError(res, 'BOOKING_CONFLICT', error.message, { conflicts: error.conflicts });
+    return true;
+  }
+  if (error instanceof lifecycle.InvalidTransitionError) {
+    apiErrors.sendError(res, 'INVALID_TRANSITION', error.message);
+    return true;
+  }
+  if (error instanceof payments.PaymentError) {
+    apiErrors.sendError(res, 'PAYMENT_UNAVAILABLE', error.message);
+    return true;
+  }
+  return false;
+}
+
+// Add the appointment start as wall-clock time in the requested (or business) zone
+function withLocalTime(booking, timezone) {
+  const zone = timezone || timezones.getBusinessTimezone();
+  const start = timezones.getBookingStart(booking);
+  return {
+    ...booking,
+    local: {
+      ...timezones.utcToZonedTime(start, zone),
+      timezone: zone,
+      display: timezones.formatInTimezone(start, zone)
+    }
+  };
+}
+
+// Staff can manage their business's bookings (admins any booking); customers
+// need the manage-booking token from the query string, body or header. A
+// booking that doesn't exist is left for the route to report.
+async function canManageBooking(req, bookingId) {
+  if (auth.isStaff(req.user)) {
+    const booking = await store.bookings.findById(bookingId);
+    return !booking || auth.canManageBusiness(req.user, booking.business_id);
+  }
+
+  const token = req.query.token || req.body?.token || req.get('x-manage-token');
+  const payload = lifecycle.verifyManageToken(token);
+  return Boolean(payload && payload.bookingId === bookingId);
+}
+
+const MANAGE_BOOKING_FIELDS = [
+  'id', 'name', 'email', 'appointment_date', 'appointment_time', 'duration_minutes', 'end_time',
+  'starts_at', 'ends_at', 'business_timezone', 'customer_timezone', 'status'
+];
+
+// Look up a booking from a manage-booking token (customer self-service)
+app.get('/api/manage-booking', validateRequest('GET /api/manage-booking'), async (req, res) => {
+  try {
+    const payload = lifecycle.verifyManageToken(req.query.token);
+    if (!payload) {
+      return apiErrors.sendError(res, 'INVALID_TOKEN', 'Invalid or expired booking link');
+    }
+
+    const found = await store.bookings.findById(payload.bookingId);
+    if (!found) {
+      return apiErrors.sendError(res, 'NOT_FOUND', 'Booking not found');
+    }
+
+    // Only what the customer needs to see and change their booking
+    const booking = Object.fromEntries(MANAGE_BOOKING_FIELDS.map(field => [field, found[field]]));
+    res.json({
+      booking: withLocalTime(booking, timezones.getRecipientTimezone(booking)),
+      canReschedule: lifecycle.isMutable(booking.status),
+      canCancel: lifecycle.isMutable(booking.status)
+    });
+  } catch (error) {
+    console.error('Failed to load managed booking:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to load booking');
+  }
+});
+
+// Reschedule a booking to a new slot
+app.patch('/api/bookings/:id/reschedule', validateRequest('PATCH /api/bookings/:id/reschedule'), async (req, res) => {
+  try {
+    const bookingId = req.params.id;
+    const { appointmentDate, appointmentTime, duration, timezone } = req.body;
+
+    if (!(await canManageBooking(req, bookingId))) {
+      return apiErrors.sendError(res, 'FORBIDDEN', 'A valid manage-booking token is required');
+    }
+
+    const booking = await bookingService.rescheduleBooking(store, bookingId, {
+      appointmentDate,
+      appointmentTime,
+      duration,
+      timezone
+    });
+
+    if (!booking) {
+      return apiErrors.sendError(res, 'NOT_FOUND', 'Booking not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      booking
+    });
+  } catch (error) {
+    if (sendBookingError(res, error)) return;
+
+    console.error('Booking reschedule failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Booking reschedule failed');
+  }
+});
+
+// Cancel a booking
+app.post('/api/bookings/:id/cancel', validateRequest('POST /api/bookings/:id/cancel'), async (req, res) => {
+  try {
+    const bookingId = req.params.id;
+    const { reason } = req.body;
+
+    if (!(await canManageBooking(req, bookingId))) {
+      return apiErrors.sendError(res, 'FORBIDDEN', 'A valid manage-booking token is required');
+    }
+
+    const booking = await bookingService.updateBookingStatus(store, bookingId, 'cancelled', { reason });
+    if (!booking) {
+      return apiErrors.sendError(res, 'NOT_FOUND', 'Booking not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      booking
+    });
+  } catch (error) {
+    if (sendBookingError(res, error)) return;
+
+    console.error('Booking cancellation failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Booking cancellation failed');
+  }
+});
+
+// Payment status of a booking, e.g. for the page the checkout returns to
+app.get('/api/bookings/:id/payment', validateRequest('GET /api/bookings/:id/payment'), async (req, res) => {
+  try {
+    const bookingId = req.params.id;
+
+    if (!(await canManageBooking(req, bookingId))) {
+      return apiErrors.sendError(res, 'FORBIDDEN', 'A valid manage-booking token is required');
+    }
+
+    const booking = await store.bookings.findById(bookingId);
+    if (!booking) {
+      return apiErrors.sendError(res, 'NOT_FOUND', 'Booking not found');
+    }
+    const payment = await store.payments.findLatestForBooking(bookingId);
+
+    res.json({
+      bookingId: booking.id,
+      status: booking.status,
+      paymentRequired: Boolean(payment),
+      payment: payment ? payments.describePayment(payment) : null
+    });
+  } catch (error) {
+    console.error('Failed to fetch booking payment:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch booking payment');
+  }
+});
+
+// Move a booking through its lifecycle (confirm, complete, no-show, cancel)
+app.patch('/api/bookings/:id/status', auth.requireRole(...auth.STAFF_ROLES), validateRequest('PATCH /api/bookings/:id/status'), async (req, res) => {
+  try {
+    const bookingId = req.params.id;
+    const { status, reason } = req.body;
+
+    if (!(await canManageBooking(req, bookingId))) {
+      return apiErrors.sendError(res, 'FORBIDDEN', 'Insufficient permissions');
+    }
+
+    const booking = await bookingService.updateBookingStatus(store, bookingId, status, { reason });
+    if (!booking) {
+      return apiErrors.sendError(res, 'NOT_FOUND', 'Booking not found');
+    }
+
+    res.json({ success: true, booking });
+  } catch (error) {
+    if (sendBookingError(res, error)) return;
+
+    console.error('Booking status update failed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Booking status update failed');
+  }
+});
+
+// Reminder email before an appointment
+jobQueue.registerHandler(reminders.REMINDER_JOB, async (job) => {
+  const booking = await store.bookings.findById(job.booking_id);
+
+  // Nothing to remind about once the booking is cancelled or over
+  if (!booking || !lifecycle.isMutable(booking.status)) return;
+
+  await bookingEmails.queueBookingEmail(store, 'reminder', booking);
+  emailOutbox.wake();
+  console.log(`📧 Reminder (${job.payload?.offset}) queued for booking #${booking.id}`);
+});
+
+// Follow-up / feedback email after an appointment
+jobQueue.registerHandler(reminders.FOLLOW_UP_JOB, async (job) => {
+  const booking = await store.bookings.findById(job.booking_id);
+
+  if (!booking || !['confirmed', 'completed'].includes(booking.status)) return;
+
+  await bookingEmails.queueBookingEmail(store, 'follow_up', booking);
+  emailOutbox.wake();
+  console.log(`📧 Follow-up queued for booking #${booking.id}`);
+});
+
+// List scheduled jobs (admin endpoint)
+app.get('/api/jobs', auth.requireRole('admin'), validateRequest('GET /api/jobs'), async (req, res) => {
+  try {
+    const { status, type, bookingId, limit, offset } = req.query;
+
+    const result = await jobQueue.listJobs(store, {
+      status,
+      type,
+      bookingId: bookingId || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      jobs: result.jobs,
+      total: result.total,
+      page: Math.floor(offset / limit) + 1,
+      limit
+    });
+  } catch (error) {
+    console.error('Failed to fetch jobs:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch jobs');
+  }
+});
+
+// Re-queue a failed or cancelled job
+app.post('/api/jobs/:id/retry', auth.requireRole('admin'), validateRequest('POST /api/jobs/:id/retry'), async (req, res) => {
+  try {
+    const job = await jobQueue.retryJob(store, req.params.id);
+    if (!job) {
+      return apiErrors.sendError(res, 'CONFLICT', 'Only failed or cancelled jobs can be retried');
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Failed to retry job:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to retry job');
+  }
+});
+
+// Cancel a pending job
+app.post('/api/jobs/:id/cancel', auth.requireRole('admin'), validateRequest('POST /api/jobs/:id/cancel'), async (req, res) => {
+  try {
+    const job = await jobQueue.cancelJob(store, req.params.id);
+    if (!job) {
+      return apiErrors.sendError(res, 'CONFLICT', 'Only pending jobs can be cancelled');
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Failed to cancel job:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to cancel job');
+  }
+});
+
+// Create (or rotate) the current staff member's calendar feed URL
+app.post('/api/calendar/token', auth.requireRole(...auth.STAFF_ROLES), validateRequest('POST /api/calendar/token'), async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await store.users.setCalendarToken(req.user.id, token);
+
+    res.json({
+      success: true,
+      feedUrl: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`
+    });
+  } catch (error) {
+    console.error('Failed to create calendar token:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to create calendar feed');
+  }
+});
+
+// Calendar subscription feed of upcoming bookings (token in URL, for calendar clients)
+app.get('/api/calendar/:token.ics', validateRequest('GET /api/calendar/:token.ics'), async (req, res) => {
+  try {
+    const user = await store.users.findByCalendarToken(req.params.token, auth.STAFF_ROLES);
+    if (!user) {
+      return apiErrors.sendError(res, 'NOT_FOUND', 'Calendar feed not found');
+    }
+
+    // Users linked to staff members get their own appointments; others see
+    // their business (or everything, for admins without one)
+    const bookings = await store.bookings.listForCalendar(user, { since: new Date(Date.now() - WEEK_MS) });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="bookings.ics"');
+    res.send(icalendar.buildFeed(bookings, 'Smart Booking Pro Bookings'));
+  } catch (error) {
+    console.error('Failed to build calendar feed:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to build calendar feed');
+  }
+});
+
+// Refresh social media posts from every enabled feed
+app.post('/api/refresh-social-posts', auth.requireRole('admin'), validateRequest('POST /api/refresh-social-posts'), async (req, res) => {
+  try {
+    const sources = await feeds.refreshAll(store);
+    res.json({ 
+      success: true, 
+      postsCount: sources.reduce((total, source) => total + source.postsCount, 0),
+      sources,
+      message: 'Social media posts refreshed successfully'
+    });
+  } catch (error) {
+    console.error('Failed to refresh social posts:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to refresh social posts');
+  }
+});
+
+// Get analytics and stats
+app.get('/api/stats', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/stats'), async (req, res) => {
+  try {
+    // "Today" and daily buckets follow the business timezone, not the DB server's
+    const businessTimezone = timezones.getBusinessTimezone();
+    // Staff only count their own business's bookings
+    const businessId = req.user.role === 'admin' ? undefined : req.user.businessId;
+    const [bookingStats, totalUsers, chatStats, validationFailures] = await Promise.all([
+      store.bookings.getStats({ timezone: businessTimezone, businessId }),
+      store.users.count(),
+      store.chatInteractions.getStats(),
+      store.aiValidationFailures.countSince(new Date(Date.now() - WEEK_MS))
+    ]);
+
+    res.json({
+      totalBookings: bookingStats.total,
+      totalUsers,
+      totalChats: chatStats.total,
+      todayBookings: bookingStats.today,
+      avgResponseTime: chatStats.avgResponseTime,
+      weeklyBookings: bookingStats.weekly,
+      aiValidationFailures: validationFailures,
+      flaggedChats: chatStats.flagged,
+      timezone: businessTimezone,
+      lastUpdated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Failed to fetch stats:', error);
+    apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch statistics');
+  }
+});
+
+// Reports with date ranges, groupings and CSV export
+app.use('/api', analyticsRoutes({ store }));
+
+// Businesses, staff and service catalog
+app.use('/api', catalogRoutes({ store }));
+
+// Chatbot conversations
+app.use('/api', conversationRoutes({ store }));
+
+// Email template listing and previews
+app.use('/api', emailTemplateRoutes({ store }));
+
+// Outgoing email delivery log
+app.use('/api', emailOutboxRoutes({ store }));
+
+// Usage and quotas
+app.use('/api', usageRoutes({ store }));
+
+// Social feed sources for the chatbot
+app.use('/api', feedRoutes({ store }));
+
+// Outgoing webhook endpoints, delivery log, replay and test pings
+app.use('/api', webhookRoutes({ store }));
+
+// Payment provider webhooks for paid bookings
+app.use('/api', paymentRoutes({ store }));
+
+// Error handling middleware (bad JSON bodies, anything thrown past a route)
+app.use(apiErrors.errorHandler);
+
+// 404 handler
+app.use((req, res) => {
+  apiErrors.sendError(res, 'NOT_FOUND', 'Endpoint not found', { documentation: '/api/openapi.json' });
+});
+
+module.exports = {
+  app,
+  store,
+  pool,
+  databasePool,
+  aiClient,
+  emailTransporter
+};
@@ -0,0 +1,26 @@
+// Anthropic provider - Claude via the Messages API
+const Anthropic = require('@anthropic-ai/sdk');
+
+function create() {
+  // Retries and timeouts are handled by the provider layer
+  const client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    maxRetries: 0
+  });
+
+  return {
+    name: 'anthropic',
+    supportsTools: true,
+
+    async createMessage(request, { signal, onText } = {}) {
+      if (!onText) {
+        return client.messages.create(request, { signal });
+      }
+      const stream = client.messages.stream(request, { signal });
+      stream.on('text', onText);
+      return stream.finalMessage();
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,175 @@
+// AI provider layer - per-task model configuration, timeouts and retries on
+// top of a pluggable provider (Anthropic, or the offline rule-based provider)
+const anthropicProvider = require('./anthropic');
+const offlineProvider = require('./offline');
+
+const TASKS = ['chatbot', 'analysis', 'email', 'summary'];
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+const DEFAULT_MAX_TOKENS = { chatbot: 1200, analysis: 1000, email: 1000, summary: 400 };
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+const providers = {
+  anthropic: anthropicProvider,
+  offline: offlineProvider
+};
+
+class AITimeoutError extends Error {
+  constructor(task, timeoutMs) {
+    super(`AI request for ${task} timed out after ${timeoutMs}ms`);
+    this.name = 'AITimeoutError';
+    this.status = 504;
+  }
+}
+
+// Add a provider: { create() -> { name, supportsTools, createMessage(request, options) } }
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+// AI_MODEL, AI_TIMEOUT_MS and AI_MAX_RETRIES apply to every task; a
+// _<TASK> suffix (e.g. AI_MODEL_ANALYSIS) overrides one task
+function getTaskConfig(task) {
+  const suffix = `_${task.toUpperCase()}`;
+  const env = process.env;
+  return {
+    model: env[`AI_MODEL${suffix}`] || env.AI_MODEL || DEFAULT_MODEL,
+    maxTokens: readInt(env[`AI_MAX_TOKENS${suffix}`], DEFAULT_MAX_TOKENS[task] || 1000),
+    timeoutMs: readInt(env[`AI_TIMEOUT_MS${suffix}`], readInt(env.AI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)),
+    maxRetries: readInt(env[`AI_MAX_RETRIES${suffix}`], readInt(env.AI_MAX_RETRIES, DEFAULT_MAX_RETRIES))
+  };
+}
+
+// AI_PROVIDER picks the provider; without it we use Anthropic when a key is set
+function getProviderName() {
+  return process.env.AI_PROVIDER || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'offline');
+}
+
+function isRetryable(error) {
+  if (error instanceof AITimeoutError) return true;
+  if (error.name === 'APIConnectionError') return true;
+  const status = error.status;
+  return status === 408 || status === 409 || status === 429 || (status >= 500 && status < 600);
+}
+
+// Wait between retries; the abort listener is removed once the wait is over
+// so long-lived signals don't collect one per retry
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Run one attempt with its own timeout, also aborting when the caller does
+async function withTimeout(task, timeoutMs, signal, work) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await work(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted && !(signal && signal.aborted)) {
+      throw new AITimeoutError(task, timeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+function getText(message) {
+  return (message.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+// onUsage({ task, provider, model, usage }) is called after every successful
+// request with the token counts the provider reported
+function createAIClient({ provider: providerName = getProviderName(), onUsage } = {}) {
+  const factory = providers[providerName];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${providerName}`);
+  }
+  const provider = factory.create();
+
+  return {
+    provider: provider.name,
+    supportsTools: provider.supportsTools,
+
+    describe() {
+      const models = {};
+      TASKS.forEach(task => {
+        models[task] = provider.name === 'offline' ? 'offline' : getTaskConfig(task).model;
+      });
+      return { provider: provider.name, models };
+    },
+
+    // Send a Messages API request for a task. `input` is the structured data
+    // behind the prompt, used by the offline provider and fixtures. Failed
+    // attempts are retried with backoff unless text was already streamed.
+    async complete(task, request, { input = {}, onText, signal } = {}) {
+      const config = getTaskConfig(task);
+      const body = { model: config.model, max_tokens: config.maxTokens, ...request };
+      if (!provider.supportsTools) {
+        delete body.tools;
+        delete body.tool_choice;
+      }
+
+      let streamed = false;
+      const handleText = onText
+        ? text => {
+          streamed = true;
+          onText(text);
+        }
+        : undefined;
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const message = await withTimeout(task, config.timeoutMs, signal, attemptSignal =>
+            provider.createMessage(body, { task, input, onText: handleText, signal: attemptSignal })
+          );
+          if (onUsage && message.usage) {
+            onUsage({ task, provider: provider.name, model: message.model || config.model, usage: message.usage });
+          }
+          return { ...message, provider: provider.name };
+        } catch (error) {
+          if ((signal && signal.aborted) || streamed || attempt >= config.maxRetries || !isRetryable(error)) {
+            throw error;
+          }
+          console.log(`⚠️  AI ${task} request failed (${error.message}), retrying (${attempt + 1}/${config.maxRetries})`);
+          await delay(RETRY_BASE_DELAY_MS * Math.pow(2, attempt), signal);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  TASKS,
+  AITimeoutError,
+  registerProvider,
+  getTaskConfig,
+  getProviderName,
+  getText,
+  createAIClient,
+  offline: offlineProvider
+};
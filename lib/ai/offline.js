@@ -0,0 +1,202 @@
+// Offline provider - deterministic rule-based replies (and optional fixtures)
+// for local development, tests and as the fallback when the AI is unavailable
+const fs = require('fs');
+const { META_MARKER } = require('../chatStream');
+const emailTemplates = require('../email');
+
+const URGENT_WORDS = ['urgent', 'asap', 'emergency', 'critical', 'immediately'];
+const POSITIVE_WORDS = ['thanks', 'thank you', 'great', 'love', 'excited', 'awesome', 'happy'];
+
+// Canned chatbot reply for a user message
+function chatReply(message) {
+  const lowerMessage = (message || '').toLowerCase();
+
+  if (lowerMessage.includes('book') || lowerMessage.includes('appointment') || lowerMessage.includes('schedule')) {
+    return {
+      content: "I'd be happy to help you book an appointment! 📅 Our AI-powered system makes scheduling super fast and easy. I can understand your needs and find the perfect time slot for you. Ready to get started?",
+      suggestions: ["Yes, let's book!", "Tell me more about AI booking", "What services do you offer?"],
+      action: "book_appointment",
+      mood: "excited"
+    };
+  }
+
+  if (lowerMessage.includes('ai') || lowerMessage.includes('claude') || lowerMessage.includes('how') || lowerMessage.includes('features')) {
+    return {
+      content: "Our system uses cutting-edge Claude AI technology! 🤖 Here's what makes Smart Booking Pro special:\n\n✨ Intelligent message analysis\n⏱️ Smart duration suggestions based on content\n📧 Personalized email generation\n🎯 Optimal time slot recommendations\n📊 Real-time analytics and insights\n\nWant to experience the magic yourself?",
+      suggestions: ["Book an appointment", "See it in action", "What services do you offer?"],
+      action: "explain_features",
+      mood: "professional"
+    };
+  }
+
+  if (lowerMessage.includes('help') || lowerMessage.includes('support') || lowerMessage.includes('question')) {
+    return {
+      content: "I'm here to help! 🤗 As your Smart Booking AI assistant, I can:\n\n📅 Book appointments through natural conversation\n💬 Answer questions about our services\n🔧 Explain our AI features and capabilities\n📊 Share insights from our social media\n📧 Handle all your scheduling needs\n\nOur system is designed to make booking as easy as having a conversation. What would you like to know?",
+      suggestions: ["Book an appointment", "Learn about services", "How does AI booking work?"],
+      action: null,
+      mood: "helpful"
+    };
+  }
+
+  // Default response
+  return {
+    content: "Hello! 👋 I'm your Smart Booking AI assistant, powered by Claude AI. I make appointment scheduling incredibly easy and fast!\n\n💬 I can chat naturally to understand your needs\n📅 I'll find the perfect appointment slot for you\n📧 I'll send beautiful confirmation emails\n\nWhat can I help you with today?",
+    suggestions: ["Book an appointment", "Learn about AI features", "View our services", "Tell me more"],
+    action: null,
+    mood: "friendly"
+  };
+}
+
+// Keyword analysis following the same guidelines the AI prompt gives
+function analyzeMessage(message, services = []) {
+  const text = String(message || '');
+  const lowerMessage = text.toLowerCase();
+  const urgent = URGENT_WORDS.some(word => lowerMessage.includes(word));
+  const positive = POSITIVE_WORDS.some(word => lowerMessage.includes(word));
+
+  const matched = services.find(service =>
+    (service.keywords || []).some(keyword => lowerMessage.includes(String(keyword).toLowerCase()))
+  );
+  const general = services.find(service => /general/i.test(service.name));
+  const topic = matched || general || services[services.length - 1];
+
+  let suggestedDuration = 30;
+  if (text.length > 400) suggestedDuration = 90;
+  else if (text.length > 200) suggestedDuration = 60;
+  else if (text.length < 50) suggestedDuration = 15;
+
+  return {
+    sentiment: urgent ? 'urgent' : positive ? 'positive' : 'neutral',
+    suggestedDuration,
+    topics: [topic ? topic.name : 'General consultation'],
+    priority: urgent ? 'high' : 'medium',
+    suggestions: urgent
+      ? ['Book the earliest available slot', 'Share any details in advance', 'Keep your phone nearby']
+      : ['Standard booking recommended', 'Consider morning slots', 'Prepare questions in advance'],
+    confidence: matched ? 0.6 : 0.5
+  };
+}
+
+// Template confirmation text, in the recipient's language
+function composeEmail(input) {
+  return emailTemplates.composeMessage(input);
+}
+
+// Running summary: the previous summary plus a trimmed line per message
+function summarize(previousSummary, messages = []) {
+  const lines = messages.map(message => `${message.role}: ${String(message.content).replace(/\s+/g, ' ').slice(0, 200)}`);
+  const summary = [previousSummary, ...lines].filter(Boolean).join('\n');
+  return summary.length > 2000 ? summary.slice(summary.length - 2000) : summary;
+}
+
+// Reply text for a task, in the format the route expects from the model
+function respond(task, input = {}) {
+  if (task === 'chatbot') {
+    const reply = chatReply(input.message);
+    if (input.format === 'stream') {
+      const { content, ...meta } = reply;
+      return `${content}\n${META_MARKER}${JSON.stringify(meta)}`;
+    }
+    return JSON.stringify(reply);
+  }
+  if (task === 'analysis') return JSON.stringify(analyzeMessage(input.message, input.services));
+  if (task === 'email') return composeEmail(input);
+  if (task === 'summary') return summarize(input.previousSummary, input.messages);
+  return '';
+}
+
+// Fixtures: canned replies per task. A string, a list served in order (the
+// last one repeats) or a function of (input, request). AI_FIXTURES_FILE can
+// point at a JSON file of { task: reply | [replies] }.
+const fixtures = new Map();
+let fixturesFileLoaded = false;
+
+function setFixture(task, fixture) {
+  fixtures.set(task, { fixture, calls: 0 });
+}
+
+function clearFixtures() {
+  fixtures.clear();
+}
+
+function loadFixturesFile() {
+  if (fixturesFileLoaded) return;
+  fixturesFileLoaded = true;
+  if (!process.env.AI_FIXTURES_FILE) return;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(process.env.AI_FIXTURES_FILE, 'utf8'));
+    Object.keys(data).forEach(task => {
+      if (!fixtures.has(task)) setFixture(task, data[task]);
+    });
+  } catch (error) {
+    console.error('Failed to load AI fixtures:', error.message);
+  }
+}
+
+function getFixtureReply(task, input, request) {
+  loadFixturesFile();
+  const entry = fixtures.get(task);
+  if (!entry) return null;
+
+  const { fixture } = entry;
+  entry.calls++;
+  if (typeof fixture === 'function') return fixture(input, request);
+  if (Array.isArray(fixture)) return fixture[Math.min(entry.calls - 1, fixture.length - 1)];
+  return fixture;
+}
+
+// Rough token estimate so usage metering has something to count
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function create() {
+  return {
+    name: 'offline',
+    supportsTools: false,
+
+    async createMessage(request, { task, input, onText, signal } = {}) {
+      const fixtureReply = getFixtureReply(task, input, request);
+      const text = fixtureReply !== null && fixtureReply !== undefined ? fixtureReply : respond(task, input);
+
+      // A fixture may return a complete message (e.g. with tool_use blocks)
+      const message = typeof text === 'object'
+        ? text
+        : {
+          id: `offline_${task}`,
+          type: 'message',
+          role: 'assistant',
+          model: 'offline',
+          content: [{ type: 'text', text }],
+          stop_reason: 'end_turn',
+          usage: {
+            input_tokens: estimateTokens(JSON.stringify(request.messages || [])),
+            output_tokens: estimateTokens(text)
+          }
+        };
+
+      if (onText) {
+        message.content
+          .filter(block => block.type === 'text')
+          .forEach(block => {
+            (block.text.match(/\S+\s*|\s+/g) || []).forEach(chunk => {
+              if (!signal || !signal.aborted) onText(chunk);
+            });
+          });
+      }
+      return message;
+    }
+  };
+}
+
+module.exports = {
+  create,
+  chatReply,
+  analyzeMessage,
+  composeEmail,
+  summarize,
+  respond,
+  setFixture,
+  clearFixtures
+};
@@ -0,0 +1,214 @@
+// Schema validation for AI output - Joi schemas per task, local repair of
+// near-misses, and re-asking the model when a reply still doesn't fit
+const Joi = require('joi');
+const { getText } = require('./index');
+
+// escalate hands the conversation to a person (fires the chat.escalated webhook)
+const CHATBOT_ACTIONS = ['book_appointment', 'explain_features', 'show_social', 'confirm_action', 'escalate'];
+const CHATBOT_MOODS = ['helpful', 'excited', 'professional', 'friendly'];
+const SENTIMENTS = ['positive', 'neutral', 'urgent'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const DURATIONS = [15, 30, 45, 60, 90];
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true };
+
+class AIOutputValidationError extends Error {
+  constructor(task, errors) {
+    super(`AI ${task} output failed validation: ${errors.join('; ')}`);
+    this.name = 'AIOutputValidationError';
+    this.status = 502;
+    this.task = task;
+    this.errors = errors;
+  }
+}
+
+const suggestionsSchema = Joi.array().items(Joi.string().trim().min(1).max(200)).max(5);
+
+const chatbotMetaSchema = Joi.object({
+  suggestions: suggestionsSchema.default([]),
+  action: Joi.string().valid(...CHATBOT_ACTIONS).allow(null).default(null),
+  mood: Joi.string().valid(...CHATBOT_MOODS).default('helpful')
+});
+
+const chatbotSchema = chatbotMetaSchema.keys({
+  content: Joi.string().trim().min(1).max(4000).required()
+});
+
+// Topics must name one of the business's services
+function analysisSchema(topics) {
+  return Joi.object({
+    sentiment: Joi.string().valid(...SENTIMENTS).required(),
+    suggestedDuration: Joi.number().valid(...DURATIONS).required(),
+    topics: Joi.array().items(topics.length > 0 ? Joi.string().valid(...topics) : Joi.string()).min(1).max(3).required(),
+    priority: Joi.string().valid(...PRIORITIES).required(),
+    suggestions: suggestionsSchema.required(),
+    confidence: Joi.number().min(0).max(1).required()
+  });
+}
+
+// Plain text; unfilled "[Your Name]"-style placeholders mean the model didn't finish the job
+const emailSchema = Joi.string().trim().min(40).max(6000)
+  .pattern(/\[(your|insert|name|date|time|company)[^\]]*\]/i, { invert: true, name: 'placeholder' })
+  .messages({ 'string.pattern.invert.name': 'Email contains an unfilled placeholder' });
+
+// Local fixes for common near-misses
+
+function pickEnum(value, allowed, fallback) {
+  const normalized = String(value || '').toLowerCase().trim();
+  return allowed.includes(normalized) ? normalized : fallback;
+}
+
+function cleanSuggestions(value) {
+  if (!Array.isArray(value)) return [];
+  return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim().slice(0, 200)).slice(0, 5);
+}
+
+function repairChatbot(value) {
+  return {
+    ...value,
+    suggestions: cleanSuggestions(value.suggestions),
+    action: CHATBOT_ACTIONS.includes(value.action) ? value.action : null,
+    mood: pickEnum(value.mood, CHATBOT_MOODS, 'helpful')
+  };
+}
+
+function repairAnalysis(value, topics) {
+  const duration = Number(value.suggestedDuration);
+  const nearestDuration = Number.isFinite(duration)
+    ? DURATIONS.reduce((best, d) => (Math.abs(d - duration) < Math.abs(best - duration) ? d : best), DURATIONS[0])
+    : 30;
+  const requestedTopics = (Array.isArray(value.topics) ? value.topics : [value.topics]).filter(Boolean);
+  const matchedTopics = requestedTopics
+    .map(topic => topics.find(name => name.toLowerCase() === String(topic).toLowerCase().trim()))
+    .filter(Boolean);
+  const confidence = Number(value.confidence);
+
+  return {
+    ...value,
+    sentiment: pickEnum(value.sentiment, SENTIMENTS, 'neutral'),
+    suggestedDuration: nearestDuration,
+    topics: matchedTopics.length > 0 ? matchedTopics.slice(0, 3) : requestedTopics.slice(0, 3),
+    priority: pickEnum(value.priority, PRIORITIES, 'medium'),
+    suggestions: cleanSuggestions(value.suggestions),
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5
+  };
+}
+
+// Schema, JSON-ness and repair for each task's output
+function getOutputSpec(task, { topics = [] } = {}) {
+  if (task === 'chatbot') return { schema: chatbotSchema, json: true, repair: repairChatbot };
+  if (task === 'chatbot_meta') return { schema: chatbotMetaSchema, json: true, repair: repairChatbot };
+  if (task === 'analysis') return { schema: analysisSchema(topics), json: true, repair: value => repairAnalysis(value, topics) };
+  if (task === 'email') return { schema: emailSchema, json: false };
+  throw new Error(`No output schema for task: ${task}`);
+}
+
+function formatErrors(error) {
+  return error.details.map(detail => detail.message);
+}
+
+// Parse and validate one reply. Returns { value } when it fits (possibly after
+// repair, flagged with repaired: true), otherwise { errors }.
+function checkOutput(text, { schema, json, repair }) {
+  let candidate = text;
+  if (json) {
+    const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+    try {
+      candidate = JSON.parse(jsonMatch ? jsonMatch[0] : text);
+    } catch (error) {
+      return { errors: ['Response is not a valid JSON object'] };
+    }
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+      return { errors: ['Response is not a valid JSON object'] };
+    }
+  }
+
+  const result = schema.validate(candidate, VALIDATION_OPTIONS);
+  if (!result.error) return { value: result.value };
+
+  const errors = formatErrors(result.error);
+  if (repair) {
+    const repaired = schema.validate(repair(candidate), VALIDATION_OPTIONS);
+    if (!repaired.error) return { value: repaired.value, repaired: true, errors };
+  }
+  return { errors };
+}
+
+function buildReaskMessage(errors, json) {
+  return `Your previous response did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ${json ? 'ONLY the corrected JSON object' : 'only the corrected text'}, following the original instructions exactly.`;
+}
+
+// AI_REPAIR_ATTEMPTS: how many times to re-ask after an invalid reply (default 1)
+function getMaxReasks() {
+  const value = parseInt(process.env.AI_REPAIR_ATTEMPTS, 10);
+  return Number.isNaN(value) || value < 0 ? 1 : value;
+}
+
+// Validate a completion, repairing or re-asking until it fits. `request` is the
+// request that produced `response` (or one is made when no response is given).
+// onFailure({ task, outcome, errors, output, provider, model }) is called for
+// every invalid reply with outcome 'repaired', 'reasked' or 'failed'.
+// Throws AIOutputValidationError when the model never produces a valid reply.
+async function completeValidated(aiClient, task, {
+  request,
+  response = null,
+  input,
+  spec = getOutputSpec(task),
+  maxReasks = getMaxReasks(),
+  onFailure = async () => {},
+  signal
+}) {
+  let current = response || await aiClient.complete(task, request, { input, signal });
+  let messages = request.messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const output = getText(current);
+    const result = checkOutput(output, spec);
+    const report = outcome => onFailure({
+      task,
+      outcome,
+      errors: result.errors,
+      output,
+      provider: current.provider || null,
+      model: current.model || null
+    });
+
+    if (result.value !== undefined) {
+      if (result.repaired) await report('repaired');
+      return { value: result.value, response: current, attempts: attempt + 1 };
+    }
+
+    if (attempt >= maxReasks) {
+      await report('failed');
+      throw new AIOutputValidationError(task, result.errors);
+    }
+    await report('reasked');
+
+    messages = [
+      ...messages,
+      { role: 'assistant', content: output || '(empty response)' },
+      { role: 'user', content: buildReaskMessage(result.errors, spec.json) }
+    ];
+    current = await aiClient.complete(task, {
+      ...request,
+      messages,
+      ...(request.tools ? { tool_choice: { type: 'none' } } : {})
+    }, { input: { ...input, reask: true }, signal });
+  }
+}
+
+module.exports = {
+  CHATBOT_ACTIONS,
+  CHATBOT_MOODS,
+  AIOutputValidationError,
+  chatbotSchema,
+  chatbotMetaSchema,
+  analysisSchema,
+  emailSchema,
+  getOutputSpec,
+  checkOutput,
+  completeValidated
+};
@@ -0,0 +1,330 @@
+// Analytics reports over bookings and chat interactions for a date range.
+// Ranges are whole days in the business timezone. Each report comes back as
+// JSON with `columns` and `rows`, so any of them can be sent as CSV.
+const lifecycle = require('./bookingLifecycle');
+const timezones = require('./timezones');
+
+const REPORTS = ['summary', 'bookings', 'funnel', 'response_times'];
+const GROUPINGS = ['day', 'week', 'month', 'service', 'priority', 'topic', 'status'];
+const TIME_GROUPINGS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Column name for each booking status in the bookings report
+const STATUS_COLUMNS = {
+  pending: 'pending',
+  pending_payment: 'pendingPayment',
+  confirmed: 'confirmed',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  no_show: 'noShow',
+  expired: 'expired'
+};
+
+class AnalyticsQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsQueryError';
+    this.status = 400;
+  }
+}
+
+// YYYY-MM-DD arithmetic, independent of any timezone
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// from/to (inclusive) default to the last 30 days. start/end are the instants
+// the range covers: midnight on `from` up to midnight after `to`.
+function resolveRange({ from, to, timezone = timezones.getBusinessTimezone() }, now = new Date()) {
+  const lastDay = to || (from ? addDays(from, DEFAULT_RANGE_DAYS - 1) : timezones.utcToZonedTime(now, timezone).date);
+  const firstDay = from || addDays(lastDay, -(DEFAULT_RANGE_DAYS - 1));
+
+  if (firstDay > lastDay) {
+    throw new AnalyticsQueryError('from must not be after to');
+  }
+  if (daysBetween(firstDay, lastDay) + 1 > MAX_RANGE_DAYS) {
+    throw new AnalyticsQueryError(`The date range can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return {
+    from: firstDay,
+    to: lastDay,
+    timezone,
+    start: timezones.zonedTimeToUtc(firstDay, '00:00', timezone),
+    end: timezones.zonedTimeToUtc(addDays(lastDay, 1), '00:00', timezone)
+  };
+}
+
+// Period a business-local date falls in: the day, the Monday starting its
+// ISO week, or YYYY-MM
+function getPeriod(date, grouping) {
+  if (grouping === 'month') return date.slice(0, 7);
+  if (grouping === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+}
+
+// Every period in the range, so quiet days still show up as zeros
+function listPeriods(range, grouping) {
+  const periods = [];
+  for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+    const period = getPeriod(date, grouping);
+    if (periods[periods.length - 1] !== period) periods.push(period);
+  }
+  return periods;
+}
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? round(part / whole) : null;
+}
+
+// Nearest-rank percentile of a list of numbers, or null when it's empty
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function describeResponseTimes(chats) {
+  const times = chats.map(chat => chat.response_time_ms).filter(value => value !== null && value !== undefined);
+  return {
+    timed: times.length,
+    p50: percentile(times, 50),
+    p95: percentile(times, 95),
+    average: times.length > 0 ? Math.round(times.reduce((sum, value) => sum + value, 0) / times.length) : null
+  };
+}
+
+// Cancelled out of all bookings; no-shows out of the appointments that were
+// due to happen (completed or no-show)
+function describeBookings(bookings) {
+  const counts = {};
+  lifecycle.BOOKING_STATUSES.forEach(status => { counts[STATUS_COLUMNS[status]] = 0; });
+  bookings.forEach(booking => {
+    const column = STATUS_COLUMNS[booking.status];
+    if (column) counts[column]++;
+  });
+
+  return {
+    bookings: bookings.length,
+    ...counts,
+    cancellationRate: ratio(counts.cancelled, bookings.length),
+    noShowRate: ratio(counts.noShow, counts.completed + counts.noShow)
+  };
+}
+
+// Group keys for a booking. A booking counts once under each of its topics.
+function getBookingGroups(booking, groupBy, timezone) {
+  const analysis = booking.ai_analysis || {};
+  switch (groupBy) {
+    case 'service': return [booking.service_id === null || booking.service_id === undefined ? null : String(booking.service_id)];
+    case 'priority': return [analysis.priority || 'unknown'];
+    case 'topic': return Array.isArray(analysis.topics) && analysis.topics.length > 0 ? [...new Set(analysis.topics)] : ['unknown'];
+    case 'status': return [booking.status];
+    default: return [getPeriod(timezones.utcToZonedTime(new Date(booking.created_at), timezone).date, groupBy)];
+  }
+}
+
+function groupBookings(bookings, range, groupBy) {
+  const groups = new Map();
+  if (TIME_GROUPINGS.includes(groupBy)) {
+    listPeriods(range, groupBy).forEach(period => groups.set(period, []));
+  }
+  bookings.forEach(booking => {
+    getBookingGroups(booking, groupBy, range.timezone).forEach(key => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(booking);
+    });
+  });
+  return groups;
+}
+
+function bookingsReport({ bookings, serviceNames }, range, groupBy) {
+  const rows = [...groupBookings(bookings, range, groupBy).entries()].map(([key, grouped]) => {
+    const row = groupBy === 'service'
+      ? { group: key === null ? 'Unassigned' : serviceNames.get(key) || `Service ${key}`, serviceId: key === null ? null : Number(key) }
+      : { group: key };
+    return { ...row, ...describeBookings(grouped) };
+  });
+
+  // Periods in order; everything else busiest first
+  if (!TIME_GROUPINGS.includes(groupBy)) {
+    rows.sort((a, b) => b.bookings - a.bookings || String(a.group).localeCompare(String(b.group)));
+  }
+
+  return {
+    columns: [
+      'group',
+      ...(groupBy === 'service' ? ['serviceId'] : []),
+      'bookings',
+      ...Object.values(STATUS_COLUMNS),
+      'cancellationRate',
+      'noShowRate'
+    ],
+    rows
+  };
+}
+
+// Customers who chatted (by email) -> booked after their first chat in the
+// range -> had a booking completed. Anonymous chats can't be followed and
+// are only counted.
+function describeFunnel({ bookings, chats }) {
+  const firstChat = new Map();
+  chats.forEach(chat => {
+    if (!chat.user_email) return;
+    const email = chat.user_email.toLowerCase();
+    const createdAt = new Date(chat.created_at);
+    if (!firstChat.has(email) || createdAt < firstChat.get(email)) firstChat.set(email, createdAt);
+  });
+
+  const booked = new Set();
+  const completed = new Set();
+  bookings.forEach(booking => {
+    const email = booking.email.toLowerCase();
+    if (!firstChat.has(email) || new Date(booking.created_at) < firstChat.get(email)) return;
+    booked.add(email);
+    if (booking.status === 'completed') completed.add(email);
+  });
+
+  const counts = [['chatted', firstChat.size], ['booked', booked.size], ['completed', completed.size]];
+  return {
+    steps: counts.map(([step, customers], index) => ({
+      step,
+      customers,
+      conversionRate: index === 0 ? null : ratio(customers, counts[index - 1][1]),
+      overallRate: index === 0 ? null : ratio(customers, counts[0][1])
+    })),
+    anonymousChats: chats.filter(chat => !chat.user_email).length
+  };
+}
+
+function funnelReport(data) {
+  const funnel = describeFunnel(data);
+  return {
+    columns: ['step', 'customers', 'conversionRate', 'overallRate'],
+    rows: funnel.steps,
+    anonymousChats: funnel.anonymousChats
+  };
+}
+
+function responseTimesReport({ chats }, range, groupBy) {
+  if (!TIME_GROUPINGS.includes(groupBy)) {
+    throw new AnalyticsQueryError(`Response times can only be grouped by ${TIME_GROUPINGS.join(', ')}`);
+  }
+
+  const groups = new Map(listPeriods(range, groupBy).map(period => [period, []]));
+  chats.forEach(chat => {
+    const period = getPeriod(timezones.utcToZonedTime(new Date(chat.created_at), range.timezone).date, groupBy);
+    if (groups.has(period)) groups.get(period).push(chat);
+  });
+
+  return {
+    columns: ['group', 'chats', 'timed', 'p50', 'p95', 'average'],
+    rows: [...groups.entries()].map(([group, grouped]) => ({ group, chats: grouped.length, ...describeResponseTimes(grouped) })),
+    overall: describeResponseTimes(chats)
+  };
+}
+
+// Nested summary -> [{ metric: 'bookings.total', value }]
+function flatten(value, prefix = '') {
+  return Object.entries(value).flatMap(([key, item]) => (
+    item !== null && typeof item === 'object'
+      ? flatten(item, `${prefix}${key}.`)
+      : [{ metric: `${prefix}${key}`, value: item }]
+  ));
+}
+
+function summaryReport(data) {
+  const { bookings: total, ...byStatus } = describeBookings(data.bookings);
+  const funnel = describeFunnel(data);
+  const summary = {
+    bookings: { total, ...byStatus },
+    chats: { total: data.chats.length, responseTimeMs: describeResponseTimes(data.chats) },
+    funnel: Object.fromEntries(funnel.steps.map(step => [step.step, step.customers]))
+  };
+  return { columns: ['metric', 'value'], rows: flatten(summary), summary };
+}
+
+const BUILDERS = {
+  summary: summaryReport,
+  bookings: bookingsReport,
+  funnel: funnelReport,
+  response_times: responseTimesReport
+};
+
+// Service names for the service grouping
+async function getServiceNames(store, bookings) {
+  const ids = [...new Set(bookings.map(booking => booking.service_id).filter(Boolean))];
+  if (ids.length === 0) return new Map();
+  const services = await store.services.listByIds(ids);
+  return new Map(services.map(service => [String(service.id), service.name]));
+}
+
+// Build a report. businessId narrows bookings only: chats aren't recorded
+// per business.
+async function getReport(store, { report = 'summary', groupBy = 'day', from, to, timezone, businessId = null } = {}, now = new Date()) {
+  const range = resolveRange({ from, to, timezone }, now);
+  const [bookings, chats] = await Promise.all([
+    store.bookings.listForAnalytics({ start: range.start, end: range.end, businessId }),
+    store.chatInteractions.listForAnalytics({ start: range.start, end: range.end })
+  ]);
+  const serviceNames = groupBy === 'service' && report === 'bookings' ? await getServiceNames(store, bookings) : new Map();
+
+  return {
+    report,
+    from: range.from,
+    to: range.to,
+    timezone: range.timezone,
+    groupBy: ['bookings', 'response_times'].includes(report) ? groupBy : null,
+    businessId,
+    ...BUILDERS[report]({ bookings, chats, serviceNames }, range, groupBy),
+    generatedAt: now.toISOString()
+  };
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a header row
+function toCsv({ columns, rows }) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(toCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function getCsvFilename(result) {
+  return `analytics-${result.report}${result.groupBy ? `-by-${result.groupBy}` : ''}-${result.from}-to-${result.to}.csv`;
+}
+
+module.exports = {
+  REPORTS,
+  GROUPINGS,
+  MAX_RANGE_DAYS,
+  AnalyticsQueryError,
+  resolveRange,
+  percentile,
+  getReport,
+  toCsv,
+  getCsvFilename
+};
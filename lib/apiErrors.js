@@ -0,0 +1,71 @@
+// API error responses - every route answers errors with the same envelope:
+// { error: 'Human-readable message', code: 'MACHINE_READABLE_CODE', details? }
+
+// Code -> HTTP status
+const ERROR_CODES = {
+  VALIDATION_ERROR: 400,
+  INVALID_JSON: 400,
+  UNAUTHORIZED: 401,
+  INVALID_TOKEN: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  BOOKING_CONFLICT: 409,
+  INVALID_TRANSITION: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  AI_OUTPUT_INVALID: 502,
+  AI_UNAVAILABLE: 503,
+  DATABASE_UNAVAILABLE: 503,
+  PAYMENT_UNAVAILABLE: 503
+};
+
+// Throw from a handler or middleware and let errorHandler answer
+class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    this.details = details;
+  }
+}
+
+function errorBody(code, message, details) {
+  return details === undefined ? { error: message, code } : { error: message, code, details };
+}
+
+function sendError(res, code, message, details) {
+  if (!ERROR_CODES[code]) {
+    throw new Error(`Unknown API error code: ${code}`);
+  }
+  return res.status(ERROR_CODES[code]).json(errorBody(code, message, details));
+}
+
+// Last-resort handler: ApiErrors and body-parser failures get their own code,
+// anything else is logged and hidden behind INTERNAL_ERROR
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error instanceof ApiError) {
+    return sendError(res, error.code, error.message, error.details);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  console.error('Unhandled error:', error);
+  sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  errorBody,
+  sendError,
+  errorHandler
+};
@@ -0,0 +1,689 @@
+// Request schemas for every API route. validateRequest() checks requests
+// against these and /api/openapi.json is generated from the same table.
+const Joi = require('joi');
+const analytics = require('./analytics');
+const auth = require('./auth');
+const lifecycle = require('./bookingLifecycle');
+const jobQueue = require('./jobQueue');
+const emailOutbox = require('./emailOutbox');
+const timezones = require('./timezones');
+const webhooks = require('./webhooks');
+const emailTemplates = require('./email');
+const feedParsers = require('./feeds/parsers');
+
+// Shared field types
+
+const id = Joi.number().integer().positive();
+
+// Businesses can be referenced by id or slug
+const businessRef = Joi.alternatives().try(
+  id,
+  Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).max(80)
+);
+
+const email = Joi.string().trim().email({ tlds: { allow: false } }).max(254);
+
+// YYYY-MM-DD that exists on the calendar. With notPast, also not before today
+// anywhere in the world; the booking service checks the exact slot against
+// the business's own clock.
+function dateField({ notPast = false } = {}) {
+  const format = /^\d{4}-\d{2}-\d{2}$/;
+  return Joi.string()
+    .pattern(format)
+    .custom((value, helpers) => {
+      if (!format.test(value)) return value;
+      const parsed = new Date(`${value}T00:00:00Z`);
+      if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+        return helpers.message('{#label} is not a valid calendar date');
+      }
+      const earliestToday = new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      if (notPast && value < earliestToday) {
+        return helpers.message('{#label} must not be in the past');
+      }
+      return value;
+    })
+    .messages({ 'string.pattern.base': '{#label} must be a date in YYYY-MM-DD format' })
+    .meta({ format: 'date' });
+}
+
+const isoDate = dateField();
+const futureDate = dateField({ notPast: true });
+
+const time = Joi.string()
+  .pattern(/^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+  .messages({ 'string.pattern.base': '{#label} must be a time in HH:MM format' })
+  .meta({ example: '14:30' });
+
+const timezone = Joi.string()
+  .max(64)
+  .custom((value, helpers) => (
+    timezones.isValidTimezone(value) ? value : helpers.message('{#label} must be a valid IANA timezone (e.g. Europe/London)')
+  ))
+  .meta({ example: 'Europe/London' });
+
+const duration = Joi.number().integer().min(5).max(480);
+
+// BCP 47 language tag; unsupported languages fall back to English in emails
+const locale = Joi.string()
+  .trim()
+  .pattern(/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/)
+  .max(16)
+  .messages({ 'string.pattern.base': '{#label} must be a language tag such as en or es-MX' })
+  .meta({ example: 'es-MX' });
+
+const limit = Joi.number().integer().min(1).max(200).default(50);
+const offset = Joi.number().integer().min(0).max(100000).default(0);
+
+const token = Joi.string().trim().max(2048);
+
+const hoursRange = Joi.object({
+  start: time.required(),
+  end: time.required()
+});
+
+const workingHours = Joi.object().pattern(
+  Joi.string().valid('sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'),
+  hoursRange.allow(null)
+);
+
+const idParams = Joi.object({ id: id.required() });
+
+const hexColor = Joi.string()
+  .pattern(/^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/)
+  .messages({ 'string.pattern.base': '{#label} must be a hex colour such as #667eea' });
+
+// Per-business email branding
+const branding = Joi.object({
+  name: Joi.string().trim().max(200).allow('', null),
+  tagline: Joi.string().trim().max(200).allow('', null),
+  logoUrl: Joi.string().trim().uri({ scheme: ['https'] }).max(2048).allow('', null),
+  primaryColor: hexColor.allow('', null),
+  accentColor: hexColor.allow('', null),
+  supportEmail: email.allow('', null),
+  websiteUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).allow('', null),
+  footerText: Joi.string().trim().max(500).allow('', null)
+});
+
+// Shared bodies
+
+const chatTurnBody = Joi.object({
+  message: Joi.string().trim().min(1).max(2000).required(),
+  conversationId: Joi.string().guid(),
+  businessId: businessRef,
+  userEmail: email,
+  manageToken: token,
+  context: Joi.object({
+    userHistory: Joi.array().max(50)
+  }).unknown(true)
+});
+
+const businessFields = {
+  name: Joi.string().trim().min(1).max(200),
+  slug: Joi.string().trim().max(80),
+  email: email.allow(null),
+  timezone,
+  workingHours: workingHours.allow(null),
+  breaks: Joi.array().items(hoursRange).max(20).allow(null),
+  bufferMinutes: Joi.number().integer().min(0).max(240).allow(null),
+  locale: locale.allow(null),
+  branding: branding.allow(null),
+  active: Joi.boolean()
+};
+
+const serviceFields = {
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(2000).allow('', null),
+  durationMinutes: duration,
+  priceCents: Joi.number().integer().min(0).allow(null),
+  currency: Joi.string().trim().uppercase().length(3).allow(null),
+  bufferMinutes: Joi.number().integer().min(0).max(240).allow(null),
+  keywords: Joi.array().items(Joi.string().trim().max(50)).max(50),
+  active: Joi.boolean()
+};
+
+const staffFields = {
+  name: Joi.string().trim().min(1).max(200),
+  email: email.allow(null),
+  title: Joi.string().trim().max(200).allow('', null),
+  userId: id.allow(null),
+  serviceIds: Joi.array().items(id).max(200),
+  active: Joi.boolean()
+};
+
+const includeInactiveQuery = Joi.object({ includeInactive: Joi.boolean().default(false) });
+
+const keywordList = Joi.array().items(Joi.string().trim().min(1).max(100)).max(50);
+
+// How a feed is read: where from, in which format and which posts to keep
+// (keywords null = the default booking keywords, [] = every post)
+const feedSourceFields = {
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000).required()
+    .meta({ example: 'https://example.com/feed.xml' }),
+  format: Joi.string().valid('auto', ...feedParsers.FORMATS).default('auto'),
+  keywords: keywordList.allow(null).default(null),
+  excludeKeywords: keywordList.default([]),
+  maxItems: Joi.number().integer().min(1).max(50).default(3)
+};
+
+const webhookParams = Joi.object({ webhookId: id.required() });
+const webhookDeliveryParams = Joi.object({ webhookId: id.required(), deliveryId: id.required() });
+
+// "METHOD /path" -> { summary, tags, auth, status, body, query, params }.
+// auth: 'user' (any signed-in user), 'staff', 'admin' or 'manageToken'
+// (staff, or a manage-booking token); omitted for public routes.
+const ROUTES = {
+  'GET /health': { summary: 'Service health', tags: ['System'] },
+  'GET /test': { summary: 'Connectivity check', tags: ['System'] },
+  'GET /': { summary: 'Service information', tags: ['System'] },
+  'GET /api/openapi.json': { summary: 'This OpenAPI document', tags: ['System'] },
+
+  'POST /send-email': {
+    summary: 'Queue an ad-hoc email',
+    tags: ['Email'],
+    auth: 'staff',
+    status: 202,
+    body: Joi.object({
+      to: email.required(),
+      subject: Joi.string().trim().min(1).max(200).required(),
+      html: Joi.string().min(1).max(100000).required()
+    })
+  },
+
+  // Auth
+  'POST /api/auth/login': {
+    summary: 'Log in and receive an access and refresh token',
+    tags: ['Auth'],
+    body: Joi.object({
+      email: email.required(),
+      password: Joi.string().min(1).max(200).required()
+    })
+  },
+  'POST /api/auth/refresh': {
+    summary: 'Exchange a refresh token for a new token pair',
+    tags: ['Auth'],
+    body: Joi.object({ refreshToken: token.required() })
+  },
+  'POST /api/auth/logout': {
+    summary: 'Revoke a refresh token',
+    tags: ['Auth'],
+    body: Joi.object({ refreshToken: token })
+  },
+  'GET /api/auth/me': { summary: 'Current user', tags: ['Auth'], auth: 'user' },
+  'POST /api/users': {
+    summary: 'Create or update a user account',
+    tags: ['Auth'],
+    auth: 'admin',
+    status: 201,
+    body: Joi.object({
+      email: email.required(),
+      name: Joi.string().trim().max(200).allow('', null),
+      password: Joi.string().min(8).max(200).required(),
+      role: Joi.string().valid(...auth.ROLES).default('customer'),
+      businessId: id.allow(null)
+    })
+  },
+
+  // Chatbot
+  'POST /api/chatbot': {
+    summary: 'Chat with the booking assistant',
+    tags: ['Chatbot'],
+    body: chatTurnBody
+  },
+  'POST /api/chatbot/stream': {
+    summary: 'Chat with the booking assistant, streamed as Server-Sent Events',
+    tags: ['Chatbot'],
+    body: chatTurnBody
+  },
+  'POST /api/chatbot/confirm': {
+    summary: 'Confirm or decline a booking change prepared by the chatbot',
+    tags: ['Chatbot'],
+    body: Joi.object({
+      actionToken: token.required(),
+      confirmed: Joi.boolean().required(),
+      userEmail: email,
+      manageToken: token,
+      conversationId: Joi.string().guid()
+    })
+  },
+  'POST /api/conversations': {
+    summary: 'Start a chatbot conversation',
+    tags: ['Chatbot'],
+    status: 201,
+    body: Joi.object({
+      businessId: businessRef,
+      userEmail: email,
+      metadata: Joi.object()
+    })
+  },
+  'GET /api/conversations': {
+    summary: 'List chatbot conversations',
+    tags: ['Chatbot'],
+    auth: 'staff',
+    query: Joi.object({
+      businessId: id,
+      userEmail: email,
+      limit,
+      offset
+    })
+  },
+  'GET /api/conversations/:id': {
+    summary: 'Conversation transcript',
+    tags: ['Chatbot'],
+    auth: 'staff',
+    params: Joi.object({ id: Joi.string().guid().required() })
+  },
+
+  // AI helpers
+  'POST /api/analyze-message': {
+    summary: 'Analyse a booking request message',
+    tags: ['AI'],
+    body: Joi.object({
+      message: Joi.string().trim().min(1).max(5000).required(),
+      userEmail: email,
+      businessId: businessRef
+    })
+  },
+  'POST /api/generate-email': {
+    summary: 'Write a confirmation email',
+    tags: ['AI'],
+    body: Joi.object({
+      name: Joi.string().trim().min(1).max(200).required(),
+      date: isoDate.required(),
+      time: time.required(),
+      message: Joi.string().trim().max(5000).allow(''),
+      analysis: Joi.object(),
+      locale
+    })
+  },
+
+  // Bookings
+  'GET /api/availability': {
+    summary: 'Free appointment slots for a date',
+    tags: ['Bookings'],
+    query: Joi.object({
+      date: isoDate.required(),
+      duration,
+      timezone,
+      businessId: businessRef,
+      serviceId: id,
+      staffId: id
+    })
+  },
+  'POST /api/create-booking': {
+    summary: 'Book an appointment and send the confirmation email',
+    tags: ['Bookings'],
+    body: Joi.object({
+      name: Joi.string().trim().min(1).max(200).required(),
+      email: email.required(),
+      appointmentDate: futureDate.required(),
+      appointmentTime: time.required(),
+      duration,
+      timezone,
+      businessId: businessRef,
+      serviceId: id,
+      staffId: id,
+      message: Joi.string().trim().max(5000).allow(''),
+      aiAnalysis: Joi.object(),
+      emailContent: Joi.string().max(10000).allow(''),
+      locale
+    })
+  },
+  'GET /api/bookings': {
+    summary: 'List bookings',
+    tags: ['Bookings'],
+    auth: 'staff',
+    query: Joi.object({
+      status: Joi.string().valid('all', ...lifecycle.BOOKING_STATUSES).default('all'),
+      timezone,
+      limit,
+      offset
+    })
+  },
+  'GET /api/manage-booking': {
+    summary: 'Look up a booking from a manage-booking link',
+    tags: ['Bookings'],
+    query: Joi.object({ token: token.required() })
+  },
+  'PATCH /api/bookings/:id/reschedule': {
+    summary: 'Move a booking to a new slot',
+    tags: ['Bookings'],
+    auth: 'manageToken',
+    params: idParams,
+    body: Joi.object({
+      appointmentDate: futureDate.required(),
+      appointmentTime: time.required(),
+      duration,
+      timezone,
+      token
+    })
+  },
+  'POST /api/bookings/:id/cancel': {
+    summary: 'Cancel a booking',
+    tags: ['Bookings'],
+    auth: 'manageToken',
+    params: idParams,
+    body: Joi.object({
+      reason: Joi.string().trim().max(500).allow(''),
+      token
+    })
+  },
+  'GET /api/bookings/:id/payment': {
+    summary: 'Payment status of a booking, with the checkout link while it is unpaid',
+    tags: ['Bookings'],
+    auth: 'manageToken',
+    params: idParams,
+    query: Joi.object({ token })
+  },
+  'PATCH /api/bookings/:id/status': {
+    summary: 'Move a booking through its lifecycle',
+    tags: ['Bookings'],
+    auth: 'staff',
+    params: idParams,
+    body: Joi.object({
+      status: Joi.string().valid(...lifecycle.BOOKING_STATUSES).required(),
+      reason: Joi.string().trim().max(500).allow('')
+    })
+  },
+
+  // Jobs
+  'GET /api/jobs': {
+    summary: 'List scheduled jobs',
+    tags: ['Jobs'],
+    auth: 'admin',
+    query: Joi.object({
+      status: Joi.string().valid(...jobQueue.JOB_STATUSES),
+      type: Joi.string().trim().max(50),
+      bookingId: id,
+      limit,
+      offset
+    })
+  },
+  'POST /api/jobs/:id/retry': { summary: 'Re-queue a failed or cancelled job', tags: ['Jobs'], auth: 'admin', params: idParams },
+  'POST /api/jobs/:id/cancel': { summary: 'Cancel a pending job', tags: ['Jobs'], auth: 'admin', params: idParams },
+
+  // Calendar
+  'POST /api/calendar/token': { summary: 'Create or rotate your calendar feed URL', tags: ['Calendar'], auth: 'staff' },
+  'GET /api/calendar/:token.ics': {
+    summary: 'Calendar subscription feed',
+    tags: ['Calendar'],
+    params: Joi.object({ token: Joi.string().hex().length(48).required() })
+  },
+
+  // Social and analytics
+  'POST /api/refresh-social-posts': { summary: 'Refresh cached social media posts', tags: ['Social'], auth: 'admin' },
+  'GET /api/stats': { summary: 'Booking and chatbot statistics', tags: ['Analytics'], auth: 'staff' },
+  'GET /api/analytics': {
+    summary: 'Booking, funnel and response time reports for a date range (JSON or CSV)',
+    tags: ['Analytics'],
+    auth: 'staff',
+    query: Joi.object({
+      report: Joi.string().valid(...analytics.REPORTS).default('summary'),
+      from: isoDate,
+      to: isoDate,
+      groupBy: Joi.string().valid(...analytics.GROUPINGS).default('day'),
+      businessId: id,
+      timezone,
+      format: Joi.string().valid('json', 'csv').default('json')
+    })
+  },
+  'GET /api/feeds': {
+    summary: 'List social feed sources',
+    tags: ['Social'],
+    auth: 'admin',
+    query: Joi.object({ businessId: id })
+  },
+  'POST /api/feeds': {
+    summary: 'Add a social feed source (platform-wide, or for one business)',
+    tags: ['Social'],
+    auth: 'admin',
+    status: 201,
+    body: Joi.object({
+      ...feedSourceFields,
+      name: Joi.string().trim().min(1).max(200).required(),
+      businessId: id.allow(null).default(null),
+      enabled: Joi.boolean().default(true)
+    })
+  },
+  'DELETE /api/feeds/:feedId': {
+    summary: 'Remove a social feed source',
+    tags: ['Social'],
+    auth: 'admin',
+    params: Joi.object({ feedId: id.required() })
+  },
+  'POST /api/feeds/test': {
+    summary: 'Fetch a feed without saving it and show the posts it would contribute',
+    tags: ['Social'],
+    auth: 'admin',
+    body: Joi.object(feedSourceFields)
+  },
+  'POST /api/feeds/:feedId/test': {
+    summary: 'Fetch a saved feed now and show the posts it contributes',
+    tags: ['Social'],
+    auth: 'admin',
+    params: Joi.object({ feedId: id.required() })
+  },
+
+  // Webhooks
+  'GET /api/webhooks': {
+    summary: 'List webhook endpoints',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    query: Joi.object({ businessId: id })
+  },
+  'POST /api/webhooks': {
+    summary: 'Register a webhook endpoint (the signing secret is only shown in this response)',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    status: 201,
+    body: Joi.object({
+      url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000).required()
+        .meta({ example: 'https://crm.example.com/hooks/bookings' }),
+      // "*" subscribes to every event
+      events: Joi.array().items(Joi.string().valid('*', ...webhooks.EVENT_TYPES)).min(1).unique().default(['*']),
+      description: Joi.string().trim().max(200).allow(null, '').default(null),
+      businessId: id.allow(null).default(null),
+      enabled: Joi.boolean().default(true)
+    })
+  },
+  'DELETE /api/webhooks/:webhookId': {
+    summary: 'Remove a webhook endpoint and its delivery log',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    params: webhookParams
+  },
+  'POST /api/webhooks/:webhookId/ping': {
+    summary: 'Send the endpoint a signed webhook.ping now and report the result',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    params: webhookParams
+  },
+  'GET /api/webhooks/:webhookId/deliveries': {
+    summary: 'Delivery log for a webhook endpoint',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    params: webhookParams,
+    query: Joi.object({
+      status: Joi.string().valid(...webhooks.DELIVERY_STATUSES),
+      event: Joi.string().valid(webhooks.PING_EVENT, ...webhooks.EVENT_TYPES),
+      limit,
+      offset
+    })
+  },
+  'GET /api/webhooks/:webhookId/deliveries/:deliveryId': {
+    summary: 'A webhook delivery with its payload and attempts',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    params: webhookDeliveryParams
+  },
+  'POST /api/webhooks/:webhookId/deliveries/:deliveryId/replay': {
+    summary: 'Send a delivery\'s event again as a new delivery',
+    tags: ['Webhooks'],
+    auth: 'admin',
+    status: 202,
+    params: webhookDeliveryParams
+  },
+
+  // Payments
+  'POST /api/payments/webhook': {
+    summary: 'Payment provider webhook (signed by the provider; confirms or releases held bookings)',
+    tags: ['Payments']
+  },
+
+  // Catalog
+  'GET /api/businesses': { summary: 'List businesses', tags: ['Catalog'], query: includeInactiveQuery },
+  'POST /api/businesses': {
+    summary: 'Create a business',
+    tags: ['Catalog'],
+    auth: 'admin',
+    status: 201,
+    body: Joi.object({ ...businessFields, name: businessFields.name.required() })
+  },
+  'GET /api/businesses/:businessId': {
+    summary: 'Get a business',
+    tags: ['Catalog'],
+    params: Joi.object({ businessId: id.required() })
+  },
+  'PATCH /api/businesses/:businessId': {
+    summary: 'Update a business',
+    tags: ['Catalog'],
+    auth: 'staff',
+    params: Joi.object({ businessId: id.required() }),
+    body: Joi.object(businessFields)
+  },
+  'DELETE /api/businesses/:businessId': {
+    summary: 'Deactivate a business',
+    tags: ['Catalog'],
+    auth: 'admin',
+    params: Joi.object({ businessId: id.required() })
+  },
+  'GET /api/businesses/:businessId/services': {
+    summary: 'List a business\'s services',
+    tags: ['Catalog'],
+    params: Joi.object({ businessId: id.required() }),
+    query: includeInactiveQuery
+  },
+  'POST /api/businesses/:businessId/services': {
+    summary: 'Add a service',
+    tags: ['Catalog'],
+    auth: 'staff',
+    status: 201,
+    params: Joi.object({ businessId: id.required() }),
+    body: Joi.object({ ...serviceFields, name: serviceFields.name.required(), durationMinutes: duration.required() })
+  },
+  'GET /api/services/:serviceId': {
+    summary: 'Get a service',
+    tags: ['Catalog'],
+    params: Joi.object({ serviceId: id.required() })
+  },
+  'PATCH /api/services/:serviceId': {
+    summary: 'Update a service',
+    tags: ['Catalog'],
+    auth: 'staff',
+    params: Joi.object({ serviceId: id.required() }),
+    body: Joi.object(serviceFields)
+  },
+  'DELETE /api/services/:serviceId': {
+    summary: 'Deactivate a service',
+    tags: ['Catalog'],
+    auth: 'staff',
+    params: Joi.object({ serviceId: id.required() })
+  },
+  'GET /api/businesses/:businessId/staff': {
+    summary: 'List a business\'s staff',
+    tags: ['Catalog'],
+    params: Joi.object({ businessId: id.required() }),
+    query: includeInactiveQuery
+  },
+  'POST /api/businesses/:businessId/staff': {
+    summary: 'Add a staff member',
+    tags: ['Catalog'],
+    auth: 'staff',
+    status: 201,
+    params: Joi.object({ businessId: id.required() }),
+    body: Joi.object({ ...staffFields, name: staffFields.name.required() })
+  },
+  'PATCH /api/staff/:staffId': {
+    summary: 'Update a staff member',
+    tags: ['Catalog'],
+    auth: 'staff',
+    params: Joi.object({ staffId: id.required() }),
+    body: Joi.object(staffFields)
+  },
+  'DELETE /api/staff/:staffId': {
+    summary: 'Deactivate a staff member',
+    tags: ['Catalog'],
+    auth: 'staff',
+    params: Joi.object({ staffId: id.required() })
+  },
+
+  // Email outbox
+  'GET /api/email-outbox': {
+    summary: 'Outgoing emails and their delivery status',
+    tags: ['Email'],
+    auth: 'staff',
+    query: Joi.object({
+      status: Joi.string().valid(...emailOutbox.MESSAGE_STATUSES),
+      bookingId: id,
+      recipient: email,
+      limit,
+      offset
+    })
+  },
+  'GET /api/email-outbox/:id': { summary: 'An outgoing email with its status log', tags: ['Email'], auth: 'staff', params: idParams },
+  'POST /api/email-outbox/:id/retry': { summary: 'Re-queue a failed or bounced email', tags: ['Email'], auth: 'admin', params: idParams },
+  'POST /api/email-outbox/:id/bounce': {
+    summary: 'Record a bounce reported after delivery',
+    tags: ['Email'],
+    auth: 'admin',
+    params: idParams,
+    body: Joi.object({ reason: Joi.string().trim().max(1000) })
+  },
+
+  // Usage
+  'GET /api/usage/tiers': { summary: 'Plans and their usage limits', tags: ['Usage'] },
+  'GET /api/usage': {
+    summary: 'Metered usage and remaining quota for the current day and month',
+    tags: ['Usage'],
+    auth: 'user',
+    query: Joi.object({
+      userId: id,
+      email
+    }).oxor('userId', 'email')
+  },
+
+  // Email templates
+  'GET /api/email-templates': {
+    summary: 'List the email templates and supported locales',
+    tags: ['Email'],
+    auth: 'staff'
+  },
+  'GET /api/email-templates/:name/preview': {
+    summary: 'Render an email template with sample booking data',
+    tags: ['Email'],
+    auth: 'staff',
+    params: Joi.object({ name: Joi.string().valid(...emailTemplates.TEMPLATE_NAMES).required() }),
+    query: Joi.object({
+      locale,
+      businessId: businessRef,
+      format: Joi.string().valid('json', 'html', 'text').default('json')
+    })
+  }
+};
+
+module.exports = {
+  types: {
+    id,
+    businessRef,
+    email,
+    isoDate,
+    futureDate,
+    time,
+    timezone,
+    duration,
+    locale,
+    limit,
+    offset,
+    token
+  },
+  ROUTES
+};
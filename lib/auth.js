@@ -0,0 +1,143 @@
+// Authentication - password hashing, JWT access tokens, refresh tokens and role middleware
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const apiErrors = require('./apiErrors');
+
+const ROLES = ['customer', 'staff', 'admin'];
+const STAFF_ROLES = ['staff', 'admin'];
+
+const BCRYPT_ROUNDS = 10;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+let generatedSecret = null;
+
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  // Sessions will be invalidated on restart without a configured secret
+  if (!generatedSecret) {
+    console.log('⚠️  JWT_SECRET not set - using a temporary secret, logins will not survive a restart');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+async function verifyPassword(password, passwordHash) {
+  if (!password || !passwordHash) return false;
+  return bcrypt.compare(password, passwordHash);
+}
+
+function createAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, role: user.role, businessId: user.business_id || null, type: 'access' },
+    getJwtSecret(),
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+}
+
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return payload.type === 'access' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Refresh tokens are opaque random strings; only their SHA-256 is stored
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// `store` is a storage from lib/storage
+async function issueRefreshToken(store, userId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await store.refreshTokens.create({ userId, tokenHash: hashRefreshToken(token), ttlDays: REFRESH_TOKEN_TTL_DAYS });
+  return token;
+}
+
+async function issueTokenPair(store, user) {
+  return {
+    accessToken: createAccessToken(user),
+    refreshToken: await issueRefreshToken(store, user.id),
+    tokenType: 'Bearer'
+  };
+}
+
+// Exchange a refresh token for a new pair, revoking the old one (rotation)
+async function rotateRefreshToken(store, token) {
+  const userId = await store.refreshTokens.consume(hashRefreshToken(token));
+  if (!userId) return null;
+
+  const account = await store.users.findById(userId);
+  if (!account) return null;
+
+  const user = { id: account.id, email: account.email, name: account.name, role: account.role, business_id: account.business_id };
+  return { user, tokens: await issueTokenPair(store, user) };
+}
+
+async function revokeRefreshToken(store, token) {
+  await store.refreshTokens.revoke(hashRefreshToken(token));
+}
+
+// Attach req.user when a valid bearer token is present; never rejects
+function authenticate(req, res, next) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) {
+    const payload = verifyAccessToken(token);
+    if (payload) {
+      req.user = { id: payload.sub, email: payload.email, role: payload.role, businessId: payload.businessId || null };
+    }
+  }
+  next();
+}
+
+// Reject unauthenticated requests, and those whose role is not listed.
+// Relies on authenticate having run earlier in the chain.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return apiErrors.sendError(res, 'UNAUTHORIZED', 'Authentication required');
+    }
+    if (roles.length > 0 && !roles.includes(req.user.role)) {
+      return apiErrors.sendError(res, 'FORBIDDEN', 'Insufficient permissions');
+    }
+    next();
+  };
+}
+
+const requireAuth = requireRole();
+
+function isStaff(user) {
+  return Boolean(user && STAFF_ROLES.includes(user.role));
+}
+
+// Admins manage everything; staff only their own business
+function canManageBusiness(user, businessId) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'staff' && user.businessId === businessId;
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  hashPassword,
+  verifyPassword,
+  createAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  authenticate,
+  requireAuth,
+  requireRole,
+  isStaff,
+  canManageBusiness
+};
@@ -0,0 +1,245 @@
+// Availability engine - working hours, breaks, buffers and slot generation
+// All dates and times here are wall-clock values in the business timezone.
+const timezones = require('./timezones');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Default business hours (Mon-Fri 9-17, lunch break 12-13)
+const DEFAULT_WORKING_HOURS = {
+  sun: null,
+  mon: { start: '09:00', end: '17:00' },
+  tue: { start: '09:00', end: '17:00' },
+  wed: { start: '09:00', end: '17:00' },
+  thu: { start: '09:00', end: '17:00' },
+  fri: { start: '09:00', end: '17:00' },
+  sat: null
+};
+
+const DEFAULT_BREAKS = [{ start: '12:00', end: '13:00' }];
+
+// Bookings in these states do not hold their slot
+const INACTIVE_STATUSES = ['cancelled', 'expired'];
+
+const MIN_DURATION = 5;
+const MAX_DURATION = 480;
+
+class BookingConflictError extends Error {
+  constructor(message, conflicts = []) {
+    super(message);
+    this.name = 'BookingConflictError';
+    this.status = 409;
+    this.conflicts = conflicts;
+  }
+}
+
+function parseJSONEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`⚠️  Invalid JSON in ${name}, using defaults`);
+    return fallback;
+  }
+}
+
+function parseIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Load availability settings from environment, overridden per business and service
+// BUSINESS_HOURS: {"mon":{"start":"09:00","end":"17:00"},"sat":null,...}
+// BUSINESS_BREAKS: [{"start":"12:00","end":"13:00"}] (optionally with "days": ["mon"])
+function loadAvailabilityConfig(business = null, service = null) {
+  const config = {
+    workingHours: { ...DEFAULT_WORKING_HOURS, ...parseJSONEnv('BUSINESS_HOURS', {}) },
+    breaks: parseJSONEnv('BUSINESS_BREAKS', DEFAULT_BREAKS),
+    bufferMinutes: parseIntEnv('BOOKING_BUFFER_MINUTES', 10),
+    slotIntervalMinutes: parseIntEnv('SLOT_INTERVAL_MINUTES', 15),
+    minNoticeMinutes: parseIntEnv('BOOKING_MIN_NOTICE_MINUTES', 60),
+    defaultDuration: parseIntEnv('DEFAULT_APPOINTMENT_DURATION', 30),
+    timezone: timezones.getBusinessTimezone()
+  };
+
+  if (business) {
+    if (business.working_hours) config.workingHours = { ...config.workingHours, ...business.working_hours };
+    if (business.breaks) config.breaks = business.breaks;
+    if (business.buffer_minutes !== null && business.buffer_minutes !== undefined) config.bufferMinutes = business.buffer_minutes;
+    if (timezones.isValidTimezone(business.timezone)) config.timezone = business.timezone;
+  }
+
+  if (service) {
+    config.defaultDuration = service.duration_minutes;
+    if (service.buffer_minutes !== null && service.buffer_minutes !== undefined) config.bufferMinutes = service.buffer_minutes;
+  }
+
+  return config;
+}
+
+// "09:30" / "09:30:00" -> 570
+function timeToMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time || '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+// 570 -> "09:30"
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Validate a YYYY-MM-DD string and return its weekday key
+function getDayKey(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return null;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) return null;
+  return DAY_KEYS[parsed.getUTCDay()];
+}
+
+function normalizeDuration(duration, config) {
+  if (duration === undefined || duration === null || duration === '') {
+    return config.defaultDuration;
+  }
+  const value = parseInt(duration, 10);
+  if (Number.isNaN(value) || value < MIN_DURATION || value > MAX_DURATION) return null;
+  return value;
+}
+
+// Resolve the opening window for a date, in minutes since midnight
+function getWorkingWindow(date, config) {
+  const dayKey = getDayKey(date);
+  const hours = dayKey && config.workingHours[dayKey];
+  if (!hours) return null;
+
+  const start = timeToMinutes(hours.start);
+  const end = timeToMinutes(hours.end);
+  if (start === null || end === null || end <= start) return null;
+  return { start, end };
+}
+
+function getBreaksForDate(date, config) {
+  const dayKey = getDayKey(date);
+  return (config.breaks || [])
+    .filter(b => !b.days || b.days.includes(dayKey))
+    .map(b => ({ start: timeToMinutes(b.start), end: timeToMinutes(b.end) }))
+    .filter(b => b.start !== null && b.end !== null && b.end > b.start);
+}
+
+// Map booking rows onto busy intervals (buffer applied on both sides)
+function toBusyIntervals(bookings, config) {
+  return bookings
+    .filter(b => !INACTIVE_STATUSES.includes(b.status))
+    .map(b => {
+      const start = timeToMinutes(b.appointment_time);
+      const end = b.end_time
+        ? timeToMinutes(b.end_time)
+        : start + (b.duration_minutes || config.defaultDuration);
+      return {
+        id: b.id,
+        start: start - config.bufferMinutes,
+        end: end + config.bufferMinutes
+      };
+    })
+    .filter(b => b.start !== null && !Number.isNaN(b.end));
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+// Check a proposed slot against hours, breaks and existing bookings.
+// Returns { ok: true } or { ok: false, reason, conflicts }
+function checkSlot({ date, start, duration, bookings = [], config, now = new Date() }) {
+  const window = getWorkingWindow(date, config);
+  if (!window) {
+    return { ok: false, reason: 'closed', conflicts: [] };
+  }
+
+  const end = start + duration;
+  if (start < window.start || end > window.end) {
+    return { ok: false, reason: 'outside_working_hours', conflicts: [] };
+  }
+
+  if (getBreaksForDate(date, config).some(b => overlaps(start, end, b.start, b.end))) {
+    return { ok: false, reason: 'break', conflicts: [] };
+  }
+
+  const slotStart = timezones.zonedTimeToUtc(date, minutesToTime(start), config.timezone);
+  if (slotStart.getTime() < now.getTime() + config.minNoticeMinutes * 60000) {
+    return { ok: false, reason: 'too_soon', conflicts: [] };
+  }
+
+  const conflicts = toBusyIntervals(bookings, config)
+    .filter(b => overlaps(start, end, b.start, b.end))
+    .map(b => b.id);
+  if (conflicts.length > 0) {
+    return { ok: false, reason: 'conflict', conflicts };
+  }
+
+  return { ok: true };
+}
+
+// Generate every bookable slot on a date for the given duration
+function computeFreeSlots({ date, duration, bookings = [], config, now = new Date() }) {
+  const window = getWorkingWindow(date, config);
+  if (!window) return [];
+
+  const slots = [];
+  for (let start = window.start; start + duration <= window.end; start += config.slotIntervalMinutes) {
+    if (checkSlot({ date, start, duration, bookings, config, now }).ok) {
+      slots.push({ start: minutesToTime(start), end: minutesToTime(start + duration) });
+    }
+  }
+  return slots;
+}
+
+// `bookings` is a storage bookings repository (see lib/storage)
+async function getAvailableSlots(bookings, date, duration, config = loadAvailabilityConfig(), { staffId = null, businessId = null } = {}) {
+  const dayBookings = await bookings.listForDate(date, { staffId, businessId });
+  return computeFreeSlots({ date, duration, bookings: dayBookings, config });
+}
+
+// Run the conflict check inside an open transaction; throws BookingConflictError
+async function assertSlotAvailable(bookings, { date, time, duration, excludeId = null, staffId = null, businessId = null, config = loadAvailabilityConfig() }) {
+  const start = timeToMinutes(time);
+  if (start === null) {
+    throw new BookingConflictError('Invalid appointment time');
+  }
+
+  await bookings.lockDate(date);
+  const dayBookings = await bookings.listForDate(date, { excludeId, staffId, businessId });
+  const check = checkSlot({ date, start, duration, bookings: dayBookings, config });
+
+  if (!check.ok) {
+    const messages = {
+      closed: 'We are closed on the requested date',
+      outside_working_hours: 'Requested time is outside working hours',
+      break: 'Requested time overlaps a scheduled break',
+      too_soon: 'Requested time is too soon or in the past',
+      conflict: 'Requested time overlaps an existing booking'
+    };
+    throw new BookingConflictError(messages[check.reason], check.conflicts);
+  }
+
+  return { start: minutesToTime(start), end: minutesToTime(start + duration) };
+}
+
+module.exports = {
+  INACTIVE_STATUSES,
+  BookingConflictError,
+  loadAvailabilityConfig,
+  timeToMinutes,
+  minutesToTime,
+  getDayKey,
+  normalizeDuration,
+  getWorkingWindow,
+  checkSlot,
+  computeFreeSlots,
+  getAvailableSlots,
+  assertSlotAvailable
+};
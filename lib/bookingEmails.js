@@ -0,0 +1,43 @@
+// Booking notification emails: rendered from the email templates and written
+// to the outbox with the caller's repositories (the store or a transaction's),
+// so inside a transaction they commit together with the booking change
+const catalog = require('./catalog');
+const emailTemplates = require('./email');
+const emailOutbox = require('./emailOutbox');
+const icalendar = require('./icalendar');
+const mailer = require('./mailer');
+
+// Calendar attachment per template (reminders and follow-ups carry none)
+const ICAL_METHODS = {
+  confirmation: 'REQUEST',
+  reschedule: 'REQUEST',
+  cancellation: 'CANCEL'
+};
+
+// business/service may be passed when the caller already loaded them
+async function queueBookingEmail(repos, name, booking, { business, service, ...options } = {}) {
+  if (business === undefined) {
+    business = booking.business_id ? await catalog.getBusiness(repos, booking.business_id) : null;
+  }
+  if (service === undefined) {
+    service = booking.service_id ? await catalog.getService(repos, booking.service_id) : null;
+  }
+
+  const email = emailTemplates.renderEmail(name, { booking, business, service, ...options });
+  const icalMethod = ICAL_METHODS[name];
+
+  return emailOutbox.enqueueEmail(repos, {
+    to: booking.email,
+    from: mailer.getSender(email.senderName),
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    icalEvent: icalMethod ? icalendar.toMailIcalEvent(booking, icalMethod) : null,
+    bookingId: booking.id,
+    template: name
+  });
+}
+
+module.exports = {
+  queueBookingEmail
+};
@@ -0,0 +1,100 @@
+// Booking lifecycle - status state machine and self-service manage tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BOOKING_STATUSES = ['pending', 'pending_payment', 'confirmed', 'completed', 'cancelled', 'no_show', 'expired'];
+
+// Allowed transitions: pending -> confirmed -> completed / cancelled / no_show.
+// Paid bookings start as pending_payment, holding their slot; only a verified
+// payment confirms them (bookingService.confirmPaidBooking), and unpaid holds
+// expire.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  pending_payment: ['cancelled', 'expired'],
+  confirmed: ['completed', 'cancelled', 'no_show'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+  expired: []
+};
+
+// Statuses a customer can still reschedule or cancel from
+const MUTABLE_STATUSES = ['pending', 'pending_payment', 'confirmed'];
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change booking status from '${from}' to '${to}'`);
+    this.name = 'InvalidTransitionError';
+    this.status = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+}
+
+function isMutable(status) {
+  return MUTABLE_STATUSES.includes(status);
+}
+
+let generatedSecret = null;
+
+function getManageTokenSecret() {
+  const secret = process.env.MANAGE_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (secret) return secret;
+
+  // Links will stop working after a restart without a configured secret
+  if (!generatedSecret) {
+    console.log('⚠️  MANAGE_TOKEN_SECRET not set - using a temporary secret for manage-booking links');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+// Signed, expiring token that lets a customer manage one booking
+function createManageToken(booking) {
+  return jwt.sign(
+    { bookingId: booking.id, email: booking.email, purpose: 'manage_booking' },
+    getManageTokenSecret(),
+    { expiresIn: process.env.MANAGE_TOKEN_TTL || '30d' }
+  );
+}
+
+// Returns the token payload or null if the token is invalid/expired
+function verifyManageToken(token) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, getManageTokenSecret());
+    return payload.purpose === 'manage_booking' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getManageBookingUrl(booking, action) {
+  const baseUrl = process.env.FRONTEND_URL || 'https://appointment-flow-guru-new0.vercel.app';
+  const params = new URLSearchParams({ token: createManageToken(booking) });
+  if (action) params.set('action', action);
+  return `${baseUrl.replace(/\/$/, '')}/manage-booking?${params.toString()}`;
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  STATUS_TRANSITIONS,
+  InvalidTransitionError,
+  canTransition,
+  assertTransition,
+  isMutable,
+  getManageTokenSecret,
+  createManageToken,
+  verifyManageToken,
+  getManageBookingUrl
+};
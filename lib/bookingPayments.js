@@ -0,0 +1,106 @@
+// What payment events do to bookings: a verified "paid" webhook confirms a
+// pending_payment booking, a failed or expired checkout releases the slot,
+// and a worker expires holds nobody paid for in time. Payments that arrive
+// after their booking stopped waiting are refunded.
+const bookingService = require('./bookingService');
+const payments = require('./payments');
+
+const POLL_INTERVAL_MS = parseInt(process.env.PAYMENT_HOLD_POLL_INTERVAL_MS, 10) || 60000;
+const BATCH_SIZE = 50;
+
+let worker = null;
+let polling = false;
+
+// Expire a hold's booking, releasing its slot. A booking that already moved
+// on (cancelled by the customer) is left as it is.
+async function expireBooking(store, payment, paymentStatus) {
+  await store.payments.update(payment.id, { status: paymentStatus });
+  const booking = await store.bookings.findById(payment.booking_id);
+  if (!booking || booking.status !== 'pending_payment') return booking;
+  return bookingService.updateBookingStatus(store, booking.id, 'expired');
+}
+
+// Apply a verified webhook event from payments.parseWebhook. Returns
+// { handled, bookingId, status } where status says what became of the payment;
+// events for sessions we don't know, or types we don't use, are ignored.
+async function handlePaymentEvent(store, event) {
+  if (!event.type || !event.sessionId) {
+    return { handled: false };
+  }
+  const payment = await store.payments.findBySession(payments.getProvider().name, event.sessionId);
+  if (!payment) {
+    console.log(`⚠️  Payment webhook for unknown session ${event.sessionId} ignored`);
+    return { handled: false };
+  }
+
+  if (event.type === 'paid') {
+    const result = await bookingService.confirmPaidBooking(store, payment.id, { providerPaymentId: event.paymentId });
+    if (result.duplicate) {
+      return { handled: true, bookingId: payment.booking_id, status: result.payment.status };
+    }
+    if (!result.confirmed) {
+      console.log(`⚠️  Payment #${payment.id} arrived after booking #${payment.booking_id} was ${result.booking ? result.booking.status : 'removed'}, refunding`);
+      const refunded = await payments.refund(store, result.payment, { reason: 'Payment arrived after the hold ended' });
+      return { handled: true, bookingId: payment.booking_id, status: refunded.status };
+    }
+    console.log(`✅ Payment #${payment.id} received, booking #${payment.booking_id} confirmed`);
+    return { handled: true, bookingId: payment.booking_id, status: 'paid' };
+  }
+
+  // failed / expired only end a hold that is still open
+  if (payment.status !== 'pending') {
+    return { handled: true, bookingId: payment.booking_id, status: payment.status };
+  }
+  await expireBooking(store, payment, event.type);
+  console.log(`⌛ Payment #${payment.id} ${event.type}, booking #${payment.booking_id} released`);
+  return { handled: true, bookingId: payment.booking_id, status: event.type };
+}
+
+// Expire holds past their expires_at. Returns how many were released.
+async function expireHolds(store, now = new Date()) {
+  if (polling) return 0;
+  polling = true;
+
+  try {
+    const expired = await store.payments.listExpiredHolds(now, BATCH_SIZE);
+    for (const payment of expired) {
+      try {
+        await payments.closeHold(store, payment, 'expired');
+        await expireBooking(store, payment, 'expired');
+        console.log(`⌛ Hold for booking #${payment.booking_id} expired unpaid`);
+      } catch (error) {
+        console.error(`Failed to expire hold for booking #${payment.booking_id}:`, error);
+      }
+    }
+    return expired.length;
+  } catch (error) {
+    console.error('Payment hold polling failed:', error);
+    return 0;
+  } finally {
+    polling = false;
+  }
+}
+
+function startWorker(store) {
+  if (worker) return;
+
+  const timer = setInterval(() => expireHolds(store), POLL_INTERVAL_MS);
+  timer.unref();
+  worker = { store, timer };
+  expireHolds(store);
+  console.log(`✅ Payment hold expiry worker started (every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+function stopWorker() {
+  if (worker) {
+    clearInterval(worker.timer);
+    worker = null;
+  }
+}
+
+module.exports = {
+  handlePaymentEvent,
+  expireHolds,
+  startWorker,
+  stopWorker
+};
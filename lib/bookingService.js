@@ -0,0 +1,535 @@
+// Booking operations shared by the REST routes and the chatbot's tools.
+// `store` is a storage from lib/storage.
+// Every change queues its booking.* webhooks in the same transaction.
+// Paid services are held as pending_payment until the payment webhook
+// confirms them (see lib/payments).
+const availability = require('./availability');
+const lifecycle = require('./bookingLifecycle');
+const bookingEmails = require('./bookingEmails');
+const catalog = require('./catalog');
+const emailTemplates = require('./email');
+const emailOutbox = require('./emailOutbox');
+const jobQueue = require('./jobQueue');
+const payments = require('./payments');
+const reminders = require('./reminders');
+const timezones = require('./timezones');
+const webhooks = require('./webhooks');
+
+class BookingValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BookingValidationError';
+    this.status = 400;
+  }
+}
+
+// A chatbot confirmation that has already been carried out
+class ActionUsedError extends Error {
+  constructor() {
+    super('This change has already been confirmed');
+    this.name = 'ActionUsedError';
+    this.status = 409;
+  }
+}
+
+const DATE_TIME_MESSAGE = 'appointmentDate must be YYYY-MM-DD and appointmentTime HH:MM';
+const TIMEZONE_MESSAGE = 'timezone must be a valid IANA timezone (e.g. Europe/London)';
+const DURATION_MESSAGE = 'Duration must be between 5 and 480 minutes';
+
+function assertTimezone(timezone) {
+  if (timezone && !timezones.isValidTimezone(timezone)) {
+    throw new BookingValidationError(TIMEZONE_MESSAGE);
+  }
+}
+
+function assertDateTime(date, time) {
+  if (!availability.getDayKey(date) || availability.timeToMinutes(time) === null) {
+    throw new BookingValidationError(DATE_TIME_MESSAGE);
+  }
+}
+
+// Chatbot confirmations pass their action ({ id, tool, expiresAt }) so it is
+// recorded in the same transaction as the change it makes, and only once
+async function claimAction(tx, action) {
+  if (action && !(await tx.chatActions.claim(action))) {
+    throw new ActionUsedError();
+  }
+}
+
+// Reminders and the confirmation email for a booking that is now confirmed.
+// Without a written message the confirmation gets the standard one.
+async function queueConfirmation(tx, booking, { business, service, date, time, aiAnalysis, emailContent }) {
+  await reminders.scheduleBookingReminders(tx, booking);
+  await bookingEmails.queueBookingEmail(tx, 'confirmation', booking, {
+    business,
+    service,
+    emailContent: emailContent || emailTemplates.composeMessage({
+      name: booking.name,
+      date,
+      time,
+      message: booking.message,
+      analysis: { ...aiAnalysis, suggestedDuration: booking.duration_minutes },
+      locale: booking.locale,
+      business
+    }),
+    analysis: aiAnalysis,
+    aiGenerated: Boolean(aiAnalysis)
+  });
+}
+
+// Translate a date/time entered in the customer's zone to the business zone
+function toBusinessWallClock(date, time, timezone, config) {
+  if (!timezone || timezone === config.timezone) {
+    return { date, time };
+  }
+  const converted = timezones.convertWallClock(date, time, timezone, config.timezone);
+  return { date: converted.date, time: converted.time };
+}
+
+// Resolve the business, service and candidate staff for a booking request.
+// `repos` is the store, or a transaction's repositories. Throws
+// CatalogValidationError for unknown or mismatched ids.
+async function loadBookingContext(repos, { businessId, serviceId, staffId }) {
+  let service = null;
+  if (serviceId) {
+    service = await catalog.getService(repos, parseInt(serviceId, 10));
+    if (!service || !service.active) {
+      throw new catalog.CatalogValidationError('Unknown service');
+    }
+  }
+
+  const business = service
+    ? await catalog.getBusiness(repos, service.business_id)
+    : await catalog.resolveBusiness(repos, businessId);
+  if (businessId && (!business || (service && String(businessId) !== String(business.id) && businessId !== business.slug))) {
+    throw new catalog.CatalogValidationError('Unknown business');
+  }
+
+  let staffCandidates = [null];
+  if (staffId) {
+    const staff = await catalog.getStaff(repos, parseInt(staffId, 10));
+    if (!staff || !staff.active || (business && staff.business_id !== business.id)) {
+      throw new catalog.CatalogValidationError('Unknown staff member');
+    }
+    if (service && !(await catalog.getEligibleStaff(repos, service)).some(s => s.id === staff.id)) {
+      throw new catalog.CatalogValidationError('Staff member does not offer this service');
+    }
+    staffCandidates = [staff];
+  } else if (service) {
+    const eligible = await catalog.getEligibleStaff(repos, service);
+    if (eligible.length > 0) staffCandidates = eligible;
+  }
+
+  return {
+    business,
+    service,
+    staffCandidates,
+    config: availability.loadAvailabilityConfig(business, service)
+  };
+}
+
+// Take the first candidate staff member who is free for the slot. Call inside
+// a transaction with its bookings repository.
+async function reserveSlot(bookings, { date, time, duration, staffCandidates, business, excludeId = null, config }) {
+  let lastError = null;
+  for (const staff of staffCandidates) {
+    try {
+      const slot = await availability.assertSlotAvailable(bookings, {
+        date,
+        time,
+        duration,
+        excludeId,
+        staffId: staff ? staff.id : null,
+        businessId: business ? business.id : null,
+        config
+      });
+      return { ...slot, staff };
+    } catch (error) {
+      if (!(error instanceof availability.BookingConflictError)) throw error;
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+// Free slots for a date, merged across the eligible staff. Times are in the
+// business zone; each slot also carries its UTC start and viewer-local time.
+async function findAvailableSlots(store, { date, duration, timezone, businessId, serviceId, staffId }) {
+  if (!availability.getDayKey(date)) {
+    throw new BookingValidationError('A valid date (YYYY-MM-DD) is required');
+  }
+  assertTimezone(timezone);
+
+  const { business, service, staffCandidates, config } = await loadBookingContext(store, { businessId, serviceId, staffId });
+
+  // A catalog service has a fixed duration
+  const durationMinutes = service ? service.duration_minutes : availability.normalizeDuration(duration, config);
+  if (!durationMinutes) {
+    throw new BookingValidationError(DURATION_MESSAGE);
+  }
+
+  // Merge per-staff slots; each slot lists who is free for it
+  const slotsByStart = new Map();
+  for (const staff of staffCandidates) {
+    const staffSlots = await availability.getAvailableSlots(store.bookings, date, durationMinutes, config, {
+      staffId: staff ? staff.id : null,
+      businessId: business ? business.id : null
+    });
+    staffSlots.forEach(slot => {
+      const entry = slotsByStart.get(slot.start) || { ...slot, staffIds: [] };
+      if (staff) entry.staffIds.push(staff.id);
+      slotsByStart.set(slot.start, entry);
+    });
+  }
+
+  const viewerTimezone = timezone || config.timezone;
+  const slots = [...slotsByStart.values()]
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(slot => {
+      const startsAt = timezones.zonedTimeToUtc(date, slot.start, config.timezone);
+      return {
+        ...slot,
+        startsAt: startsAt.toISOString(),
+        local: timezones.utcToZonedTime(startsAt, viewerTimezone)
+      };
+    });
+  const window = availability.getWorkingWindow(date, config);
+
+  return {
+    date,
+    businessId: business ? business.id : null,
+    serviceId: service ? service.id : null,
+    timezone: config.timezone,
+    viewerTimezone,
+    duration: durationMinutes,
+    bufferMinutes: config.bufferMinutes,
+    workingHours: window
+      ? { start: availability.minutesToTime(window.start), end: availability.minutesToTime(window.end) }
+      : null,
+    slots
+  };
+}
+
+// Check for conflicts and insert in one transaction, scheduling reminders and
+// queueing the confirmation email. appointmentDate/appointmentTime are in the
+// customer's timezone when one is given. A paid service's booking is held as
+// pending_payment instead, and comes back with `payment` (its checkout link).
+async function createBooking(store, {
+  name,
+  email,
+  appointmentDate,
+  appointmentTime,
+  duration,
+  timezone,
+  businessId,
+  serviceId,
+  staffId,
+  message,
+  aiAnalysis,
+  emailContent,
+  locale,
+  action
+}) {
+  if (!name || !email || !appointmentDate || !appointmentTime) {
+    throw new BookingValidationError('Missing required fields: name, email, appointmentDate, appointmentTime');
+  }
+  assertDateTime(appointmentDate, appointmentTime);
+  assertTimezone(timezone);
+
+  const { business, service, staffCandidates, config } =
+    await loadBookingContext(store, { businessId, serviceId, staffId });
+
+  const customerTimezone = timezone || config.timezone;
+  const requested = toBusinessWallClock(appointmentDate, appointmentTime, customerTimezone, config);
+
+  // A catalog service fixes the duration; otherwise an explicit duration wins,
+  // then the analyzer's suggestion, then the default
+  const durationMinutes = service
+    ? service.duration_minutes
+    : availability.normalizeDuration(
+      duration !== undefined ? duration : aiAnalysis?.suggestedDuration,
+      config
+    );
+  if (!durationMinutes) {
+    throw new BookingValidationError(DURATION_MESSAGE);
+  }
+
+  const amountDue = payments.getAmountDue(service);
+  // Paid services can't be booked without a payment provider
+  if (amountDue) payments.getProvider();
+  let hold = null;
+
+  const booking = await store.transaction(async (tx) => {
+    await claimAction(tx, action);
+    const slot = await reserveSlot(tx.bookings, {
+      date: requested.date,
+      time: requested.time,
+      duration: durationMinutes,
+      staffCandidates,
+      business,
+      config
+    });
+    const startsAt = timezones.zonedTimeToUtc(requested.date, slot.start, config.timezone);
+    const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+
+    const created = await tx.bookings.create({
+      name,
+      email,
+      appointment_date: requested.date,
+      appointment_time: slot.start,
+      duration_minutes: durationMinutes,
+      end_time: slot.end,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      business_timezone: config.timezone,
+      customer_timezone: customerTimezone,
+      business_id: business ? business.id : null,
+      service_id: service ? service.id : null,
+      staff_id: slot.staff ? slot.staff.id : null,
+      message: message || '',
+      ai_analysis: aiAnalysis ?? null,
+      email_content: emailContent ?? null,
+      locale: locale || null,
+      status: amountDue ? 'pending_payment' : 'confirmed'
+    });
+    await webhooks.queueBookingEvent(tx, 'booking.created', created);
+
+    // Reminders and the confirmation wait for the payment
+    if (amountDue) {
+      hold = await payments.createHold(tx, created, amountDue);
+      return created;
+    }
+    await queueConfirmation(tx, created, {
+      business,
+      service,
+      date: appointmentDate,
+      time: appointmentTime,
+      aiAnalysis,
+      emailContent
+    });
+    return created;
+  });
+
+  emailOutbox.wake();
+  webhooks.wake();
+  if (!hold) return booking;
+
+  // The checkout is opened once the hold is saved; without one the customer
+  // can't pay, so the hold is released straight away
+  try {
+    const payment = await payments.openCheckout(store, hold, booking, {
+      description: `${service.name} - ${booking.appointment_date} ${booking.appointment_time.slice(0, 5)}`
+    });
+    console.log(`💳 Booking #${booking.id} held for payment #${payment.id}`);
+    return { ...booking, payment: payments.describePayment(payment) };
+  } catch (error) {
+    await updateBookingStatus(store, booking.id, 'expired');
+    throw error;
+  }
+}
+
+// Move a booking to a new slot with the same business, service and staff
+// member. The duration is checked against the booking's own business hours,
+// and a service booking keeps its duration. Returns null when the booking
+// does not exist.
+async function rescheduleBooking(store, bookingId, { appointmentDate, appointmentTime, duration, timezone, action }) {
+  assertDateTime(appointmentDate, appointmentTime);
+  assertTimezone(timezone);
+
+  const booking = await store.transaction(async (tx) => {
+    await claimAction(tx, action);
+    const current = await tx.bookings.findById(bookingId, { forUpdate: true });
+    if (!current) return null;
+
+    if (!lifecycle.isMutable(current.status)) {
+      throw new lifecycle.InvalidTransitionError(current.status, 'rescheduled');
+    }
+    // As when booking, a catalog service fixes the duration
+    if (current.service_id && duration !== undefined && parseInt(duration, 10) !== current.duration_minutes) {
+      throw new BookingValidationError('The duration of a service booking is set by the service');
+    }
+
+    const { business, staffCandidates, config } = await loadBookingContext(tx, {
+      businessId: current.business_id,
+      serviceId: current.service_id,
+      staffId: current.staff_id
+    });
+
+    const durationMinutes = availability.normalizeDuration(
+      duration !== undefined ? duration : current.duration_minutes,
+      config
+    );
+    if (!durationMinutes) {
+      throw new BookingValidationError(DURATION_MESSAGE);
+    }
+
+    // New time is given in the customer's zone (defaults to the one used at booking)
+    const customerTimezone = timezone || current.customer_timezone || config.timezone;
+    const requested = toBusinessWallClock(appointmentDate, appointmentTime, customerTimezone, config);
+
+    const slot = await reserveSlot(tx.bookings, {
+      date: requested.date,
+      time: requested.time,
+      duration: durationMinutes,
+      staffCandidates,
+      business,
+      excludeId: bookingId,
+      config
+    });
+    const startsAt = timezones.zonedTimeToUtc(requested.date, slot.start, config.timezone);
+    const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+
+    // The row is locked, so the count can't move underneath us
+    const rescheduled = await tx.bookings.update(bookingId, {
+      appointment_date: requested.date,
+      appointment_time: slot.start,
+      end_time: slot.end,
+      duration_minutes: durationMinutes,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      business_timezone: config.timezone,
+      customer_timezone: customerTimezone,
+      staff_id: slot.staff ? slot.staff.id : current.staff_id,
+      reschedule_count: current.reschedule_count + 1
+    });
+    await webhooks.queueBookingEvent(tx, 'booking.rescheduled', rescheduled, {
+      previous: {
+        appointment_date: current.appointment_date,
+        appointment_time: current.appointment_time,
+        starts_at: current.starts_at,
+        ends_at: current.ends_at
+      }
+    });
+    // An unpaid hold gets its reminders when the payment confirms it
+    if (rescheduled.status !== 'pending_payment') {
+      await reminders.scheduleBookingReminders(tx, rescheduled);
+    }
+    await bookingEmails.queueBookingEmail(tx, 'reschedule', rescheduled, { business });
+    return rescheduled;
+  });
+
+  if (booking) {
+    emailOutbox.wake();
+    webhooks.wake();
+  }
+  return booking;
+}
+
+// Apply a status transition, enforcing the state machine, and queue the
+// cancellation email. Returns null when the booking does not exist. Once
+// committed, a cancelled paid booking is refunded and an unpaid hold closed.
+async function updateBookingStatus(store, bookingId, status, { reason, action } = {}) {
+  const booking = await store.transaction(async (tx) => {
+    await claimAction(tx, action);
+    const existing = await tx.bookings.findById(bookingId, { forUpdate: true });
+    if (!existing) return null;
+
+    lifecycle.assertTransition(existing.status, status);
+
+    const updated = await tx.bookings.update(bookingId, status === 'cancelled'
+      ? { status, cancellation_reason: reason || null, cancelled_at: new Date() }
+      : { status });
+    await webhooks.queueBookingEvent(
+      tx,
+      status === 'cancelled' ? 'booking.cancelled' : 'booking.status_changed',
+      updated,
+      { previousStatus: existing.status }
+    );
+
+    if (status === 'cancelled') {
+      await jobQueue.cancelJobsForBooking(tx, bookingId);
+      await bookingEmails.queueBookingEmail(tx, 'cancellation', updated);
+    }
+    return updated;
+  });
+
+  if (booking) {
+    if (status === 'cancelled') emailOutbox.wake();
+    webhooks.wake();
+    if (status === 'cancelled' || status === 'expired') {
+      await releasePayment(store, booking);
+    }
+  }
+  return booking;
+}
+
+// Settle the payment of a booking that was cancelled or expired: refund it
+// if it was paid, or close the checkout if it wasn't
+async function releasePayment(store, booking) {
+  const payment = await store.payments.findLatestForBooking(booking.id);
+  if (!payment) return null;
+
+  if (payment.status === 'paid') {
+    return payments.refund(store, payment, { reason: booking.cancellation_reason });
+  }
+  if (payment.status === 'pending') {
+    return payments.closeHold(store, payment, booking.status === 'cancelled' ? 'cancelled' : 'expired');
+  }
+  return payment;
+}
+
+// Confirm a pending_payment booking once its payment has cleared, scheduling
+// reminders and queueing the confirmation email. Returns { booking, payment,
+// confirmed, duplicate } or null for an unknown payment. confirmed is false
+// when the booking stopped waiting first (cancelled, expired), so the money
+// has to go back; duplicate is true when the payment was already handled.
+async function confirmPaidBooking(store, paymentId, { providerPaymentId } = {}) {
+  const result = await store.transaction(async (tx) => {
+    const payment = await tx.payments.findById(paymentId, { forUpdate: true });
+    if (!payment) return null;
+
+    const booking = await tx.bookings.findById(payment.booking_id, { forUpdate: true });
+    if (['paid', 'refunded', 'refund_failed'].includes(payment.status)) {
+      return { booking, payment, confirmed: false, duplicate: true };
+    }
+
+    const paid = await tx.payments.update(payment.id, {
+      status: 'paid',
+      paid_at: new Date(),
+      provider_payment_id: providerPaymentId || payment.provider_payment_id
+    });
+    if (!booking || booking.status !== 'pending_payment') {
+      return { booking, payment: paid, confirmed: false, duplicate: false };
+    }
+
+    const confirmed = await tx.bookings.update(booking.id, { status: 'confirmed' });
+    await webhooks.queueBookingEvent(tx, 'booking.status_changed', confirmed, { previousStatus: booking.status });
+    // The confirmation shows the time the customer booked in their own zone
+    const local = timezones.utcToZonedTime(
+      timezones.getBookingStart(confirmed),
+      confirmed.customer_timezone || confirmed.business_timezone
+    );
+    await queueConfirmation(tx, confirmed, {
+      business: confirmed.business_id ? await catalog.getBusiness(tx, confirmed.business_id) : null,
+      date: local.date,
+      time: local.time,
+      aiAnalysis: confirmed.ai_analysis,
+      emailContent: confirmed.email_content
+    });
+    return { booking: confirmed, payment: paid, confirmed: true, duplicate: false };
+  });
+
+  if (result && result.confirmed) {
+    emailOutbox.wake();
+    webhooks.wake();
+  }
+  return result;
+}
+
+async function getBooking(store, bookingId) {
+  return store.bookings.findById(bookingId);
+}
+
+module.exports = {
+  BookingValidationError,
+  ActionUsedError,
+  toBusinessWallClock,
+  loadBookingContext,
+  reserveSlot,
+  findAvailableSlots,
+  createBooking,
+  rescheduleBooking,
+  updateBookingStatus,
+  confirmPaidBooking,
+  getBooking
+};
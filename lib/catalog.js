@@ -0,0 +1,285 @@
+// Service catalog - businesses, staff members and the services they offer.
+// `store` is a storage from lib/storage (or a transaction's repositories).
+
+// Seeded into the default business on first boot, and used as-is when there
+// is no business so the chatbot and analyzer still know what we offer
+const DEFAULT_SERVICES = [
+  {
+    name: 'Business consultation',
+    description: 'Strategy, planning and general business advice',
+    duration_minutes: 60,
+    keywords: ['meeting', 'consultation', 'strategy', 'interview', 'business']
+  },
+  {
+    name: 'Technical support',
+    description: 'Help with technical issues and product questions',
+    duration_minutes: 30,
+    keywords: ['support', 'technical', 'issue', 'problem', 'bug']
+  },
+  {
+    name: 'Medical consultation',
+    description: 'Health and medical appointments',
+    duration_minutes: 30,
+    keywords: ['medical', 'health', 'doctor']
+  },
+  {
+    name: 'General consultation',
+    description: 'Anything else - we will route you to the right person',
+    duration_minutes: 30,
+    keywords: []
+  }
+];
+
+const BUSINESS_FIELDS = {
+  name: 'name',
+  slug: 'slug',
+  email: 'email',
+  timezone: 'timezone',
+  workingHours: 'working_hours',
+  breaks: 'breaks',
+  bufferMinutes: 'buffer_minutes',
+  locale: 'locale',
+  branding: 'branding',
+  active: 'active'
+};
+
+const STAFF_FIELDS = {
+  name: 'name',
+  email: 'email',
+  title: 'title',
+  userId: 'user_id',
+  active: 'active'
+};
+
+const SERVICE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  durationMinutes: 'duration_minutes',
+  priceCents: 'price_cents',
+  currency: 'currency',
+  bufferMinutes: 'buffer_minutes',
+  keywords: 'keywords',
+  active: 'active'
+};
+
+class CatalogValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogValidationError';
+    this.status = 400;
+  }
+}
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+// Map camelCase request fields onto whitelisted columns
+function toColumns(data, fields) {
+  const columns = {};
+  Object.keys(fields).forEach(key => {
+    if (data[key] !== undefined) {
+      columns[fields[key]] = data[key];
+    }
+  });
+  return columns;
+}
+
+function validateService(data, { partial = false } = {}) {
+  if (!partial && !data.name) {
+    throw new CatalogValidationError('Service name is required');
+  }
+  if (data.durationMinutes !== undefined) {
+    const duration = parseInt(data.durationMinutes, 10);
+    if (Number.isNaN(duration) || duration < 5 || duration > 480) {
+      throw new CatalogValidationError('durationMinutes must be between 5 and 480');
+    }
+  } else if (!partial) {
+    throw new CatalogValidationError('durationMinutes is required');
+  }
+  if (data.priceCents !== undefined && (!Number.isInteger(data.priceCents) || data.priceCents < 0)) {
+    throw new CatalogValidationError('priceCents must be a non-negative integer');
+  }
+  if (data.bufferMinutes !== undefined && data.bufferMinutes !== null &&
+      (!Number.isInteger(data.bufferMinutes) || data.bufferMinutes < 0 || data.bufferMinutes > 240)) {
+    throw new CatalogValidationError('bufferMinutes must be between 0 and 240');
+  }
+  if (data.keywords !== undefined && !Array.isArray(data.keywords)) {
+    throw new CatalogValidationError('keywords must be an array of strings');
+  }
+}
+
+// Businesses
+
+async function listBusinesses(store, { includeInactive = false } = {}) {
+  return store.businesses.list({ includeInactive });
+}
+
+async function getBusiness(store, id) {
+  return store.businesses.findById(id);
+}
+
+async function getDefaultBusiness(store) {
+  return store.businesses.findDefault();
+}
+
+// Active business by id or slug; falls back to the default business when none is given
+async function resolveBusiness(store, idOrSlug) {
+  if (idOrSlug === undefined || idOrSlug === null || idOrSlug === '') {
+    return getDefaultBusiness(store);
+  }
+
+  const business = /^\d+$/.test(String(idOrSlug))
+    ? await store.businesses.findById(parseInt(idOrSlug, 10))
+    : await store.businesses.findBySlug(idOrSlug);
+  return business && business.active ? business : null;
+}
+
+async function createBusiness(store, data) {
+  if (!data.name) {
+    throw new CatalogValidationError('Business name is required');
+  }
+  return store.businesses.create(toColumns({ ...data, slug: slugify(data.slug || data.name) }, BUSINESS_FIELDS));
+}
+
+async function updateBusiness(store, id, data) {
+  const changes = data.slug !== undefined ? { ...data, slug: slugify(data.slug) } : data;
+  return store.businesses.update(id, toColumns(changes, BUSINESS_FIELDS));
+}
+
+// Staff members
+
+async function listStaff(store, businessId, { includeInactive = false } = {}) {
+  return store.staff.list(businessId, { includeInactive });
+}
+
+async function getStaff(store, id) {
+  return store.staff.findById(id);
+}
+
+async function createStaff(store, businessId, data) {
+  if (!data.name) {
+    throw new CatalogValidationError('Staff member name is required');
+  }
+  const staff = await store.staff.create({ ...toColumns(data, STAFF_FIELDS), business_id: businessId });
+  if (Array.isArray(data.serviceIds)) {
+    await store.staff.setServices(staff.id, data.serviceIds);
+  }
+  return staff;
+}
+
+async function updateStaff(store, id, data) {
+  const staff = await store.staff.update(id, toColumns(data, STAFF_FIELDS));
+  if (staff && Array.isArray(data.serviceIds)) {
+    await store.staff.setServices(id, data.serviceIds);
+  }
+  return staff;
+}
+
+// Active staff who can perform a service. Services with no explicit
+// assignments can be performed by anyone at the business.
+async function getEligibleStaff(store, service) {
+  return store.staff.listEligible(service);
+}
+
+// Services
+
+async function listServices(store, businessId, { includeInactive = false } = {}) {
+  return store.services.list(businessId, { includeInactive });
+}
+
+async function getService(store, id) {
+  return store.services.findById(id);
+}
+
+async function createService(store, businessId, data) {
+  validateService(data);
+  return store.services.create({ ...toColumns(data, SERVICE_FIELDS), business_id: businessId });
+}
+
+async function updateService(store, id, data) {
+  validateService(data, { partial: true });
+  return store.services.update(id, toColumns(data, SERVICE_FIELDS));
+}
+
+// Service list for prompts and the analyzer; built-in defaults when there is
+// no business or it has no services yet
+async function getServiceCatalog(store, business) {
+  if (!business) return DEFAULT_SERVICES;
+  const services = await listServices(store, business.id);
+  return services.length > 0 ? services : DEFAULT_SERVICES;
+}
+
+function formatPrice(service) {
+  if (!service.price_cents) return null;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: service.currency || 'USD' })
+    .format(service.price_cents / 100);
+}
+
+// One line per service for AI prompts
+function formatServicesForPrompt(services) {
+  return services
+    .map(service => {
+      const details = [`${service.duration_minutes} min`, formatPrice(service)].filter(Boolean).join(', ');
+      return `  - ${service.name} (${details})${service.description ? `: ${service.description}` : ''}`;
+    })
+    .join('\n');
+}
+
+// Match an analyzer topic back to a catalog service
+function findServiceByName(services, name) {
+  const needle = String(name || '').toLowerCase().trim();
+  return services.find(service => service.name.toLowerCase() === needle) || null;
+}
+
+// Create the default business and its services on first boot
+async function seedDefaultCatalog(store) {
+  const existing = await store.businesses.list({ includeInactive: true });
+  if (existing.length > 0) return;
+
+  const business = await store.businesses.create({
+    name: process.env.BUSINESS_NAME || 'Smart Booking Pro',
+    slug: 'default',
+    email: process.env.EMAIL_USER || null,
+    timezone: process.env.BUSINESS_TIMEZONE || 'UTC'
+  });
+
+  for (const service of DEFAULT_SERVICES) {
+    await store.services.create({
+      business_id: business.id,
+      name: service.name,
+      description: service.description,
+      duration_minutes: service.duration_minutes,
+      keywords: service.keywords
+    });
+  }
+  console.log('✅ Default business and service catalog created');
+}
+
+module.exports = {
+  DEFAULT_SERVICES,
+  CatalogValidationError,
+  listBusinesses,
+  getBusiness,
+  getDefaultBusiness,
+  resolveBusiness,
+  createBusiness,
+  updateBusiness,
+  listStaff,
+  getStaff,
+  createStaff,
+  updateStaff,
+  getEligibleStaff,
+  listServices,
+  getService,
+  createService,
+  updateService,
+  getServiceCatalog,
+  formatServicesForPrompt,
+  findServiceByName,
+  seedDefaultCatalog
+};
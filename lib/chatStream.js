@@ -0,0 +1,66 @@
+// Server-Sent Events helpers for the streaming chatbot
+
+// Separates the streamed reply from the trailing JSON with suggestions/action/mood
+const META_MARKER = '###META###';
+
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Pass reply text through to onContent as it arrives, holding back anything
+// that could be the start of the marker; everything after it is the metadata
+function createMetaSplitter(onContent) {
+  let buffer = '';
+  let emitted = 0;
+  let markerIndex = -1;
+
+  function emit(end) {
+    if (end > emitted) {
+      onContent(buffer.slice(emitted, end));
+      emitted = end;
+    }
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      if (markerIndex >= 0) return;
+
+      markerIndex = buffer.indexOf(META_MARKER);
+      if (markerIndex >= 0) {
+        emit(markerIndex);
+      } else {
+        emit(buffer.length - (META_MARKER.length - 1));
+      }
+    },
+
+    // Flush the rest of the reply; metaText is whatever followed the marker
+    finish() {
+      if (markerIndex < 0) emit(buffer.length);
+
+      return {
+        content: (markerIndex >= 0 ? buffer.slice(0, markerIndex) : buffer).trim(),
+        metaText: markerIndex >= 0 ? buffer.slice(markerIndex + META_MARKER.length).trim() : ''
+      };
+    }
+  };
+}
+
+module.exports = {
+  META_MARKER,
+  openEventStream,
+  sendEvent,
+  createMetaSplitter
+};
@@ -0,0 +1,380 @@
+// Booking tools for the chatbot (Anthropic tool use). Read-only tools run
+// straight away; write tools only prepare a signed proposal that the customer
+// has to confirm (POST /api/chatbot/confirm) before anything is written.
+// `store` is a storage from lib/storage.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const auth = require('./auth');
+const availability = require('./availability');
+const bookingService = require('./bookingService');
+const catalog = require('./catalog');
+const lifecycle = require('./bookingLifecycle');
+const timezones = require('./timezones');
+const { validateInput } = require('./requestValidation');
+const ai = require('./ai');
+
+const MAX_TOOL_TURNS = 5;
+const MAX_SLOTS_RETURNED = 24;
+
+const WRITE_TOOLS = ['create_booking', 'reschedule_booking', 'cancel_booking'];
+
+const TOOL_DEFINITIONS = [
+  {
+    name: 'list_services',
+    description: 'List the services the business offers, with their ids, durations and prices.',
+    input_schema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'check_availability',
+    description: 'Find free appointment times on a date. Use this before proposing a time to the customer.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', description: 'Date as YYYY-MM-DD' },
+        serviceId: { type: 'integer', description: 'Service id from list_services (fixes the duration)' },
+        duration: { type: 'integer', description: 'Length in minutes when no service is chosen' },
+        timezone: { type: 'string', description: "Customer's IANA timezone, e.g. Europe/London" }
+      },
+      required: ['date']
+    }
+  },
+  {
+    name: 'get_booking',
+    description: "Look up one of the customer's existing bookings by id.",
+    input_schema: {
+      type: 'object',
+      properties: { bookingId: { type: 'integer' } },
+      required: ['bookingId']
+    }
+  },
+  {
+    name: 'create_booking',
+    description: 'Prepare a new booking. Nothing is booked until the customer confirms it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        email: { type: 'string' },
+        date: { type: 'string', description: 'Date as YYYY-MM-DD in the customer timezone' },
+        time: { type: 'string', description: 'Start time as HH:MM in the customer timezone' },
+        serviceId: { type: 'integer' },
+        duration: { type: 'integer' },
+        timezone: { type: 'string' },
+        message: { type: 'string', description: 'What the appointment is about, in the customer\'s words' }
+      },
+      required: ['name', 'email', 'date', 'time']
+    }
+  },
+  {
+    name: 'reschedule_booking',
+    description: 'Prepare moving an existing booking to a new time. Nothing changes until the customer confirms it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        bookingId: { type: 'integer' },
+        date: { type: 'string', description: 'New date as YYYY-MM-DD in the customer timezone' },
+        time: { type: 'string', description: 'New start time as HH:MM in the customer timezone' },
+        timezone: { type: 'string' }
+      },
+      required: ['bookingId', 'date', 'time']
+    }
+  },
+  {
+    name: 'cancel_booking',
+    description: 'Prepare cancelling an existing booking. Nothing changes until the customer confirms it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        bookingId: { type: 'integer' },
+        reason: { type: 'string' }
+      },
+      required: ['bookingId']
+    }
+  }
+];
+
+// Thrown for tool input the model should correct; reported back as a tool error
+class ToolInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolInputError';
+    this.status = 400;
+  }
+}
+
+// Staff can see their business's bookings (admins any booking); customers
+// need to be signed in with the booking's email or hold its manage-booking token
+function canAccessBooking(context, booking) {
+  if (auth.canManageBusiness(context.user, booking.business_id)) return true;
+  if (context.user && String(context.user.email).toLowerCase() === String(booking.email).toLowerCase()) return true;
+
+  const payload = lifecycle.verifyManageToken(context.manageToken);
+  return Boolean(payload && payload.bookingId === booking.id);
+}
+
+async function loadAccessibleBooking(store, context, bookingId) {
+  const booking = await bookingService.getBooking(store, parseInt(bookingId, 10));
+  if (!booking || !canAccessBooking(context, booking)) {
+    throw new ToolInputError(
+      'Booking not found or not accessible. Ask the customer to use the manage link from their confirmation email.'
+    );
+  }
+  return booking;
+}
+
+function describeBooking(booking) {
+  const zone = timezones.getRecipientTimezone(booking);
+  const start = timezones.getBookingStart(booking);
+  return {
+    id: booking.id,
+    name: booking.name,
+    status: booking.status,
+    serviceId: booking.service_id,
+    duration: booking.duration_minutes,
+    timezone: zone,
+    ...timezones.utcToZonedTime(start, zone),
+    display: timezones.formatInTimezone(start, zone)
+  };
+}
+
+function assertDateTime(date, time) {
+  if (!availability.getDayKey(date) || availability.timeToMinutes(time) === null) {
+    throw new ToolInputError('date must be YYYY-MM-DD and time HH:MM');
+  }
+}
+
+// Signed, short-lived description of a change awaiting the customer's
+// confirmation. The jti lets executeAction carry it out only once.
+function createActionToken(tool, input) {
+  return jwt.sign(
+    { purpose: 'chat_action', tool, input },
+    lifecycle.getManageTokenSecret(),
+    { expiresIn: process.env.CHAT_ACTION_TTL || '15m', jwtid: crypto.randomUUID() }
+  );
+}
+
+// Returns { tool, input, jti, exp } or null if the token is invalid/expired
+function verifyActionToken(token) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, lifecycle.getManageTokenSecret());
+    return payload.purpose === 'chat_action' && payload.jti && WRITE_TOOLS.includes(payload.tool) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check a write request and turn it into a proposal for the customer
+async function proposeAction(store, name, input, context) {
+  if (name === 'create_booking') {
+    // The same checks as POST /api/create-booking
+    const { value, details } = validateInput('POST /api/create-booking', 'body', {
+      name: input.name,
+      email: input.email,
+      appointmentDate: input.date,
+      appointmentTime: input.time,
+      duration: input.duration,
+      timezone: input.timezone,
+      businessId: context.businessId,
+      serviceId: input.serviceId,
+      message: input.message
+    });
+    if (details.length > 0) {
+      throw new ToolInputError(details.map(detail => detail.message).join('; '));
+    }
+
+    // Built-in default services have no ids
+    const service = value.serviceId ? await catalog.getService(store, value.serviceId) : null;
+    const proposal = { ...value, serviceId: service ? service.id : undefined };
+    return {
+      input: proposal,
+      summary: `Book ${service ? service.name : 'an appointment'} for ${value.name} (${value.email}) on ` +
+        `${value.appointmentDate} at ${value.appointmentTime}${value.timezone ? ` ${value.timezone}` : ''}`
+    };
+  }
+
+  const booking = await loadAccessibleBooking(store, context, input.bookingId);
+  if (!lifecycle.isMutable(booking.status)) {
+    throw new ToolInputError(`Booking #${booking.id} is ${booking.status} and can no longer be changed`);
+  }
+
+  if (name === 'reschedule_booking') {
+    assertDateTime(input.date, input.time);
+    return {
+      input: { bookingId: booking.id, appointmentDate: input.date, appointmentTime: input.time, timezone: input.timezone },
+      summary: `Move booking #${booking.id} from ${describeBooking(booking).display} to ${input.date} at ` +
+        `${input.time}${input.timezone ? ` ${input.timezone}` : ''}`
+    };
+  }
+
+  return {
+    input: { bookingId: booking.id, reason: input.reason },
+    summary: `Cancel booking #${booking.id} on ${describeBooking(booking).display}`
+  };
+}
+
+async function runReadTool(store, name, input, context) {
+  if (name === 'list_services') {
+    const business = await catalog.resolveBusiness(store, context.businessId);
+    const services = await catalog.getServiceCatalog(store, business);
+    return {
+      services: services.map(service => ({
+        id: service.id || null,
+        name: service.name,
+        duration: service.duration_minutes,
+        description: service.description || null,
+        priceCents: service.price_cents || null
+      }))
+    };
+  }
+
+  if (name === 'check_availability') {
+    const result = await bookingService.findAvailableSlots(store, {
+      date: input.date,
+      duration: input.duration,
+      timezone: input.timezone,
+      businessId: context.businessId,
+      serviceId: input.serviceId
+    });
+    return {
+      date: result.date,
+      timezone: result.viewerTimezone,
+      duration: result.duration,
+      slots: result.slots.slice(0, MAX_SLOTS_RETURNED).map(slot => slot.local),
+      moreSlots: Math.max(result.slots.length - MAX_SLOTS_RETURNED, 0)
+    };
+  }
+
+  if (name === 'get_booking') {
+    return describeBooking(await loadAccessibleBooking(store, context, input.bookingId));
+  }
+
+  throw new ToolInputError(`Unknown tool: ${name}`);
+}
+
+// Run one tool call. Returns { content, isError, pendingAction }.
+async function runTool(store, name, input = {}, context = {}) {
+  try {
+    if (!WRITE_TOOLS.includes(name)) {
+      return { content: await runReadTool(store, name, input, context) };
+    }
+
+    if (context.pendingAction) {
+      throw new ToolInputError('Only one change can be confirmed at a time');
+    }
+
+    const proposal = await proposeAction(store, name, input, context);
+    return {
+      content: {
+        status: 'awaiting_confirmation',
+        summary: proposal.summary,
+        note: 'Nothing has been changed yet. Summarise this for the customer and ask them to confirm.'
+      },
+      pendingAction: {
+        tool: name,
+        summary: proposal.summary,
+        token: createActionToken(name, proposal.input)
+      }
+    };
+  } catch (error) {
+    if (error instanceof ToolInputError ||
+        error instanceof bookingService.BookingValidationError ||
+        error instanceof catalog.CatalogValidationError) {
+      return { content: { error: error.message }, isError: true };
+    }
+    throw error;
+  }
+}
+
+// Ask the model, running any tools it calls, until it answers in text.
+// The last turn disables tools so the loop always ends with an answer.
+// `aiClient` comes from lib/ai; `input` is passed through for the offline provider.
+async function runToolLoop(aiClient, store, { task = 'chatbot', system, messages, input, context, onText, signal }) {
+  const conversation = [...messages];
+  const toolCalls = [];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let pendingAction = null;
+
+  for (let turn = 0; ; turn++) {
+    const lastTurn = turn >= MAX_TOOL_TURNS;
+    const request = {
+      system,
+      messages: conversation,
+      tools: TOOL_DEFINITIONS,
+      tool_choice: { type: lastTurn ? 'none' : 'auto' }
+    };
+    const response = await aiClient.complete(task, request, { input, onText, signal });
+
+    if (response.usage) {
+      usage.input_tokens += response.usage.input_tokens || 0;
+      usage.output_tokens += response.usage.output_tokens || 0;
+    }
+
+    const toolUses = response.content.filter(block => block.type === 'tool_use');
+    if (response.stop_reason !== 'tool_use' || toolUses.length === 0 || lastTurn) {
+      // request/response let callers follow up on the final answer (e.g. re-ask)
+      return { text: ai.getText(response), response, request, pendingAction, toolCalls, usage, model: response.model };
+    }
+
+    // Keep streamed text from separate turns apart
+    if (onText && response.content.some(block => block.type === 'text' && block.text)) {
+      onText('\n\n');
+    }
+
+    conversation.push({ role: 'assistant', content: response.content });
+    const results = [];
+    for (const toolUse of toolUses) {
+      const outcome = await runTool(store, toolUse.name, toolUse.input, { ...context, pendingAction });
+      if (outcome.pendingAction) pendingAction = outcome.pendingAction;
+      toolCalls.push({ name: toolUse.name, input: toolUse.input, isError: Boolean(outcome.isError) });
+      results.push({
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: JSON.stringify(outcome.content),
+        ...(outcome.isError ? { is_error: true } : {})
+      });
+    }
+    conversation.push({ role: 'user', content: results });
+  }
+}
+
+// Carry out a change the customer confirmed. Returns { tool, booking }, with
+// booking null when it no longer exists. A token that was already carried out
+// throws bookingService.ActionUsedError.
+async function executeAction(store, token, context = {}) {
+  const payload = verifyActionToken(token);
+  if (!payload) {
+    throw new ToolInputError('This confirmation has expired. Please ask the assistant again.');
+  }
+
+  const { tool, input } = payload;
+  const action = { id: payload.jti, tool, expiresAt: new Date(payload.exp * 1000) };
+  if (tool === 'create_booking') {
+    return { tool, booking: await bookingService.createBooking(store, { ...input, action }) };
+  }
+
+  // Re-check access with the confirming request's credentials
+  await loadAccessibleBooking(store, context, input.bookingId);
+
+  if (tool === 'reschedule_booking') {
+    const { bookingId, ...slot } = input;
+    return { tool, booking: await bookingService.rescheduleBooking(store, bookingId, { ...slot, action }) };
+  }
+
+  return {
+    tool,
+    booking: await bookingService.updateBookingStatus(store, input.bookingId, 'cancelled', { reason: input.reason, action })
+  };
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  WRITE_TOOLS,
+  ToolInputError,
+  describeBooking,
+  createActionToken,
+  verifyActionToken,
+  runTool,
+  runToolLoop,
+  executeAction
+};
@@ -0,0 +1,78 @@
+// Chatbot conversations - server-side message history with a running summary
+const crypto = require('crypto');
+const offline = require('./ai/offline');
+
+const ROLES = ['user', 'assistant', 'system'];
+
+// CHAT_HISTORY_WINDOW: messages passed to the model verbatim (default 10)
+function getHistoryWindow() {
+  const value = parseInt(process.env.CHAT_HISTORY_WINDOW, 10);
+  return Number.isNaN(value) || value < 2 ? 10 : value;
+}
+
+async function createConversation(store, { businessId = null, userEmail = null, metadata = {} } = {}) {
+  return store.conversations.create({ id: crypto.randomUUID(), businessId, userEmail, metadata });
+}
+
+function isValidConversationId(id) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(id || ''));
+}
+
+async function getConversation(store, id) {
+  if (!isValidConversationId(id)) return null;
+  return store.conversations.findById(id);
+}
+
+async function listConversations(store, { businessId, userEmail, limit = 50, offset = 0 } = {}) {
+  return store.conversations.list({ businessId, userEmail, limit, offset });
+}
+
+async function addMessage(store, conversationId, { role, content, metadata = {} }) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown message role: ${role}`);
+  }
+  return store.conversations.addMessage(conversationId, { role, content, metadata });
+}
+
+async function listMessages(store, conversationId, { afterId = 0 } = {}) {
+  return store.conversations.listMessages(conversationId, { afterId });
+}
+
+// History to give the model: the running summary plus the newest messages.
+// Once more than the window is unsummarised, everything but the newest half
+// window is folded into the summary with summarize(previousSummary, messages).
+async function loadHistory(store, conversation, { summarize = offline.summarize } = {}) {
+  const window = getHistoryWindow();
+  let summary = conversation.summary || '';
+  let messages = await listMessages(store, conversation.id, { afterId: conversation.summarized_until });
+
+  if (messages.length > window) {
+    const keep = Math.ceil(window / 2);
+    const older = messages.slice(0, messages.length - keep);
+    try {
+      summary = await summarize(summary, older);
+    } catch (error) {
+      console.error('Conversation summary failed:', error);
+      summary = offline.summarize(summary, older);
+    }
+    await store.conversations.saveSummary(conversation.id, { summary, summarizedUntil: older[older.length - 1].id });
+    messages = messages.slice(messages.length - keep);
+  }
+
+  return {
+    summary,
+    messages: messages.map(message => ({ role: message.role, content: message.content }))
+  };
+}
+
+module.exports = {
+  ROLES,
+  getHistoryWindow,
+  createConversation,
+  isValidConversationId,
+  getConversation,
+  listConversations,
+  addMessage,
+  listMessages,
+  loadHistory
+};
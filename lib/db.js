@@ -0,0 +1,27 @@
+// Postgres connection pool, shared by the server and the migration CLI
+const { Pool, types } = require('pg');
+
+// Keep DATE columns as "YYYY-MM-DD" strings instead of Dates at server-local midnight
+types.setTypeParser(1082, value => value);
+
+function isConfigured(env = process.env) {
+  return Boolean(env.DATABASE_URL &&
+    env.DATABASE_URL !== 'base' &&
+    !env.DATABASE_URL.includes('base') &&
+    env.DATABASE_URL.startsWith('postgresql://'));
+}
+
+// Pool for DATABASE_URL (Railway PostgreSQL), or null when it isn't properly configured
+function createPool(env = process.env) {
+  if (!isConfigured(env)) return null;
+
+  return new Pool({
+    connectionString: env.DATABASE_URL,
+    ssl: env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+}
+
+module.exports = {
+  isConfigured,
+  createPool
+};
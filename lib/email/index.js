@@ -0,0 +1,223 @@
+// Email template engine: named templates rendered with per-business branding
+// and locale-specific copy, with a plain-text part generated from the HTML
+const timezones = require('../timezones');
+const lifecycle = require('../bookingLifecycle');
+const sanitize = require('../sanitize');
+const { TEMPLATES, layout } = require('./templates');
+
+const LOCALES = {
+  en: require('./locales/en'),
+  es: require('./locales/es'),
+  fr: require('./locales/fr')
+};
+const DEFAULT_LOCALE = 'en';
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+const DEFAULT_BRANDING = {
+  name: 'Smart Booking Pro',
+  tagline: null,
+  logoUrl: null,
+  primaryColor: '#667eea',
+  accentColor: '#764ba2',
+  supportEmail: null,
+  websiteUrl: null,
+  footerText: null
+};
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+class UnknownTemplateError extends Error {
+  constructor(name) {
+    super(`Unknown email template "${name}"`);
+    this.name = 'UnknownTemplateError';
+  }
+}
+
+// Closest supported locale: exact match, then the language ("es-MX" -> "es"),
+// then the default
+function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const tag = String(candidate).toLowerCase();
+    if (LOCALES[tag]) return tag;
+    const language = tag.split(/[-_]/)[0];
+    if (LOCALES[language]) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Branding variables for a business: its name and email, overridden by its
+// branding settings. Colours that aren't plain hex values are ignored since
+// they end up inside style attributes.
+function getBranding(business) {
+  const overrides = (business && business.branding) || {};
+  const branding = {
+    ...DEFAULT_BRANDING,
+    name: business?.name || DEFAULT_BRANDING.name,
+    supportEmail: business?.email || process.env.EMAIL_USER || null
+  };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in DEFAULT_BRANDING) || value === undefined || value === null || value === '') continue;
+    if (key.endsWith('Color') && !COLOR_PATTERN.test(value)) continue;
+    branding[key] = value;
+  }
+  return branding;
+}
+
+// Manage and feedback links for a real booking
+function getBookingLinks(booking) {
+  return {
+    manage: lifecycle.getManageBookingUrl(booking),
+    reschedule: lifecycle.getManageBookingUrl(booking, 'reschedule'),
+    cancel: lifecycle.getManageBookingUrl(booking, 'cancel'),
+    feedback: process.env.FEEDBACK_URL ? `${process.env.FEEDBACK_URL}?booking=${booking.id}` : null
+  };
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ', '#39': "'", '#96': '`' };
+
+// Plain-text part for an HTML email: links become "label (url)", block
+// elements become line breaks, and runs of blank lines are collapsed
+function htmlToText(markup) {
+  return String(markup)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(style|script|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label} (${href})`)
+    .replace(/<img\b[^>]*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|nbsp|#39|#96);/g, (match, entity) => ENTITIES[entity])
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Render a named template for a booking. The locale comes from the options,
+// then the booking, then the business.
+function renderEmail(name, { booking, business, service, locale, emailContent, analysis, aiGenerated, links } = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new UnknownTemplateError(name);
+
+  const localeKey = resolveLocale(locale, booking.locale, business?.locale);
+  const t = LOCALES[localeKey];
+  const brand = getBranding(business);
+  const when = timezones.formatInTimezone(
+    timezones.getBookingStart(booking),
+    timezones.getRecipientTimezone(booking),
+    t.dateLocale
+  );
+
+  const vars = {
+    booking: {
+      id: booking.id,
+      name: booking.name,
+      when,
+      durationMinutes: booking.duration_minutes,
+      serviceName: service?.name || null
+    },
+    // The body text comes from the client or the model: no outside links
+    emailContent: emailContent
+      ? sanitize.removeLinks(emailContent, { allowedOrigins: [process.env.FRONTEND_URL, brand.websiteUrl] })
+      : null,
+    analysis: analysis || null,
+    aiGenerated: Boolean(aiGenerated),
+    links: links || getBookingLinks(booking)
+  };
+
+  const { subject, content, footerNote } = template.build(vars, t, brand);
+  const markup = layout({ content, footerNote, bookingId: booking.id }, t, brand).toString();
+
+  return {
+    template: name,
+    locale: localeKey,
+    senderName: brand.name,
+    subject,
+    html: markup,
+    text: htmlToText(markup)
+  };
+}
+
+// Plain-text confirmation message in the recipient's language, used when the
+// AI can't write one
+function composeMessage({ name, date, time, message, analysis, locale, business } = {}) {
+  const t = LOCALES[resolveLocale(locale, business?.locale)];
+  const brand = getBranding(business);
+
+  return t.confirmation.message({
+    name,
+    date,
+    time,
+    duration: analysis?.suggestedDuration || 30,
+    topics: analysis?.topics?.join(', ') || t.confirmation.defaultTopic,
+    customerMessage: message,
+    highPriority: analysis?.priority === 'high',
+    brand: brand.name,
+    supportEmail: brand.supportEmail || 'support@smartbookingpro.com'
+  });
+}
+
+// Render a template with made-up booking data, e.g. for a preview screen.
+// Links point at placeholder URLs so a preview never carries a real manage token.
+function renderPreview(name, { business, locale } = {}) {
+  const timezone = business?.timezone || timezones.getBusinessTimezone();
+  const start = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  const date = start.toISOString().slice(0, 10);
+  const booking = {
+    id: 1234,
+    name: 'Alex Sample',
+    email: 'alex@example.com',
+    starts_at: timezones.zonedTimeToUtc(date, '10:00', timezone),
+    duration_minutes: 45,
+    customer_timezone: timezone,
+    business_id: business?.id || null
+  };
+  const analysis = { priority: 'medium', suggestedDuration: 45, sentiment: 'positive', topics: ['Business consultation'] };
+  const baseUrl = (process.env.FRONTEND_URL || 'https://example.com').replace(/\/$/, '');
+
+  return renderEmail(name, {
+    booking,
+    business,
+    service: { name: 'Business consultation' },
+    locale,
+    emailContent: composeMessage({
+      name: booking.name,
+      date,
+      time: '10:00',
+      message: 'Looking forward to discussing our growth plans.',
+      analysis,
+      locale,
+      business
+    }),
+    analysis,
+    aiGenerated: true,
+    links: {
+      manage: `${baseUrl}/manage-booking?token=preview`,
+      reschedule: `${baseUrl}/manage-booking?token=preview&action=reschedule`,
+      cancel: `${baseUrl}/manage-booking?token=preview&action=cancel`,
+      feedback: process.env.FEEDBACK_URL ? `${process.env.FEEDBACK_URL}?booking=${booking.id}` : null
+    }
+  });
+}
+
+function listTemplates() {
+  return TEMPLATE_NAMES.map(name => ({ name, description: TEMPLATES[name].description }));
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  LOCALES: Object.keys(LOCALES),
+  DEFAULT_LOCALE,
+  UnknownTemplateError,
+  resolveLocale,
+  getBranding,
+  htmlToText,
+  renderEmail,
+  renderPreview,
+  composeMessage,
+  listTemplates
+};
@@ -0,0 +1,75 @@
+// English email copy
+module.exports = {
+  dateLocale: 'en-US',
+
+  common: {
+    greeting: name => `Hi ${name},`,
+    bookingId: id => `Booking ID: #${id}`,
+    minutes: count => `${count} minutes`,
+    service: 'Service',
+    needChange: 'Need to change plans?',
+    reschedule: 'Reschedule',
+    cancel: 'Cancel',
+    or: 'or',
+    yourBooking: 'your booking',
+    manage: 'Manage your booking',
+    contact: email => `Questions? Contact us at ${email}`,
+    tagline: 'AI-Powered Appointment System'
+  },
+
+  confirmation: {
+    subject: ({ brand, bookingId }) => `🚀 Appointment Confirmed - ${brand} #${bookingId}`,
+    heading: bookingId => `✅ Booking Confirmed #${bookingId}`,
+    intro: 'Thank you for your booking! We look forward to seeing you.',
+    analysisHeading: '🤖 AI Analysis Summary',
+    priority: level => `${level} priority`,
+    aiNote: '🤖 This email was intelligently generated using AI',
+    defaultTopic: 'General consultation',
+    // Plain-text confirmation used when the AI can't write one
+    message: ({ name, date, time, duration, topics, customerMessage, highPriority, brand, supportEmail }) => `Dear ${name},
+
+Thank you for booking your appointment with ${brand}!
+
+📅 Appointment Details:
+• Date: ${date}
+• Time: ${time}
+• Duration: ${duration} minutes
+• Type: ${topics}
+
+${customerMessage ? `Your message: "${customerMessage}"` : ''}
+
+${highPriority ? '⚡ High Priority: We have noted the urgency of your request.' : ''}
+
+We look forward to meeting with you! If you need to reschedule or have questions, please contact us at least 24 hours in advance.
+
+Best regards,
+The ${brand} Team
+📧 ${supportEmail}`
+  },
+
+  reschedule: {
+    subject: ({ brand, bookingId }) => `📅 Appointment Rescheduled - ${brand} #${bookingId}`,
+    body: when => `Your appointment has been moved to ${when}.`,
+    anotherChange: 'Need another change?'
+  },
+
+  cancellation: {
+    subject: ({ brand, bookingId }) => `❌ Appointment Cancelled - ${brand} #${bookingId}`,
+    body: when => `Your appointment on ${when} has been cancelled.`,
+    rebook: 'We hope to see you another time.'
+  },
+
+  reminder: {
+    subject: ({ brand, bookingId }) => `⏰ Reminder: your appointment is coming up - ${brand} #${bookingId}`,
+    body: ({ duration, when }) => `This is a friendly reminder of your ${duration}-minute appointment on ${when}.`,
+    cantMakeIt: "Can't make it?"
+  },
+
+  follow_up: {
+    subject: ({ brand, bookingId }) => `🙏 How did it go? - ${brand} #${bookingId}`,
+    body: "Thank you for your recent appointment! We'd love to hear how it went.",
+    feedbackLink: 'Share your feedback',
+    feedbackSuffix: ' - it only takes a minute.',
+    replyForFeedback: 'Simply reply to this email to share your feedback - it only takes a minute.'
+  }
+};
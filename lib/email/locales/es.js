@@ -0,0 +1,74 @@
+// Spanish email copy
+module.exports = {
+  dateLocale: 'es-ES',
+
+  common: {
+    greeting: name => `Hola ${name}:`,
+    bookingId: id => `Reserva n.º ${id}`,
+    minutes: count => `${count} minutos`,
+    service: 'Servicio',
+    needChange: '¿Necesitas cambiar tus planes?',
+    reschedule: 'Cambiar la fecha',
+    cancel: 'Cancelar',
+    or: 'o',
+    yourBooking: 'tu reserva',
+    manage: 'Gestionar tu reserva',
+    contact: email => `¿Preguntas? Escríbenos a ${email}`,
+    tagline: 'Sistema de citas con IA'
+  },
+
+  confirmation: {
+    subject: ({ brand, bookingId }) => `🚀 Cita confirmada - ${brand} n.º ${bookingId}`,
+    heading: bookingId => `✅ Reserva confirmada n.º ${bookingId}`,
+    intro: '¡Gracias por tu reserva! Te esperamos.',
+    analysisHeading: '🤖 Resumen del análisis de IA',
+    priority: level => `Prioridad ${({ high: 'alta', medium: 'media', low: 'baja' })[level] || level}`,
+    aiNote: '🤖 Este correo se ha redactado con ayuda de IA',
+    defaultTopic: 'Consulta general',
+    message: ({ name, date, time, duration, topics, customerMessage, highPriority, brand, supportEmail }) => `Hola ${name}:
+
+¡Gracias por reservar tu cita con ${brand}!
+
+📅 Detalles de la cita:
+• Fecha: ${date}
+• Hora: ${time}
+• Duración: ${duration} minutos
+• Tipo: ${topics}
+
+${customerMessage ? `Tu mensaje: "${customerMessage}"` : ''}
+
+${highPriority ? '⚡ Prioridad alta: hemos tomado nota de la urgencia de tu solicitud.' : ''}
+
+¡Estamos deseando verte! Si necesitas cambiar la cita o tienes alguna pregunta, contáctanos con al menos 24 horas de antelación.
+
+Un saludo,
+El equipo de ${brand}
+📧 ${supportEmail}`
+  },
+
+  reschedule: {
+    subject: ({ brand, bookingId }) => `📅 Cita cambiada - ${brand} n.º ${bookingId}`,
+    body: when => `Tu cita se ha cambiado al ${when}.`,
+    anotherChange: '¿Necesitas otro cambio?'
+  },
+
+  cancellation: {
+    subject: ({ brand, bookingId }) => `❌ Cita cancelada - ${brand} n.º ${bookingId}`,
+    body: when => `Tu cita del ${when} se ha cancelado.`,
+    rebook: 'Esperamos verte en otra ocasión.'
+  },
+
+  reminder: {
+    subject: ({ brand, bookingId }) => `⏰ Recordatorio: tu cita se acerca - ${brand} n.º ${bookingId}`,
+    body: ({ duration, when }) => `Te recordamos tu cita de ${duration} minutos el ${when}.`,
+    cantMakeIt: '¿No puedes asistir?'
+  },
+
+  follow_up: {
+    subject: ({ brand, bookingId }) => `🙏 ¿Qué tal fue? - ${brand} n.º ${bookingId}`,
+    body: '¡Gracias por tu visita! Nos encantaría saber qué tal fue.',
+    feedbackLink: 'Danos tu opinión',
+    feedbackSuffix: ': solo te llevará un minuto.',
+    replyForFeedback: 'Responde a este correo para darnos tu opinión: solo te llevará un minuto.'
+  }
+};
@@ -0,0 +1,74 @@
+// French email copy
+module.exports = {
+  dateLocale: 'fr-FR',
+
+  common: {
+    greeting: name => `Bonjour ${name},`,
+    bookingId: id => `Réservation n° ${id}`,
+    minutes: count => `${count} minutes`,
+    service: 'Prestation',
+    needChange: 'Un changement de programme ?',
+    reschedule: 'Modifier la date',
+    cancel: 'Annuler',
+    or: 'ou',
+    yourBooking: 'votre réservation',
+    manage: 'Gérer votre réservation',
+    contact: email => `Des questions ? Écrivez-nous à ${email}`,
+    tagline: 'Prise de rendez-vous assistée par IA'
+  },
+
+  confirmation: {
+    subject: ({ brand, bookingId }) => `🚀 Rendez-vous confirmé - ${brand} n° ${bookingId}`,
+    heading: bookingId => `✅ Réservation confirmée n° ${bookingId}`,
+    intro: 'Merci pour votre réservation ! Nous avons hâte de vous voir.',
+    analysisHeading: '🤖 Synthèse de l\'analyse IA',
+    priority: level => `Priorité ${({ high: 'haute', medium: 'moyenne', low: 'basse' })[level] || level}`,
+    aiNote: '🤖 Cet e-mail a été rédigé avec l\'aide de l\'IA',
+    defaultTopic: 'Consultation générale',
+    message: ({ name, date, time, duration, topics, customerMessage, highPriority, brand, supportEmail }) => `Bonjour ${name},
+
+Merci d'avoir pris rendez-vous avec ${brand} !
+
+📅 Détails du rendez-vous :
+• Date : ${date}
+• Heure : ${time}
+• Durée : ${duration} minutes
+• Type : ${topics}
+
+${customerMessage ? `Votre message : « ${customerMessage} »` : ''}
+
+${highPriority ? '⚡ Priorité haute : nous avons bien noté l\'urgence de votre demande.' : ''}
+
+Au plaisir de vous rencontrer ! Pour modifier votre rendez-vous ou pour toute question, contactez-nous au moins 24 heures à l'avance.
+
+Cordialement,
+L'équipe ${brand}
+📧 ${supportEmail}`
+  },
+
+  reschedule: {
+    subject: ({ brand, bookingId }) => `📅 Rendez-vous déplacé - ${brand} n° ${bookingId}`,
+    body: when => `Votre rendez-vous a été déplacé au ${when}.`,
+    anotherChange: 'Besoin d\'un autre changement ?'
+  },
+
+  cancellation: {
+    subject: ({ brand, bookingId }) => `❌ Rendez-vous annulé - ${brand} n° ${bookingId}`,
+    body: when => `Votre rendez-vous du ${when} a été annulé.`,
+    rebook: 'Nous espérons vous revoir bientôt.'
+  },
+
+  reminder: {
+    subject: ({ brand, bookingId }) => `⏰ Rappel : votre rendez-vous approche - ${brand} n° ${bookingId}`,
+    body: ({ duration, when }) => `Petit rappel de votre rendez-vous de ${duration} minutes le ${when}.`,
+    cantMakeIt: 'Vous ne pouvez pas venir ?'
+  },
+
+  follow_up: {
+    subject: ({ brand, bookingId }) => `🙏 Comment cela s'est-il passé ? - ${brand} n° ${bookingId}`,
+    body: 'Merci pour votre récent rendez-vous ! Nous aimerions savoir comment cela s\'est passé.',
+    feedbackLink: 'Donnez-nous votre avis',
+    feedbackSuffix: ' : cela ne prend qu\'une minute.',
+    replyForFeedback: 'Répondez simplement à cet e-mail pour nous donner votre avis : cela ne prend qu\'une minute.'
+  }
+};
@@ -0,0 +1,148 @@
+// Named email templates. Each one builds the subject and the body markup for
+// the shared branded layout from the booking variables, the copy for the
+// recipient's locale (t) and the business branding.
+const { html } = require('../sanitize');
+
+const TEXT = 'color: #444; font-size: 15px;';
+const MUTED = 'color: #666; font-size: 14px;';
+
+function link(href, label, brand) {
+  return html`<a href="${href}" style="color: ${brand.primaryColor};">${label}</a>`;
+}
+
+// "Reschedule or cancel your booking" with both manage links
+function manageLinks(vars, t, brand, lead) {
+  return html`<p style="${MUTED}">${lead} ${link(vars.links.reschedule, t.common.reschedule, brand)} ${t.common.or} ${link(vars.links.cancel, t.common.cancel.toLowerCase(), brand)} ${t.common.yourBooking}.</p>`;
+}
+
+const PRIORITY_COLORS = { high: '#ff6b6b', medium: '#4ecdc4', low: '#95a5a6' };
+
+function analysisSummary(analysis, t, brand) {
+  const badge = 'color: white; padding: 8px 12px; border-radius: 20px; font-size: 12px; font-weight: bold;';
+  return html`
+    <div style="background: #f0f4ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+      <h3 style="color: ${brand.primaryColor}; margin: 0 0 15px 0; font-size: 18px;">${t.confirmation.analysisHeading}</h3>
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 15px;">
+        <div style="text-align: center;"><div style="background: ${PRIORITY_COLORS[analysis.priority] || PRIORITY_COLORS.low}; ${badge} text-transform: uppercase;">${t.confirmation.priority(analysis.priority)}</div></div>
+        <div style="text-align: center;"><div style="background: ${brand.primaryColor}; ${badge}">${t.common.minutes(analysis.suggestedDuration)}</div></div>
+        ${analysis.sentiment ? html`<div style="text-align: center;"><div style="background: #51cf66; ${badge}">${analysis.sentiment}</div></div>` : ''}
+      </div>
+    </div>`;
+}
+
+const TEMPLATES = {
+  confirmation: {
+    description: 'Sent when a booking is created, with the AI-written message and a calendar invite',
+    build(vars, t, brand) {
+      const { booking } = vars;
+      return {
+        subject: t.confirmation.subject({ brand: brand.name, bookingId: booking.id }),
+        content: html`
+          <div style="background: linear-gradient(135deg, #f8f9ff 0%, #e3f2fd 100%); padding: 25px; border-radius: 12px; margin: 25px 0; border-left: 5px solid ${brand.primaryColor};">
+            <h2 style="color: #333; margin: 0 0 20px 0; font-size: 22px;">${t.confirmation.heading(booking.id)}</h2>
+            <p style="color: #333; margin: 0 0 20px 0; font-size: 16px; font-weight: bold;">🕐 ${booking.when} (${t.common.minutes(booking.durationMinutes)})</p>
+            ${booking.serviceName ? html`<p style="${TEXT}">${t.common.service}: ${booking.serviceName}</p>` : ''}
+            <div style="white-space: pre-wrap; line-height: 1.8; ${TEXT}">${vars.emailContent || t.confirmation.intro}</div>
+          </div>
+          ${vars.analysis ? analysisSummary(vars.analysis, t, brand) : ''}
+          ${manageLinks(vars, t, brand, `📅 ${t.common.needChange}`)}`,
+        footerNote: vars.aiGenerated ? t.confirmation.aiNote : null
+      };
+    }
+  },
+
+  reschedule: {
+    description: 'Sent when a booking is moved to a new time',
+    build(vars, t, brand) {
+      const { booking } = vars;
+      return {
+        subject: t.reschedule.subject({ brand: brand.name, bookingId: booking.id }),
+        content: html`
+          <p style="${TEXT}">${t.common.greeting(booking.name)}</p>
+          <p style="${TEXT}">${t.reschedule.body(booking.when)} (${t.common.minutes(booking.durationMinutes)})</p>
+          <p style="${MUTED}">${t.reschedule.anotherChange} ${link(vars.links.manage, t.common.manage, brand)}</p>`
+      };
+    }
+  },
+
+  cancellation: {
+    description: 'Sent when a booking is cancelled, with a calendar cancellation',
+    build(vars, t, brand) {
+      const { booking } = vars;
+      return {
+        subject: t.cancellation.subject({ brand: brand.name, bookingId: booking.id }),
+        content: html`
+          <p style="${TEXT}">${t.common.greeting(booking.name)}</p>
+          <p style="${TEXT}">${t.cancellation.body(booking.when)}</p>
+          <p style="${TEXT}">${t.cancellation.rebook}</p>`
+      };
+    }
+  },
+
+  reminder: {
+    description: 'Sent ahead of an appointment by the reminder jobs',
+    build(vars, t, brand) {
+      const { booking } = vars;
+      return {
+        subject: t.reminder.subject({ brand: brand.name, bookingId: booking.id }),
+        content: html`
+          <p style="${TEXT}">${t.common.greeting(booking.name)}</p>
+          <p style="${TEXT}">${t.reminder.body({ duration: booking.durationMinutes, when: booking.when })}</p>
+          ${manageLinks(vars, t, brand, t.reminder.cantMakeIt)}`
+      };
+    }
+  },
+
+  follow_up: {
+    description: 'Sent after an appointment to ask for feedback',
+    build(vars, t, brand) {
+      const { booking } = vars;
+      return {
+        subject: t.follow_up.subject({ brand: brand.name, bookingId: booking.id }),
+        content: html`
+          <p style="${TEXT}">${t.common.greeting(booking.name)}</p>
+          <p style="${TEXT}">${t.follow_up.body}</p>
+          <p style="${TEXT}">${vars.links.feedback
+            ? html`${link(vars.links.feedback, t.follow_up.feedbackLink, brand)}${t.follow_up.feedbackSuffix}`
+            : t.follow_up.replyForFeedback}</p>`
+      };
+    }
+  }
+};
+
+// Branded frame shared by every template
+function layout({ content, footerNote, bookingId }, t, brand) {
+  return html`
+    <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.accentColor} 100%); padding: 20px; border-radius: 15px;">
+      <div style="background: white; padding: 40px; border-radius: 15px; box-shadow: 0 20px 40px rgba(0,0,0,0.1);">
+
+        <!-- Header -->
+        <div style="text-align: center; margin-bottom: 30px;">
+          ${brand.logoUrl ? html`<img src="${brand.logoUrl}" alt="${brand.name}" style="max-height: 60px; margin-bottom: 10px;">` : ''}
+          <h1 style="color: ${brand.primaryColor}; margin: 0; font-size: 28px; font-weight: bold;">${brand.name}</h1>
+          <p style="color: #666; margin: 10px 0 0 0; font-size: 16px;">${brand.tagline || t.common.tagline}</p>
+        </div>
+
+        ${content}
+
+        <!-- Footer -->
+        <div style="text-align: center; margin-top: 40px; padding-top: 25px; border-top: 2px solid #f0f0f0;">
+          <p style="color: #666; font-size: 14px; margin: 0 0 10px 0;">
+            ${footerNote ? html`${footerNote}<br>` : ''}
+            ${brand.supportEmail ? html`${t.common.contact(brand.supportEmail)}<br>` : ''}
+            ${brand.footerText ? html`${brand.footerText}<br>` : ''}
+            ${brand.websiteUrl ? html`<a href="${brand.websiteUrl}" style="color: ${brand.primaryColor};">${brand.websiteUrl}</a>` : ''}
+          </p>
+          <div style="margin-top: 20px;">
+            <span style="background: ${brand.primaryColor}; color: white; padding: 6px 12px; border-radius: 15px; font-size: 12px; font-weight: bold;">${t.common.bookingId(bookingId)}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+module.exports = {
+  TEMPLATES,
+  layout
+};
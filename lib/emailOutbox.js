@@ -0,0 +1,174 @@
+// Transactional email outbox on top of the storage layer (store.emailOutbox;
+// the email_outbox table in Postgres). Messages are written with the caller's
+// repositories, so inside a transaction they commit or roll back together with
+// the change that triggered them. A worker sends due messages with
+// exponential backoff, and every status change is kept in the message's log.
+const os = require('os');
+
+// queued -> sending -> sent; failed once attempts run out; bounced when the
+// server rejects the recipient permanently
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'failed', 'bounced'];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_POLL_INTERVAL_MS, 10) || 15000;
+const BATCH_SIZE = parseInt(process.env.EMAIL_BATCH_SIZE, 10) || 20;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6;
+// Messages stuck in "sending" longer than this belong to a crashed worker
+const STALE_LOCK_MINUTES = 10;
+
+let worker = null;
+let polling = false;
+
+// Queue a message. icalEvent is stored as-is and passed to nodemailer.
+// `repos` is the store, or a transaction's repositories.
+async function enqueueEmail(repos, { to, from, subject, html, text, icalEvent = null, bookingId = null, template = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  return repos.emailOutbox.enqueue({ to, from, subject, html, text, icalEvent, bookingId, template, maxAttempts });
+}
+
+// Exponential backoff: 30s, 1m, 2m, 4m... (capped at 1 hour)
+function getRetryDelaySeconds(attempts) {
+  return Math.min(3600, 30 * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+// SMTP 5xx replies are permanent: retrying won't help
+function isPermanentFailure(error) {
+  return Boolean(error && error.responseCode >= 500 && error.responseCode < 600);
+}
+
+async function markSent(store, message, info = {}) {
+  await store.emailOutbox.markSent(message.id, { providerMessageId: info.messageId || null, detail: info.response || null });
+}
+
+async function markBounced(store, messageId, reason) {
+  return store.emailOutbox.markBounced(messageId, reason || null);
+}
+
+// Failed attempt: back off and retry, or give up once attempts run out
+async function markAttemptFailed(store, message, error) {
+  const exhausted = message.attempts >= message.max_attempts;
+  const delaySeconds = getRetryDelaySeconds(message.attempts);
+
+  await store.emailOutbox.markAttemptFailed(message.id, {
+    status: exhausted ? 'failed' : 'queued',
+    error: error.message,
+    nextAttemptAt: exhausted ? null : new Date(Date.now() + delaySeconds * 1000),
+    detail: exhausted
+      ? `Attempt ${message.attempts} failed, giving up: ${error.message}`
+      : `Attempt ${message.attempts} failed, retrying in ${delaySeconds}s: ${error.message}`
+  });
+}
+
+async function deliverMessage(store, transporter, message) {
+  try {
+    const info = await transporter.sendMail({
+      from: message.sender,
+      to: message.recipient,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      icalEvent: message.ical_event || undefined
+    });
+
+    // Every recipient refused without an exception (some transports report it this way)
+    if (info && info.rejected && info.rejected.length > 0 && !(info.accepted && info.accepted.length > 0)) {
+      await markBounced(store, message.id, `Recipient rejected: ${info.rejected.join(', ')}`);
+      console.error(`📭 Email ${message.id} to ${message.recipient} bounced`);
+      return 'bounced';
+    }
+
+    await markSent(store, message, info);
+    console.log(`📧 Email ${message.id} (${message.template || 'custom'}) sent to ${message.recipient}`);
+    return 'sent';
+  } catch (error) {
+    if (isPermanentFailure(error)) {
+      await markBounced(store, message.id, error.message);
+      console.error(`📭 Email ${message.id} to ${message.recipient} bounced:`, error.message);
+      return 'bounced';
+    }
+
+    await markAttemptFailed(store, message, error);
+    console.error(`❌ Email ${message.id} failed on attempt ${message.attempts}:`, error.message);
+    return 'failed';
+  }
+}
+
+async function processOutbox(store, transporter) {
+  if (polling) return 0;
+  polling = true;
+
+  try {
+    const messages = await store.emailOutbox.claimDue(BATCH_SIZE, { workerId: WORKER_ID, staleMinutes: STALE_LOCK_MINUTES });
+    for (const message of messages) {
+      await deliverMessage(store, transporter, message);
+    }
+    return messages.length;
+  } catch (error) {
+    console.error('Email outbox polling failed:', error);
+    return 0;
+  } finally {
+    polling = false;
+  }
+}
+
+function startWorker(store, transporter) {
+  if (worker) return;
+
+  const timer = setInterval(() => processOutbox(store, transporter), POLL_INTERVAL_MS);
+  timer.unref();
+  worker = { store, transporter, timer };
+  processOutbox(store, transporter);
+  console.log(`✅ Email outbox worker started (${WORKER_ID}, every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+function stopWorker() {
+  if (worker) {
+    clearInterval(worker.timer);
+    worker = null;
+  }
+}
+
+// Send newly queued messages now instead of at the next poll. Call after the
+// transaction that queued them has committed.
+function wake() {
+  if (!worker) return;
+  const { store, transporter } = worker;
+  setImmediate(() => processOutbox(store, transporter));
+}
+
+// businessId undefined lists every message, otherwise only that business's bookings' messages
+async function listMessages(store, { status, bookingId, recipient, businessId, limit = 50, offset = 0 } = {}) {
+  return store.emailOutbox.list({ status, bookingId, recipient, businessId, limit, offset });
+}
+
+// A message with its status log
+async function getMessage(store, messageId) {
+  return store.emailOutbox.findById(messageId);
+}
+
+// Put a failed or bounced message back in the queue to send now
+async function retryMessage(store, messageId) {
+  return store.emailOutbox.retry(messageId);
+}
+
+// Message counts per status (for one business's bookings with businessId)
+async function getStatusCounts(store, { businessId } = {}) {
+  const counts = await store.emailOutbox.countByStatus({ businessId });
+  return Object.fromEntries(MESSAGE_STATUSES.map(status => [status, counts[status] || 0]));
+}
+
+module.exports = {
+  MESSAGE_STATUSES,
+  enqueueEmail,
+  getRetryDelaySeconds,
+  isPermanentFailure,
+  deliverMessage,
+  processOutbox,
+  startWorker,
+  stopWorker,
+  wake,
+  listMessages,
+  getMessage,
+  retryMessage,
+  markBounced,
+  getStatusCounts
+};
@@ -0,0 +1,412 @@
+// Social feeds - the sources the chatbot's social context is built from.
+// Sources are the social_feeds rows (platform-wide or per business) plus
+// X_RSS_FEED_URL, which still works as a platform-wide feed named "X".
+//
+// A background worker refreshes each source's relevant posts into the social
+// cache, using conditional GETs and backing off a failing source. Chat
+// requests only read the cache: stale posts are served straight away while a
+// refresh runs. Fetch state (validators, failures, health) is kept per process.
+const axios = require('axios');
+const parsers = require('./parsers');
+
+// Used when a feed has no keywords of its own (null); [] keeps every post
+const DEFAULT_KEYWORDS = ['calendly', 'booking', 'appointment'];
+const DEFAULT_MAX_ITEMS = 3;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const ACCEPT = 'application/feed+json, application/json;q=0.9, application/atom+xml, application/rss+xml, application/xml;q=0.8, text/xml;q=0.8, */*;q=0.5';
+const POLL_INTERVAL_MS = parseInt(process.env.SOCIAL_FEED_POLL_INTERVAL_MS, 10) || 60000;
+// A failing source waits 1, 2, 4... minutes before its next attempt, up to 6 hours
+const BACKOFF_BASE_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Per-source fetch state in this process, by cache key
+const sourceState = new Map();
+
+let worker = null;
+let polling = false;
+
+function parseIntEnv(name, fallback, env = process.env) {
+  const value = parseInt(env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+// Posts in the chatbot prompt across all sources (SOCIAL_CONTEXT_MAX_POSTS)
+function getContextLimit() {
+  return parseIntEnv('SOCIAL_CONTEXT_MAX_POSTS', 5);
+}
+
+// Cached posts older than this are refreshed (SOCIAL_FEED_REFRESH_MINUTES)
+function getRefreshMinutes() {
+  return parseIntEnv('SOCIAL_FEED_REFRESH_MINUTES', 15);
+}
+
+function getEnvSource(env = process.env) {
+  if (!env.X_RSS_FEED_URL) return null;
+  return {
+    id: null,
+    business_id: null,
+    name: 'X',
+    url: env.X_RSS_FEED_URL,
+    format: 'auto',
+    keywords: null,
+    exclude_keywords: [],
+    max_items: DEFAULT_MAX_ITEMS,
+    enabled: true
+  };
+}
+
+function getCacheKey(source) {
+  return source.id ? `feed:${source.id}` : 'feed:env';
+}
+
+function getState(source) {
+  const key = getCacheKey(source);
+  if (!sourceState.has(key)) {
+    sourceState.set(key, {
+      etag: null,
+      lastModified: null,
+      format: null,
+      title: null,
+      itemCount: null,
+      postsCount: null,
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      failures: 0,
+      nextAttemptAt: null,
+      refreshing: null
+    });
+  }
+  return sourceState.get(key);
+}
+
+// Enabled sources for a business's chatbot (platform-wide ones included)
+async function listSources(store, businessId = null) {
+  const envSource = getEnvSource();
+  const feeds = await store.socialFeeds.listActive(businessId);
+  return envSource ? [envSource, ...feeds] : feeds;
+}
+
+// Every enabled source, whichever business it belongs to
+async function listAllSources(store) {
+  const envSource = getEnvSource();
+  const feeds = (await store.socialFeeds.list()).filter(feed => feed.enabled);
+  return envSource ? [envSource, ...feeds] : feeds;
+}
+
+function normalizeKeywords(keywords) {
+  return (keywords || []).map(keyword => String(keyword).toLowerCase().trim()).filter(Boolean);
+}
+
+function getRules(source) {
+  return {
+    keywords: normalizeKeywords(source.keywords === null || source.keywords === undefined ? DEFAULT_KEYWORDS : source.keywords),
+    excludeKeywords: normalizeKeywords(source.exclude_keywords),
+    maxItems: source.max_items || DEFAULT_MAX_ITEMS
+  };
+}
+
+// Keyword hits in the title count double. A post with an excluded keyword
+// scores -1; without keywords every post scores 0 and is kept.
+function scorePost(post, { keywords, excludeKeywords }) {
+  const title = post.title.toLowerCase();
+  const summary = post.summary.toLowerCase();
+  if (excludeKeywords.some(keyword => title.includes(keyword) || summary.includes(keyword))) return -1;
+
+  return keywords.reduce((score, keyword) =>
+    score + (title.includes(keyword) ? 2 : 0) + (summary.includes(keyword) ? 1 : 0), 0);
+}
+
+// Most relevant first, then newest (undated posts keep their feed order)
+function byRelevance(a, b) {
+  return b.relevance - a.relevance || (b.publishedAt || '').localeCompare(a.publishedAt || '');
+}
+
+// A feed's relevant posts, deduplicated by item key and tagged with the source
+function selectPosts(items, source) {
+  const rules = getRules(source);
+  const seen = new Set();
+  const posts = [];
+
+  items.forEach(item => {
+    if (seen.has(item.key)) return;
+    seen.add(item.key);
+
+    const relevance = scorePost(item, rules);
+    if (relevance < 0 || (rules.keywords.length > 0 && relevance === 0)) return;
+    posts.push({ ...item, feedId: source.id, source: source.name, relevance });
+  });
+
+  return posts.sort(byRelevance).slice(0, rules.maxItems);
+}
+
+// Fetch and parse a source. With an etag/lastModified from an earlier fetch
+// the request is conditional and may come back { notModified: true }.
+// Returns { format, title, itemCount, posts, etag, lastModified }.
+async function fetchSource(source, { etag = null, lastModified = null } = {}) {
+  const headers = {
+    'User-Agent': 'SmartBookingPro/1.0',
+    Accept: ACCEPT
+  };
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  const response = await axios.get(source.url, {
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_FEED_BYTES,
+    responseType: 'text',
+    headers,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+
+  const responseHeaders = response.headers || {};
+  const validators = {
+    etag: responseHeaders.etag || etag,
+    lastModified: responseHeaders['last-modified'] || lastModified
+  };
+  if (response.status === 304) {
+    return { notModified: true, ...validators };
+  }
+
+  const feed = await parsers.parseFeed(response.data, { format: source.format });
+  return {
+    format: feed.format,
+    title: feed.title,
+    itemCount: feed.items.length,
+    posts: selectPosts(feed.items, source),
+    etag: responseHeaders.etag || null,
+    lastModified: responseHeaders['last-modified'] || null
+  };
+}
+
+function getBackoffMs(failures) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), MAX_BACKOFF_MS);
+}
+
+async function runRefresh(store, source, state) {
+  const key = getCacheKey(source);
+  state.lastAttemptAt = new Date();
+
+  try {
+    // Validators only help while we still have the posts they describe
+    const cached = state.etag || state.lastModified ? await store.socialCache.getEntry(key) : null;
+    const fetched = await fetchSource(source, cached ? state : {});
+
+    const result = fetched.notModified
+      ? { ...fetched, format: state.format, title: state.title, itemCount: state.itemCount, posts: cached.posts }
+      : fetched;
+
+    // Saving unchanged posts again marks them fresh
+    try {
+      await store.socialCache.set(key, result.posts);
+    } catch (error) {
+      console.log(`⚠️  Could not cache posts for feed "${source.name}", but the fetch was successful`);
+    }
+
+    Object.assign(state, {
+      etag: result.etag,
+      lastModified: result.lastModified,
+      format: result.format,
+      title: result.title,
+      itemCount: result.itemCount,
+      postsCount: result.posts.length,
+      lastSuccessAt: new Date(),
+      failures: 0,
+      nextAttemptAt: null
+    });
+    return result;
+  } catch (error) {
+    state.failures += 1;
+    state.lastError = error.message;
+    state.lastErrorAt = new Date();
+    state.nextAttemptAt = new Date(Date.now() + getBackoffMs(state.failures));
+    console.error(`⚠️  Feed "${source.name}" (${source.url}) failed (${state.failures} in a row, next try ${state.nextAttemptAt.toISOString()}): ${error.message}`);
+    throw error;
+  }
+}
+
+// Fetch a source now and cache its posts, whatever its backoff. Concurrent
+// calls for the same source share one fetch. Errors are thrown to the caller.
+function refreshSource(store, source) {
+  const state = getState(source);
+  if (!state.refreshing) {
+    state.refreshing = runRefresh(store, source, state).finally(() => {
+      state.refreshing = null;
+    });
+  }
+  return state.refreshing;
+}
+
+// Due when the cached posts are missing or older than the refresh interval,
+// unless the source is backing off after a failure
+function isDue(source, entry, now = Date.now()) {
+  const state = getState(source);
+  if (state.nextAttemptAt && state.nextAttemptAt.getTime() > now) return false;
+  return !entry || now - entry.fetchedAt.getTime() >= getRefreshMinutes() * 60000;
+}
+
+// Worker tick: refresh every due source, one at a time. Returns how many
+// were attempted.
+async function refreshDueSources(store) {
+  if (polling) return 0;
+  polling = true;
+
+  try {
+    let attempted = 0;
+    for (const source of await listAllSources(store)) {
+      const entry = await store.socialCache.getEntry(getCacheKey(source));
+      if (!isDue(source, entry)) continue;
+
+      attempted++;
+      try {
+        await refreshSource(store, source);
+      } catch (error) {
+        // Logged and backed off in runRefresh
+      }
+    }
+    return attempted;
+  } catch (error) {
+    console.error('Social feed refresh failed:', error);
+    return 0;
+  } finally {
+    polling = false;
+  }
+}
+
+// Ask the worker for an early refresh of a source a chat found stale
+function requestRefresh(store, source, entry) {
+  if (!worker || getState(source).refreshing || !isDue(source, entry)) return;
+  setImmediate(() => refreshSource(store, source).catch(() => {}));
+}
+
+// Cached posts for a source, however old. Never waits for a fetch: a missing
+// or stale cache is refreshed in the background.
+async function loadSourcePosts(store, source) {
+  let entry = null;
+  try {
+    entry = await store.socialCache.getEntry(getCacheKey(source));
+  } catch (error) {
+    console.error(`Failed to read cached posts for feed "${source.name}":`, error);
+  }
+
+  requestRefresh(store, source, entry);
+  return entry ? entry.posts : [];
+}
+
+// The same post shared by several sources is kept once (by link, else title)
+function mergePosts(posts, limit) {
+  const seen = new Set();
+  return [...posts]
+    .sort(byRelevance)
+    .filter(post => {
+      const key = post.url || post.title.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+// Posts for a business's chatbot from all of its sources
+async function getPosts(store, { businessId = null, limit = getContextLimit() } = {}) {
+  const sources = await listSources(store, businessId);
+  const results = await Promise.all(sources.map(source => loadSourcePosts(store, source)));
+  return mergePosts(results.flat(), limit);
+}
+
+// Fetch every enabled source now. Returns one result per source:
+// { feedId, name, businessId, itemCount, postsCount, error }
+async function refreshAll(store) {
+  const sources = await listAllSources(store);
+
+  return Promise.all(sources.map(async source => {
+    const summary = { feedId: source.id, name: source.name, businessId: source.business_id };
+    try {
+      const result = await refreshSource(store, source);
+      return { ...summary, itemCount: result.itemCount, postsCount: result.posts.length, error: null };
+    } catch (error) {
+      return { ...summary, itemCount: 0, postsCount: 0, error: error.message };
+    }
+  }));
+}
+
+async function removeFeed(store, feed) {
+  const removed = await store.socialFeeds.remove(feed.id);
+  if (removed) {
+    await store.socialCache.remove(getCacheKey(feed));
+    sourceState.delete(getCacheKey(feed));
+  }
+  return removed;
+}
+
+// For /health: the worker and, per source, how its last fetches went
+// (status 'pending' until this process has fetched it)
+async function getHealth(store) {
+  const sources = await listAllSources(store);
+  return {
+    refresher: worker ? 'running' : 'stopped',
+    refreshMinutes: getRefreshMinutes(),
+    sources: sources.map(source => {
+      const state = getState(source);
+      return {
+        feedId: source.id,
+        name: source.name,
+        businessId: source.business_id,
+        status: state.failures > 0 ? 'failing' : state.lastSuccessAt ? 'ok' : 'pending',
+        lastAttemptAt: state.lastAttemptAt,
+        lastSuccessAt: state.lastSuccessAt,
+        lastError: state.lastError,
+        lastErrorAt: state.lastErrorAt,
+        failures: state.failures,
+        nextAttemptAt: state.nextAttemptAt,
+        itemCount: state.itemCount,
+        postsCount: state.postsCount
+      };
+    })
+  };
+}
+
+function startWorker(store) {
+  if (worker) return;
+
+  const timer = setInterval(() => refreshDueSources(store), POLL_INTERVAL_MS);
+  timer.unref();
+  worker = { store, timer };
+  refreshDueSources(store);
+  console.log(`✅ Social feed refresher started (checks every ${POLL_INTERVAL_MS / 1000}s, refreshes after ${getRefreshMinutes()} min)`);
+}
+
+function stopWorker() {
+  if (worker) {
+    clearInterval(worker.timer);
+    worker = null;
+  }
+}
+
+// Posts as prompt lines: "- Source: Title - summary (link)"
+function formatPosts(posts) {
+  return posts
+    .map(post => `- ${post.source}: ${post.title}${post.summary && post.summary !== post.title ? ` - ${post.summary}` : ''}${post.url ? ` (${post.url})` : ''}`)
+    .join('\n');
+}
+
+module.exports = {
+  DEFAULT_KEYWORDS,
+  DEFAULT_MAX_ITEMS,
+  FeedParseError: parsers.FeedParseError,
+  getCacheKey,
+  listSources,
+  selectPosts,
+  fetchSource,
+  refreshSource,
+  refreshDueSources,
+  getPosts,
+  refreshAll,
+  removeFeed,
+  getHealth,
+  startWorker,
+  stopWorker,
+  formatPosts
+};
@@ -0,0 +1,192 @@
+// Feed parsers - RSS 2.0, Atom and JSON Feed documents normalised into one
+// post shape:
+//   { key, title, summary, url, author, publishedAt }
+// key identifies the item within its feed (guid/id, else link, else title).
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+
+const FORMATS = ['rss', 'atom', 'json'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_SUMMARY_LENGTH = 500;
+
+class FeedParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedParseError';
+  }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Feed text often carries HTML: keep the words only
+function toPlainText(value) {
+  return String(value || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+      }
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Only web links: feeds sometimes carry javascript: or relative URLs
+function toUrl(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(String(value).trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function itemKey(id, url, title, publishedAt) {
+  const source = id || url || `${title}|${publishedAt || ''}`;
+  return crypto.createHash('sha256').update(String(source)).digest('hex').slice(0, 32);
+}
+
+function toPost({ id, title, summary, url, author, published }) {
+  const cleanSummary = truncate(toPlainText(summary), MAX_SUMMARY_LENGTH);
+  const cleanTitle = truncate(toPlainText(title) || cleanSummary.slice(0, 80), MAX_TITLE_LENGTH);
+  const link = toUrl(url);
+  const publishedAt = toDate(published);
+  return {
+    key: itemKey(id && String(id).trim(), link, cleanTitle, publishedAt),
+    title: cleanTitle,
+    summary: cleanSummary,
+    url: link,
+    author: toPlainText(author) || null,
+    publishedAt
+  };
+}
+
+// xml2js gives arrays of strings or { _: text, $: attributes }
+function text(value) {
+  const node = Array.isArray(value) ? value[0] : value;
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return node._ || '';
+  return String(node);
+}
+
+function parseRssItem(item) {
+  const guid = item.guid ? text(item.guid) : '';
+  return toPost({
+    id: guid,
+    title: text(item.title),
+    summary: text(item.description) || text(item['content:encoded']),
+    url: text(item.link) || (/^https?:\/\//.test(guid) ? guid : ''),
+    author: text(item['dc:creator']) || text(item.author),
+    published: text(item.pubDate) || text(item['dc:date'])
+  });
+}
+
+// The "alternate" link (or the first one without a rel)
+function atomLink(links = []) {
+  const candidates = links.map(link => (link && link.$) || {});
+  const alternate = candidates.find(link => !link.rel || link.rel === 'alternate');
+  return alternate ? alternate.href : '';
+}
+
+function parseAtomEntry(entry) {
+  const author = entry.author && entry.author[0];
+  return toPost({
+    id: text(entry.id),
+    title: text(entry.title),
+    summary: text(entry.summary) || text(entry.content),
+    url: atomLink(entry.link),
+    author: author && typeof author === 'object' ? text(author.name) : text(author),
+    published: text(entry.published) || text(entry.updated)
+  });
+}
+
+function parseJsonItem(item) {
+  const author = (Array.isArray(item.authors) && item.authors[0]) || item.author;
+  return toPost({
+    id: item.id,
+    title: item.title,
+    summary: item.summary || item.content_text || item.content_html,
+    url: item.url || item.external_url,
+    author: author && author.name,
+    published: item.date_published || item.date_modified
+  });
+}
+
+function parseJsonFeed(body) {
+  let document = body;
+  if (typeof body === 'string') {
+    try {
+      document = JSON.parse(body);
+    } catch (error) {
+      throw new FeedParseError('Feed is not valid JSON');
+    }
+  }
+  if (!document || !Array.isArray(document.items)) {
+    throw new FeedParseError('JSON Feed has no items array');
+  }
+  return {
+    format: 'json',
+    title: toPlainText(document.title) || null,
+    items: document.items.filter(item => item && typeof item === 'object').map(parseJsonItem)
+  };
+}
+
+async function parseXmlFeed(body, expected) {
+  let document;
+  try {
+    document = await new xml2js.Parser().parseStringPromise(body);
+  } catch (error) {
+    throw new FeedParseError(`Feed is not valid XML: ${error.message.split('\n')[0]}`);
+  }
+
+  if (document && document.rss && expected !== 'atom') {
+    const channel = (document.rss.channel || [])[0] || {};
+    return { format: 'rss', title: text(channel.title) || null, items: (channel.item || []).map(parseRssItem) };
+  }
+  if (document && document.feed && expected !== 'rss') {
+    return { format: 'atom', title: text(document.feed.title) || null, items: (document.feed.entry || []).map(parseAtomEntry) };
+  }
+  throw new FeedParseError(expected ? `Feed is not ${expected === 'rss' ? 'RSS 2.0' : 'Atom'}` : 'Unrecognised feed format');
+}
+
+// Parse a fetched feed body. format 'auto' (or none) detects the format from
+// the body; otherwise the document must be of that format.
+// Returns { format, title, items }.
+async function parseFeed(body, { format = 'auto' } = {}) {
+  const expected = format === 'auto' ? null : format;
+  if (expected && !FORMATS.includes(expected)) {
+    throw new FeedParseError(`Unknown feed format "${format}"`);
+  }
+
+  const looksLikeJson = (body && typeof body === 'object') || /^\s*[{[]/.test(String(body || ''));
+  if (expected === 'json' || (!expected && looksLikeJson)) {
+    return parseJsonFeed(body);
+  }
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new FeedParseError('Feed is empty');
+  }
+  return parseXmlFeed(body, expected);
+}
+
+module.exports = {
+  FORMATS,
+  FeedParseError,
+  toPlainText,
+  parseFeed
+};
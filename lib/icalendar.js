@@ -0,0 +1,132 @@
+// iCalendar (RFC 5545) generation for booking invites and calendar feeds
+
+const timezones = require('./timezones');
+
+const PRODID = '-//Smart Booking Pro//Booking Calendar//EN';
+
+function getUidDomain() {
+  return process.env.ICS_UID_DOMAIN || 'smartbookingpro.com';
+}
+
+// Escape TEXT values (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values are quoted instead of escaped (RFC 5545 3.2)
+function quoteParam(value) {
+  return `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Each reschedule or cancellation is a new revision of the same event
+function getSequence(booking) {
+  return (booking.reschedule_count || 0) + (booking.status === 'cancelled' ? 1 : 0);
+}
+
+function buildEvent(booking, { method = 'REQUEST' } = {}) {
+  const organizer = process.env.EMAIL_USER || 'support@smartbookingpro.com';
+  const cancelled = method === 'CANCEL' || booking.status === 'cancelled';
+  const topics = booking.ai_analysis?.topics?.join(', ');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking.id}@${getUidDomain()}`,
+    `DTSTAMP:${formatUtcDateTime(new Date())}`,
+    `DTSTART:${formatUtcDateTime(timezones.getBookingStart(booking))}`,
+    `DTEND:${formatUtcDateTime(timezones.getBookingEnd(booking))}`,
+    `SEQUENCE:${getSequence(booking)}`,
+    `SUMMARY:${escapeText(`Smart Booking Pro appointment #${booking.id}${topics ? ` - ${topics}` : ''}`)}`,
+    `DESCRIPTION:${escapeText(booking.message ? `Booked by ${booking.name}: ${booking.message}` : `Booked by ${booking.name}`)}`,
+    `ORGANIZER;CN=Smart Booking Pro:mailto:${organizer}`,
+    `ATTENDEE;CN=${quoteParam(booking.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=${cancelled ? 'DECLINED' : 'ACCEPTED'}:mailto:${booking.email}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE'
+  ];
+
+  if (!cancelled) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'DESCRIPTION:Appointment reminder',
+      'TRIGGER:-PT30M',
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function buildCalendar(events, { method, name } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach(eventLines => lines.push(...eventLines));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Single-event invite: REQUEST for new/updated bookings, CANCEL for cancellations
+function buildBookingInvite(booking, method = 'REQUEST') {
+  return buildCalendar([buildEvent(booking, { method })], { method });
+}
+
+// Nodemailer icalEvent option for an invite
+function toMailIcalEvent(booking, method = 'REQUEST') {
+  return {
+    filename: method === 'CANCEL' ? 'cancellation.ics' : 'invite.ics',
+    method,
+    content: buildBookingInvite(booking, method)
+  };
+}
+
+// Subscription feed of many bookings (no METHOD - it is not a scheduling message)
+function buildFeed(bookings, name) {
+  return buildCalendar(bookings.map(booking => buildEvent(booking)), { name });
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildBookingInvite,
+  toMailIcalEvent,
+  buildFeed
+};
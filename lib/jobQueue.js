@@ -0,0 +1,118 @@
+// Persistent job queue on top of the storage layer (store.jobs; the
+// scheduled_jobs table in Postgres). The Postgres storage claims jobs with
+// FOR UPDATE SKIP LOCKED so several instances can poll the same table
+// without running a job twice.
+const os = require('os');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 30000;
+const BATCH_SIZE = parseInt(process.env.JOB_BATCH_SIZE, 10) || 10;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+// Running jobs older than this are assumed to belong to a crashed worker
+const STALE_LOCK_MINUTES = 10;
+
+const handlers = {};
+let pollTimer = null;
+let polling = false;
+
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+// Insert a job, or re-arm the existing one with the same dedupe key.
+// `repos` is the store, or a transaction's repositories.
+async function scheduleJob(repos, { type, runAt, bookingId = null, payload = {}, dedupeKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  return repos.jobs.schedule({ type, runAt, bookingId, payload, dedupeKey, maxAttempts });
+}
+
+async function cancelJobsForBooking(repos, bookingId) {
+  return repos.jobs.cancelForBooking(bookingId);
+}
+
+async function listJobs(store, { status, type, bookingId, limit = 50, offset = 0 } = {}) {
+  return store.jobs.list({ status, type, bookingId, limit, offset });
+}
+
+// Put a failed or cancelled job back in the queue to run now
+async function retryJob(store, jobId) {
+  return store.jobs.retry(jobId);
+}
+
+async function cancelJob(store, jobId) {
+  return store.jobs.cancel(jobId);
+}
+
+// Exponential backoff: 1, 2, 4, 8... minutes (capped at 1 hour)
+function getRetryDelayMinutes(attempts) {
+  return Math.min(60, Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+async function runJob(store, job) {
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type '${job.type}'`);
+    }
+
+    await handler(job);
+    await store.jobs.complete(job.id);
+  } catch (error) {
+    const exhausted = job.attempts >= job.max_attempts;
+    console.error(`❌ Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+    await store.jobs.fail(job.id, {
+      status: exhausted ? 'failed' : 'pending',
+      error: error.message,
+      runAt: exhausted ? null : new Date(Date.now() + getRetryDelayMinutes(job.attempts) * 60000)
+    });
+  }
+}
+
+async function processDueJobs(store) {
+  if (polling) return 0;
+  polling = true;
+
+  try {
+    const jobs = await store.jobs.claimDue(BATCH_SIZE, { workerId: WORKER_ID, staleMinutes: STALE_LOCK_MINUTES });
+    for (const job of jobs) {
+      await runJob(store, job);
+    }
+    return jobs.length;
+  } catch (error) {
+    console.error('Job polling failed:', error);
+    return 0;
+  } finally {
+    polling = false;
+  }
+}
+
+function startWorker(store) {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => processDueJobs(store), POLL_INTERVAL_MS);
+  pollTimer.unref();
+  processDueJobs(store);
+  console.log(`✅ Job worker started (${WORKER_ID}, every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+function stopWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerHandler,
+  scheduleJob,
+  cancelJobsForBooking,
+  listJobs,
+  retryJob,
+  cancelJob,
+  processDueJobs,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,67 @@
+// SMTP transport for outgoing email.
+// SMTP_URL, or SMTP_HOST (+ SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS),
+// point at any SMTP server - e.g. a local sink in development and tests.
+// Without them EMAIL_SERVICE (default "gmail") is used with EMAIL_USER and
+// EMAIL_APP_PASSWORD.
+const nodemailer = require('nodemailer');
+
+function getTransportOptions(env = process.env) {
+  if (env.SMTP_URL) return env.SMTP_URL;
+
+  if (env.SMTP_HOST) {
+    const secure = env.SMTP_SECURE === 'true';
+    const options = {
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+      secure,
+      // Local sinks usually run without TLS
+      ignoreTLS: env.SMTP_IGNORE_TLS === 'true'
+    };
+    if (env.SMTP_USER) {
+      options.auth = { user: env.SMTP_USER, pass: env.SMTP_PASS };
+    }
+    return options;
+  }
+
+  return {
+    service: env.EMAIL_SERVICE || 'gmail',
+    auth: {
+      user: env.EMAIL_USER,
+      pass: env.EMAIL_APP_PASSWORD
+    }
+  };
+}
+
+function createTransport(env = process.env) {
+  return nodemailer.createTransport(getTransportOptions(env));
+}
+
+// Where mail goes, without credentials (for logs and /health)
+function describeTransport(env = process.env) {
+  if (env.SMTP_URL) {
+    try {
+      const url = new URL(env.SMTP_URL);
+      return `smtp ${url.hostname}:${url.port || (url.protocol === 'smtps:' ? 465 : 587)}`;
+    } catch (error) {
+      return 'smtp (invalid SMTP_URL)';
+    }
+  }
+  if (env.SMTP_HOST) {
+    const options = getTransportOptions(env);
+    return `smtp ${options.host}:${options.port}`;
+  }
+  return env.EMAIL_SERVICE || 'gmail';
+}
+
+// "Name <address>" for the From header. EMAIL_FROM overrides the sending address.
+function getSender(name, env = process.env) {
+  const address = env.EMAIL_FROM || env.EMAIL_USER || 'no-reply@smartbookingpro.com';
+  return name ? `${name} <${address}>` : address;
+}
+
+module.exports = {
+  getTransportOptions,
+  createTransport,
+  describeTransport,
+  getSender
+};
@@ -0,0 +1,161 @@
+// Versioned schema migrations.
+// Each file in migrations/ is named <version>_<name>.js and exports up(db) and
+// down(db). Applied versions are recorded in schema_migrations; every
+// migration runs in its own transaction, and an advisory lock keeps two
+// instances booting at once from migrating the same database.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+// Arbitrary key for pg_advisory_lock, shared by every instance of the app
+const LOCK_KEY = 4180018;
+
+// Migration files in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+      return { version: parseInt(version, 10), name, file, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version} (${migrations[index - 1].file}, ${migration.file})`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(db) {
+  const result = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Runs fn with a dedicated client holding the migration lock
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runMigration(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    if (direction === 'up') {
+      await migration.up(client);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+// Every migration with its state: applied, pending, or missing (recorded in
+// the database but its file is gone)
+async function getStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = await withLock(pool, getAppliedMigrations);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return [
+    ...migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      status: appliedByVersion.has(migration.version) ? 'applied' : 'pending',
+      appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+    })),
+    ...applied
+      .filter(row => !known.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at }))
+  ].sort((a, b) => a.version - b.version);
+}
+
+// Apply pending migrations in order, up to and including version `to`.
+// Returns the migrations that were applied.
+async function migrateUp(pool, { to = Infinity, dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, async client => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up');
+      console.log(`⬆️  Applied migration ${migration.file}`);
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Revert the last `steps` applied migrations, or every migration above
+// version `to`. Returns the migrations that were reverted.
+async function migrateDown(pool, { steps = 1, to, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withLock(pool, async client => {
+    const applied = (await getAppliedMigrations(client)).map(row => row.version).reverse();
+    const targets = to !== undefined
+      ? applied.filter(version => version > to)
+      : applied.slice(0, steps);
+
+    const reverted = [];
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Cannot revert migration ${version}: its file is missing`);
+      }
+      if (typeof migration.down !== 'function') {
+        throw new Error(`Migration ${migration.file} cannot be reverted (no down() function)`);
+      }
+      await runMigration(client, migration, 'down');
+      console.log(`⬇️  Reverted migration ${migration.file}`);
+      reverted.push({ version, name: migration.name });
+    }
+    return reverted;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+};
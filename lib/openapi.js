@@ -0,0 +1,185 @@
+// OpenAPI 3 document generated from the request schemas in apiSchemas
+const { ROUTES } = require('./apiSchemas');
+const { ERROR_CODES } = require('./apiErrors');
+
+// Joi describe() output -> JSON Schema (the subset OpenAPI 3.0 understands)
+function toJsonSchema(description) {
+  const { type, flags = {}, rules = [], allow = [], metas = [] } = description;
+  let schema = {};
+
+  if (type === 'object') {
+    schema.type = 'object';
+    if (description.keys) {
+      schema.properties = {};
+      const required = [];
+      Object.keys(description.keys).forEach(key => {
+        const child = description.keys[key];
+        schema.properties[key] = toJsonSchema(child);
+        if (child.flags && child.flags.presence === 'required') required.push(key);
+      });
+      if (required.length > 0) schema.required = required;
+    }
+    if (description.patterns) {
+      schema.additionalProperties = toJsonSchema(description.patterns[0].rule);
+    }
+  } else if (type === 'array') {
+    schema.type = 'array';
+    schema.items = description.items ? toJsonSchema(description.items[0]) : {};
+  } else if (type === 'alternatives') {
+    schema.oneOf = description.matches.map(match => toJsonSchema(match.schema));
+  } else if (type === 'number') {
+    schema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+  } else if (type === 'string' || type === 'boolean') {
+    schema.type = type;
+  } else if (type === 'date') {
+    schema.type = 'string';
+    schema.format = 'date-time';
+  }
+
+  rules.forEach(({ name, args = {} }) => {
+    if (type === 'string') {
+      if (name === 'min') schema.minLength = args.limit;
+      if (name === 'max') schema.maxLength = args.limit;
+      if (name === 'length') schema.minLength = schema.maxLength = args.limit;
+      if (name === 'email') schema.format = 'email';
+      if (name === 'guid') schema.format = 'uuid';
+      if (name === 'hex') schema.pattern = '^[0-9a-fA-F]+$';
+      if (name === 'pattern' && !(args.options && args.options.invert)) {
+        schema.pattern = String(args.regex).replace(/^\/|\/[a-z]*$/g, '');
+      }
+    } else if (type === 'number') {
+      if (name === 'min') schema.minimum = args.limit;
+      if (name === 'max') schema.maximum = args.limit;
+      if (name === 'sign' && args.sign === 'positive') schema.minimum = 1;
+    } else if (type === 'array') {
+      if (name === 'min') schema.minItems = args.limit;
+      if (name === 'max') schema.maxItems = args.limit;
+    }
+  });
+
+  const allowed = allow.filter(value => value !== null);
+  if (flags.only) schema.enum = allowed;
+  if (allow.includes(null)) schema.nullable = true;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+  metas.forEach(meta => Object.assign(schema, meta));
+
+  return schema;
+}
+
+// Express "/bookings/:id/cancel" -> OpenAPI "/bookings/{id}/cancel"
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function toParameters(schema, location) {
+  const { properties = {}, required = [] } = toJsonSchema(schema.describe());
+  return Object.keys(properties).map(name => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: properties[name]
+  }));
+}
+
+const ERROR_RESPONSES = {
+  400: 'Invalid request (VALIDATION_ERROR, INVALID_JSON)',
+  401: 'Authentication required (UNAUTHORIZED, INVALID_TOKEN)',
+  403: 'Not allowed (FORBIDDEN)',
+  404: 'Not found (NOT_FOUND)',
+  500: 'Unexpected failure (INTERNAL_ERROR)'
+};
+
+const SECURITY = {
+  user: [{ bearerAuth: [] }],
+  staff: [{ bearerAuth: [] }],
+  admin: [{ bearerAuth: [] }],
+  manageToken: [{ bearerAuth: [] }, { manageToken: [] }]
+};
+
+function buildOperation(key, route) {
+  const method = key.split(' ')[0];
+  const operation = {
+    summary: route.summary,
+    tags: route.tags,
+    parameters: [
+      ...(route.params ? toParameters(route.params, 'path') : []),
+      ...(route.query ? toParameters(route.query, 'query') : [])
+    ],
+    responses: {
+      [route.status || 200]: { description: 'Success' }
+    }
+  };
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toJsonSchema(route.body.describe()) } }
+    };
+  }
+  if (route.auth) {
+    operation.security = SECURITY[route.auth];
+    operation.description = route.auth === 'manageToken'
+      ? 'Requires a staff token, or the manage-booking token (token field or X-Manage-Token header).'
+      : `Requires a ${route.auth === 'user' ? 'signed-in user' : `${route.auth} account`}.`;
+  }
+
+  const errorStatuses = [500];
+  if (route.body || route.query || route.params || method !== 'GET') errorStatuses.push(400);
+  if (route.auth) errorStatuses.push(401, 403);
+  if (route.params) errorStatuses.push(404);
+  errorStatuses.sort().forEach(status => {
+    operation.responses[status] = {
+      description: ERROR_RESPONSES[status],
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  });
+
+  if (operation.parameters.length === 0) delete operation.parameters;
+  return operation;
+}
+
+function buildOpenApiDocument({ version = '1.0.0', serverUrl } = {}) {
+  const paths = {};
+  Object.keys(ROUTES).forEach(key => {
+    const [method, path] = key.split(' ');
+    const openApiPath = toOpenApiPath(path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method.toLowerCase()] = buildOperation(key, ROUTES[key]);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Smart Booking Pro API',
+      version,
+      description: 'AI-powered appointment booking. Errors use the Error envelope with a machine-readable code.'
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        manageToken: { type: 'apiKey', in: 'header', name: 'X-Manage-Token' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code'],
+          properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            details: {
+              description: 'Extra information, e.g. the failing fields for VALIDATION_ERROR or the clashing bookings for BOOKING_CONFLICT'
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  toJsonSchema,
+  buildOpenApiDocument
+};
@@ -0,0 +1,67 @@
+// Fake provider - in-process checkout sessions for local development and
+// tests. Nothing is charged: buildWebhook() produces the signed callback a
+// real provider would send once the customer pays (or doesn't).
+const crypto = require('crypto');
+const webhooks = require('../webhooks');
+
+const SIGNATURE_HEADER = 'x-fake-payment-signature';
+const EVENT_TYPES = ['paid', 'failed', 'expired'];
+
+// Shared by every instance so webhooks built in tests verify in the app
+const processSecret = crypto.randomBytes(24).toString('hex');
+
+function getSecret() {
+  return process.env.PAYMENT_WEBHOOK_SECRET || processSecret;
+}
+
+// A signed webhook for a session: { body, headers } to POST to /api/payments/webhook
+function buildWebhook(type, sessionId) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown fake payment event: ${type}`);
+  }
+  const body = JSON.stringify({
+    id: `fake_evt_${crypto.randomUUID()}`,
+    type,
+    sessionId,
+    paymentId: type === 'paid' ? `fake_pi_${sessionId}` : null
+  });
+  return { body, headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: webhooks.buildSignatureHeader(getSecret(), body) } };
+}
+
+function create() {
+  const sessions = new Map();
+
+  return {
+    name: 'fake',
+
+    async createCheckout({ payment, booking }) {
+      const sessionId = `fake_cs_${crypto.randomUUID()}`;
+      sessions.set(sessionId, { paymentId: payment.id, bookingId: booking.id, status: 'open' });
+      return { sessionId, url: `https://checkout.fake.test/pay/${sessionId}` };
+    },
+
+    async expireCheckout(sessionId) {
+      const session = sessions.get(sessionId);
+      if (session) session.status = 'expired';
+    },
+
+    async refund({ payment }) {
+      return { refundId: `fake_re_${payment.id}` };
+    },
+
+    parseWebhook(rawBody, headers) {
+      if (!webhooks.verifySignature(getSecret(), rawBody, headers[SIGNATURE_HEADER])) {
+        return null;
+      }
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: EVENT_TYPES.includes(event.type) ? event.type : null,
+        sessionId: event.sessionId,
+        paymentId: event.paymentId || null
+      };
+    }
+  };
+}
+
+module.exports = { create, buildWebhook };
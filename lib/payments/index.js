@@ -0,0 +1,197 @@
+// Payment layer - checkout holds for paid services on top of a pluggable
+// provider (Stripe, or the fake provider for local development and tests).
+//
+// A paid booking is created as pending_payment with a payment row holding the
+// slot until expires_at. The customer pays through the provider's checkout
+// page, and only a verified provider webhook confirms the booking
+// (lib/bookingPayments). Holds that run out are expired and the slot freed.
+const fakeProvider = require('./fake');
+const stripeProvider = require('./stripe');
+const lifecycle = require('../bookingLifecycle');
+
+const HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES, 10) || 30;
+// The fake provider confirms payments nobody made, so it only runs here
+const FAKE_ENVIRONMENTS = ['test', 'development'];
+
+// pending -> paid -> refunded (or refund_failed); pending -> failed, expired
+// or cancelled when the hold ends without a payment
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'expired', 'cancelled', 'refunded', 'refund_failed'];
+
+const providers = {
+  stripe: stripeProvider,
+  fake: fakeProvider
+};
+
+let provider = null;
+
+// No usable provider is configured, or it couldn't start a checkout
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = 503;
+  }
+}
+
+// A webhook that isn't signed by the provider
+class PaymentWebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentWebhookError';
+    this.status = 400;
+  }
+}
+
+// Add a provider: { create() -> { name, createCheckout, expireCheckout, refund, parseWebhook } }.
+// refund({ payment }) resolves to { refundId, paymentId? }.
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+// PAYMENT_PROVIDER picks the provider; without it we use Stripe when a key is
+// set, and the fake provider in test and development. Null when there is none.
+function getProviderName(env = process.env) {
+  if (env.PAYMENT_PROVIDER) return env.PAYMENT_PROVIDER;
+  if (env.STRIPE_SECRET_KEY) return 'stripe';
+  return FAKE_ENVIRONMENTS.includes(env.NODE_ENV) ? 'fake' : null;
+}
+
+// Throws PaymentError when no usable provider is configured, so paid
+// services can't be booked rather than getting fake checkouts
+function getProvider() {
+  if (!provider) {
+    const name = getProviderName();
+    if (!name) {
+      throw new PaymentError('No payment provider configured (set STRIPE_SECRET_KEY or PAYMENT_PROVIDER)');
+    }
+    if (!providers[name]) {
+      throw new PaymentError(`Unknown payment provider: ${name}`);
+    }
+    if (name === 'fake' && !FAKE_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      throw new PaymentError(`The fake payment provider only runs with NODE_ENV ${FAKE_ENVIRONMENTS.join(' or ')}`);
+    }
+    provider = providers[name].create();
+  }
+  return provider;
+}
+
+// For the startup log: the provider in use, or why there is none
+function describeProvider() {
+  try {
+    return { name: getProvider().name, error: null };
+  } catch (error) {
+    return { name: null, error: error.message };
+  }
+}
+
+// What a booking of `service` costs up front, or null when it's free
+function getAmountDue(service) {
+  if (!service || !service.price_cents) return null;
+  return { amountCents: service.price_cents, currency: service.currency || 'USD' };
+}
+
+// Hold the booking's slot for HOLD_MINUTES. `repos` is the store, or the
+// booking transaction's repositories.
+function createHold(repos, booking, { amountCents, currency }) {
+  return repos.payments.create({
+    bookingId: booking.id,
+    provider: getProvider().name,
+    amountCents,
+    currency,
+    expiresAt: new Date(Date.now() + HOLD_MINUTES * 60000)
+  });
+}
+
+// Start the provider's checkout for a hold and save where to send the customer
+async function openCheckout(store, payment, booking, { description }) {
+  let session;
+  try {
+    session = await getProvider().createCheckout({
+      payment,
+      booking,
+      description,
+      successUrl: lifecycle.getManageBookingUrl(booking, 'payment_complete'),
+      cancelUrl: lifecycle.getManageBookingUrl(booking, 'payment_cancelled')
+    });
+  } catch (error) {
+    await store.payments.update(payment.id, { status: 'failed', last_error: error.message });
+    throw new PaymentError(`Could not start checkout: ${error.message}`);
+  }
+  return store.payments.update(payment.id, { provider_session_id: session.sessionId, checkout_url: session.url });
+}
+
+// End an unpaid hold at the provider so a late payment can't go through. A
+// provider failure is only logged: a payment that still arrives is refunded.
+async function closeHold(store, payment, status) {
+  if (payment.provider_session_id) {
+    try {
+      await getProvider().expireCheckout(payment.provider_session_id);
+    } catch (error) {
+      console.error(`⚠️  Could not expire checkout for payment #${payment.id}:`, error.message);
+    }
+  }
+  return store.payments.update(payment.id, { status });
+}
+
+// Refund a paid payment in full. Failures are recorded on the payment
+// (refund_failed) for staff to follow up rather than thrown.
+async function refund(store, payment, { reason } = {}) {
+  try {
+    const { refundId, paymentId } = await getProvider().refund({ payment, reason });
+    console.log(`💸 Payment #${payment.id} for booking #${payment.booking_id} refunded`);
+    return store.payments.update(payment.id, {
+      status: 'refunded',
+      refund_id: refundId,
+      refunded_at: new Date(),
+      provider_payment_id: paymentId || payment.provider_payment_id,
+      last_error: null
+    });
+  } catch (error) {
+    console.error(`❌ Refund for payment #${payment.id} failed:`, error.message);
+    return store.payments.update(payment.id, { status: 'refund_failed', last_error: error.message });
+  }
+}
+
+// Verify and normalize a provider webhook: { id, type, sessionId, paymentId },
+// where type is 'paid', 'failed', 'expired' or null for events we ignore
+function parseWebhook(rawBody, headers) {
+  const event = getProvider().parseWebhook(rawBody, headers);
+  if (!event) {
+    throw new PaymentWebhookError('Invalid payment webhook signature');
+  }
+  return event;
+}
+
+// Payments as the API shows them; the checkout link only while it can be used
+function describePayment(payment) {
+  return {
+    id: payment.id,
+    status: payment.status,
+    provider: payment.provider,
+    amountCents: payment.amount_cents,
+    currency: payment.currency,
+    checkoutUrl: payment.status === 'pending' ? payment.checkout_url : null,
+    expiresAt: payment.expires_at,
+    paidAt: payment.paid_at,
+    refundedAt: payment.refunded_at
+  };
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  PAYMENT_STATUSES,
+  PaymentError,
+  PaymentWebhookError,
+  registerProvider,
+  getProviderName,
+  getProvider,
+  describeProvider,
+  getAmountDue,
+  createHold,
+  openCheckout,
+  closeHold,
+  refund,
+  parseWebhook,
+  describePayment,
+  fake: fakeProvider
+};
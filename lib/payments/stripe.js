@@ -0,0 +1,150 @@
+// Stripe provider - Checkout Sessions for payment, the Refunds API, and
+// Stripe-Signature verification for its webhooks
+const axios = require('axios');
+const crypto = require('crypto');
+
+const API_BASE = 'https://api.stripe.com/v1';
+const TIMEOUT_MS = 15000;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+// Stripe only accepts session expiries 30 minutes to 24 hours ahead; shorter
+// holds are expired from our side when they run out
+const MIN_SESSION_MINUTES = 31;
+
+// Stripe takes form-encoded bodies with bracketed keys (line_items[0][quantity])
+function toForm(params, prefix = '', form = new URLSearchParams()) {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      toForm(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  });
+  return form;
+}
+
+function verifySignature(secret, body, header, now = new Date()) {
+  const parts = String(header || '').split(',').map(part => part.split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1], 10);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0 || Math.abs(now.getTime() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'), 'hex');
+  return signatures.some(signature => {
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+// Stripe events as { type: 'paid' | 'failed' | 'expired' | null, sessionId, paymentId }
+function toPaymentEvent(event) {
+  const session = event.data && event.data.object ? event.data.object : {};
+  const base = { id: event.id, sessionId: session.id, paymentId: session.payment_intent || null };
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      // Delayed methods (bank debits) complete unpaid and settle later
+      return { ...base, type: session.payment_status === 'paid' ? 'paid' : null };
+    case 'checkout.session.async_payment_succeeded':
+      return { ...base, type: 'paid' };
+    case 'checkout.session.async_payment_failed':
+      return { ...base, type: 'failed' };
+    case 'checkout.session.expired':
+      return { ...base, type: 'expired' };
+    default:
+      return { ...base, type: null };
+  }
+}
+
+function create() {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  async function send(path, request) {
+    try {
+      const response = await request();
+      return response.data;
+    } catch (error) {
+      const detail = error.response && error.response.data && error.response.data.error;
+      throw new Error(`Stripe ${path} failed: ${detail ? detail.message : error.message}`);
+    }
+  }
+
+  function call(path, params = {}, idempotencyKey) {
+    const headers = {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    };
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+    return send(path, () => axios.post(`${API_BASE}${path}`, toForm(params).toString(), { headers, timeout: TIMEOUT_MS }));
+  }
+
+  function get(path) {
+    return send(path, () => axios.get(`${API_BASE}${path}`, { headers: { Authorization: `Bearer ${secretKey}` }, timeout: TIMEOUT_MS }));
+  }
+
+  return {
+    name: 'stripe',
+
+    async createCheckout({ payment, booking, description, successUrl, cancelUrl }) {
+      const minimumExpiry = Date.now() + MIN_SESSION_MINUTES * 60000;
+      const expiresAt = Math.max(new Date(payment.expires_at).getTime(), minimumExpiry);
+
+      const session = await call('/checkout/sessions', {
+        mode: 'payment',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        customer_email: booking.email,
+        client_reference_id: String(booking.id),
+        expires_at: Math.floor(expiresAt / 1000),
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency: payment.currency.toLowerCase(),
+            unit_amount: payment.amount_cents,
+            product_data: { name: description }
+          }
+        }],
+        metadata: { booking_id: booking.id, payment_id: payment.id }
+      }, `checkout-${payment.id}`);
+      return { sessionId: session.id, url: session.url };
+    },
+
+    async expireCheckout(sessionId) {
+      await call(`/checkout/sessions/${encodeURIComponent(sessionId)}/expire`);
+    },
+
+    // Payments confirmed without the intent id (it isn't in every webhook)
+    // look it up from their checkout session
+    async refund({ payment, reason }) {
+      let paymentIntent = payment.provider_payment_id;
+      if (!paymentIntent && payment.provider_session_id) {
+        const session = await get(`/checkout/sessions/${encodeURIComponent(payment.provider_session_id)}`);
+        paymentIntent = session.payment_intent || null;
+      }
+      if (!paymentIntent) {
+        throw new Error(`No Stripe payment intent for payment #${payment.id} - refund it from the Stripe dashboard`);
+      }
+
+      const refund = await call('/refunds', {
+        payment_intent: paymentIntent,
+        reason: 'requested_by_customer',
+        metadata: { booking_id: payment.booking_id, payment_id: payment.id, note: reason }
+      }, `refund-${payment.id}`);
+      return { refundId: refund.id, paymentId: paymentIntent };
+    },
+
+    // Returns null when the signature doesn't check out
+    parseWebhook(rawBody, headers) {
+      if (!webhookSecret || !verifySignature(webhookSecret, rawBody, headers['stripe-signature'])) {
+        return null;
+      }
+      return toPaymentEvent(JSON.parse(rawBody));
+    }
+  };
+}
+
+module.exports = { create, verifySignature };
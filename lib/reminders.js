@@ -0,0 +1,73 @@
+// Reminder and follow-up scheduling for bookings (on top of the job queue)
+const jobQueue = require('./jobQueue');
+const timezones = require('./timezones');
+
+const REMINDER_JOB = 'booking_reminder';
+const FOLLOW_UP_JOB = 'booking_follow_up';
+
+// "24h" / "90m" / "2d" -> minutes
+function parseOffset(value) {
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const amount = parseInt(match[1], 10);
+  const unit = match[2].toLowerCase();
+  return amount * (unit === 'd' ? 1440 : unit === 'h' ? 60 : 1);
+}
+
+// REMINDER_OFFSETS: comma separated offsets before the appointment (default "24h,1h")
+function getReminderOffsets() {
+  return (process.env.REMINDER_OFFSETS || '24h,1h')
+    .split(',')
+    .map(offset => offset.trim())
+    .filter(offset => parseOffset(offset) !== null);
+}
+
+// FOLLOW_UP_DELAY: time after the appointment ends (default "2h", "off" to disable)
+function getFollowUpDelay() {
+  const value = process.env.FOLLOW_UP_DELAY || '2h';
+  return value === 'off' ? null : parseOffset(value);
+}
+
+// (Re)create reminder and follow-up jobs for a booking. Pending jobs from a
+// previous slot are cancelled first so a reschedule never leaves stale reminders.
+// `repos` is the store, or a transaction's repositories.
+async function scheduleBookingReminders(repos, booking, now = new Date()) {
+  await jobQueue.cancelJobsForBooking(repos, booking.id);
+
+  const start = timezones.getBookingStart(booking);
+  const scheduled = [];
+
+  for (const offset of getReminderOffsets()) {
+    const runAt = new Date(start.getTime() - parseOffset(offset) * 60000);
+    if (runAt <= now) continue;
+
+    scheduled.push(await jobQueue.scheduleJob(repos, {
+      type: REMINDER_JOB,
+      runAt,
+      bookingId: booking.id,
+      payload: { offset },
+      dedupeKey: `booking:${booking.id}:reminder:${offset}`
+    }));
+  }
+
+  const followUpDelay = getFollowUpDelay();
+  if (followUpDelay !== null) {
+    const end = timezones.getBookingEnd(booking);
+    scheduled.push(await jobQueue.scheduleJob(repos, {
+      type: FOLLOW_UP_JOB,
+      runAt: new Date(end.getTime() + followUpDelay * 60000),
+      bookingId: booking.id,
+      dedupeKey: `booking:${booking.id}:follow_up`
+    }));
+  }
+
+  return scheduled;
+}
+
+module.exports = {
+  REMINDER_JOB,
+  FOLLOW_UP_JOB,
+  parseOffset,
+  getReminderOffsets,
+  scheduleBookingReminders
+};
@@ -0,0 +1,64 @@
+// Request validation middleware backed by the schemas in apiSchemas
+const { ROUTES } = require('./apiSchemas');
+const { sendError } = require('./apiErrors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+// Check one part of a request against its schema outside the middleware
+// (e.g. input arriving another way). Returns { value, details }, with details
+// empty when it is valid.
+function validateInput(routeKey, location, input) {
+  const schema = ROUTES[routeKey] && ROUTES[routeKey][location];
+  if (!schema) {
+    throw new Error(`No request schema for route: ${routeKey} (${location})`);
+  }
+
+  const { value, error } = schema.validate(input || {}, VALIDATION_OPTIONS);
+  const details = error
+    ? error.details.map(detail => ({ location, field: detail.path.join('.'), message: detail.message }))
+    : [];
+  return { value, details };
+}
+
+// Middleware for a route in apiSchemas.ROUTES, e.g. validateRequest('POST /api/create-booking').
+// Replaces params/query/body with the validated (converted, defaulted) values,
+// or answers 400 VALIDATION_ERROR listing every problem.
+function validateRequest(routeKey) {
+  const route = ROUTES[routeKey];
+  if (!route) {
+    throw new Error(`No request schema for route: ${routeKey}`);
+  }
+
+  return (req, res, next) => {
+    const details = [];
+    const validated = {};
+
+    LOCATIONS.forEach(location => {
+      if (!route[location]) return;
+      const result = validateInput(routeKey, location, req[location]);
+      if (result.details.length > 0) {
+        details.push(...result.details);
+      } else {
+        validated[location] = result.value;
+      }
+    });
+
+    if (details.length > 0) {
+      return sendError(res, 'VALIDATION_ERROR', details.map(detail => detail.message).join('; '), details);
+    }
+
+    Object.assign(req, validated);
+    next();
+  };
+}
+
+module.exports = {
+  validateInput,
+  validateRequest
+};
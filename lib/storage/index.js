@@ -0,0 +1,50 @@
+// Storage layer - repositories for bookings, users, refresh tokens, chat
+// interactions, confirmed chatbot actions, social feeds and their cached
+// posts, webhook endpoints and deliveries, payments, the service catalog
+// (businesses, services, staff), chatbot conversations, scheduled jobs, the
+// email outbox, usage events and AI validation failures on top of a pluggable
+// driver (Postgres, or in-memory for local development and tests).
+//
+// Every storage has the same shape:
+//   { driver, db, bookings, users, refreshTokens, chatInteractions, chatActions,
+//     socialCache, socialFeeds, webhookEndpoints, webhookDeliveries, payments,
+//     businesses, services, staff, conversations, jobs, emailOutbox,
+//     usageEvents, aiValidationFailures, transaction(work), ping() }
+// db is the Postgres pool (null in memory), for migrations and the health check.
+const memoryStorage = require('./memory');
+const postgresStorage = require('./postgres');
+
+const DRIVERS = ['postgres', 'memory'];
+
+class StorageConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConfigError';
+  }
+}
+
+// STORAGE_DRIVER picks the driver; without it we use Postgres when a
+// database is configured
+function getDriverName(pool, env = process.env) {
+  return env.STORAGE_DRIVER || (pool ? 'postgres' : 'memory');
+}
+
+function createStorage({ pool = null, driver = getDriverName(pool) } = {}) {
+  if (!DRIVERS.includes(driver)) {
+    throw new StorageConfigError(`Unknown STORAGE_DRIVER "${driver}" (expected ${DRIVERS.join(' or ')})`);
+  }
+  if (driver === 'postgres') {
+    if (!pool) {
+      throw new StorageConfigError('STORAGE_DRIVER=postgres needs a valid DATABASE_URL');
+    }
+    return postgresStorage.create(pool);
+  }
+  return memoryStorage.create();
+}
+
+module.exports = {
+  DRIVERS,
+  StorageConfigError,
+  getDriverName,
+  createStorage
+};
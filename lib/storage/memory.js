@@ -0,0 +1,1297 @@
+// In-memory storage - the same repositories as the Postgres storage, kept in
+// plain arrays, for local development without a database and for tests.
+// Data is lost on restart.
+const availability = require('../availability');
+const timezones = require('../timezones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Values come back the way Postgres returns them: TIME as HH:MM:SS and JSON
+// columns as a fresh copy of the stored value
+function toTime(value) {
+  if (value === null || value === undefined) return null;
+  return /^\d{1,2}:\d{2}$/.test(value) ? `${value}:00` : value;
+}
+
+function toJSON(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function copy(row) {
+  return row ? { ...row } : null;
+}
+
+function copyFeed(row) {
+  return row ? { ...row, keywords: toJSON(row.keywords), exclude_keywords: toJSON(row.exclude_keywords) } : null;
+}
+
+function sameId(a, b) {
+  return String(a) === String(b);
+}
+
+function createBookingRepository(state) {
+  function find(id) {
+    return state.bookings.find(booking => sameId(booking.id, id)) || null;
+  }
+
+  return {
+    async create(booking) {
+      const now = new Date();
+      const row = {
+        id: ++state.sequences.bookings,
+        name: booking.name,
+        email: booking.email,
+        appointment_date: booking.appointment_date,
+        appointment_time: toTime(booking.appointment_time),
+        message: booking.message ?? null,
+        ai_analysis: toJSON(booking.ai_analysis),
+        email_content: booking.email_content ?? null,
+        status: booking.status || 'confirmed',
+        duration_minutes: booking.duration_minutes ?? 30,
+        end_time: toTime(booking.end_time),
+        cancellation_reason: null,
+        cancelled_at: null,
+        reschedule_count: 0,
+        starts_at: booking.starts_at ?? null,
+        ends_at: booking.ends_at ?? null,
+        business_timezone: booking.business_timezone ?? null,
+        customer_timezone: booking.customer_timezone ?? null,
+        created_at: now,
+        updated_at: now,
+        business_id: booking.business_id ?? null,
+        service_id: booking.service_id ?? null,
+        staff_id: booking.staff_id ?? null,
+        locale: booking.locale ?? null
+      };
+      state.bookings.push(row);
+      return copy(row);
+    },
+
+    async findById(id) {
+      return copy(find(id));
+    },
+
+    async update(id, changes) {
+      const row = find(id);
+      if (!row) return null;
+
+      Object.keys(changes).forEach(column => {
+        const value = changes[column];
+        row[column] = ['appointment_time', 'end_time'].includes(column) ? toTime(value)
+          : column === 'ai_analysis' ? toJSON(value)
+            : value;
+      });
+      row.updated_at = new Date();
+      return copy(row);
+    },
+
+    async list({ status, businessId, limit = 50, offset = 0 } = {}) {
+      const matching = state.bookings
+        .filter(booking => (!status || status === 'all' || booking.status === status) &&
+          (businessId === undefined ||
+            (businessId === null ? booking.business_id === null : sameId(booking.business_id, businessId))))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+      return { bookings: matching.slice(offset, offset + limit).map(copy), total: matching.length };
+    },
+
+    // Transactions already run one at a time
+    async lockDate() {},
+
+    async listForDate(date, { excludeId = null, staffId = null, businessId = null } = {}) {
+      return state.bookings
+        .filter(booking => booking.appointment_date === date &&
+          !availability.INACTIVE_STATUSES.includes(booking.status) &&
+          !(excludeId && sameId(booking.id, excludeId)) &&
+          !(staffId && booking.staff_id !== null && !sameId(booking.staff_id, staffId)) &&
+          !(businessId && booking.business_id !== null && !sameId(booking.business_id, businessId)))
+        .map(({ id, appointment_time, end_time, duration_minutes, status }) =>
+          ({ id, appointment_time, end_time, duration_minutes, status }));
+    },
+
+    // Bookings created in [start, end), for analytics
+    async listForAnalytics({ start, end, businessId = null }) {
+      return state.bookings
+        .filter(booking => booking.created_at >= start && booking.created_at < end &&
+          (!businessId || sameId(booking.business_id, businessId)))
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(({ id, email, status, service_id, business_id, ai_analysis, created_at }) =>
+          ({ id, email, status, service_id, business_id, ai_analysis: toJSON(ai_analysis), created_at }));
+    },
+
+    async listForCalendar(user, { since, limit = 500 }) {
+      const staffIds = state.staff.filter(member => sameId(member.user_id, user.id)).map(member => member.id);
+      return state.bookings
+        .filter(booking => booking.starts_at >= since && (staffIds.length > 0
+          ? staffIds.includes(booking.staff_id)
+          : !user.business_id || sameId(booking.business_id, user.business_id)))
+        .sort((a, b) => a.starts_at - b.starts_at)
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async getStats({ timezone, businessId }) {
+      const now = new Date();
+      const today = timezones.utcToZonedTime(now, timezone).date;
+      const weekly = new Map();
+      let todayCount = 0;
+      const bookings = state.bookings.filter(booking => businessId === undefined ||
+        (businessId === null ? booking.business_id === null : sameId(booking.business_id, businessId)));
+
+      bookings.forEach(booking => {
+        const date = timezones.utcToZonedTime(booking.created_at, timezone).date;
+        if (date === today) todayCount++;
+        if (now - booking.created_at <= 7 * DAY_MS) {
+          weekly.set(date, (weekly.get(date) || 0) + 1);
+        }
+      });
+
+      return {
+        total: bookings.length,
+        today: todayCount,
+        weekly: [...weekly.entries()]
+          .sort((a, b) => b[0].localeCompare(a[0]))
+          .map(([date, bookings]) => ({ date, bookings }))
+      };
+    }
+  };
+}
+
+function createUserRepository(state) {
+  function publicFields({ id, email, name, role, business_id, created_at }) {
+    return { id, email, name, role, business_id, created_at };
+  }
+
+  // Emails are unique as stored (like the UNIQUE constraint)
+  function insertOrFind(email) {
+    let row = state.users.find(user => user.email === email);
+    if (!row) {
+      const now = new Date();
+      row = {
+        id: ++state.sequences.users,
+        email,
+        name: null,
+        subscription_tier: 'free',
+        api_calls_used: 0,
+        api_calls_limit: 100,
+        password_hash: null,
+        role: 'customer',
+        calendar_token: null,
+        business_id: null,
+        created_at: now,
+        last_active: now
+      };
+      state.users.push(row);
+    }
+    return row;
+  }
+
+  return {
+    async findById(id) {
+      return copy(state.users.find(user => sameId(user.id, id)));
+    },
+
+    async findByEmail(email) {
+      const needle = email.trim().toLowerCase();
+      return copy(state.users.find(user => user.email.toLowerCase() === needle));
+    },
+
+    async findByCalendarToken(token, roles) {
+      return copy(state.users.find(user => user.calendar_token === token && roles.includes(user.role)));
+    },
+
+    async hasAdmin() {
+      return state.users.some(user => user.role === 'admin');
+    },
+
+    async saveAccount({ email, name = null, passwordHash, role, businessId }) {
+      const row = insertOrFind(email.toLowerCase().trim());
+      row.name = name ?? row.name;
+      row.password_hash = passwordHash;
+      row.role = role;
+      if (businessId !== undefined) row.business_id = businessId || null;
+      return publicFields(row);
+    },
+
+    async recordCustomer(email, name) {
+      const row = insertOrFind(email.toLowerCase().trim());
+      row.name = name ?? row.name;
+      row.last_active = new Date();
+    },
+
+    async touch(id) {
+      const row = state.users.find(user => sameId(user.id, id));
+      if (row) row.last_active = new Date();
+    },
+
+    async setCalendarToken(id, token) {
+      const row = state.users.find(user => sameId(user.id, id));
+      if (row) row.calendar_token = token;
+    },
+
+    async count() {
+      return state.users.length;
+    }
+  };
+}
+
+function createRefreshTokenRepository(state) {
+  return {
+    async create({ userId, tokenHash, ttlDays }) {
+      const now = new Date();
+      state.refreshTokens.push({
+        id: ++state.sequences.refreshTokens,
+        user_id: userId,
+        token_hash: tokenHash,
+        expires_at: new Date(now.getTime() + ttlDays * DAY_MS),
+        revoked_at: null,
+        created_at: now
+      });
+    },
+
+    async consume(tokenHash) {
+      const row = state.refreshTokens.find(token =>
+        token.token_hash === tokenHash && !token.revoked_at && token.expires_at > new Date());
+      if (!row) return null;
+      row.revoked_at = new Date();
+      return row.user_id;
+    },
+
+    async revoke(tokenHash) {
+      state.refreshTokens
+        .filter(token => token.token_hash === tokenHash && !token.revoked_at)
+        .forEach(token => {
+          token.revoked_at = new Date();
+        });
+    }
+  };
+}
+
+function createChatInteractionRepository(state) {
+  return {
+    async record({ userEmail = null, message, response, context = {}, responseTimeMs = null, conversationId = null, injectionSignals = [] }) {
+      state.chatInteractions.push({
+        id: ++state.sequences.chatInteractions,
+        user_email: userEmail,
+        message,
+        response: toJSON(response),
+        context: toJSON(context),
+        response_time_ms: responseTimeMs,
+        conversation_id: conversationId,
+        injection_suspected: injectionSignals.length > 0,
+        injection_signals: toJSON(injectionSignals),
+        created_at: new Date()
+      });
+    },
+
+    // Interactions recorded in [start, end), for analytics
+    async listForAnalytics({ start, end }) {
+      return state.chatInteractions
+        .filter(chat => chat.created_at >= start && chat.created_at < end)
+        .map(({ id, user_email, response_time_ms, created_at }) => ({ id, user_email, response_time_ms, created_at }));
+    },
+
+    async getStats() {
+      const now = new Date();
+      const timed = state.chatInteractions.filter(chat => chat.response_time_ms !== null);
+      const average = timed.length > 0
+        ? timed.reduce((sum, chat) => sum + chat.response_time_ms, 0) / timed.length
+        : 0;
+
+      return {
+        total: state.chatInteractions.length,
+        avgResponseTime: Math.round(average),
+        flagged: state.chatInteractions
+          .filter(chat => chat.injection_suspected && now - chat.created_at <= 7 * DAY_MS).length
+      };
+    }
+  };
+}
+
+function createChatActionRepository(state) {
+  return {
+    async claim({ id, tool, expiresAt }) {
+      const now = new Date();
+      state.chatActions = state.chatActions.filter(action => action.expires_at >= now);
+      if (state.chatActions.some(action => action.id === id)) return false;
+      state.chatActions.push({ id, tool, expires_at: new Date(expiresAt), used_at: now });
+      return true;
+    }
+  };
+}
+
+function createSocialCacheRepository(state) {
+  return {
+    async get(platform, { maxAgeMinutes }) {
+      const entry = state.socialCache.get(platform);
+      if (!entry || Date.now() - entry.fetchedAt >= maxAgeMinutes * 60000) return null;
+      return toJSON(entry.posts);
+    },
+
+    async getEntry(platform) {
+      const entry = state.socialCache.get(platform);
+      return entry ? { posts: toJSON(entry.posts), fetchedAt: new Date(entry.fetchedAt) } : null;
+    },
+
+    async set(platform, posts) {
+      state.socialCache.set(platform, { posts: toJSON(posts), fetchedAt: Date.now() });
+    },
+
+    async remove(platform) {
+      state.socialCache.delete(platform);
+    }
+  };
+}
+
+function createSocialFeedRepository(state) {
+  function sameBusiness(feed, businessId) {
+    return businessId === null ? feed.business_id === null : sameId(feed.business_id, businessId);
+  }
+
+  return {
+    async list({ businessId } = {}) {
+      return state.socialFeeds
+        .filter(feed => businessId === undefined || sameBusiness(feed, businessId))
+        .map(copyFeed);
+    },
+
+    async listActive(businessId = null) {
+      return state.socialFeeds
+        .filter(feed => feed.enabled && (feed.business_id === null || (businessId !== null && sameId(feed.business_id, businessId))))
+        .map(copyFeed);
+    },
+
+    async findById(id) {
+      return copyFeed(state.socialFeeds.find(feed => sameId(feed.id, id)));
+    },
+
+    async findByUrl(url, businessId = null) {
+      return copyFeed(state.socialFeeds.find(feed => feed.url === url && sameBusiness(feed, businessId)));
+    },
+
+    async create({ businessId = null, name, url, format = 'auto', keywords = null, excludeKeywords = [], maxItems = 3, enabled = true }) {
+      const now = new Date();
+      const row = {
+        id: ++state.sequences.socialFeeds,
+        business_id: businessId,
+        name,
+        url,
+        format,
+        keywords: toJSON(keywords),
+        exclude_keywords: toJSON(excludeKeywords),
+        max_items: maxItems,
+        enabled,
+        created_at: now,
+        updated_at: now
+      };
+      state.socialFeeds.push(row);
+      return copyFeed(row);
+    },
+
+    async remove(id) {
+      const index = state.socialFeeds.findIndex(feed => sameId(feed.id, id));
+      if (index === -1) return false;
+      state.socialFeeds.splice(index, 1);
+      return true;
+    }
+  };
+}
+
+function createWebhookEndpointRepository(state) {
+  function copyEndpoint(row) {
+    return row ? { ...row, events: toJSON(row.events) } : null;
+  }
+
+  return {
+    async list({ businessId } = {}) {
+      return state.webhookEndpoints
+        .filter(endpoint => businessId === undefined ||
+          (businessId === null ? endpoint.business_id === null : sameId(endpoint.business_id, businessId)))
+        .map(copyEndpoint);
+    },
+
+    async listForEvent(eventType, businessId = null) {
+      return state.webhookEndpoints
+        .filter(endpoint => endpoint.enabled &&
+          (endpoint.business_id === null || (businessId !== null && sameId(endpoint.business_id, businessId))) &&
+          (endpoint.events.includes(eventType) || endpoint.events.includes('*')))
+        .map(copyEndpoint);
+    },
+
+    async findById(id) {
+      return copyEndpoint(state.webhookEndpoints.find(endpoint => sameId(endpoint.id, id)));
+    },
+
+    async create({ businessId = null, url, description = null, secret, events = ['*'], enabled = true }) {
+      const now = new Date();
+      const row = {
+        id: ++state.sequences.webhookEndpoints,
+        business_id: businessId,
+        url,
+        description,
+        secret,
+        events: toJSON(events),
+        enabled,
+        created_at: now,
+        updated_at: now
+      };
+      state.webhookEndpoints.push(row);
+      return copyEndpoint(row);
+    },
+
+    // Deliveries go with their endpoint (ON DELETE CASCADE)
+    async remove(id) {
+      const index = state.webhookEndpoints.findIndex(endpoint => sameId(endpoint.id, id));
+      if (index === -1) return false;
+      state.webhookEndpoints.splice(index, 1);
+      const removed = new Set(state.webhookDeliveries.filter(delivery => sameId(delivery.endpoint_id, id)).map(delivery => delivery.id));
+      state.webhookDeliveries = state.webhookDeliveries.filter(delivery => !removed.has(delivery.id));
+      state.webhookAttempts = state.webhookAttempts.filter(attempt => !removed.has(attempt.delivery_id));
+      return true;
+    }
+  };
+}
+
+function createWebhookDeliveryRepository(state) {
+  function find(id) {
+    return state.webhookDeliveries.find(delivery => sameId(delivery.id, id)) || null;
+  }
+
+  function copyDelivery(row) {
+    return row ? { ...row, payload: toJSON(row.payload) } : null;
+  }
+
+  function lock(row) {
+    row.status = 'sending';
+    row.attempts += 1;
+    row.locked_at = new Date();
+    row.updated_at = row.locked_at;
+    return copyDelivery(row);
+  }
+
+  return {
+    async create({ endpointId, eventId, eventType, payload, maxAttempts, replayOf = null }) {
+      const now = new Date();
+      const row = {
+        id: ++state.sequences.webhookDeliveries,
+        endpoint_id: endpointId,
+        event_id: eventId,
+        event_type: eventType,
+        payload: toJSON(payload),
+        status: 'queued',
+        attempts: 0,
+        max_attempts: maxAttempts,
+        next_attempt_at: now,
+        last_status_code: null,
+        last_error: null,
+        locked_at: null,
+        delivered_at: null,
+        replay_of: replayOf,
+        created_at: now,
+        updated_at: now
+      };
+      state.webhookDeliveries.push(row);
+      return copyDelivery(row);
+    },
+
+    async claimDue(limit, { staleMinutes }) {
+      const now = new Date();
+      return state.webhookDeliveries
+        .filter(delivery => (delivery.status === 'queued' && delivery.next_attempt_at <= now) ||
+          (delivery.status === 'sending' && now - delivery.locked_at > staleMinutes * 60000))
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+        .slice(0, limit)
+        .map(lock);
+    },
+
+    async claim(id) {
+      const row = find(id);
+      return row && row.status === 'queued' ? lock(row) : null;
+    },
+
+    async finishAttempt(delivery, { status, statusCode = null, error = null, responseBody = null, durationMs = null, nextAttemptAt = null }) {
+      const row = find(delivery.id);
+      if (!row) return null;
+
+      const now = new Date();
+      Object.assign(row, {
+        status,
+        last_status_code: statusCode,
+        last_error: error,
+        locked_at: null,
+        next_attempt_at: nextAttemptAt || row.next_attempt_at,
+        delivered_at: status === 'delivered' ? now : row.delivered_at,
+        updated_at: now
+      });
+      state.webhookAttempts.push({
+        delivery_id: row.id,
+        attempt: delivery.attempts,
+        status_code: statusCode,
+        error,
+        response_body: responseBody,
+        duration_ms: durationMs,
+        created_at: now
+      });
+      return copyDelivery(row);
+    },
+
+    async list({ endpointId, status, eventType, limit = 50, offset = 0 } = {}) {
+      const matching = state.webhookDeliveries
+        .filter(delivery => (endpointId === undefined || endpointId === null || sameId(delivery.endpoint_id, endpointId)) &&
+          (!status || delivery.status === status) &&
+          (!eventType || delivery.event_type === eventType))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+      return { deliveries: matching.slice(offset, offset + limit).map(copyDelivery), total: matching.length };
+    },
+
+    async findById(id) {
+      const row = find(id);
+      if (!row) return null;
+      return {
+        ...copyDelivery(row),
+        attempt_log: state.webhookAttempts
+          .filter(attempt => attempt.delivery_id === row.id)
+          .map(({ delivery_id, ...attempt }) => ({ ...attempt }))
+      };
+    }
+  };
+}
+
+function createPaymentRepository(state) {
+  function find(id) {
+    return state.payments.find(payment => sameId(payment.id, id)) || null;
+  }
+
+  return {
+    async create({ bookingId, provider, amountCents, currency, expiresAt }) {
+      const now = new Date();
+      const row = {
+        id: ++state.sequences.payments,
+        booking_id: bookingId,
+        provider,
+        provider_session_id: null,
+        provider_payment_id: null,
+        checkout_url: null,
+        amount_cents: amountCents,
+        currency,
+        status: 'pending',
+        expires_at: expiresAt,
+        paid_at: null,
+        refund_id: null,
+        refunded_at: null,
+        last_error: null,
+        created_at: now,
+        updated_at: now
+      };
+      state.payments.push(row);
+      return copy(row);
+    },
+
+    async update(id, changes) {
+      const row = find(id);
+      if (!row) return null;
+      Object.assign(row, changes, { updated_at: new Date() });
+      return copy(row);
+    },
+
+    async findById(id) {
+      return copy(find(id));
+    },
+
+    async findLatestForBooking(bookingId) {
+      const matching = state.payments.filter(payment => sameId(payment.booking_id, bookingId));
+      return copy(matching[matching.length - 1]);
+    },
+
+    async findBySession(provider, sessionId) {
+      return copy(state.payments.find(payment => payment.provider === provider && payment.provider_session_id === sessionId));
+    },
+
+    async listExpiredHolds(now = new Date(), limit = 50) {
+      return state.payments
+        .filter(payment => payment.status === 'pending' && payment.expires_at <= now)
+        .sort((a, b) => a.expires_at - b.expires_at)
+        .slice(0, limit)
+        .map(copy);
+    }
+  };
+}
+
+// Catalog rows start from the column defaults in the schema
+const CATALOG_DEFAULTS = {
+  businesses: {
+    email: null, timezone: 'UTC', working_hours: null, breaks: null, buffer_minutes: null,
+    branding: null, locale: null, active: true
+  },
+  services: {
+    description: null, duration_minutes: 30, price_cents: 0, currency: 'USD', buffer_minutes: null,
+    keywords: [], active: true
+  },
+  staff: { user_id: null, email: null, title: null, active: true }
+};
+
+const CATALOG_JSON_COLUMNS = ['working_hours', 'breaks', 'branding', 'keywords'];
+
+function copyCatalogRow(row) {
+  if (!row) return null;
+  const copied = { ...row };
+  CATALOG_JSON_COLUMNS.forEach(column => {
+    if (column in copied) copied[column] = toJSON(copied[column]);
+  });
+  return copied;
+}
+
+function insertCatalogRow(state, table, columns) {
+  const now = new Date();
+  const row = {
+    id: ++state.sequences[table],
+    ...CATALOG_DEFAULTS[table],
+    ...copyCatalogRow(columns),
+    created_at: now,
+    updated_at: now
+  };
+  state[table].push(row);
+  return copyCatalogRow(row);
+}
+
+function updateCatalogRow(state, table, id, columns) {
+  const row = state[table].find(existing => sameId(existing.id, id));
+  if (!row) return null;
+  if (Object.keys(columns).length > 0) {
+    Object.assign(row, copyCatalogRow(columns), { updated_at: new Date() });
+  }
+  return copyCatalogRow(row);
+}
+
+function createBusinessRepository(state) {
+  // Fails like the UNIQUE constraint on businesses.slug
+  function assertUniqueSlug(slug, id = null) {
+    if (slug !== undefined && state.businesses.some(business => business.slug === slug && !sameId(business.id, id))) {
+      throw Object.assign(new Error('duplicate key value violates unique constraint "businesses_slug_key"'), { code: '23505' });
+    }
+  }
+
+  return {
+    async list({ includeInactive = false } = {}) {
+      return state.businesses.filter(business => includeInactive || business.active).map(copyCatalogRow);
+    },
+
+    async findById(id) {
+      return copyCatalogRow(state.businesses.find(business => sameId(business.id, id)));
+    },
+
+    async findBySlug(slug) {
+      return copyCatalogRow(state.businesses.find(business => business.slug === slug));
+    },
+
+    async findDefault() {
+      const active = state.businesses.filter(business => business.active);
+      return copyCatalogRow(active.find(business => business.slug === 'default') || active[0]);
+    },
+
+    async create(columns) {
+      assertUniqueSlug(columns.slug);
+      return insertCatalogRow(state, 'businesses', columns);
+    },
+
+    async update(id, columns) {
+      assertUniqueSlug(columns.slug, id);
+      return updateCatalogRow(state, 'businesses', id, columns);
+    }
+  };
+}
+
+function createServiceRepository(state) {
+  return {
+    async list(businessId, { includeInactive = false } = {}) {
+      return state.services
+        .filter(service => sameId(service.business_id, businessId) && (includeInactive || service.active))
+        .map(copyCatalogRow);
+    },
+
+    async listByIds(ids) {
+      return state.services.filter(service => ids.some(id => sameId(service.id, id))).map(copyCatalogRow);
+    },
+
+    async findById(id) {
+      return copyCatalogRow(state.services.find(service => sameId(service.id, id)));
+    },
+
+    async create(columns) {
+      return insertCatalogRow(state, 'services', columns);
+    },
+
+    async update(id, columns) {
+      return updateCatalogRow(state, 'services', id, columns);
+    }
+  };
+}
+
+function createStaffRepository(state) {
+  function serviceIds(staffId) {
+    return state.staffServices.filter(link => link.staff_id === staffId).map(link => link.service_id);
+  }
+
+  return {
+    async list(businessId, { includeInactive = false } = {}) {
+      return state.staff
+        .filter(staff => sameId(staff.business_id, businessId) && (includeInactive || staff.active))
+        .map(staff => ({ ...copy(staff), service_ids: serviceIds(staff.id) }));
+    },
+
+    async findById(id) {
+      return copy(state.staff.find(staff => sameId(staff.id, id)));
+    },
+
+    async create(columns) {
+      return insertCatalogRow(state, 'staff', columns);
+    },
+
+    async update(id, columns) {
+      return updateCatalogRow(state, 'staff', id, columns);
+    },
+
+    async setServices(staffId, ids) {
+      const staff = state.staff.find(row => sameId(row.id, staffId));
+      state.staffServices = state.staffServices.filter(link => !staff || link.staff_id !== staff.id);
+      if (!staff) return;
+      state.services
+        .filter(service => service.business_id === staff.business_id && ids.some(id => sameId(service.id, id)))
+        .forEach(service => state.staffServices.push({ staff_id: staff.id, service_id: service.id }));
+    },
+
+    async listEligible(service) {
+      const assigned = state.staffServices
+        .filter(link => sameId(link.service_id, service.id))
+        .map(link => link.staff_id);
+      return state.staff
+        .filter(staff => sameId(staff.business_id, service.business_id) && staff.active &&
+          (assigned.length === 0 || assigned.includes(staff.id)))
+        .map(copy);
+    }
+  };
+}
+
+function createConversationRepository(state) {
+  function copyConversation(row) {
+    return row ? { ...row, metadata: toJSON(row.metadata) } : null;
+  }
+
+  function copyMessage(row) {
+    return { ...row, metadata: toJSON(row.metadata) };
+  }
+
+  function touch(id) {
+    const row = state.conversations.find(conversation => conversation.id === id);
+    if (row) row.updated_at = new Date();
+  }
+
+  return {
+    async create({ id, businessId = null, userEmail = null, metadata = {} }) {
+      const now = new Date();
+      const row = {
+        id,
+        business_id: businessId,
+        user_email: userEmail,
+        metadata: toJSON(metadata || {}),
+        summary: null,
+        summarized_until: 0,
+        created_at: now,
+        updated_at: now
+      };
+      state.conversations.push(row);
+      return copyConversation(row);
+    },
+
+    async findById(id) {
+      return copyConversation(state.conversations.find(conversation => conversation.id === id));
+    },
+
+    async list({ businessId, userEmail, limit = 50, offset = 0 } = {}) {
+      const rows = state.conversations
+        .filter(conversation => businessId === undefined ||
+          (businessId === null ? conversation.business_id === null : sameId(conversation.business_id, businessId)))
+        .filter(conversation => !userEmail ||
+          String(conversation.user_email || '').toLowerCase() === userEmail.toLowerCase())
+        .map(conversation => {
+          const messages = state.conversationMessages.filter(message => message.conversation_id === conversation.id);
+          return {
+            ...copyConversation(conversation),
+            message_count: messages.length,
+            last_message_at: messages.length > 0 ? messages[messages.length - 1].created_at : null
+          };
+        })
+        .sort((a, b) => (b.last_message_at || b.created_at) - (a.last_message_at || a.created_at));
+      return { conversations: rows.slice(offset, offset + limit), total: rows.length };
+    },
+
+    async addMessage(conversationId, { role, content, metadata = {} }) {
+      const row = {
+        id: ++state.sequences.conversationMessages,
+        conversation_id: conversationId,
+        role,
+        content,
+        metadata: toJSON(metadata || {}),
+        created_at: new Date()
+      };
+      state.conversationMessages.push(row);
+      touch(conversationId);
+      return copyMessage(row);
+    },
+
+    async listMessages(conversationId, { afterId = 0 } = {}) {
+      return state.conversationMessages
+        .filter(message => message.conversation_id === conversationId && message.id > afterId)
+        .map(copyMessage);
+    },
+
+    async saveSummary(id, { summary, summarizedUntil }) {
+      const row = state.conversations.find(conversation => conversation.id === id);
+      if (!row) return;
+      row.summary = summary;
+      row.summarized_until = summarizedUntil;
+      row.updated_at = new Date();
+    }
+  };
+}
+
+function createJobRepository(state) {
+  function find(id) {
+    return state.jobs.find(job => sameId(job.id, id)) || null;
+  }
+
+  function copyJob(row) {
+    return row ? { ...row, payload: toJSON(row.payload) } : null;
+  }
+
+  return {
+    async schedule({ type, runAt, bookingId = null, payload = {}, dedupeKey = null, maxAttempts }) {
+      const now = new Date();
+      const existing = dedupeKey ? state.jobs.find(job => job.dedupe_key === dedupeKey) : null;
+      if (existing) {
+        Object.assign(existing, {
+          run_at: new Date(runAt),
+          payload: toJSON(payload),
+          status: 'pending',
+          attempts: 0,
+          last_error: null,
+          completed_at: null,
+          updated_at: now
+        });
+        return copyJob(existing);
+      }
+
+      const row = {
+        id: ++state.sequences.jobs,
+        type,
+        dedupe_key: dedupeKey,
+        booking_id: bookingId,
+        payload: toJSON(payload),
+        run_at: new Date(runAt),
+        status: 'pending',
+        attempts: 0,
+        max_attempts: maxAttempts,
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: null,
+        created_at: now,
+        updated_at: now
+      };
+      state.jobs.push(row);
+      return copyJob(row);
+    },
+
+    async cancelForBooking(bookingId) {
+      const pending = state.jobs.filter(job => sameId(job.booking_id, bookingId) && job.status === 'pending');
+      pending.forEach(job => {
+        job.status = 'cancelled';
+        job.updated_at = new Date();
+      });
+      return pending.length;
+    },
+
+    async list({ status, type, bookingId, limit = 50, offset = 0 } = {}) {
+      const rows = state.jobs
+        .filter(job => (!status || job.status === status) && (!type || job.type === type) &&
+          (!bookingId || sameId(job.booking_id, bookingId)))
+        .sort((a, b) => a.run_at - b.run_at);
+      return { jobs: rows.slice(offset, offset + limit).map(copyJob), total: rows.length };
+    },
+
+    async retry(id) {
+      const row = find(id);
+      if (!row || !['failed', 'cancelled'].includes(row.status)) return null;
+      const now = new Date();
+      Object.assign(row, { status: 'pending', attempts: 0, last_error: null, run_at: now, updated_at: now });
+      return copyJob(row);
+    },
+
+    async cancel(id) {
+      const row = find(id);
+      if (!row || row.status !== 'pending') return null;
+      Object.assign(row, { status: 'cancelled', updated_at: new Date() });
+      return copyJob(row);
+    },
+
+    async claimDue(limit, { workerId, staleMinutes }) {
+      const now = new Date();
+      return state.jobs
+        .filter(job => (job.status === 'pending' && job.run_at <= now) ||
+          (job.status === 'running' && now - job.locked_at > staleMinutes * 60000))
+        .sort((a, b) => a.run_at - b.run_at)
+        .slice(0, limit)
+        .map(job => {
+          Object.assign(job, { status: 'running', attempts: job.attempts + 1, locked_by: workerId, locked_at: now, updated_at: now });
+          return copyJob(job);
+        });
+    },
+
+    async complete(id) {
+      const row = find(id);
+      if (!row) return;
+      const now = new Date();
+      Object.assign(row, { status: 'completed', completed_at: now, locked_by: null, locked_at: null, updated_at: now });
+    },
+
+    async fail(id, { status, error, runAt = null }) {
+      const row = find(id);
+      if (!row) return;
+      Object.assign(row, {
+        status,
+        last_error: error,
+        locked_by: null,
+        locked_at: null,
+        run_at: runAt ? new Date(runAt) : row.run_at,
+        updated_at: new Date()
+      });
+    }
+  };
+}
+
+const OUTBOX_LIST_COLUMNS = [
+  'id', 'booking_id', 'template', 'recipient', 'subject', 'status', 'attempts', 'max_attempts',
+  'next_attempt_at', 'last_error', 'provider_message_id', 'sent_at', 'created_at', 'updated_at'
+];
+
+function createEmailOutboxRepository(state) {
+  function find(id) {
+    return state.emailOutbox.find(message => sameId(message.id, id)) || null;
+  }
+
+  function copyMessage(row) {
+    return row ? { ...row, ical_event: toJSON(row.ical_event) } : null;
+  }
+
+  // Messages about a business's bookings (businessId null: bookings without one)
+  function inBusiness(message, businessId) {
+    if (businessId === undefined) return true;
+    const booking = state.bookings.find(row => sameId(row.id, message.booking_id));
+    if (!booking) return false;
+    return businessId === null ? booking.business_id === null : sameId(booking.business_id, businessId);
+  }
+
+  function logEvent(messageId, status, detail = null) {
+    state.emailOutboxEvents.push({
+      id: ++state.sequences.emailOutboxEvents,
+      message_id: messageId,
+      status,
+      detail,
+      created_at: new Date()
+    });
+  }
+
+  return {
+    async enqueue({ to, from, subject, html, text, icalEvent = null, bookingId = null, template = null, maxAttempts }) {
+      const now = new Date();
+      const row = {
+        id: ++state.sequences.emailOutbox,
+        booking_id: bookingId,
+        template,
+        recipient: to,
+        sender: from,
+        subject,
+        html: html ?? null,
+        text: text ?? null,
+        ical_event: toJSON(icalEvent),
+        status: 'queued',
+        attempts: 0,
+        max_attempts: maxAttempts,
+        next_attempt_at: now,
+        last_error: null,
+        provider_message_id: null,
+        locked_by: null,
+        locked_at: null,
+        sent_at: null,
+        created_at: now,
+        updated_at: now
+      };
+      state.emailOutbox.push(row);
+      logEvent(row.id, 'queued');
+      return copyMessage(row);
+    },
+
+    async claimDue(limit, { workerId, staleMinutes }) {
+      const now = new Date();
+      return state.emailOutbox
+        .filter(message => (message.status === 'queued' && message.next_attempt_at <= now) ||
+          (message.status === 'sending' && now - message.locked_at > staleMinutes * 60000))
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+        .slice(0, limit)
+        .map(message => {
+          Object.assign(message, { status: 'sending', attempts: message.attempts + 1, locked_by: workerId, locked_at: now, updated_at: now });
+          return copyMessage(message);
+        });
+    },
+
+    async markSent(id, { providerMessageId = null, detail = null } = {}) {
+      const row = find(id);
+      if (!row) return;
+      const now = new Date();
+      Object.assign(row, {
+        status: 'sent',
+        provider_message_id: providerMessageId,
+        last_error: null,
+        sent_at: now,
+        locked_by: null,
+        locked_at: null,
+        updated_at: now
+      });
+      logEvent(row.id, 'sent', detail);
+    },
+
+    async markBounced(id, reason = null) {
+      const row = find(id);
+      if (!row) return null;
+      Object.assign(row, { status: 'bounced', last_error: reason, locked_by: null, locked_at: null, updated_at: new Date() });
+      logEvent(row.id, 'bounced', reason);
+      return copyMessage(row);
+    },
+
+    async markAttemptFailed(id, { status, error, nextAttemptAt = null, detail }) {
+      const row = find(id);
+      if (!row) return;
+      Object.assign(row, {
+        status,
+        last_error: error,
+        locked_by: null,
+        locked_at: null,
+        next_attempt_at: nextAttemptAt ? new Date(nextAttemptAt) : row.next_attempt_at,
+        updated_at: new Date()
+      });
+      logEvent(row.id, 'failed', detail);
+    },
+
+    async list({ status, bookingId, recipient, businessId, limit = 50, offset = 0 } = {}) {
+      const rows = state.emailOutbox
+        .filter(message => (!status || message.status === status) &&
+          (!bookingId || sameId(message.booking_id, bookingId)) &&
+          (!recipient || message.recipient.toLowerCase() === recipient.toLowerCase()) &&
+          inBusiness(message, businessId))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+      // The list leaves out the bodies, as the Postgres query does
+      const messages = rows.slice(offset, offset + limit)
+        .map(message => Object.fromEntries(OUTBOX_LIST_COLUMNS.map(column => [column, message[column]])));
+      return { messages, total: rows.length };
+    },
+
+    async findById(id) {
+      const row = find(id);
+      if (!row) return null;
+      const events = state.emailOutboxEvents
+        .filter(event => event.message_id === row.id)
+        .map(({ status, detail, created_at }) => ({ status, detail, created_at }));
+      return { ...copyMessage(row), events };
+    },
+
+    async retry(id) {
+      const row = find(id);
+      if (!row || !['failed', 'bounced'].includes(row.status)) return null;
+      const now = new Date();
+      Object.assign(row, { status: 'queued', attempts: 0, last_error: null, next_attempt_at: now, updated_at: now });
+      logEvent(row.id, 'queued', 'Manual retry');
+      return copyMessage(row);
+    },
+
+    async countByStatus({ businessId } = {}) {
+      const counts = {};
+      state.emailOutbox.filter(message => inBusiness(message, businessId)).forEach(message => {
+        counts[message.status] = (counts[message.status] || 0) + 1;
+      });
+      return counts;
+    }
+  };
+}
+
+function createUsageEventRepository(state) {
+  function since(userId, start) {
+    return state.usageEvents.filter(event => sameId(event.user_id, userId) && event.created_at >= start);
+  }
+
+  function sum(events) {
+    return {
+      requests: events.length,
+      tokens: events.reduce((total, event) => total + event.input_tokens + event.output_tokens, 0)
+    };
+  }
+
+  return {
+    async record({ userId = null, ip = null, endpoint, statusCode = null, inputTokens = 0, outputTokens = 0 }) {
+      state.usageEvents.push({
+        id: ++state.sequences.usageEvents,
+        user_id: userId,
+        ip,
+        endpoint,
+        status_code: statusCode,
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        created_at: new Date()
+      });
+    },
+
+    async totals(userId, { dailyStart, monthlyStart }) {
+      return { daily: sum(since(userId, dailyStart)), monthly: sum(since(userId, monthlyStart)) };
+    },
+
+    async listByEndpoint(userId, start) {
+      const byEndpoint = new Map();
+      since(userId, start).forEach(event => {
+        const row = byEndpoint.get(event.endpoint) || { endpoint: event.endpoint, requests: 0, inputTokens: 0, outputTokens: 0 };
+        row.requests += 1;
+        row.inputTokens += event.input_tokens;
+        row.outputTokens += event.output_tokens;
+        byEndpoint.set(event.endpoint, row);
+      });
+      return [...byEndpoint.values()].sort((a, b) => a.endpoint.localeCompare(b.endpoint));
+    }
+  };
+}
+
+function createAIValidationFailureRepository(state) {
+  return {
+    async record({ task, outcome, errors, output = null, provider = null, model = null }) {
+      state.aiValidationFailures.push({
+        id: ++state.sequences.aiValidationFailures,
+        task,
+        outcome,
+        errors: toJSON(errors),
+        output,
+        provider,
+        model,
+        created_at: new Date()
+      });
+    },
+
+    async countSince(since) {
+      const counts = new Map();
+      state.aiValidationFailures
+        .filter(failure => failure.created_at >= since)
+        .forEach(failure => {
+          const key = `${failure.task}\u0000${failure.outcome}`;
+          const row = counts.get(key) || { task: failure.task, outcome: failure.outcome, count: 0 };
+          row.count += 1;
+          counts.set(key, row);
+        });
+      return [...counts.values()].sort((a, b) => a.task.localeCompare(b.task) || a.outcome.localeCompare(b.outcome));
+    }
+  };
+}
+
+function create() {
+  const state = {
+    sequences: {
+      bookings: 0,
+      users: 0,
+      refreshTokens: 0,
+      chatInteractions: 0,
+      socialFeeds: 0,
+      webhookEndpoints: 0,
+      webhookDeliveries: 0,
+      payments: 0,
+      businesses: 0,
+      services: 0,
+      staff: 0,
+      conversationMessages: 0,
+      jobs: 0,
+      emailOutbox: 0,
+      emailOutboxEvents: 0,
+      usageEvents: 0,
+      aiValidationFailures: 0
+    },
+    bookings: [],
+    users: [],
+    refreshTokens: [],
+    chatInteractions: [],
+    chatActions: [],
+    socialCache: new Map(),
+    socialFeeds: [],
+    webhookEndpoints: [],
+    webhookDeliveries: [],
+    webhookAttempts: [],
+    payments: [],
+    businesses: [],
+    services: [],
+    staff: [],
+    staffServices: [],
+    conversations: [],
+    conversationMessages: [],
+    jobs: [],
+    emailOutbox: [],
+    emailOutboxEvents: [],
+    usageEvents: [],
+    aiValidationFailures: []
+  };
+
+  const repositories = {
+    // No SQL database behind this storage
+    db: null,
+    bookings: createBookingRepository(state),
+    users: createUserRepository(state),
+    refreshTokens: createRefreshTokenRepository(state),
+    chatInteractions: createChatInteractionRepository(state),
+    chatActions: createChatActionRepository(state),
+    socialCache: createSocialCacheRepository(state),
+    socialFeeds: createSocialFeedRepository(state),
+    webhookEndpoints: createWebhookEndpointRepository(state),
+    webhookDeliveries: createWebhookDeliveryRepository(state),
+    payments: createPaymentRepository(state),
+    businesses: createBusinessRepository(state),
+    services: createServiceRepository(state),
+    staff: createStaffRepository(state),
+    conversations: createConversationRepository(state),
+    jobs: createJobRepository(state),
+    emailOutbox: createEmailOutboxRepository(state),
+    usageEvents: createUsageEventRepository(state),
+    aiValidationFailures: createAIValidationFailureRepository(state)
+  };
+
+  // Transactions run one after another so a conflict check and the write
+  // that follows it can't interleave with another request's. A transaction
+  // that throws is rolled back by restoring a copy of the state taken when it
+  // started (so a write made outside it in the meantime is undone too).
+  let queue = Promise.resolve();
+
+  async function runTransaction(work) {
+    const snapshot = structuredClone(state);
+    try {
+      return await work(repositories);
+    } catch (error) {
+      Object.assign(state, snapshot);
+      throw error;
+    }
+  }
+
+  return {
+    driver: 'memory',
+    ...repositories,
+
+    transaction(work) {
+      const run = queue.then(() => runTransaction(work));
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    async ping() {}
+  };
+}
+
+module.exports = { create };
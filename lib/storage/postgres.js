@@ -0,0 +1,1255 @@
+// Postgres storage - repositories backed by the tables in migrations/
+const availability = require('../availability');
+
+// Columns a booking can be created with
+const BOOKING_COLUMNS = [
+  'name', 'email', 'appointment_date', 'appointment_time', 'duration_minutes', 'end_time',
+  'starts_at', 'ends_at', 'business_timezone', 'customer_timezone',
+  'business_id', 'service_id', 'staff_id', 'message', 'ai_analysis', 'email_content', 'locale', 'status'
+];
+
+const JSON_COLUMNS = ['ai_analysis', 'working_hours', 'breaks', 'branding'];
+
+const PUBLIC_USER_COLUMNS = 'id, email, name, role, business_id, created_at';
+
+function toParam(column, value) {
+  return JSON_COLUMNS.includes(column) && value !== null && value !== undefined ? JSON.stringify(value) : value;
+}
+
+function createBookingRepository(db) {
+  return {
+    async create(booking) {
+      const columns = BOOKING_COLUMNS.filter(column => booking[column] !== undefined);
+      const result = await db.query(
+        `INSERT INTO bookings (${columns.join(', ')})
+         VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => toParam(column, booking[column]))
+      );
+      return result.rows[0];
+    },
+
+    // forUpdate locks the row until the surrounding transaction ends
+    async findById(id, { forUpdate = false } = {}) {
+      const result = await db.query(`SELECT * FROM bookings WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+      return result.rows[0] || null;
+    },
+
+    async update(id, changes) {
+      const columns = Object.keys(changes);
+      const result = await db.query(
+        `UPDATE bookings
+         SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...columns.map(column => toParam(column, changes[column]))]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Newest first; status 'all' (or none) lists every status. businessId
+    // undefined lists every business, null the bookings without one.
+    async list({ status, businessId, limit = 50, offset = 0 } = {}) {
+      const conditions = [];
+      const params = [];
+      if (status && status !== 'all') {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (businessId !== undefined) {
+        params.push(businessId);
+        conditions.push(`business_id IS NOT DISTINCT FROM $${params.length}`);
+      }
+      const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+      const result = await db.query(
+        `SELECT * FROM bookings${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+      const countResult = await db.query(`SELECT COUNT(*) FROM bookings${where}`, params);
+      return { bookings: result.rows, total: parseInt(countResult.rows[0].count) };
+    },
+
+    // Serialise writers for the same day so concurrent requests can't both pass
+    // the conflict check (held until the transaction ends)
+    async lockDate(date) {
+      await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`bookings:${date}`]);
+    },
+
+    // Bookings that can block slots on a date. With a staff member only their
+    // bookings (and unassigned ones) count; a business scopes to its own bookings.
+    async listForDate(date, { excludeId = null, staffId = null, businessId = null } = {}) {
+      const params = [date, availability.INACTIVE_STATUSES];
+      let query = `SELECT id, appointment_time, end_time, duration_minutes, status
+         FROM bookings
+         WHERE appointment_date = $1 AND status <> ALL($2)`;
+      if (excludeId) {
+        params.push(excludeId);
+        query += ` AND id <> $${params.length}`;
+      }
+      if (staffId) {
+        params.push(staffId);
+        query += ` AND (staff_id = $${params.length} OR staff_id IS NULL)`;
+      }
+      if (businessId) {
+        params.push(businessId);
+        query += ` AND (business_id = $${params.length} OR business_id IS NULL)`;
+      }
+      const result = await db.query(query, params);
+      return result.rows;
+    },
+
+    // Bookings created in [start, end), for analytics
+    async listForAnalytics({ start, end, businessId = null }) {
+      const result = await db.query(
+        `SELECT id, email, status, service_id, business_id, ai_analysis, created_at::timestamptz AS created_at
+         FROM bookings
+         WHERE created_at::timestamptz >= $1 AND created_at::timestamptz < $2
+           AND ($3::int IS NULL OR business_id = $3)
+         ORDER BY created_at`,
+        [start, end, businessId]
+      );
+      return result.rows;
+    },
+
+    // A staff calendar feed: users linked to staff members get their own
+    // appointments; others see their business (or everything, without one)
+    async listForCalendar(user, { since, limit = 500 }) {
+      const result = await db.query(
+        `SELECT * FROM bookings
+         WHERE starts_at >= $3
+           AND (
+             staff_id IN (SELECT id FROM staff_members WHERE user_id = $1)
+             OR (
+               NOT EXISTS (SELECT 1 FROM staff_members WHERE user_id = $1)
+               AND ($2::int IS NULL OR business_id = $2)
+             )
+           )
+         ORDER BY starts_at
+         LIMIT $4`,
+        [user.id, user.business_id, since, limit]
+      );
+      return result.rows;
+    },
+
+    // Totals for /api/stats; "today" and the daily buckets follow `timezone`.
+    // businessId undefined counts every booking, null those without a business.
+    async getStats({ timezone, businessId }) {
+      const scoped = businessId !== undefined;
+      const businessParams = scoped ? [businessId] : [];
+      const [total, today, weekly] = await Promise.all([
+        db.query(
+          `SELECT COUNT(*) as total_bookings FROM bookings${scoped ? ' WHERE business_id IS NOT DISTINCT FROM $1' : ''}`,
+          businessParams
+        ),
+        db.query(
+          `SELECT COUNT(*) as today_bookings FROM bookings
+           WHERE DATE(created_at::timestamptz AT TIME ZONE $1) = DATE(NOW() AT TIME ZONE $1)
+           ${scoped ? 'AND business_id IS NOT DISTINCT FROM $2' : ''}`,
+          [timezone, ...businessParams]
+        ),
+        db.query(`
+          SELECT
+            TO_CHAR(DATE(created_at::timestamptz AT TIME ZONE $1), 'YYYY-MM-DD') as date,
+            COUNT(*) as bookings
+          FROM bookings
+          WHERE created_at >= NOW() - INTERVAL '7 days'
+          ${scoped ? 'AND business_id IS NOT DISTINCT FROM $2' : ''}
+          GROUP BY 1
+          ORDER BY date DESC
+        `, [timezone, ...businessParams])
+      ]);
+
+      return {
+        total: parseInt(total.rows[0].total_bookings),
+        today: parseInt(today.rows[0].today_bookings),
+        weekly: weekly.rows.map(row => ({ date: row.date, bookings: parseInt(row.bookings) }))
+      };
+    }
+  };
+}
+
+function createUserRepository(db) {
+  return {
+    async findById(id) {
+      const result = await db.query('SELECT * FROM users WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async findByEmail(email) {
+      const result = await db.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email.trim()]);
+      return result.rows[0] || null;
+    },
+
+    // Staff calendar feeds: only users with one of `roles` match
+    async findByCalendarToken(token, roles) {
+      const result = await db.query('SELECT * FROM users WHERE calendar_token = $1 AND role = ANY($2)', [token, roles]);
+      return result.rows[0] || null;
+    },
+
+    async hasAdmin() {
+      const result = await db.query("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+      return result.rows.length > 0;
+    },
+
+    // Create or update an account by email. The name is only replaced when
+    // given, and business_id only when businessId is passed.
+    async saveAccount({ email, name = null, passwordHash, role, businessId }) {
+      const result = await db.query(
+        `INSERT INTO users (email, name, password_hash, role, business_id)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (email)
+         DO UPDATE SET
+           name = COALESCE(EXCLUDED.name, users.name),
+           password_hash = EXCLUDED.password_hash,
+           role = EXCLUDED.role,
+           business_id = CASE WHEN $6 THEN EXCLUDED.business_id ELSE users.business_id END
+         RETURNING ${PUBLIC_USER_COLUMNS}`,
+        [email.toLowerCase().trim(), name, passwordHash, role, businessId || null, businessId !== undefined]
+      );
+      return result.rows[0];
+    },
+
+    // Create or refresh the customer record after a booking. Emails are
+    // stored lowercased, like saveAccount, so one person is one row.
+    async recordCustomer(email, name) {
+      await db.query(
+        `INSERT INTO users (email, name, last_active)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (email)
+         DO UPDATE SET
+           name = COALESCE(EXCLUDED.name, users.name),
+           last_active = NOW()`,
+        [email.toLowerCase().trim(), name]
+      );
+    },
+
+    async touch(id) {
+      await db.query('UPDATE users SET last_active = NOW() WHERE id = $1', [id]);
+    },
+
+    async setCalendarToken(id, token) {
+      await db.query('UPDATE users SET calendar_token = $2 WHERE id = $1', [id, token]);
+    },
+
+    async count() {
+      const result = await db.query('SELECT COUNT(*) as total_users FROM users');
+      return parseInt(result.rows[0].total_users);
+    }
+  };
+}
+
+function createRefreshTokenRepository(db) {
+  return {
+    async create({ userId, tokenHash, ttlDays }) {
+      await db.query(
+        `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+        [userId, tokenHash, ttlDays]
+      );
+    },
+
+    // Revoke a live token and return its user id (null if revoked, expired or unknown)
+    async consume(tokenHash) {
+      const result = await db.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = NOW()
+         WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [tokenHash]
+      );
+      return result.rows.length > 0 ? result.rows[0].user_id : null;
+    },
+
+    async revoke(tokenHash) {
+      await db.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL',
+        [tokenHash]
+      );
+    }
+  };
+}
+
+function createChatInteractionRepository(db) {
+  return {
+    async record({ userEmail = null, message, response, context = {}, responseTimeMs = null, conversationId = null, injectionSignals = [] }) {
+      await db.query(
+        `INSERT INTO chat_interactions (user_email, message, response, context, response_time_ms, conversation_id, injection_suspected, injection_signals)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [userEmail, message, JSON.stringify(response), JSON.stringify(context), responseTimeMs, conversationId,
+          injectionSignals.length > 0, JSON.stringify(injectionSignals)]
+      );
+    },
+
+    // Interactions recorded in [start, end), for analytics
+    async listForAnalytics({ start, end }) {
+      const result = await db.query(
+        `SELECT id, user_email, response_time_ms, created_at::timestamptz AS created_at
+         FROM chat_interactions
+         WHERE created_at::timestamptz >= $1 AND created_at::timestamptz < $2`,
+        [start, end]
+      );
+      return result.rows;
+    },
+
+    // Totals for /api/stats (flagged chats over the last 7 days)
+    async getStats() {
+      const [total, average, flagged] = await Promise.all([
+        db.query('SELECT COUNT(*) as total_chats FROM chat_interactions'),
+        db.query('SELECT AVG(response_time_ms) as avg_response_time FROM chat_interactions WHERE response_time_ms IS NOT NULL'),
+        db.query(`
+          SELECT COUNT(*) as flagged_chats FROM chat_interactions
+          WHERE injection_suspected = TRUE AND created_at >= NOW() - INTERVAL '7 days'
+        `)
+      ]);
+
+      return {
+        total: parseInt(total.rows[0].total_chats),
+        avgResponseTime: Math.round(parseFloat(average.rows[0].avg_response_time || 0)),
+        flagged: parseInt(flagged.rows[0].flagged_chats)
+      };
+    }
+  };
+}
+
+function createChatActionRepository(db) {
+  return {
+    // Record a confirmed chatbot action; false when it was already carried
+    // out. Rows past their token's expiry are dropped on the way.
+    async claim({ id, tool, expiresAt }) {
+      await db.query('DELETE FROM chat_actions WHERE expires_at < NOW()');
+      const result = await db.query(
+        `INSERT INTO chat_actions (id, tool, expires_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (id) DO NOTHING`,
+        [id, tool, expiresAt]
+      );
+      return result.rowCount > 0;
+    }
+  };
+}
+
+function createSocialCacheRepository(db) {
+  return {
+    // Cached posts no older than maxAgeMinutes, or null
+    async get(platform, { maxAgeMinutes }) {
+      const result = await db.query(
+        'SELECT post_data FROM social_media_cache WHERE platform = $1 AND fetched_at > NOW() - make_interval(mins => $2)',
+        [platform, maxAgeMinutes]
+      );
+      return result.rows.length > 0 ? result.rows[0].post_data : null;
+    },
+
+    // Cached posts whatever their age, with when they were fetched, or null.
+    // The age is worked out in SQL because fetched_at has no time zone.
+    async getEntry(platform) {
+      const result = await db.query(
+        'SELECT post_data, EXTRACT(EPOCH FROM NOW() - fetched_at) AS age_seconds FROM social_media_cache WHERE platform = $1',
+        [platform]
+      );
+      if (result.rows.length === 0) return null;
+      const { post_data: posts, age_seconds: ageSeconds } = result.rows[0];
+      return { posts, fetchedAt: new Date(Date.now() - parseFloat(ageSeconds) * 1000) };
+    },
+
+    async set(platform, posts) {
+      await db.query(
+        'INSERT INTO social_media_cache (platform, post_data, fetched_at) VALUES ($1, $2, NOW()) ON CONFLICT (platform) DO UPDATE SET post_data = $2, fetched_at = NOW()',
+        [platform, JSON.stringify(posts)]
+      );
+    },
+
+    async remove(platform) {
+      await db.query('DELETE FROM social_media_cache WHERE platform = $1', [platform]);
+    }
+  };
+}
+
+function createSocialFeedRepository(db) {
+  return {
+    // businessId undefined lists every feed, null the platform-wide ones
+    async list({ businessId } = {}) {
+      if (businessId === undefined) {
+        const result = await db.query('SELECT * FROM social_feeds ORDER BY id');
+        return result.rows;
+      }
+      const result = await db.query(
+        'SELECT * FROM social_feeds WHERE business_id IS NOT DISTINCT FROM $1 ORDER BY id',
+        [businessId]
+      );
+      return result.rows;
+    },
+
+    // Enabled feeds a business's chatbot reads: platform-wide plus its own
+    async listActive(businessId = null) {
+      const result = await db.query(
+        'SELECT * FROM social_feeds WHERE enabled AND (business_id IS NULL OR business_id = $1) ORDER BY id',
+        [businessId]
+      );
+      return result.rows;
+    },
+
+    async findById(id) {
+      const result = await db.query('SELECT * FROM social_feeds WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async findByUrl(url, businessId = null) {
+      const result = await db.query(
+        'SELECT * FROM social_feeds WHERE url = $1 AND business_id IS NOT DISTINCT FROM $2',
+        [url, businessId]
+      );
+      return result.rows[0] || null;
+    },
+
+    async create({ businessId = null, name, url, format = 'auto', keywords = null, excludeKeywords = [], maxItems = 3, enabled = true }) {
+      const result = await db.query(
+        `INSERT INTO social_feeds (business_id, name, url, format, keywords, exclude_keywords, max_items, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [businessId, name, url, format, keywords ? JSON.stringify(keywords) : null, JSON.stringify(excludeKeywords), maxItems, enabled]
+      );
+      return result.rows[0];
+    },
+
+    // Returns false when there was no such feed
+    async remove(id) {
+      const result = await db.query('DELETE FROM social_feeds WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    }
+  };
+}
+
+function createWebhookEndpointRepository(db) {
+  return {
+    // businessId undefined lists every endpoint, null the platform-wide ones
+    async list({ businessId } = {}) {
+      if (businessId === undefined) {
+        const result = await db.query('SELECT * FROM webhook_endpoints ORDER BY id');
+        return result.rows;
+      }
+      const result = await db.query(
+        'SELECT * FROM webhook_endpoints WHERE business_id IS NOT DISTINCT FROM $1 ORDER BY id',
+        [businessId]
+      );
+      return result.rows;
+    },
+
+    // Enabled endpoints subscribed to an event: platform-wide plus the business's own
+    async listForEvent(eventType, businessId = null) {
+      const result = await db.query(
+        `SELECT * FROM webhook_endpoints
+         WHERE enabled AND (business_id IS NULL OR business_id = $2) AND (events ? $1 OR events ? '*')
+         ORDER BY id`,
+        [eventType, businessId]
+      );
+      return result.rows;
+    },
+
+    async findById(id) {
+      const result = await db.query('SELECT * FROM webhook_endpoints WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async create({ businessId = null, url, description = null, secret, events = ['*'], enabled = true }) {
+      const result = await db.query(
+        `INSERT INTO webhook_endpoints (business_id, url, description, secret, events, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [businessId, url, description, secret, JSON.stringify(events), enabled]
+      );
+      return result.rows[0];
+    },
+
+    // Returns false when there was no such endpoint
+    async remove(id) {
+      const result = await db.query('DELETE FROM webhook_endpoints WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    }
+  };
+}
+
+function createWebhookDeliveryRepository(db) {
+  return {
+    async create({ endpointId, eventId, eventType, payload, maxAttempts, replayOf = null }) {
+      const result = await db.query(
+        `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, max_attempts, replay_of)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [endpointId, eventId, eventType, JSON.stringify(payload), maxAttempts, replayOf]
+      );
+      return result.rows[0];
+    },
+
+    // Lock up to `limit` due deliveries for sending (and any stuck in
+    // "sending" for staleMinutes, left by a crashed worker)
+    async claimDue(limit, { staleMinutes }) {
+      const result = await db.query(
+        `UPDATE webhook_deliveries
+         SET status = 'sending', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE (status = 'queued' AND next_attempt_at <= NOW())
+              OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $2))
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit, staleMinutes]
+      );
+      return result.rows;
+    },
+
+    // Lock one queued delivery for sending now, or null if it isn't queued
+    async claim(id) {
+      const result = await db.query(
+        `UPDATE webhook_deliveries
+         SET status = 'sending', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'queued'
+         RETURNING *`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Log an attempt and move the delivery to `status` (delivered, queued
+    // again for nextAttemptAt, or failed)
+    async finishAttempt(delivery, { status, statusCode = null, error = null, responseBody = null, durationMs = null, nextAttemptAt = null }) {
+      const result = await db.query(
+        `UPDATE webhook_deliveries
+         SET status = $2, last_status_code = $3, last_error = $4, locked_at = NULL,
+             next_attempt_at = COALESCE($5, next_attempt_at),
+             delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [delivery.id, status, statusCode, error, nextAttemptAt]
+      );
+      await db.query(
+        `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, response_body, duration_ms)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [delivery.id, delivery.attempts, statusCode, error, responseBody, durationMs]
+      );
+      return result.rows[0];
+    },
+
+    async list({ endpointId, status, eventType, limit = 50, offset = 0 } = {}) {
+      const conditions = [];
+      const params = [];
+      [['endpoint_id', endpointId], ['status', status], ['event_type', eventType]].forEach(([column, value]) => {
+        if (value === undefined || value === null) return;
+        params.push(value);
+        conditions.push(`${column} = $${params.length}`);
+      });
+      const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await db.query(`SELECT COUNT(*) FROM webhook_deliveries${where}`, params);
+      params.push(limit, offset);
+      const result = await db.query(
+        `SELECT * FROM webhook_deliveries${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return { deliveries: result.rows, total: parseInt(countResult.rows[0].count) };
+    },
+
+    // A delivery with its attempt log
+    async findById(id) {
+      const result = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+      if (result.rows.length === 0) return null;
+
+      const attempts = await db.query(
+        `SELECT attempt, status_code, error, response_body, duration_ms, created_at
+         FROM webhook_delivery_attempts WHERE delivery_id = $1 ORDER BY id`,
+        [id]
+      );
+      return { ...result.rows[0], attempt_log: attempts.rows };
+    }
+  };
+}
+
+function createPaymentRepository(db) {
+  return {
+    async create({ bookingId, provider, amountCents, currency, expiresAt }) {
+      const result = await db.query(
+        `INSERT INTO payments (booking_id, provider, amount_cents, currency, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [bookingId, provider, amountCents, currency, expiresAt]
+      );
+      return result.rows[0];
+    },
+
+    async update(id, changes) {
+      const columns = Object.keys(changes);
+      const result = await db.query(
+        `UPDATE payments
+         SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...columns.map(column => changes[column])]
+      );
+      return result.rows[0] || null;
+    },
+
+    // forUpdate locks the row until the surrounding transaction ends
+    async findById(id, { forUpdate = false } = {}) {
+      const result = await db.query(`SELECT * FROM payments WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+      return result.rows[0] || null;
+    },
+
+    async findLatestForBooking(bookingId) {
+      const result = await db.query(
+        'SELECT * FROM payments WHERE booking_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+        [bookingId]
+      );
+      return result.rows[0] || null;
+    },
+
+    async findBySession(provider, sessionId) {
+      const result = await db.query(
+        'SELECT * FROM payments WHERE provider = $1 AND provider_session_id = $2',
+        [provider, sessionId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Unpaid holds whose time ran out, oldest first
+    async listExpiredHolds(now = new Date(), limit = 50) {
+      const result = await db.query(
+        `SELECT * FROM payments WHERE status = 'pending' AND expires_at <= $1
+         ORDER BY expires_at LIMIT $2`,
+        [now, limit]
+      );
+      return result.rows;
+    }
+  };
+}
+
+// Catalog rows are written from the whitelisted columns lib/catalog builds
+async function insertRow(db, table, columns) {
+  const names = Object.keys(columns);
+  const placeholders = names.map((_, i) => `$${i + 1}`);
+  const result = await db.query(
+    `INSERT INTO ${table} (${names.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    names.map(name => toParam(name, columns[name]))
+  );
+  return result.rows[0];
+}
+
+async function updateRow(db, table, id, columns) {
+  const names = Object.keys(columns);
+  if (names.length === 0) {
+    const existing = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    return existing.rows[0] || null;
+  }
+
+  const assignments = names.map((name, i) => `${name} = $${i + 2}`);
+  const result = await db.query(
+    `UPDATE ${table} SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [id, ...names.map(name => toParam(name, columns[name]))]
+  );
+  return result.rows[0] || null;
+}
+
+function createBusinessRepository(db) {
+  return {
+    async list({ includeInactive = false } = {}) {
+      const result = await db.query(
+        `SELECT * FROM businesses ${includeInactive ? '' : 'WHERE active = TRUE'} ORDER BY id`
+      );
+      return result.rows;
+    },
+
+    async findById(id) {
+      const result = await db.query('SELECT * FROM businesses WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async findBySlug(slug) {
+      const result = await db.query('SELECT * FROM businesses WHERE slug = $1', [slug]);
+      return result.rows[0] || null;
+    },
+
+    // The active business with the 'default' slug, else the first active one
+    async findDefault() {
+      const result = await db.query(
+        "SELECT * FROM businesses WHERE active = TRUE ORDER BY (slug = 'default') DESC, id LIMIT 1"
+      );
+      return result.rows[0] || null;
+    },
+
+    async create(columns) {
+      return insertRow(db, 'businesses', columns);
+    },
+
+    async update(id, columns) {
+      return updateRow(db, 'businesses', id, columns);
+    }
+  };
+}
+
+function createServiceRepository(db) {
+  return {
+    async list(businessId, { includeInactive = false } = {}) {
+      const result = await db.query(
+        `SELECT * FROM services WHERE business_id = $1 ${includeInactive ? '' : 'AND active = TRUE'} ORDER BY id`,
+        [businessId]
+      );
+      return result.rows;
+    },
+
+    async listByIds(ids) {
+      const result = await db.query('SELECT * FROM services WHERE id = ANY($1) ORDER BY id', [ids]);
+      return result.rows;
+    },
+
+    async findById(id) {
+      const result = await db.query('SELECT * FROM services WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async create(columns) {
+      return insertRow(db, 'services', columns);
+    },
+
+    async update(id, columns) {
+      return updateRow(db, 'services', id, columns);
+    }
+  };
+}
+
+function createStaffRepository(db) {
+  return {
+    // With the ids of the services each staff member is assigned to
+    async list(businessId, { includeInactive = false } = {}) {
+      const result = await db.query(
+        `SELECT s.*,
+                COALESCE(array_agg(ss.service_id) FILTER (WHERE ss.service_id IS NOT NULL), '{}') AS service_ids
+         FROM staff_members s
+         LEFT JOIN staff_services ss ON ss.staff_id = s.id
+         WHERE s.business_id = $1 ${includeInactive ? '' : 'AND s.active = TRUE'}
+         GROUP BY s.id
+         ORDER BY s.id`,
+        [businessId]
+      );
+      return result.rows;
+    },
+
+    async findById(id) {
+      const result = await db.query('SELECT * FROM staff_members WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async create(columns) {
+      return insertRow(db, 'staff_members', columns);
+    },
+
+    async update(id, columns) {
+      return updateRow(db, 'staff_members', id, columns);
+    },
+
+    // Replace a staff member's services; ids from another business are skipped
+    async setServices(staffId, serviceIds) {
+      await db.query('DELETE FROM staff_services WHERE staff_id = $1', [staffId]);
+      for (const serviceId of serviceIds) {
+        await db.query(
+          `INSERT INTO staff_services (staff_id, service_id)
+           SELECT $1, id FROM services
+           WHERE id = $2 AND business_id = (SELECT business_id FROM staff_members WHERE id = $1)`,
+          [staffId, serviceId]
+        );
+      }
+    },
+
+    // Active staff who can perform a service. Services with no explicit
+    // assignments can be performed by anyone at the business.
+    async listEligible(service) {
+      const result = await db.query(
+        `SELECT s.* FROM staff_members s
+         WHERE s.business_id = $1 AND s.active = TRUE
+           AND (
+             NOT EXISTS (SELECT 1 FROM staff_services WHERE service_id = $2)
+             OR EXISTS (SELECT 1 FROM staff_services WHERE service_id = $2 AND staff_id = s.id)
+           )
+         ORDER BY s.id`,
+        [service.business_id, service.id]
+      );
+      return result.rows;
+    }
+  };
+}
+
+function createConversationRepository(db) {
+  return {
+    async create({ id, businessId = null, userEmail = null, metadata = {} }) {
+      const result = await db.query(
+        `INSERT INTO conversations (id, business_id, user_email, metadata)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [id, businessId, userEmail, JSON.stringify(metadata || {})]
+      );
+      return result.rows[0];
+    },
+
+    async findById(id) {
+      const result = await db.query('SELECT * FROM conversations WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    // Newest activity first, with each conversation's message count.
+    // businessId undefined lists every conversation, null those without a business.
+    async list({ businessId, userEmail, limit = 50, offset = 0 } = {}) {
+      const conditions = [];
+      const params = [];
+      if (businessId !== undefined) {
+        params.push(businessId);
+        conditions.push(`c.business_id IS NOT DISTINCT FROM $${params.length}`);
+      }
+      if (userEmail) {
+        params.push(userEmail);
+        conditions.push(`LOWER(c.user_email) = LOWER($${params.length})`);
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const result = await db.query(
+        `SELECT c.*, COUNT(m.id)::int AS message_count, MAX(m.created_at) AS last_message_at
+         FROM conversations c
+         LEFT JOIN conversation_messages m ON m.conversation_id = c.id
+         ${where}
+         GROUP BY c.id
+         ORDER BY COALESCE(MAX(m.created_at), c.created_at) DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+      const countResult = await db.query(`SELECT COUNT(*) FROM conversations c ${where}`, params);
+      return { conversations: result.rows, total: parseInt(countResult.rows[0].count) };
+    },
+
+    async addMessage(conversationId, { role, content, metadata = {} }) {
+      const result = await db.query(
+        `INSERT INTO conversation_messages (conversation_id, role, content, metadata)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [conversationId, role, content, JSON.stringify(metadata || {})]
+      );
+      await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [conversationId]);
+      return result.rows[0];
+    },
+
+    async listMessages(conversationId, { afterId = 0 } = {}) {
+      const result = await db.query(
+        'SELECT * FROM conversation_messages WHERE conversation_id = $1 AND id > $2 ORDER BY id',
+        [conversationId, afterId]
+      );
+      return result.rows;
+    },
+
+    async saveSummary(id, { summary, summarizedUntil }) {
+      await db.query(
+        'UPDATE conversations SET summary = $2, summarized_until = $3, updated_at = NOW() WHERE id = $1',
+        [id, summary, summarizedUntil]
+      );
+    }
+  };
+}
+
+function createJobRepository(db) {
+  return {
+    // Insert a job, or re-arm the existing one with the same dedupe key
+    async schedule({ type, runAt, bookingId = null, payload = {}, dedupeKey = null, maxAttempts }) {
+      const result = await db.query(
+        `INSERT INTO scheduled_jobs (type, dedupe_key, booking_id, payload, run_at, max_attempts)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (dedupe_key) DO UPDATE SET
+           run_at = EXCLUDED.run_at,
+           payload = EXCLUDED.payload,
+           status = 'pending',
+           attempts = 0,
+           last_error = NULL,
+           completed_at = NULL,
+           updated_at = NOW()
+         RETURNING *`,
+        [type, dedupeKey, bookingId, JSON.stringify(payload), runAt, maxAttempts]
+      );
+      return result.rows[0];
+    },
+
+    async cancelForBooking(bookingId) {
+      const result = await db.query(
+        `UPDATE scheduled_jobs SET status = 'cancelled', updated_at = NOW()
+         WHERE booking_id = $1 AND status = 'pending'`,
+        [bookingId]
+      );
+      return result.rowCount;
+    },
+
+    async list({ status, type, bookingId, limit = 50, offset = 0 } = {}) {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (type) {
+        params.push(type);
+        conditions.push(`type = $${params.length}`);
+      }
+      if (bookingId) {
+        params.push(bookingId);
+        conditions.push(`booking_id = $${params.length}`);
+      }
+      const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await db.query(`SELECT COUNT(*) FROM scheduled_jobs${where}`, params);
+      params.push(limit, offset);
+      const result = await db.query(
+        `SELECT * FROM scheduled_jobs${where} ORDER BY run_at ASC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return { jobs: result.rows, total: parseInt(countResult.rows[0].count) };
+    },
+
+    // Put a failed or cancelled job back in the queue to run now
+    async retry(id) {
+      const result = await db.query(
+        `UPDATE scheduled_jobs
+         SET status = 'pending', attempts = 0, last_error = NULL, run_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status IN ('failed', 'cancelled')
+         RETURNING *`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async cancel(id) {
+      const result = await db.query(
+        `UPDATE scheduled_jobs SET status = 'cancelled', updated_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // FOR UPDATE SKIP LOCKED so several instances can poll the same table
+    // without running a job twice
+    async claimDue(limit, { workerId, staleMinutes }) {
+      const result = await db.query(
+        `UPDATE scheduled_jobs
+         SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW(), updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM scheduled_jobs
+           WHERE (status = 'pending' AND run_at <= NOW())
+              OR (status = 'running' AND locked_at < NOW() - make_interval(mins => $3))
+           ORDER BY run_at
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [workerId, limit, staleMinutes]
+      );
+      return result.rows;
+    },
+
+    async complete(id) {
+      await db.query(
+        `UPDATE scheduled_jobs
+         SET status = 'completed', completed_at = NOW(), locked_by = NULL, locked_at = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [id]
+      );
+    },
+
+    // status is 'pending' (run again at runAt) or 'failed'
+    async fail(id, { status, error, runAt = null }) {
+      await db.query(
+        `UPDATE scheduled_jobs
+         SET status = $2, last_error = $3, locked_by = NULL, locked_at = NULL,
+             run_at = COALESCE($4, run_at), updated_at = NOW()
+         WHERE id = $1`,
+        [id, status, error, runAt]
+      );
+    }
+  };
+}
+
+function createEmailOutboxRepository(db) {
+  async function logEvent(messageId, status, detail = null) {
+    await db.query(
+      'INSERT INTO email_outbox_events (message_id, status, detail) VALUES ($1, $2, $3)',
+      [messageId, status, detail]
+    );
+  }
+
+  return {
+    async enqueue({ to, from, subject, html, text, icalEvent = null, bookingId = null, template = null, maxAttempts }) {
+      const result = await db.query(
+        `INSERT INTO email_outbox (booking_id, template, recipient, sender, subject, html, text, ical_event, max_attempts)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [bookingId, template, to, from, subject, html, text, icalEvent ? JSON.stringify(icalEvent) : null, maxAttempts]
+      );
+      const message = result.rows[0];
+      await logEvent(message.id, 'queued');
+      return message;
+    },
+
+    async claimDue(limit, { workerId, staleMinutes }) {
+      const result = await db.query(
+        `UPDATE email_outbox
+         SET status = 'sending', attempts = attempts + 1, locked_by = $1, locked_at = NOW(), updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM email_outbox
+           WHERE (status = 'queued' AND next_attempt_at <= NOW())
+              OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $3))
+           ORDER BY next_attempt_at
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [workerId, limit, staleMinutes]
+      );
+      return result.rows;
+    },
+
+    async markSent(id, { providerMessageId = null, detail = null } = {}) {
+      await db.query(
+        `UPDATE email_outbox
+         SET status = 'sent', provider_message_id = $2, last_error = NULL, sent_at = NOW(),
+             locked_by = NULL, locked_at = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [id, providerMessageId]
+      );
+      await logEvent(id, 'sent', detail);
+    },
+
+    async markBounced(id, reason = null) {
+      const result = await db.query(
+        `UPDATE email_outbox
+         SET status = 'bounced', last_error = $2, locked_by = NULL, locked_at = NULL, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, reason]
+      );
+      if (result.rows.length === 0) return null;
+      await logEvent(id, 'bounced', reason);
+      return result.rows[0];
+    },
+
+    // status is 'queued' (try again at nextAttemptAt) or 'failed'
+    async markAttemptFailed(id, { status, error, nextAttemptAt = null, detail }) {
+      await db.query(
+        `UPDATE email_outbox
+         SET status = $2, last_error = $3, locked_by = NULL, locked_at = NULL,
+             next_attempt_at = COALESCE($4, next_attempt_at), updated_at = NOW()
+         WHERE id = $1`,
+        [id, status, error, nextAttemptAt]
+      );
+      await logEvent(id, 'failed', detail);
+    },
+
+    // businessId undefined lists every message; otherwise only the messages
+    // about that business's bookings (null: bookings without a business)
+    async list({ status, bookingId, recipient, businessId, limit = 50, offset = 0 } = {}) {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (bookingId) {
+        params.push(bookingId);
+        conditions.push(`booking_id = $${params.length}`);
+      }
+      if (recipient) {
+        params.push(recipient.toLowerCase());
+        conditions.push(`LOWER(recipient) = $${params.length}`);
+      }
+      if (businessId !== undefined) {
+        params.push(businessId);
+        conditions.push(`booking_id IN (SELECT id FROM bookings WHERE business_id IS NOT DISTINCT FROM $${params.length})`);
+      }
+      const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await db.query(`SELECT COUNT(*) FROM email_outbox${where}`, params);
+      params.push(limit, offset);
+      const result = await db.query(
+        `SELECT id, booking_id, template, recipient, subject, status, attempts, max_attempts,
+                next_attempt_at, last_error, provider_message_id, sent_at, created_at, updated_at
+         FROM email_outbox${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return { messages: result.rows, total: parseInt(countResult.rows[0].count) };
+    },
+
+    // A message with its status log
+    async findById(id) {
+      const result = await db.query('SELECT * FROM email_outbox WHERE id = $1', [id]);
+      if (result.rows.length === 0) return null;
+
+      const events = await db.query(
+        'SELECT status, detail, created_at FROM email_outbox_events WHERE message_id = $1 ORDER BY created_at, id',
+        [id]
+      );
+      return { ...result.rows[0], events: events.rows };
+    },
+
+    // Put a failed or bounced message back in the queue to send now
+    async retry(id) {
+      const result = await db.query(
+        `UPDATE email_outbox
+         SET status = 'queued', attempts = 0, last_error = NULL, next_attempt_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status IN ('failed', 'bounced')
+         RETURNING *`,
+        [id]
+      );
+      if (result.rows.length === 0) return null;
+      await logEvent(id, 'queued', 'Manual retry');
+      return result.rows[0];
+    },
+
+    // { status: count } for the statuses that have messages
+    async countByStatus({ businessId } = {}) {
+      const result = businessId === undefined
+        ? await db.query('SELECT status, COUNT(*) FROM email_outbox GROUP BY status')
+        : await db.query(
+          `SELECT status, COUNT(*) FROM email_outbox
+           WHERE booking_id IN (SELECT id FROM bookings WHERE business_id IS NOT DISTINCT FROM $1)
+           GROUP BY status`,
+          [businessId]
+        );
+      return Object.fromEntries(result.rows.map(row => [row.status, parseInt(row.count)]));
+    }
+  };
+}
+
+function createUsageEventRepository(db) {
+  return {
+    async record({ userId = null, ip = null, endpoint, statusCode = null, inputTokens = 0, outputTokens = 0 }) {
+      await db.query(
+        `INSERT INTO usage_events (user_id, ip, endpoint, status_code, input_tokens, output_tokens)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, ip, endpoint, statusCode, inputTokens, outputTokens]
+      );
+    },
+
+    // Requests and tokens (input + output) since each window's start
+    async totals(userId, { dailyStart, monthlyStart }) {
+      const result = await db.query(
+        `SELECT
+           COUNT(*) FILTER (WHERE created_at >= $2) AS daily_requests,
+           COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE created_at >= $2), 0) AS daily_tokens,
+           COUNT(*) AS monthly_requests,
+           COALESCE(SUM(input_tokens + output_tokens), 0) AS monthly_tokens
+         FROM usage_events
+         WHERE user_id = $1 AND created_at >= $3`,
+        [userId, dailyStart, monthlyStart]
+      );
+      const row = result.rows[0];
+      return {
+        daily: { requests: parseInt(row.daily_requests), tokens: parseInt(row.daily_tokens) },
+        monthly: { requests: parseInt(row.monthly_requests), tokens: parseInt(row.monthly_tokens) }
+      };
+    },
+
+    async listByEndpoint(userId, since) {
+      const result = await db.query(
+        `SELECT endpoint, COUNT(*) AS requests, COALESCE(SUM(input_tokens), 0) AS input_tokens,
+                COALESCE(SUM(output_tokens), 0) AS output_tokens
+         FROM usage_events
+         WHERE user_id = $1 AND created_at >= $2
+         GROUP BY endpoint
+         ORDER BY endpoint`,
+        [userId, since]
+      );
+      return result.rows.map(row => ({
+        endpoint: row.endpoint,
+        requests: parseInt(row.requests),
+        inputTokens: parseInt(row.input_tokens),
+        outputTokens: parseInt(row.output_tokens)
+      }));
+    }
+  };
+}
+
+function createAIValidationFailureRepository(db) {
+  return {
+    async record({ task, outcome, errors, output = null, provider = null, model = null }) {
+      await db.query(
+        'INSERT INTO ai_validation_failures (task, outcome, errors, output, provider, model) VALUES ($1, $2, $3, $4, $5, $6)',
+        [task, outcome, JSON.stringify(errors), output, provider, model]
+      );
+    },
+
+    // [{ task, outcome, count }] since `since`
+    async countSince(since) {
+      const result = await db.query(
+        `SELECT task, outcome, COUNT(*)::int as count
+         FROM ai_validation_failures
+         WHERE created_at >= $1
+         GROUP BY task, outcome
+         ORDER BY task, outcome`,
+        [since]
+      );
+      return result.rows;
+    }
+  };
+}
+
+// Repositories running their queries on `db` (the pool, or a transaction's client)
+function createRepositories(db) {
+  return {
+    db,
+    bookings: createBookingRepository(db),
+    users: createUserRepository(db),
+    refreshTokens: createRefreshTokenRepository(db),
+    chatInteractions: createChatInteractionRepository(db),
+    chatActions: createChatActionRepository(db),
+    socialCache: createSocialCacheRepository(db),
+    socialFeeds: createSocialFeedRepository(db),
+    webhookEndpoints: createWebhookEndpointRepository(db),
+    webhookDeliveries: createWebhookDeliveryRepository(db),
+    payments: createPaymentRepository(db),
+    businesses: createBusinessRepository(db),
+    services: createServiceRepository(db),
+    staff: createStaffRepository(db),
+    conversations: createConversationRepository(db),
+    jobs: createJobRepository(db),
+    emailOutbox: createEmailOutboxRepository(db),
+    usageEvents: createUsageEventRepository(db),
+    aiValidationFailures: createAIValidationFailureRepository(db)
+  };
+}
+
+function create(pool) {
+  return {
+    driver: 'postgres',
+    ...createRepositories(pool),
+
+    // Run work(tx) inside BEGIN/COMMIT on a dedicated client, rolling back on
+    // error. tx has the same repositories, and tx.db is the client.
+    async transaction(work) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await work(createRepositories(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async ping() {
+      await pool.query('SELECT 1');
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,126 @@
+// Timezone helpers built on Intl (IANA zone names, no external tz database)
+
+function getBusinessTimezone() {
+  const timezone = process.env.BUSINESS_TIMEZONE || 'UTC';
+  return isValidTimezone(timezone) ? timezone : 'UTC';
+}
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in a zone
+function getZonedParts(instant, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = part.value;
+  });
+  return values;
+}
+
+// Offset of a zone from UTC at an instant, in minutes
+function getOffsetMinutes(instant, timezone) {
+  const p = getZonedParts(instant, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// "2030-01-07" + "10:00" in a zone -> Date (UTC instant)
+function zonedTimeToUtc(date, time, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Two passes settle the offset around DST transitions
+  let instant = new Date(wallClock - getOffsetMinutes(new Date(wallClock), timezone) * 60000);
+  instant = new Date(wallClock - getOffsetMinutes(instant, timezone) * 60000);
+  return instant;
+}
+
+// Date (UTC instant) -> { date: "YYYY-MM-DD", time: "HH:MM" } in a zone
+function utcToZonedTime(instant, timezone) {
+  const p = getZonedParts(instant, timezone);
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    time: `${p.hour}:${p.minute}`
+  };
+}
+
+// Re-express a wall-clock time entered in one zone as wall-clock time in another
+function convertWallClock(date, time, fromTimezone, toTimezone) {
+  const instant = zonedTimeToUtc(date, time, fromTimezone);
+  return { instant, ...utcToZonedTime(instant, toTimezone) };
+}
+
+// Human-readable time for emails, e.g. "Monday, January 7, 2030 at 10:00 AM EST"
+function formatInTimezone(instant, timezone, locale = 'en-US') {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone: timezone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(instant) + ` ${getTimezoneAbbreviation(instant, timezone, locale)}`;
+}
+
+function getTimezoneAbbreviation(instant, timezone, locale = 'en-US') {
+  const part = new Intl.DateTimeFormat(locale, { timeZone: timezone, timeZoneName: 'short' })
+    .formatToParts(instant)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timezone;
+}
+
+// The zone a booking's recipient should see times in
+function getRecipientTimezone(booking) {
+  if (isValidTimezone(booking.customer_timezone)) return booking.customer_timezone;
+  if (isValidTimezone(booking.business_timezone)) return booking.business_timezone;
+  return getBusinessTimezone();
+}
+
+function toDateString(dateValue) {
+  if (dateValue instanceof Date) {
+    return `${dateValue.getFullYear()}-${String(dateValue.getMonth() + 1).padStart(2, '0')}-${String(dateValue.getDate()).padStart(2, '0')}`;
+  }
+  return String(dateValue).slice(0, 10);
+}
+
+// Start instant of a booking; rows created before starts_at existed fall back
+// to their business-local date/time columns
+function getBookingStart(booking) {
+  if (booking.starts_at) return new Date(booking.starts_at);
+  const timezone = isValidTimezone(booking.business_timezone) ? booking.business_timezone : getBusinessTimezone();
+  return zonedTimeToUtc(toDateString(booking.appointment_date), String(booking.appointment_time).slice(0, 5), timezone);
+}
+
+function getBookingEnd(booking) {
+  if (booking.ends_at) return new Date(booking.ends_at);
+  return new Date(getBookingStart(booking).getTime() + (booking.duration_minutes || 30) * 60000);
+}
+
+module.exports = {
+  getBusinessTimezone,
+  isValidTimezone,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  convertWallClock,
+  formatInTimezone,
+  getRecipientTimezone,
+  toDateString,
+  getBookingStart,
+  getBookingEnd
+};
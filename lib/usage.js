@@ -0,0 +1,194 @@
+// Usage metering and per-plan quotas.
+// Every metered request is stored as a usage event (user, endpoint, status
+// and the AI tokens it used). Quotas are checked against the events in the
+// current UTC day and month, so they reset on their own.
+const { AsyncLocalStorage } = require('async_hooks');
+const { rateLimit } = require('express-rate-limit');
+const apiErrors = require('./apiErrors');
+const auth = require('./auth');
+
+// null = unlimited
+const TIERS = {
+  free: {
+    name: 'Free',
+    daily: { requests: 50, tokens: 100000 },
+    monthly: { requests: 500, tokens: 1000000 }
+  },
+  pro: {
+    name: 'Pro',
+    daily: { requests: 500, tokens: 1000000 },
+    monthly: { requests: 10000, tokens: 20000000 }
+  },
+  business: {
+    name: 'Business',
+    daily: { requests: 5000, tokens: 10000000 },
+    monthly: { requests: null, tokens: null }
+  }
+};
+const DEFAULT_TIER = 'free';
+
+const WINDOWS = ['daily', 'monthly'];
+
+// Request currently being metered, so AI token counts reported deep inside a
+// route end up on that request's usage event
+const currentRequest = new AsyncLocalStorage();
+
+function getTier(name) {
+  const key = TIERS[name] ? name : DEFAULT_TIER;
+  return { key, ...TIERS[key] };
+}
+
+// Start of the current window and of the next one (UTC)
+function getWindowBounds(window, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  if (window === 'monthly') {
+    return { start: new Date(Date.UTC(year, month, 1)), resetsAt: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+  const day = now.getUTCDate();
+  return { start: new Date(Date.UTC(year, month, day)), resetsAt: new Date(Date.UTC(year, month, day + 1)) };
+}
+
+// Called by the AI client after every request
+function recordTokens({ usage }) {
+  const metered = currentRequest.getStore();
+  if (!metered || !usage) return;
+  metered.inputTokens += usage.input_tokens || 0;
+  metered.outputTokens += usage.output_tokens || 0;
+}
+
+async function recordEvent(store, { userId = null, ip = null, endpoint, statusCode = null, inputTokens = 0, outputTokens = 0 }) {
+  await store.usageEvents.record({ userId, ip, endpoint, statusCode, inputTokens, outputTokens });
+}
+
+// Requests and tokens for a user in the current daily and monthly windows
+async function getUsageTotals(store, userId, now = new Date()) {
+  const daily = getWindowBounds('daily', now);
+  const monthly = getWindowBounds('monthly', now);
+  const totals = await store.usageEvents.totals(userId, { dailyStart: daily.start, monthlyStart: monthly.start });
+
+  return {
+    daily: { ...totals.daily, resetsAt: daily.resetsAt },
+    monthly: { ...totals.monthly, resetsAt: monthly.resetsAt }
+  };
+}
+
+// First limit the user has reached, or null
+function findExceededLimit(tier, totals) {
+  for (const window of WINDOWS) {
+    for (const metric of ['requests', 'tokens']) {
+      const limit = tier[window][metric];
+      if (limit !== null && totals[window][metric] >= limit) {
+        return { window, metric, limit, used: totals[window][metric], resetsAt: totals[window].resetsAt };
+      }
+    }
+  }
+  return null;
+}
+
+// Usage report for GET /api/usage: plan, limits, current windows and a
+// per-endpoint breakdown for the month
+async function getUsageReport(store, user, now = new Date()) {
+  const tier = getTier(user.subscription_tier);
+  const totals = await getUsageTotals(store, user.id, now);
+  const endpoints = await store.usageEvents.listByEndpoint(user.id, getWindowBounds('monthly', now).start);
+
+  const windows = {};
+  WINDOWS.forEach(window => {
+    windows[window] = {
+      ...totals[window],
+      limits: tier[window],
+      remaining: {
+        requests: tier[window].requests === null ? null : Math.max(0, tier[window].requests - totals[window].requests),
+        tokens: tier[window].tokens === null ? null : Math.max(0, tier[window].tokens - totals[window].tokens)
+      }
+    };
+  });
+
+  return {
+    user: { id: user.id, email: user.email },
+    tier: { key: tier.key, name: tier.name },
+    // Staff and admins are metered but never blocked
+    enforced: !auth.STAFF_ROLES.includes(user.role),
+    windows,
+    endpoints
+  };
+}
+
+// Middleware for metered endpoints: rejects signed-in users over their plan's
+// limits, then records a usage event (with the AI tokens used) once the
+// response has finished. Anonymous callers are recorded by IP and limited by
+// the IP rate limiter instead.
+function meter(store, endpoint) {
+  return async (req, res, next) => {
+    const userId = req.user ? req.user.id : null;
+    try {
+      if (userId && !auth.STAFF_ROLES.includes(req.user.role)) {
+        const user = await store.users.findById(userId);
+        const tier = getTier(user && user.subscription_tier);
+        const exceeded = findExceededLimit(tier, await getUsageTotals(store, userId));
+        if (exceeded) {
+          res.set('Retry-After', String(Math.ceil((exceeded.resetsAt.getTime() - Date.now()) / 1000)));
+          return apiErrors.sendError(
+            res,
+            'RATE_LIMITED',
+            `${exceeded.window === 'daily' ? 'Daily' : 'Monthly'} ${exceeded.metric === 'tokens' ? 'token' : 'request'} limit of the ${tier.name} plan reached. Please upgrade your plan.`,
+            { ...exceeded, tier: tier.key }
+          );
+        }
+      }
+    } catch (error) {
+      // Metering problems must not take the endpoint down
+      console.error('Quota check failed:', error);
+    }
+
+    const metered = { inputTokens: 0, outputTokens: 0 };
+    // 'close' also fires when a streaming client disconnects early
+    res.once('close', () => {
+      recordEvent(store, {
+        userId,
+        ip: req.ip || null,
+        endpoint,
+        statusCode: res.statusCode,
+        inputTokens: metered.inputTokens,
+        outputTokens: metered.outputTokens
+      }).catch(error => console.error('Failed to record usage event:', error));
+    });
+
+    currentRequest.run(metered, next);
+  };
+}
+
+// IP rate limit for callers who aren't signed in: ANON_RATE_LIMIT requests
+// per ANON_RATE_WINDOW_MINUTES (default 20 per 15 minutes), shared by every
+// route the limiter is mounted on
+function createAnonymousLimiter(env = process.env) {
+  const windowMs = (parseInt(env.ANON_RATE_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+  return rateLimit({
+    windowMs,
+    limit: parseInt(env.ANON_RATE_LIMIT, 10) || 20,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skip: req => Boolean(req.user),
+    handler: (req, res) => apiErrors.sendError(
+      res,
+      'RATE_LIMITED',
+      'Too many requests from this address. Sign in for a higher limit or try again later.',
+      { retryAfterSeconds: Math.ceil(windowMs / 1000) }
+    )
+  });
+}
+
+module.exports = {
+  TIERS,
+  DEFAULT_TIER,
+  getTier,
+  getWindowBounds,
+  recordTokens,
+  recordEvent,
+  getUsageTotals,
+  findExceededLimit,
+  getUsageReport,
+  meter,
+  createAnonymousLimiter
+};
@@ -0,0 +1,271 @@
+// Outgoing webhooks. Events are queued as one delivery per subscribed
+// endpoint, with the caller's transaction when there is one, so a booking
+// change and its webhooks are saved together. A worker POSTs due deliveries
+// as signed JSON, retries failures with exponential backoff and logs every
+// attempt.
+//
+// Receivers check X-Webhook-Signature: "t=<unix seconds>,v1=<hex>", where v1
+// is the HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint's secret.
+const axios = require('axios');
+const crypto = require('crypto');
+
+const EVENT_TYPES = [
+  'booking.created',
+  'booking.rescheduled',
+  'booking.cancelled',
+  'booking.status_changed',
+  'chat.escalated'
+];
+// Sent by the test-ping endpoint only; endpoints can't subscribe to it
+const PING_EVENT = 'webhook.ping';
+
+// queued -> sending -> delivered; failed once attempts run out
+const DELIVERY_STATUSES = ['queued', 'sending', 'delivered', 'failed'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 10000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 20;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const TIMEOUT_MS = 10000;
+// Deliveries stuck in "sending" longer than this belong to a crashed worker
+const STALE_LOCK_MINUTES = 10;
+// How much of the receiver's reply is kept in the attempt log
+const MAX_LOGGED_RESPONSE = 1000;
+
+// Booking columns sent in booking.* payloads
+const BOOKING_FIELDS = [
+  'id', 'name', 'email', 'appointment_date', 'appointment_time', 'duration_minutes', 'end_time',
+  'starts_at', 'ends_at', 'business_timezone', 'customer_timezone', 'status', 'cancellation_reason',
+  'reschedule_count', 'business_id', 'service_id', 'staff_id', 'created_at', 'updated_at'
+];
+
+let worker = null;
+let polling = false;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildSignatureHeader(secret, body, now = new Date()) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+// Check a signature header against a raw body, rejecting ones older than
+// toleranceSeconds (for receivers written in Node, and for tests)
+function verifySignature(secret, body, header, { toleranceSeconds = 300, now = new Date() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Endpoints as the API shows them: the secret is only returned on creation
+function describeEndpoint(endpoint) {
+  const { secret, ...rest } = endpoint;
+  return { ...rest, secretHint: `${secret.slice(0, 10)}...` };
+}
+
+function describeBooking(booking) {
+  return Object.fromEntries(BOOKING_FIELDS.map(field => [field, booking[field] === undefined ? null : booking[field]]));
+}
+
+function buildEvent(type, data) {
+  return { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), data };
+}
+
+// Queue an event for every endpoint subscribed to it. `repos` is the store,
+// or a transaction's repositories. Returns the deliveries; call wake() once
+// the transaction has committed.
+async function queueEvent(repos, type, data, { businessId = null } = {}) {
+  const endpoints = await repos.webhookEndpoints.listForEvent(type, businessId);
+  if (endpoints.length === 0) return [];
+
+  const event = buildEvent(type, data);
+  const deliveries = [];
+  for (const endpoint of endpoints) {
+    deliveries.push(await repos.webhookDeliveries.create({
+      endpointId: endpoint.id,
+      eventId: event.id,
+      eventType: type,
+      payload: event,
+      maxAttempts: DEFAULT_MAX_ATTEMPTS
+    }));
+  }
+  return deliveries;
+}
+
+// booking.* events carry the booking; extra goes alongside it (e.g. previousStatus)
+function queueBookingEvent(repos, type, booking, extra = {}) {
+  return queueEvent(repos, type, { booking: describeBooking(booking), ...extra }, { businessId: booking.business_id });
+}
+
+// Exponential backoff: 1m, 2m, 4m... (capped at 6 hours)
+function getRetryDelaySeconds(attempts) {
+  return Math.min(6 * 3600, 60 * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+function truncate(text) {
+  if (text === null || text === undefined) return null;
+  const value = typeof text === 'string' ? text : JSON.stringify(text);
+  return value.length > MAX_LOGGED_RESPONSE ? `${value.slice(0, MAX_LOGGED_RESPONSE)}...` : value;
+}
+
+// POST one claimed delivery. Any 2xx reply counts as delivered; anything else
+// is retried until the delivery runs out of attempts.
+async function deliver(store, delivery) {
+  const endpoint = await store.webhookEndpoints.findById(delivery.endpoint_id);
+  if (!endpoint) {
+    return store.webhookDeliveries.finishAttempt(delivery, { status: 'failed', error: 'Endpoint no longer exists' });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SmartBookingPro-Webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Signature': buildSignatureHeader(endpoint.secret, body)
+      }
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    outcome = {
+      ok,
+      statusCode: response.status,
+      error: ok ? null : `Endpoint replied ${response.status}`,
+      responseBody: truncate(response.data)
+    };
+  } catch (error) {
+    outcome = { ok: false, statusCode: null, error: error.message, responseBody: null };
+  }
+  const durationMs = Date.now() - startedAt;
+
+  if (outcome.ok) {
+    console.log(`🪝 Webhook ${delivery.id} (${delivery.event_type}) delivered to ${endpoint.url}`);
+    return store.webhookDeliveries.finishAttempt(delivery, { status: 'delivered', statusCode: outcome.statusCode, responseBody: outcome.responseBody, durationMs });
+  }
+
+  const exhausted = delivery.attempts >= delivery.max_attempts;
+  const delaySeconds = getRetryDelaySeconds(delivery.attempts);
+  console.error(`❌ Webhook ${delivery.id} (${delivery.event_type}) to ${endpoint.url} failed on attempt ${delivery.attempts}${exhausted ? ', giving up' : `, retrying in ${delaySeconds}s`}: ${outcome.error}`);
+  return store.webhookDeliveries.finishAttempt(delivery, {
+    status: exhausted ? 'failed' : 'queued',
+    statusCode: outcome.statusCode,
+    error: outcome.error,
+    responseBody: outcome.responseBody,
+    durationMs,
+    nextAttemptAt: exhausted ? null : new Date(Date.now() + delaySeconds * 1000)
+  });
+}
+
+async function processDeliveries(store) {
+  if (polling) return 0;
+  polling = true;
+
+  try {
+    const deliveries = await store.webhookDeliveries.claimDue(BATCH_SIZE, { staleMinutes: STALE_LOCK_MINUTES });
+    for (const delivery of deliveries) {
+      await deliver(store, delivery);
+    }
+    return deliveries.length;
+  } catch (error) {
+    console.error('Webhook delivery polling failed:', error);
+    return 0;
+  } finally {
+    polling = false;
+  }
+}
+
+// Claim a queued delivery and send it now, returning it as it ends up.
+// Returns null if the worker got to it first.
+async function deliverNow(store, delivery) {
+  const claimed = await store.webhookDeliveries.claim(delivery.id);
+  return claimed ? deliver(store, claimed) : null;
+}
+
+// Send an endpoint a webhook.ping straight away, whatever it subscribes to
+async function sendPing(store, endpoint) {
+  const event = buildEvent(PING_EVENT, { webhookId: endpoint.id, message: 'Webhook test from Smart Booking Pro' });
+  const delivery = await store.webhookDeliveries.create({
+    endpointId: endpoint.id,
+    eventId: event.id,
+    eventType: PING_EVENT,
+    payload: event,
+    maxAttempts: 1
+  });
+  return (await deliverNow(store, delivery)) || store.webhookDeliveries.findById(delivery.id);
+}
+
+// Send a delivery's event again as a new delivery. The event id stays the
+// same so receivers can tell it's a repeat.
+async function replayDelivery(store, delivery) {
+  const replay = await store.webhookDeliveries.create({
+    endpointId: delivery.endpoint_id,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    payload: delivery.payload,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    replayOf: delivery.id
+  });
+  console.log(`🪝 Webhook ${delivery.id} (${delivery.event_type}) replayed as ${replay.id}`);
+  wake();
+  return replay;
+}
+
+function startWorker(store) {
+  if (worker) return;
+
+  const timer = setInterval(() => processDeliveries(store), POLL_INTERVAL_MS);
+  timer.unref();
+  worker = { store, timer };
+  processDeliveries(store);
+  console.log(`✅ Webhook worker started (every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+function stopWorker() {
+  if (worker) {
+    clearInterval(worker.timer);
+    worker = null;
+  }
+}
+
+// Send newly queued deliveries now instead of at the next poll. Call after
+// the transaction that queued them has committed.
+function wake() {
+  if (!worker) return;
+  const { store } = worker;
+  setImmediate(() => processDeliveries(store));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PING_EVENT,
+  DELIVERY_STATUSES,
+  generateSecret,
+  buildSignatureHeader,
+  verifySignature,
+  describeEndpoint,
+  queueEvent,
+  queueBookingEvent,
+  getRetryDelaySeconds,
+  processDeliveries,
+  sendPing,
+  replayDelivery,
+  startWorker,
+  stopWorker,
+  wake
+};
@@ -0,0 +1,337 @@
+// Baseline: the schema as initDB() used to create it on every boot.
+// Written with IF NOT EXISTS so databases created by the old initDB() adopt
+// it without changes.
+const timezones = require('../lib/timezones');
+
+async function up(db) {
+  // Bookings table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bookings (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      appointment_date DATE NOT NULL,
+      appointment_time TIME NOT NULL,
+      message TEXT,
+      ai_analysis JSONB,
+      email_content TEXT,
+      status VARCHAR(50) DEFAULT 'confirmed',
+      duration_minutes INTEGER NOT NULL DEFAULT 30,
+      end_time TIME,
+      cancellation_reason TEXT,
+      cancelled_at TIMESTAMP,
+      reschedule_count INTEGER NOT NULL DEFAULT 0,
+      starts_at TIMESTAMPTZ,
+      ends_at TIMESTAMPTZ,
+      business_timezone VARCHAR(64),
+      customer_timezone VARCHAR(64),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Columns added after the initial release
+  await db.query(`
+    ALTER TABLE bookings
+      ADD COLUMN IF NOT EXISTS duration_minutes INTEGER NOT NULL DEFAULT 30,
+      ADD COLUMN IF NOT EXISTS end_time TIME,
+      ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+      ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS business_timezone VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS customer_timezone VARCHAR(64)
+  `);
+
+  // Older rows only have business-local date/time - pin them to the business timezone
+  await db.query(
+    `UPDATE bookings
+     SET business_timezone = $1,
+         starts_at = (appointment_date + appointment_time) AT TIME ZONE $1,
+         ends_at = (appointment_date + appointment_time + make_interval(mins => duration_minutes)) AT TIME ZONE $1
+     WHERE starts_at IS NULL`,
+    [timezones.getBusinessTimezone()]
+  );
+  await db.query('CREATE INDEX IF NOT EXISTS idx_bookings_starts_at ON bookings (starts_at)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_bookings_appointment_date ON bookings (appointment_date)');
+  
+  // Users table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      name VARCHAR(255),
+      subscription_tier VARCHAR(50) DEFAULT 'free',
+      api_calls_used INTEGER DEFAULT 0,
+      api_calls_limit INTEGER DEFAULT 100,
+      password_hash VARCHAR(255),
+      role VARCHAR(20) NOT NULL DEFAULT 'customer',
+      calendar_token VARCHAR(64) UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'customer',
+      ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE
+  `);
+
+  // Refresh tokens table (only hashes are stored)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Chat interactions table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_interactions (
+      id SERIAL PRIMARY KEY,
+      user_email VARCHAR(255),
+      message TEXT NOT NULL,
+      response JSONB,
+      context JSONB,
+      response_time_ms INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Social media cache table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS social_media_cache (
+      id SERIAL PRIMARY KEY,
+      platform VARCHAR(50) NOT NULL,
+      post_data JSONB NOT NULL,
+      engagement_data JSONB,
+      fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Businesses, services and staff (service catalog)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS businesses (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      email VARCHAR(255),
+      timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+      working_hours JSONB,
+      breaks JSONB,
+      buffer_minutes INTEGER,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS services (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      duration_minutes INTEGER NOT NULL DEFAULT 30,
+      price_cents INTEGER NOT NULL DEFAULT 0,
+      currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+      buffer_minutes INTEGER,
+      keywords TEXT[] NOT NULL DEFAULT '{}',
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS staff_members (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      title VARCHAR(255),
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS staff_services (
+      staff_id INTEGER NOT NULL REFERENCES staff_members(id) ON DELETE CASCADE,
+      service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+      PRIMARY KEY (staff_id, service_id)
+    )
+  `);
+
+  await db.query(`
+    ALTER TABLE bookings
+      ADD COLUMN IF NOT EXISTS business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE SET NULL
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_bookings_staff_date ON bookings (staff_id, appointment_date)');
+  await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL');
+
+  // Email branding and language
+  await db.query(`
+    ALTER TABLE businesses
+      ADD COLUMN IF NOT EXISTS branding JSONB,
+      ADD COLUMN IF NOT EXISTS locale VARCHAR(16)
+  `);
+  await db.query('ALTER TABLE bookings ADD COLUMN IF NOT EXISTS locale VARCHAR(16)');
+
+  // Scheduled jobs table (reminders, follow-ups)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      id SERIAL PRIMARY KEY,
+      type VARCHAR(100) NOT NULL,
+      dedupe_key VARCHAR(255) UNIQUE,
+      booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+      payload JSONB DEFAULT '{}'::jsonb,
+      run_at TIMESTAMPTZ NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      last_error TEXT,
+      locked_by VARCHAR(255),
+      locked_at TIMESTAMPTZ,
+      completed_at TIMESTAMPTZ,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs (status, run_at)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_booking ON scheduled_jobs (booking_id)');
+
+  // Outgoing email outbox and per-message status log
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id SERIAL PRIMARY KEY,
+      booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+      template VARCHAR(50),
+      recipient VARCHAR(255) NOT NULL,
+      sender VARCHAR(255) NOT NULL,
+      subject TEXT NOT NULL,
+      html TEXT,
+      text TEXT,
+      ical_event JSONB,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 6,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_error TEXT,
+      provider_message_id VARCHAR(255),
+      locked_by VARCHAR(255),
+      locked_at TIMESTAMPTZ,
+      sent_at TIMESTAMPTZ,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_email_outbox_booking ON email_outbox (booking_id)');
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox_events (
+      id SERIAL PRIMARY KEY,
+      message_id INTEGER NOT NULL REFERENCES email_outbox(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL,
+      detail TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_email_outbox_events_message ON email_outbox_events (message_id)');
+
+  // Metered API usage (quotas are computed from these)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS usage_events (
+      id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ip VARCHAR(64),
+      endpoint VARCHAR(100) NOT NULL,
+      status_code INTEGER,
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_usage_events_user_time ON usage_events (user_id, created_at)');
+
+  // Chatbot conversations and their messages
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id UUID PRIMARY KEY,
+      business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL,
+      user_email VARCHAR(255),
+      metadata JSONB DEFAULT '{}'::jsonb,
+      summary TEXT,
+      summarized_until INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS conversation_messages (
+      id SERIAL PRIMARY KEY,
+      conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+      content TEXT NOT NULL,
+      metadata JSONB DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages (conversation_id, id)');
+  await db.query('ALTER TABLE chat_interactions ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL');
+
+  // Suspected prompt-injection attempts in chatbot messages
+  await db.query('ALTER TABLE chat_interactions ADD COLUMN IF NOT EXISTS injection_suspected BOOLEAN DEFAULT FALSE');
+  await db.query(`ALTER TABLE chat_interactions ADD COLUMN IF NOT EXISTS injection_signals JSONB DEFAULT '[]'`);
+
+  // AI replies that failed schema validation
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ai_validation_failures (
+      id SERIAL PRIMARY KEY,
+      task VARCHAR(50) NOT NULL,
+      outcome VARCHAR(20) NOT NULL,
+      errors JSONB NOT NULL,
+      output TEXT,
+      provider VARCHAR(50),
+      model VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_ai_validation_failures_created ON ai_validation_failures (created_at)');
+}
+
+async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS
+      ai_validation_failures,
+      conversation_messages,
+      usage_events,
+      email_outbox_events,
+      email_outbox,
+      scheduled_jobs,
+      staff_services,
+      chat_interactions,
+      conversations,
+      social_media_cache,
+      refresh_tokens,
+      bookings,
+      users,
+      staff_members,
+      services,
+      businesses
+    CASCADE
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// Constraints and indexes the baseline schema was missing.
+// social_media_cache needs UNIQUE (platform) for the ON CONFLICT (platform)
+// upsert in fetchXPosts; without it every cache write failed.
+const INDEXES = [
+  ['idx_users_email_lower', 'users (LOWER(email))'],
+  ['idx_refresh_tokens_user', 'refresh_tokens (user_id)'],
+  ['idx_bookings_email_lower', 'bookings (LOWER(email))'],
+  ['idx_bookings_status', 'bookings (status)'],
+  ['idx_bookings_business', 'bookings (business_id)'],
+  ['idx_services_business', 'services (business_id)'],
+  ['idx_staff_members_business', 'staff_members (business_id)'],
+  ['idx_staff_members_user', 'staff_members (user_id)'],
+  ['idx_staff_services_service', 'staff_services (service_id)'],
+  ['idx_chat_interactions_created', 'chat_interactions (created_at)'],
+  ['idx_chat_interactions_conversation', 'chat_interactions (conversation_id)'],
+  ['idx_conversations_business', 'conversations (business_id)']
+];
+
+async function up(db) {
+  // Duplicates can't be added through the upsert, but may have been inserted
+  // by hand - keep the newest row per platform
+  await db.query(`
+    DELETE FROM social_media_cache older
+    USING social_media_cache newer
+    WHERE older.platform = newer.platform AND older.id < newer.id
+  `);
+  await db.query('ALTER TABLE social_media_cache ADD CONSTRAINT social_media_cache_platform_key UNIQUE (platform)');
+
+  for (const [name, definition] of INDEXES) {
+    await db.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${definition}`);
+  }
+}
+
+async function down(db) {
+  for (const [name] of INDEXES) {
+    await db.query(`DROP INDEX IF EXISTS ${name}`);
+  }
+  await db.query('ALTER TABLE social_media_cache DROP CONSTRAINT IF EXISTS social_media_cache_platform_key');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Social feed sources (RSS 2.0, Atom or JSON Feed), platform-wide or per
+// business. Fetched posts are cached in social_media_cache under "feed:<id>".
+async function up(db) {
+  await db.query(`
+    CREATE TABLE social_feeds (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+      name VARCHAR(200) NOT NULL,
+      url TEXT NOT NULL,
+      format VARCHAR(20) NOT NULL DEFAULT 'auto' CHECK (format IN ('auto', 'rss', 'atom', 'json')),
+      keywords JSONB,
+      exclude_keywords JSONB NOT NULL DEFAULT '[]',
+      max_items INTEGER NOT NULL DEFAULT 3 CHECK (max_items BETWEEN 1 AND 50),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+
+  // One row per URL for each business (0 = platform-wide)
+  await db.query('CREATE UNIQUE INDEX idx_social_feeds_business_url ON social_feeds (COALESCE(business_id, 0), url)');
+}
+
+async function down(db) {
+  await db.query("DELETE FROM social_media_cache WHERE platform LIKE 'feed:%'");
+  await db.query('DROP TABLE IF EXISTS social_feeds');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,63 @@
+// Outgoing webhooks: registered endpoints, one delivery per event and
+// endpoint, and a log of every delivery attempt.
+async function up(db) {
+  await db.query(`
+    CREATE TABLE webhook_endpoints (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      description VARCHAR(200),
+      secret VARCHAR(100) NOT NULL,
+      events JSONB NOT NULL DEFAULT '["*"]',
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX idx_webhook_endpoints_business ON webhook_endpoints (business_id)');
+
+  await db.query(`
+    CREATE TABLE webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+      event_id VARCHAR(64) NOT NULL,
+      event_type VARCHAR(64) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'delivered', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 8,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_status_code INTEGER,
+      last_error TEXT,
+      locked_at TIMESTAMPTZ,
+      delivered_at TIMESTAMPTZ,
+      replay_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+  await db.query('CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, created_at)');
+
+  await db.query(`
+    CREATE TABLE webhook_delivery_attempts (
+      id SERIAL PRIMARY KEY,
+      delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+      attempt INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      response_body TEXT,
+      duration_ms INTEGER,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts (delivery_id)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS webhook_delivery_attempts');
+  await db.query('DROP TABLE IF EXISTS webhook_deliveries');
+  await db.query('DROP TABLE IF EXISTS webhook_endpoints');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// Payments for paid services: one row per checkout session, holding the
+// booking in pending_payment until the provider confirms it, plus refunds.
+async function up(db) {
+  await db.query(`
+    CREATE TABLE payments (
+      id SERIAL PRIMARY KEY,
+      booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+      provider VARCHAR(20) NOT NULL,
+      provider_session_id VARCHAR(255),
+      provider_payment_id VARCHAR(255),
+      checkout_url TEXT,
+      amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+      currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'paid', 'failed', 'expired', 'cancelled', 'refunded', 'refund_failed')),
+      expires_at TIMESTAMPTZ NOT NULL,
+      paid_at TIMESTAMPTZ,
+      refund_id VARCHAR(255),
+      refunded_at TIMESTAMPTZ,
+      last_error TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE UNIQUE INDEX idx_payments_session ON payments (provider, provider_session_id)');
+  await db.query('CREATE INDEX idx_payments_booking ON payments (booking_id, created_at)');
+  await db.query('CREATE INDEX idx_payments_holds ON payments (status, expires_at)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS payments');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Emails are unique whatever their case. Customer records used to be saved
+// with the email as typed, so Foo@x.com and foo@x.com could be two users:
+// merge those into one (the account with a password, else the oldest row),
+// store every email trimmed and lowercased and make the LOWER(email) index unique.
+async function up(db) {
+  await db.query(`
+    CREATE TEMP TABLE user_merges ON COMMIT DROP AS
+    SELECT id, keep_id FROM (
+      SELECT id, FIRST_VALUE(id) OVER (PARTITION BY LOWER(TRIM(email)) ORDER BY (password_hash IS NULL), id) AS keep_id
+      FROM users
+    ) ranked
+    WHERE id <> keep_id
+  `);
+
+  for (const table of ['refresh_tokens', 'staff_members', 'usage_events']) {
+    await db.query(`UPDATE ${table} SET user_id = m.keep_id FROM user_merges m WHERE ${table}.user_id = m.id`);
+  }
+  // Keep the latest activity of the merged rows
+  await db.query(`
+    UPDATE users SET last_active = merged.last_active
+    FROM (
+      SELECT m.keep_id, MAX(u.last_active) AS last_active
+      FROM user_merges m JOIN users u ON u.id = m.id
+      GROUP BY m.keep_id
+    ) merged
+    WHERE users.id = merged.keep_id AND merged.last_active > users.last_active
+  `);
+  await db.query('DELETE FROM users USING user_merges m WHERE users.id = m.id');
+  await db.query('UPDATE users SET email = LOWER(TRIM(email)) WHERE email <> LOWER(TRIM(email))');
+
+  await db.query('DROP INDEX IF EXISTS idx_users_email_lower');
+  await db.query('CREATE UNIQUE INDEX idx_users_email_lower ON users (LOWER(email))');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_users_email_lower');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_users_email_lower ON users (LOWER(email))');
+}
+
+module.exports = { up, down };
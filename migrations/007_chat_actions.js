@@ -0,0 +1,19 @@
+// Chatbot confirmations that have been carried out, so a confirmation token
+// only applies its change once. Rows are only needed until the token expires.
+async function up(db) {
+  await db.query(`
+    CREATE TABLE chat_actions (
+      id VARCHAR(64) PRIMARY KEY,
+      tool VARCHAR(50) NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX idx_chat_actions_expires ON chat_actions (expires_at)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS chat_actions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// Analytics reports (staff only), as JSON or CSV
+const express = require('express');
+const analytics = require('../lib/analytics');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const { validateRequest } = require('../lib/requestValidation');
+
+module.exports = function analyticsRoutes({ store }) {
+  const router = express.Router();
+
+  router.get('/analytics', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/analytics'), async (req, res) => {
+    try {
+      const { format, ...query } = req.query;
+      // Staff only report on their own business
+      if (req.user.role !== 'admin') {
+        query.businessId = req.user.businessId;
+      }
+      const result = await analytics.getReport(store, query);
+
+      if (format === 'csv') {
+        res.attachment(analytics.getCsvFilename(result));
+        return res.type('text/csv').send(analytics.toCsv(result));
+      }
+      res.json(result);
+    } catch (error) {
+      if (error instanceof analytics.AnalyticsQueryError) {
+        return apiErrors.sendError(res, 'VALIDATION_ERROR', error.message);
+      }
+      console.error('Failed to build analytics report:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to build analytics report');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,197 @@
+// Businesses, staff and service catalog routes
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const catalog = require('../lib/catalog');
+const { validateRequest } = require('../lib/requestValidation');
+
+function handleError(res, error, fallbackMessage) {
+  if (error instanceof catalog.CatalogValidationError) {
+    return apiErrors.sendError(res, 'VALIDATION_ERROR', error.message);
+  }
+  if (error.code === '23505') {
+    return apiErrors.sendError(res, 'CONFLICT', 'A record with the same unique value already exists');
+  }
+  console.error(`${fallbackMessage}:`, error);
+  apiErrors.sendError(res, 'INTERNAL_ERROR', fallbackMessage);
+}
+
+module.exports = function catalogRoutes({ store }) {
+  const router = express.Router();
+
+  // Load :businessId and check it exists
+  async function loadBusiness(req, res, next) {
+    try {
+      const business = await catalog.getBusiness(store, req.params.businessId);
+      if (!business) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Business not found');
+      }
+      req.business = business;
+      next();
+    } catch (error) {
+      handleError(res, error, 'Failed to load business');
+    }
+  }
+
+  function requireBusinessManager(req, res, next) {
+    if (!req.user) {
+      return apiErrors.sendError(res, 'UNAUTHORIZED', 'Authentication required');
+    }
+    if (!auth.canManageBusiness(req.user, req.business.id)) {
+      return apiErrors.sendError(res, 'FORBIDDEN', 'Insufficient permissions');
+    }
+    next();
+  }
+
+  // Businesses
+
+  router.get('/businesses', validateRequest('GET /api/businesses'), async (req, res) => {
+    try {
+      const includeInactive = req.query.includeInactive && auth.isStaff(req.user);
+      res.json({ businesses: await catalog.listBusinesses(store, { includeInactive }) });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch businesses');
+    }
+  });
+
+  router.post('/businesses', auth.requireRole('admin'), validateRequest('POST /api/businesses'), async (req, res) => {
+    try {
+      const business = await catalog.createBusiness(store, req.body);
+      res.status(201).json({ success: true, business });
+    } catch (error) {
+      handleError(res, error, 'Failed to create business');
+    }
+  });
+
+  router.get('/businesses/:businessId', validateRequest('GET /api/businesses/:businessId'), loadBusiness, (req, res) => {
+    res.json({ business: req.business });
+  });
+
+  router.patch('/businesses/:businessId', validateRequest('PATCH /api/businesses/:businessId'), loadBusiness, requireBusinessManager, async (req, res) => {
+    try {
+      const business = await catalog.updateBusiness(store, req.business.id, req.body);
+      res.json({ success: true, business });
+    } catch (error) {
+      handleError(res, error, 'Failed to update business');
+    }
+  });
+
+  router.delete('/businesses/:businessId', auth.requireRole('admin'), validateRequest('DELETE /api/businesses/:businessId'), loadBusiness, async (req, res) => {
+    try {
+      const business = await catalog.updateBusiness(store, req.business.id, { active: false });
+      res.json({ success: true, business });
+    } catch (error) {
+      handleError(res, error, 'Failed to deactivate business');
+    }
+  });
+
+  // Services
+
+  router.get('/businesses/:businessId/services', validateRequest('GET /api/businesses/:businessId/services'), loadBusiness, async (req, res) => {
+    try {
+      const includeInactive = req.query.includeInactive && auth.canManageBusiness(req.user, req.business.id);
+      res.json({ services: await catalog.listServices(store, req.business.id, { includeInactive }) });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch services');
+    }
+  });
+
+  router.post('/businesses/:businessId/services', validateRequest('POST /api/businesses/:businessId/services'), loadBusiness, requireBusinessManager, async (req, res) => {
+    try {
+      const service = await catalog.createService(store, req.business.id, req.body);
+      res.status(201).json({ success: true, service });
+    } catch (error) {
+      handleError(res, error, 'Failed to create service');
+    }
+  });
+
+  async function loadService(req, res, next) {
+    try {
+      const service = await catalog.getService(store, req.params.serviceId);
+      if (!service) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Service not found');
+      }
+      req.service = service;
+      req.business = { id: service.business_id };
+      next();
+    } catch (error) {
+      handleError(res, error, 'Failed to load service');
+    }
+  }
+
+  router.get('/services/:serviceId', validateRequest('GET /api/services/:serviceId'), loadService, (req, res) => {
+    res.json({ service: req.service });
+  });
+
+  router.patch('/services/:serviceId', validateRequest('PATCH /api/services/:serviceId'), loadService, requireBusinessManager, async (req, res) => {
+    try {
+      const service = await catalog.updateService(store, req.service.id, req.body);
+      res.json({ success: true, service });
+    } catch (error) {
+      handleError(res, error, 'Failed to update service');
+    }
+  });
+
+  router.delete('/services/:serviceId', validateRequest('DELETE /api/services/:serviceId'), loadService, requireBusinessManager, async (req, res) => {
+    try {
+      const service = await catalog.updateService(store, req.service.id, { active: false });
+      res.json({ success: true, service });
+    } catch (error) {
+      handleError(res, error, 'Failed to deactivate service');
+    }
+  });
+
+  // Staff
+
+  router.get('/businesses/:businessId/staff', validateRequest('GET /api/businesses/:businessId/staff'), loadBusiness, async (req, res) => {
+    try {
+      const includeInactive = req.query.includeInactive && auth.canManageBusiness(req.user, req.business.id);
+      res.json({ staff: await catalog.listStaff(store, req.business.id, { includeInactive }) });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch staff');
+    }
+  });
+
+  router.post('/businesses/:businessId/staff', validateRequest('POST /api/businesses/:businessId/staff'), loadBusiness, requireBusinessManager, async (req, res) => {
+    try {
+      const staff = await catalog.createStaff(store, req.business.id, req.body);
+      res.status(201).json({ success: true, staff });
+    } catch (error) {
+      handleError(res, error, 'Failed to create staff member');
+    }
+  });
+
+  async function loadStaff(req, res, next) {
+    try {
+      const staff = await catalog.getStaff(store, req.params.staffId);
+      if (!staff) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Staff member not found');
+      }
+      req.staff = staff;
+      req.business = { id: staff.business_id };
+      next();
+    } catch (error) {
+      handleError(res, error, 'Failed to load staff member');
+    }
+  }
+
+  router.patch('/staff/:staffId', validateRequest('PATCH /api/staff/:staffId'), loadStaff, requireBusinessManager, async (req, res) => {
+    try {
+      const staff = await catalog.updateStaff(store, req.staff.id, req.body);
+      res.json({ success: true, staff });
+    } catch (error) {
+      handleError(res, error, 'Failed to update staff member');
+    }
+  });
+
+  router.delete('/staff/:staffId', validateRequest('DELETE /api/staff/:staffId'), loadStaff, requireBusinessManager, async (req, res) => {
+    try {
+      const staff = await catalog.updateStaff(store, req.staff.id, { active: false });
+      res.json({ success: true, staff });
+    } catch (error) {
+      handleError(res, error, 'Failed to deactivate staff member');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,73 @@
+// Chatbot conversation routes - start a conversation, staff transcript review
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const catalog = require('../lib/catalog');
+const conversations = require('../lib/conversations');
+const { validateRequest } = require('../lib/requestValidation');
+
+// Staff only see their own business's conversations (undefined: every business)
+function getStaffBusinessScope(user) {
+  return user.role === 'admin' ? undefined : user.businessId;
+}
+
+module.exports = function conversationRoutes({ store }) {
+  const router = express.Router();
+
+  // Start a conversation; pass its id to /api/chatbot as conversationId
+  router.post('/conversations', validateRequest('POST /api/conversations'), async (req, res) => {
+    try {
+      const { businessId, userEmail, metadata } = req.body;
+
+      const business = await catalog.resolveBusiness(store, businessId);
+      if (businessId && !business) {
+        return apiErrors.sendError(res, 'VALIDATION_ERROR', 'Unknown business');
+      }
+
+      const conversation = await conversations.createConversation(store, {
+        businessId: business ? business.id : null,
+        userEmail: req.user ? req.user.email : userEmail || null,
+        metadata
+      });
+
+      res.status(201).json({ success: true, conversation });
+    } catch (error) {
+      console.error('Failed to create conversation:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to create conversation');
+    }
+  });
+
+  // List conversations (staff)
+  router.get('/conversations', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/conversations'), async (req, res) => {
+    try {
+      const { limit, offset, userEmail } = req.query;
+      const scope = getStaffBusinessScope(req.user);
+      const businessId = scope !== undefined ? scope : req.query.businessId;
+
+      const result = await conversations.listConversations(store, { businessId, userEmail, limit, offset });
+
+      res.json({ ...result, limit, offset });
+    } catch (error) {
+      console.error('Failed to fetch conversations:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch conversations');
+    }
+  });
+
+  // Full transcript of a conversation (staff)
+  router.get('/conversations/:id', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/conversations/:id'), async (req, res) => {
+    try {
+      const conversation = await conversations.getConversation(store, req.params.id);
+      if (!conversation || !auth.canManageBusiness(req.user, conversation.business_id)) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Conversation not found');
+      }
+
+      const messages = await conversations.listMessages(store, conversation.id);
+      res.json({ conversation, messages });
+    } catch (error) {
+      console.error('Failed to fetch conversation:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch conversation');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,89 @@
+// Email outbox routes - delivery log, manual retries and bounce reports
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const emailOutbox = require('../lib/emailOutbox');
+const { validateRequest } = require('../lib/requestValidation');
+
+// Staff only see the emails about their own business's bookings
+function getBusinessScope(user) {
+  return user.role === 'admin' ? undefined : user.businessId;
+}
+
+module.exports = function emailOutboxRoutes({ store }) {
+  const router = express.Router();
+
+  router.get('/email-outbox', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/email-outbox'), async (req, res) => {
+    try {
+      const { status, bookingId, recipient, limit, offset } = req.query;
+      const businessId = getBusinessScope(req.user);
+
+      const [result, counts] = await Promise.all([
+        emailOutbox.listMessages(store, { status, bookingId, recipient, businessId, limit, offset }),
+        emailOutbox.getStatusCounts(store, { businessId })
+      ]);
+
+      res.json({
+        messages: result.messages,
+        total: result.total,
+        counts,
+        page: Math.floor(offset / limit) + 1,
+        limit
+      });
+    } catch (error) {
+      console.error('Failed to fetch email outbox:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch email outbox');
+    }
+  });
+
+  // One message with its status log
+  router.get('/email-outbox/:id', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/email-outbox/:id'), async (req, res) => {
+    try {
+      const message = await emailOutbox.getMessage(store, req.params.id);
+      // The bodies carry the booking's manage links, so staff can't read
+      // another business's emails (or ones that aren't about a booking)
+      const booking = message && message.booking_id ? await store.bookings.findById(message.booking_id) : null;
+      if (!message || (req.user.role !== 'admin' && !(booking && auth.canManageBusiness(req.user, booking.business_id)))) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Email not found');
+      }
+
+      res.json({ message });
+    } catch (error) {
+      console.error('Failed to fetch email:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch email');
+    }
+  });
+
+  // Re-queue a failed or bounced message
+  router.post('/email-outbox/:id/retry', auth.requireRole('admin'), validateRequest('POST /api/email-outbox/:id/retry'), async (req, res) => {
+    try {
+      const message = await emailOutbox.retryMessage(store, req.params.id);
+      if (!message) {
+        return apiErrors.sendError(res, 'CONFLICT', 'Only failed or bounced emails can be retried');
+      }
+      emailOutbox.wake();
+
+      res.json({ success: true, message });
+    } catch (error) {
+      console.error('Failed to retry email:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to retry email');
+    }
+  });
+
+  // Record a bounce reported after delivery (e.g. from a bounce notification)
+  router.post('/email-outbox/:id/bounce', auth.requireRole('admin'), validateRequest('POST /api/email-outbox/:id/bounce'), async (req, res) => {
+    try {
+      const message = await emailOutbox.markBounced(store, req.params.id, req.body.reason);
+      if (!message) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Email not found');
+      }
+
+      res.json({ success: true, message });
+    } catch (error) {
+      console.error('Failed to record bounce:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to record bounce');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,50 @@
+// Email template routes - list templates, preview them with sample data
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const catalog = require('../lib/catalog');
+const emailTemplates = require('../lib/email');
+const { validateRequest } = require('../lib/requestValidation');
+
+module.exports = function emailTemplateRoutes({ store }) {
+  const router = express.Router();
+
+  router.get('/email-templates', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/email-templates'), (req, res) => {
+    res.json({
+      templates: emailTemplates.listTemplates(),
+      locales: emailTemplates.LOCALES,
+      defaultLocale: emailTemplates.DEFAULT_LOCALE
+    });
+  });
+
+  // Render a template with sample booking data, branded for a business
+  // (the staff member's own by default; admins can pick any)
+  router.get('/email-templates/:name/preview', auth.requireRole(...auth.STAFF_ROLES), validateRequest('GET /api/email-templates/:name/preview'), async (req, res) => {
+    try {
+      const { locale, format } = req.query;
+      const businessId = req.query.businessId || req.user.businessId;
+
+      let business = null;
+      if (businessId) {
+        business = await catalog.resolveBusiness(store, businessId);
+        if (!business) {
+          return apiErrors.sendError(res, 'NOT_FOUND', 'Business not found');
+        }
+        if (req.user.role !== 'admin' && req.user.businessId && req.user.businessId !== business.id) {
+          return apiErrors.sendError(res, 'FORBIDDEN', 'Insufficient permissions');
+        }
+      }
+
+      const email = emailTemplates.renderPreview(req.params.name, { business, locale });
+
+      if (format === 'html') return res.type('html').send(email.html);
+      if (format === 'text') return res.type('text').send(email.text);
+      res.json(email);
+    } catch (error) {
+      console.error('Email template preview failed:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to render email template');
+    }
+  });
+
+  return router;
+};
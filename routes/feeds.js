@@ -0,0 +1,122 @@
+// Social feed sources the chatbot reads (admin only)
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const catalog = require('../lib/catalog');
+const feeds = require('../lib/feeds');
+const { validateRequest } = require('../lib/requestValidation');
+
+// What a test fetch shows: the detected format and the posts that would be kept
+function describeFetch(result) {
+  return {
+    success: true,
+    format: result.format,
+    title: result.title,
+    itemCount: result.itemCount,
+    skipped: result.itemCount - result.posts.length,
+    posts: result.posts
+  };
+}
+
+// A feed that can't be fetched or parsed is a test result, not an API error
+function describeFailure(error) {
+  return {
+    success: false,
+    error: error instanceof feeds.FeedParseError ? error.message : `Could not fetch the feed: ${error.message}`
+  };
+}
+
+module.exports = function feedRoutes({ store }) {
+  const router = express.Router();
+
+  router.use('/feeds', auth.requireRole('admin'));
+
+  // Load :feedId and check it exists
+  async function loadFeed(req, res, next) {
+    try {
+      const feed = await store.socialFeeds.findById(req.params.feedId);
+      if (!feed) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Feed not found');
+      }
+      req.feed = feed;
+      next();
+    } catch (error) {
+      console.error('Failed to load feed:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to load feed');
+    }
+  }
+
+  router.get('/feeds', validateRequest('GET /api/feeds'), async (req, res) => {
+    try {
+      res.json({ feeds: await store.socialFeeds.list({ businessId: req.query.businessId }) });
+    } catch (error) {
+      console.error('Failed to fetch feeds:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch feeds');
+    }
+  });
+
+  router.post('/feeds', validateRequest('POST /api/feeds'), async (req, res) => {
+    try {
+      const { businessId, url } = req.body;
+
+      if (businessId && !(await catalog.getBusiness(store, businessId))) {
+        return apiErrors.sendError(res, 'VALIDATION_ERROR', `Business ${businessId} does not exist`);
+      }
+
+      if (await store.socialFeeds.findByUrl(url, businessId)) {
+        return apiErrors.sendError(res, 'CONFLICT', 'This feed has already been added');
+      }
+
+      const feed = await store.socialFeeds.create(req.body);
+      console.log(`📰 Feed "${feed.name}" added (${feed.url})`);
+      res.status(201).json({ success: true, feed });
+    } catch (error) {
+      if (error.code === '23505') {
+        return apiErrors.sendError(res, 'CONFLICT', 'This feed has already been added');
+      }
+      console.error('Failed to add feed:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to add feed');
+    }
+  });
+
+  router.delete('/feeds/:feedId', validateRequest('DELETE /api/feeds/:feedId'), loadFeed, async (req, res) => {
+    try {
+      await feeds.removeFeed(store, req.feed);
+      console.log(`📰 Feed "${req.feed.name}" removed`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Failed to remove feed:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to remove feed');
+    }
+  });
+
+  // Try a feed before adding it
+  router.post('/feeds/test', validateRequest('POST /api/feeds/test'), async (req, res) => {
+    const { url, format, keywords, excludeKeywords, maxItems } = req.body;
+    try {
+      const result = await feeds.fetchSource({
+        id: null,
+        name: 'Test',
+        url,
+        format,
+        keywords,
+        exclude_keywords: excludeKeywords,
+        max_items: maxItems
+      });
+      res.json(describeFetch(result));
+    } catch (error) {
+      res.json(describeFailure(error));
+    }
+  });
+
+  // Fetch a saved feed now (this also refreshes its cached posts)
+  router.post('/feeds/:feedId/test', validateRequest('POST /api/feeds/:feedId/test'), loadFeed, async (req, res) => {
+    try {
+      res.json(describeFetch(await feeds.refreshSource(store, req.feed)));
+    } catch (error) {
+      res.json(describeFailure(error));
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,37 @@
+// Payment provider webhooks. The signature is checked against req.rawBody,
+// the bytes exactly as the provider sent them (kept by the JSON parser in app.js).
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const bookingPayments = require('../lib/bookingPayments');
+const payments = require('../lib/payments');
+const { validateRequest } = require('../lib/requestValidation');
+
+module.exports = function paymentRoutes({ store }) {
+  const router = express.Router();
+
+  router.post('/payments/webhook', validateRequest('POST /api/payments/webhook'), async (req, res) => {
+    let event;
+    try {
+      event = payments.parseWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.headers);
+    } catch (error) {
+      if (error instanceof payments.PaymentWebhookError) {
+        return apiErrors.sendError(res, 'VALIDATION_ERROR', error.message);
+      }
+      if (error instanceof payments.PaymentError) {
+        return apiErrors.sendError(res, 'PAYMENT_UNAVAILABLE', error.message);
+      }
+      return apiErrors.sendError(res, 'VALIDATION_ERROR', 'Malformed payment webhook');
+    }
+
+    // Anything but a 2xx makes the provider send the event again
+    try {
+      const result = await bookingPayments.handlePaymentEvent(store, event);
+      res.json({ received: true, ...result });
+    } catch (error) {
+      console.error('Failed to handle payment webhook:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to handle payment webhook');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,43 @@
+// Usage routes - plan limits and metered usage
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const usage = require('../lib/usage');
+const { validateRequest } = require('../lib/requestValidation');
+
+module.exports = function usageRoutes({ store }) {
+  const router = express.Router();
+
+  router.get('/usage/tiers', validateRequest('GET /api/usage/tiers'), (req, res) => {
+    res.json({
+      tiers: Object.keys(usage.TIERS).map(key => ({ key, ...usage.TIERS[key] })),
+      defaultTier: usage.DEFAULT_TIER
+    });
+  });
+
+  // The caller's usage in the current day and month. Staff can look up
+  // another user with userId or email.
+  router.get('/usage', auth.requireAuth, validateRequest('GET /api/usage'), async (req, res) => {
+    try {
+      const { userId, email } = req.query;
+      const lookup = userId || email;
+      if (lookup && !auth.isStaff(req.user)) {
+        return apiErrors.sendError(res, 'FORBIDDEN', 'Only staff can view other users\' usage');
+      }
+
+      const user = email
+        ? await store.users.findByEmail(email)
+        : await store.users.findById(userId || req.user.id);
+      if (!user) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'User not found');
+      }
+
+      res.json(await usage.getUsageReport(store, user));
+    } catch (error) {
+      console.error('Failed to fetch usage:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch usage');
+    }
+  });
+
+  return router;
+};
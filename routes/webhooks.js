@@ -0,0 +1,149 @@
+// Outgoing webhook endpoints and their delivery log (admin only)
+const express = require('express');
+const apiErrors = require('../lib/apiErrors');
+const auth = require('../lib/auth');
+const catalog = require('../lib/catalog');
+const webhooks = require('../lib/webhooks');
+const { validateRequest } = require('../lib/requestValidation');
+
+module.exports = function webhookRoutes({ store }) {
+  const router = express.Router();
+
+  router.use('/webhooks', auth.requireRole('admin'));
+
+  // Load :webhookId and check it exists
+  async function loadEndpoint(req, res, next) {
+    try {
+      const endpoint = await store.webhookEndpoints.findById(req.params.webhookId);
+      if (!endpoint) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Webhook not found');
+      }
+      req.endpoint = endpoint;
+      next();
+    } catch (error) {
+      console.error('Failed to load webhook:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to load webhook');
+    }
+  }
+
+  // Load :deliveryId of the loaded endpoint
+  async function loadDelivery(req, res, next) {
+    try {
+      const delivery = await store.webhookDeliveries.findById(req.params.deliveryId);
+      if (!delivery || String(delivery.endpoint_id) !== String(req.endpoint.id)) {
+        return apiErrors.sendError(res, 'NOT_FOUND', 'Delivery not found');
+      }
+      req.delivery = delivery;
+      next();
+    } catch (error) {
+      console.error('Failed to load webhook delivery:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to load webhook delivery');
+    }
+  }
+
+  router.get('/webhooks', validateRequest('GET /api/webhooks'), async (req, res) => {
+    try {
+      const endpoints = await store.webhookEndpoints.list({ businessId: req.query.businessId });
+      res.json({ webhooks: endpoints.map(webhooks.describeEndpoint), events: webhooks.EVENT_TYPES });
+    } catch (error) {
+      console.error('Failed to fetch webhooks:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch webhooks');
+    }
+  });
+
+  router.post('/webhooks', validateRequest('POST /api/webhooks'), async (req, res) => {
+    try {
+      const { businessId, url, events, description, enabled } = req.body;
+
+      if (businessId && !(await catalog.getBusiness(store, businessId))) {
+        return apiErrors.sendError(res, 'VALIDATION_ERROR', `Business ${businessId} does not exist`);
+      }
+
+      const endpoint = await store.webhookEndpoints.create({
+        businessId,
+        url,
+        description: description || null,
+        secret: webhooks.generateSecret(),
+        events,
+        enabled
+      });
+      console.log(`🪝 Webhook ${endpoint.id} registered (${endpoint.url})`);
+      res.status(201).json({ success: true, webhook: { ...webhooks.describeEndpoint(endpoint), secret: endpoint.secret } });
+    } catch (error) {
+      console.error('Failed to register webhook:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to register webhook');
+    }
+  });
+
+  router.delete('/webhooks/:webhookId', validateRequest('DELETE /api/webhooks/:webhookId'), loadEndpoint, async (req, res) => {
+    try {
+      await store.webhookEndpoints.remove(req.endpoint.id);
+      console.log(`🪝 Webhook ${req.endpoint.id} removed`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Failed to remove webhook:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to remove webhook');
+    }
+  });
+
+  // A failed ping is a test result, not an API error
+  router.post('/webhooks/:webhookId/ping', validateRequest('POST /api/webhooks/:webhookId/ping'), loadEndpoint, async (req, res) => {
+    try {
+      const delivery = await webhooks.sendPing(store, req.endpoint);
+      res.json({
+        success: delivery.status === 'delivered',
+        statusCode: delivery.last_status_code,
+        error: delivery.last_error,
+        delivery
+      });
+    } catch (error) {
+      console.error('Failed to ping webhook:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to ping webhook');
+    }
+  });
+
+  router.get('/webhooks/:webhookId/deliveries', validateRequest('GET /api/webhooks/:webhookId/deliveries'), loadEndpoint, async (req, res) => {
+    try {
+      const { status, event, limit, offset } = req.query;
+      const { deliveries, total } = await store.webhookDeliveries.list({
+        endpointId: req.endpoint.id,
+        status,
+        eventType: event,
+        limit,
+        offset
+      });
+      res.json({ deliveries, total, limit, offset });
+    } catch (error) {
+      console.error('Failed to fetch webhook deliveries:', error);
+      apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to fetch webhook deliveries');
+    }
+  });
+
+  router.get(
+    '/webhooks/:webhookId/deliveries/:deliveryId',
+    validateRequest('GET /api/webhooks/:webhookId/deliveries/:deliveryId'),
+    loadEndpoint,
+    loadDelivery,
+    (req, res) => {
+      res.json({ delivery: req.delivery });
+    }
+  );
+
+  router.post(
+    '/webhooks/:webhookId/deliveries/:deliveryId/replay',
+    validateRequest('POST /api/webhooks/:webhookId/deliveries/:deliveryId/replay'),
+    loadEndpoint,
+    loadDelivery,
+    async (req, res) => {
+      try {
+        const delivery = await webhooks.replayDelivery(store, req.delivery);
+        res.status(202).json({ success: true, delivery });
+      } catch (error) {
+        console.error('Failed to replay webhook delivery:', error);
+        apiErrors.sendError(res, 'INTERNAL_ERROR', 'Failed to replay webhook delivery');
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,69 @@
+// Database migration CLI
+//   npm run migrate                    apply pending migrations
+//   npm run migrate -- --to 3          apply pending migrations up to version 3
+//   npm run migrate:status             list applied and pending migrations
+//   npm run migrate:down               revert the last migration
+//   npm run migrate:down -- --steps 2  revert the last two migrations
+//   npm run migrate:down -- --to 1     revert every migration above version 1
+require('dotenv').config();
+const db = require('../lib/db');
+const migrations = require('../lib/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js <up|status|down> [--to <version>] [--steps <count>]';
+
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const flag = rest[i];
+    const value = parseInt(rest[i + 1], 10);
+    if (!['--to', '--steps'].includes(flag) || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid option: ${rest.slice(i, i + 2).join(' ')}`);
+    }
+    options[flag.slice(2)] = value;
+  }
+  return { command, options };
+}
+
+function printStatus(rows) {
+  if (rows.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+  rows.forEach(row => {
+    const icon = row.status === 'applied' ? '✅' : row.status === 'pending' ? '⏳' : '⚠️ ';
+    const appliedAt = row.appliedAt ? ` (applied ${new Date(row.appliedAt).toISOString()})` : '';
+    console.log(`${icon} ${String(row.version).padStart(3, '0')}_${row.name} - ${row.status}${appliedAt}`);
+  });
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  const pool = db.createPool();
+  if (!pool) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+
+  try {
+    if (command === 'up') {
+      const applied = await migrations.migrateUp(pool, { to: options.to });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrations.migrateDown(pool, { steps: options.steps, to: options.to });
+      console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    } else if (command === 'status') {
+      printStatus(await migrations.getStatus(pool));
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const anthropic = require('./helpers/anthropic');
+const smtp = require('./helpers/smtp');
+const { app, store, emailTransporter } = require('../app');
+const emailOutbox = require('../lib/emailOutbox');
+const { signIn } = require('./helpers/fixtures');
+
+describe('GET /api/usage/tiers', () => {
+  test('lists the plans', async () => {
+    const res = await request(app).get('/api/usage/tiers');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tiers.map(tier => tier.key)).toContain(res.body.defaultTier);
+  });
+});
+
+describe('GET /api/usage', () => {
+  test('needs a login', async () => {
+    const res = await request(app).get('/api/usage');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('counts the caller\'s metered requests and AI tokens', async () => {
+    const { authorization } = await signIn(store, { role: 'customer' });
+    anthropic.replyWith({ content: 'Hi!', suggestions: [], action: null, mood: 'helpful' });
+    await request(app).post('/api/chatbot').set('Authorization', authorization).send({ message: 'hi' }).expect(200);
+
+    const res = await request(app).get('/api/usage').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.tier.key).toBe('free');
+    expect(res.body.windows.daily).toMatchObject({ requests: 1, tokens: 46, remaining: { requests: 49 } });
+    expect(res.body.endpoints).toEqual([{ endpoint: '/api/chatbot', requests: 1, inputTokens: 12, outputTokens: 34 }]);
+  });
+});
+
+describe('email templates', () => {
+  let staff;
+
+  beforeAll(async () => {
+    staff = await signIn(store, { role: 'staff' });
+  });
+
+  test('GET /api/email-templates lists templates and locales', async () => {
+    const res = await request(app).get('/api/email-templates').set('Authorization', staff.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.templates.length).toBeGreaterThan(0);
+    expect(res.body.locales).toContain(res.body.defaultLocale);
+  });
+
+  test('GET /api/email-templates/:name/preview renders sample data', async () => {
+    const list = await request(app).get('/api/email-templates').set('Authorization', staff.authorization);
+    const name = list.body.templates[0].name;
+
+    const res = await request(app)
+      .get(`/api/email-templates/${name}/preview`)
+      .set('Authorization', staff.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.subject).toEqual(expect.any(String));
+    expect(res.body.html).toContain('token=preview');
+    expect(res.body.text).not.toContain('<');
+  });
+
+  test('templates are staff only', async () => {
+    const res = await request(app).get('/api/email-templates');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /send-email', () => {
+  test('queues the email in the outbox for the worker to send', async () => {
+    const { authorization } = await signIn(store, { role: 'staff' });
+
+    const res = await request(app)
+      .post('/send-email')
+      .set('Authorization', authorization)
+      .send({ to: 'someone@example.com', subject: 'Hello', html: '<p>Hi</p>' });
+
+    expect(res.status).toBe(202);
+    await emailOutbox.processOutbox(store, emailTransporter);
+    expect(smtp.sent.map(message => message.subject)).toContain('Hello');
+
+    const admin = await signIn(store);
+    const outbox = await request(app).get(`/api/email-outbox/${res.body.messageId}`).set('Authorization', admin.authorization);
+    expect(outbox.body.message).toMatchObject({ status: 'sent', recipient: 'someone@example.com', text: 'Hi' });
+    expect(outbox.body.message.events.map(event => event.status)).toEqual(['queued', 'sent']);
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const anthropic = require('./helpers/anthropic');
+const { app } = require('../app');
+const { futureWeekday } = require('./helpers/fixtures');
+
+beforeEach(() => {
+  anthropic.reset();
+});
+
+describe('POST /api/analyze-message', () => {
+  test('returns the model analysis', async () => {
+    const analysis = {
+      sentiment: 'urgent',
+      suggestedDuration: 30,
+      topics: ['Technical support'],
+      priority: 'high',
+      suggestions: ['Bring your laptop', 'Note the error message'],
+      confidence: 0.9
+    };
+    anthropic.replyWith(analysis);
+
+    const res = await request(app)
+      .post('/api/analyze-message')
+      .send({ message: 'My server is down, I need help ASAP' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(analysis);
+
+    // The prompt offers the catalog's services as topics
+    const [sent] = anthropic.requests;
+    expect(sent.system).toContain('Technical support');
+    expect(sent.messages[0].content).toContain('My server is down');
+  });
+
+  test('answers 503 with a fallback analysis when the AI fails', async () => {
+    anthropic.replyWith(anthropic.apiError());
+
+    const res = await request(app)
+      .post('/api/analyze-message')
+      .send({ message: 'Can we talk about my business plan?' });
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('AI_UNAVAILABLE');
+    expect(res.body.fallback).toMatchObject({ sentiment: 'neutral', topics: ['General consultation'] });
+  });
+
+  test('rejects topics outside the catalog', async () => {
+    anthropic.replyWith({
+      sentiment: 'neutral',
+      suggestedDuration: 30,
+      topics: ['Astrology'],
+      priority: 'low',
+      suggestions: [],
+      confidence: 0.4
+    });
+
+    const res = await request(app)
+      .post('/api/analyze-message')
+      .send({ message: 'What does my horoscope say?' });
+
+    expect(res.status).toBe(503);
+    expect(res.body.fallback).toBeDefined();
+  });
+
+  test('needs a message', async () => {
+    const res = await request(app).post('/api/analyze-message').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('POST /api/generate-email', () => {
+  const booking = {
+    name: 'Ada Lovelace',
+    date: futureWeekday(3),
+    time: '10:00',
+    message: 'Review of the analytical engine'
+  };
+
+  test('returns the generated email', async () => {
+    const email = `Hi Ada,\n\nYour appointment on ${booking.date} at 10:00 is confirmed. Bring your notes on the engine.\n\nSee you soon!`;
+    anthropic.replyWith(email);
+
+    const res = await request(app).post('/api/generate-email').send(booking);
+
+    expect(res.status).toBe(200);
+    expect(res.body.emailContent).toBe(email);
+    expect(res.body.fallback).toBeUndefined();
+    expect(anthropic.requests[0].messages[0].content).toContain('Ada Lovelace');
+  });
+
+  test('uses the template when the AI fails', async () => {
+    anthropic.replyWith(anthropic.apiError());
+
+    const res = await request(app).post('/api/generate-email').send(booking);
+
+    expect(res.status).toBe(200);
+    expect(res.body.fallback).toBe(true);
+    expect(res.body.emailContent).toContain('Ada Lovelace');
+  });
+
+  test('uses the template when the reply has placeholders', async () => {
+    anthropic.replyWith('Dear customer, your booking is confirmed. Regards, [Your Name] from the front desk team.');
+
+    const res = await request(app).post('/api/generate-email').send(booking);
+
+    expect(res.body.fallback).toBe(true);
+    expect(res.body.emailContent).not.toContain('[Your Name]');
+  });
+});
+
+describe('AI retries', () => {
+  test('leave no abort listeners behind on the caller signal', async () => {
+    const ai = require('../lib/ai');
+    let calls = 0;
+    ai.registerProvider('flaky', {
+      create: () => ({
+        name: 'flaky',
+        supportsTools: false,
+        async createMessage() {
+          calls++;
+          if (calls === 1) throw Object.assign(new Error('Overloaded'), { status: 529 });
+          return { content: [{ type: 'text', text: 'ok' }] };
+        }
+      })
+    });
+    const controller = new AbortController();
+    const added = jest.spyOn(controller.signal, 'addEventListener');
+    const removed = jest.spyOn(controller.signal, 'removeEventListener');
+
+    process.env.AI_MAX_RETRIES_SUMMARY = '1';
+    const message = await ai.createAIClient({ provider: 'flaky' })
+      .complete('summary', { messages: [] }, { signal: controller.signal })
+      .finally(() => { delete process.env.AI_MAX_RETRIES_SUMMARY; });
+
+    expect(ai.getText(message)).toBe('ok');
+    expect(calls).toBe(2);
+    expect(removed).toHaveBeenCalledTimes(added.mock.calls.length);
+  });
+});
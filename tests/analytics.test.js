@@ -0,0 +1,157 @@
+const request = require('supertest');
+const { app, store } = require('../app');
+const { futureWeekday, signIn } = require('./helpers/fixtures');
+
+const TODAY = new Date().toISOString().slice(0, 10);
+const DAYS_AGO_2 = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+let staff;
+
+function addBooking({ email, status, analysis = null, createdAt }) {
+  return store.bookings.create({
+    name: email.split('@')[0],
+    email,
+    appointment_date: futureWeekday(3),
+    appointment_time: '10:00',
+    status,
+    ai_analysis: analysis
+  }).then(booking => (createdAt ? store.bookings.update(booking.id, { created_at: createdAt }) : booking));
+}
+
+function getAnalytics(query) {
+  return request(app).get('/api/analytics').query(query).set('Authorization', staff.authorization);
+}
+
+beforeAll(async () => {
+  staff = await signIn(store, { role: 'staff' });
+
+  // Chats come before the bookings they lead to
+  await store.chatInteractions.record({ userEmail: 'ada@example.com', message: 'hi', response: {}, responseTimeMs: 100 });
+  await store.chatInteractions.record({ userEmail: 'Bob@example.com', message: 'hi', response: {}, responseTimeMs: 300 });
+  await store.chatInteractions.record({ userEmail: 'eve@example.com', message: 'hi', response: {}, responseTimeMs: 200 });
+  await store.chatInteractions.record({ message: 'hi', response: {}, responseTimeMs: 1000 });
+
+  await addBooking({ email: 'ada@example.com', status: 'completed', analysis: { topics: ['Technical support'], priority: 'high' } });
+  await addBooking({
+    email: 'bob@example.com',
+    status: 'cancelled',
+    analysis: { topics: ['Medical consultation', 'Technical support'], priority: 'medium' }
+  });
+  await addBooking({ email: 'cy@example.com', status: 'no_show' });
+  // Outside the default 30 days
+  await addBooking({ email: 'dee@example.com', status: 'confirmed', createdAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) });
+});
+
+describe('GET /api/analytics', () => {
+  test('needs a staff login', async () => {
+    const res = await request(app).get('/api/analytics');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('summarises the last 30 days by default', async () => {
+    const res = await getAnalytics({});
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ report: 'summary', to: TODAY, timezone: 'UTC', groupBy: null });
+    expect(res.body.summary).toEqual({
+      bookings: {
+        total: 3,
+        pending: 0,
+        pendingPayment: 0,
+        confirmed: 0,
+        completed: 1,
+        cancelled: 1,
+        noShow: 1,
+        expired: 0,
+        cancellationRate: 0.3333,
+        noShowRate: 0.5
+      },
+      chats: { total: 4, responseTimeMs: { timed: 4, p50: 200, p95: 1000, average: 400 } },
+      funnel: { chatted: 3, booked: 2, completed: 1 }
+    });
+    expect(res.body.rows).toContainEqual({ metric: 'chats.responseTimeMs.p95', value: 1000 });
+  });
+
+  test('keeps staff to their own business', async () => {
+    const other = await signIn(store, { role: 'staff', email: 'analytics-biz-7@example.com', businessId: 7 });
+
+    const res = await request(app)
+      .get('/api/analytics')
+      .query({ businessId: 1 })
+      .set('Authorization', other.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.businessId).toBe(7);
+    expect(res.body.summary.bookings.total).toBe(0);
+  });
+
+  test('groups bookings by day, including days without any', async () => {
+    const res = await getAnalytics({ report: 'bookings', groupBy: 'day', from: DAYS_AGO_2, to: TODAY });
+
+    expect(res.body.rows.map(row => [row.group, row.bookings])).toEqual([
+      [DAYS_AGO_2, 0],
+      [expect.any(String), 0],
+      [TODAY, 3]
+    ]);
+    expect(res.body.rows[2]).toMatchObject({ completed: 1, cancelled: 1, noShow: 1, cancellationRate: 0.3333 });
+    expect(res.body.rows[0].cancellationRate).toBeNull();
+  });
+
+  test('groups bookings by topic and priority', async () => {
+    const byTopic = await getAnalytics({ report: 'bookings', groupBy: 'topic' });
+    const byPriority = await getAnalytics({ report: 'bookings', groupBy: 'priority' });
+
+    // A booking counts under each of its topics
+    expect(byTopic.body.rows.map(row => [row.group, row.bookings])).toEqual([
+      ['Technical support', 2],
+      ['Medical consultation', 1],
+      ['unknown', 1]
+    ]);
+    expect(byPriority.body.rows.map(row => row.group)).toEqual(['high', 'medium', 'unknown']);
+  });
+
+  test('follows customers from chat to booking to completion', async () => {
+    const res = await getAnalytics({ report: 'funnel' });
+
+    expect(res.body.rows).toEqual([
+      { step: 'chatted', customers: 3, conversionRate: null, overallRate: null },
+      { step: 'booked', customers: 2, conversionRate: 0.6667, overallRate: 0.6667 },
+      { step: 'completed', customers: 1, conversionRate: 0.5, overallRate: 0.3333 }
+    ]);
+    expect(res.body.anonymousChats).toBe(1);
+  });
+
+  test('reports chatbot response time percentiles per period', async () => {
+    const res = await getAnalytics({ report: 'response_times', groupBy: 'month', from: TODAY, to: TODAY });
+
+    expect(res.body.rows).toEqual([{ group: TODAY.slice(0, 7), chats: 4, timed: 4, p50: 200, p95: 1000, average: 400 }]);
+
+    const byStatus = await getAnalytics({ report: 'response_times', groupBy: 'status' });
+    expect(byStatus.status).toBe(400);
+  });
+
+  test('exports any report as CSV', async () => {
+    await addBooking({ email: 'mal@example.com', status: 'pending', analysis: { topics: ['=HYPERLINK("x")'], priority: 'low' } });
+
+    const res = await getAnalytics({ report: 'bookings', groupBy: 'topic', from: TODAY, to: TODAY, format: 'csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="analytics-bookings-by-topic-${TODAY}-to-${TODAY}.csv"`);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe('group,bookings,pending,pendingPayment,confirmed,completed,cancelled,noShow,expired,cancellationRate,noShowRate');
+    expect(lines[1]).toBe('Technical support,2,0,0,0,1,1,0,0,0.5,0');
+    // Formulas are defused and quotes escaped
+    expect(lines).toContain('"\'=HYPERLINK(""x"")",1,1,0,0,0,0,0,0,0,');
+  });
+
+  test('rejects backwards and overly long ranges', async () => {
+    const backwards = await getAnalytics({ from: TODAY, to: DAYS_AGO_2 });
+    const tooLong = await getAnalytics({ from: '2024-01-01', to: '2025-12-31' });
+
+    expect(backwards.status).toBe(400);
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { app, store } = require('../app');
+const { signIn } = require('./helpers/fixtures');
+
+describe('POST /api/auth/login', () => {
+  test('returns a token pair for valid credentials', async () => {
+    const { password } = await signIn(store, { role: 'staff', email: 'login@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'Login@Example.com', password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    expect(res.body.user).toMatchObject({ email: 'login@example.com', role: 'staff' });
+  });
+
+  test('rejects a wrong password', async () => {
+    await signIn(store, { role: 'staff', email: 'wrong@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'wrong@example.com', password: 'not-the-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+  });
+});
+
+describe('POST /api/auth/refresh and /api/auth/logout', () => {
+  async function login(email) {
+    const { password } = await signIn(store, { role: 'staff', email });
+    const res = await request(app).post('/api/auth/login').send({ email, password });
+    return res.body;
+  }
+
+  test('rotates the refresh token and rejects reuse', async () => {
+    const { refreshToken } = await login('refresh@example.com');
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(reused.status).toBe(401);
+  });
+
+  test('logout revokes the refresh token', async () => {
+    const { refreshToken } = await login('logout@example.com');
+
+    const res = await request(app).post('/api/auth/logout').send({ refreshToken });
+    expect(res.status).toBe(200);
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(refreshed.status).toBe(401);
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  test('needs a token', async () => {
+    const res = await request(app).get('/api/auth/me');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('returns the signed-in user', async () => {
+    const { authorization } = await signIn(store, { role: 'staff', email: 'me@example.com' });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ email: 'me@example.com', role: 'staff' });
+  });
+});
+
+describe('POST /api/users', () => {
+  test('admins can create accounts', async () => {
+    const { authorization } = await signIn(store);
+
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', authorization)
+      .send({ email: 'new-staff@example.com', password: 'long-enough-password', role: 'staff' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: 'new-staff@example.com', role: 'staff' });
+    expect(res.body.user).not.toHaveProperty('password_hash');
+  });
+
+  test('staff cannot', async () => {
+    const { authorization } = await signIn(store, { role: 'staff' });
+
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', authorization)
+      .send({ email: 'someone@example.com', password: 'long-enough-password' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+
+  test('validates the body', async () => {
+    const { authorization } = await signIn(store);
+
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', authorization)
+      .send({ email: 'not-an-email', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.details.length).toBeGreaterThan(0);
+  });
+});
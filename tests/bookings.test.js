@@ -0,0 +1,351 @@
+const request = require('supertest');
+const { app, store } = require('../app');
+const lifecycle = require('../lib/bookingLifecycle');
+const { futureWeekday, signIn } = require('./helpers/fixtures');
+
+const DATE = futureWeekday(5);
+
+let staff;
+
+beforeAll(async () => {
+  staff = await signIn(store, { role: 'staff' });
+});
+
+function book(fields = {}) {
+  return request(app)
+    .post('/api/create-booking')
+    .send({
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      appointmentDate: DATE,
+      appointmentTime: '09:00',
+      ...fields
+    });
+}
+
+describe('GET /api/availability', () => {
+  test('lists free slots inside opening hours', async () => {
+    const res = await request(app).get('/api/availability').query({ date: futureWeekday(6), duration: 30 });
+
+    expect(res.status).toBe(200);
+    const starts = res.body.slots.map(slot => slot.start);
+    expect(starts[0]).toBe('09:00');
+    expect(starts).not.toContain('12:00');
+    expect(res.body).toMatchObject({ duration: 30, timezone: 'UTC' });
+  });
+
+  test('needs a date', async () => {
+    const res = await request(app).get('/api/availability');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('POST /api/create-booking', () => {
+  test('books a free slot', async () => {
+    const res = await book();
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.booking).toMatchObject({ name: 'Ada Lovelace', date: DATE, time: '09:00', duration: 30 });
+
+    // The customer is recorded too
+    const customer = await store.users.findByEmail('ada@example.com');
+    expect(customer).toMatchObject({ name: 'Ada Lovelace', role: 'customer' });
+  });
+
+  test('records one customer whatever the email case', async () => {
+    const before = await store.users.count();
+
+    await store.users.recordCustomer('Case.Test@Example.com', 'Case Test');
+    await store.users.recordCustomer('case.test@example.com', null);
+
+    expect(await store.users.count()).toBe(before + 1);
+    expect(await store.users.findByEmail('CASE.TEST@example.com')).toMatchObject({ email: 'case.test@example.com', name: 'Case Test' });
+  });
+
+  test('rejects an overlapping booking', async () => {
+    const res = await book({ email: 'grace@example.com', appointmentTime: '09:15' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('BOOKING_CONFLICT');
+    expect(res.body.details.conflicts.length).toBeGreaterThan(0);
+  });
+
+  test('leaves nothing behind when its transaction fails', async () => {
+    const before = await store.bookings.list();
+
+    await expect(store.transaction(async (tx) => {
+      await tx.bookings.create({
+        name: 'Rolled Back',
+        email: 'rollback@example.com',
+        appointment_date: DATE,
+        appointment_time: '16:00',
+        duration_minutes: 30,
+        end_time: '16:30',
+        starts_at: new Date(`${DATE}T16:00:00Z`),
+        business_timezone: 'UTC',
+        customer_timezone: 'UTC',
+        status: 'confirmed'
+      });
+      throw new Error('Something failed after the write');
+    })).rejects.toThrow('Something failed after the write');
+
+    const after = await store.bookings.list();
+    expect(after.total).toBe(before.total);
+    expect(after.bookings.map(booking => booking.email)).not.toContain('rollback@example.com');
+  });
+
+  test('rejects times outside opening hours', async () => {
+    const res = await book({ appointmentTime: '20:00' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('BOOKING_CONFLICT');
+  });
+
+  test('validates the body', async () => {
+    const res = await book({ email: 'nope', appointmentDate: '2001-01-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.details.map(detail => detail.field)).toEqual(expect.arrayContaining(['email', 'appointmentDate']));
+  });
+});
+
+describe('GET /api/bookings', () => {
+  beforeAll(async () => {
+    for (const time of ['10:00', '11:00', '14:00', '15:00']) {
+      await book({ appointmentDate: futureWeekday(7), appointmentTime: time, email: `page-${time.slice(0, 2)}@example.com` });
+    }
+  });
+
+  test('needs a staff login', async () => {
+    const anonymous = await request(app).get('/api/bookings');
+    expect(anonymous.status).toBe(401);
+
+    const customer = await signIn(store, { role: 'customer' });
+    const forbidden = await request(app).get('/api/bookings').set('Authorization', customer.authorization);
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('pages through bookings, newest first', async () => {
+    const first = await request(app)
+      .get('/api/bookings')
+      .query({ limit: 2, offset: 0 })
+      .set('Authorization', staff.authorization);
+
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ limit: 2, page: 1 });
+    expect(first.body.bookings).toHaveLength(2);
+    const { total } = first.body;
+    expect(total).toBeGreaterThanOrEqual(5);
+
+    const second = await request(app)
+      .get('/api/bookings')
+      .query({ limit: 2, offset: 2 })
+      .set('Authorization', staff.authorization);
+
+    expect(second.body).toMatchObject({ page: 2, total });
+    const ids = [...first.body.bookings, ...second.body.bookings].map(booking => booking.id);
+    expect(new Set(ids).size).toBe(4);
+    expect(ids[0]).toBeGreaterThan(ids[3]);
+    expect(first.body.bookings[0].local).toMatchObject({ timezone: 'UTC' });
+  });
+
+  test('only lists staff their own business\'s bookings', async () => {
+    const other = await signIn(store, { role: 'staff', email: 'staff-biz-7@example.com', businessId: 7 });
+    const admin = await signIn(store, { role: 'admin' });
+
+    const scoped = await request(app).get('/api/bookings').set('Authorization', other.authorization);
+    const everything = await request(app).get('/api/bookings').set('Authorization', admin.authorization);
+
+    expect(scoped.status).toBe(200);
+    expect(scoped.body.total).toBe(0);
+    expect(everything.body.total).toBeGreaterThanOrEqual(4);
+  });
+
+  test('filters by status', async () => {
+    const res = await request(app)
+      .get('/api/bookings')
+      .query({ status: 'completed' })
+      .set('Authorization', staff.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bookings.every(booking => booking.status === 'completed')).toBe(true);
+  });
+
+  test('rejects a limit out of range', async () => {
+    const res = await request(app)
+      .get('/api/bookings')
+      .query({ limit: 1000 })
+      .set('Authorization', staff.authorization);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('managing a booking', () => {
+  let booking;
+  let token;
+
+  beforeEach(async () => {
+    const res = await book({ appointmentDate: futureWeekday(8), appointmentTime: '09:00', email: `manage-${Date.now()}@example.com` });
+    booking = res.body.booking;
+    token = lifecycle.createManageToken({ id: booking.id });
+  });
+
+  afterEach(async () => {
+    // Free the slot for the next test
+    await store.bookings.update(booking.id, { status: 'cancelled' });
+  });
+
+  test('GET /api/manage-booking shows the booking behind a token', async () => {
+    const res = await request(app).get('/api/manage-booking').query({ token });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ id: booking.id, status: 'confirmed' });
+    expect(res.body.booking).not.toHaveProperty('ai_analysis');
+    expect(res.body).toMatchObject({ canReschedule: true, canCancel: true });
+  });
+
+  test('GET /api/manage-booking rejects a bad token', async () => {
+    const res = await request(app).get('/api/manage-booking').query({ token: 'forged' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_TOKEN');
+  });
+
+  test('PATCH /api/bookings/:id/reschedule moves the booking', async () => {
+    const res = await request(app)
+      .patch(`/api/bookings/${booking.id}/reschedule`)
+      .query({ token })
+      .send({ appointmentDate: futureWeekday(8), appointmentTime: '16:00' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ appointment_time: '16:00:00', reschedule_count: 1 });
+  });
+
+  test('PATCH /api/bookings/:id/reschedule keeps a service booking\'s duration', async () => {
+    const serviceBooking = await store.bookings.create({
+      name: 'Service Customer',
+      email: 'service@example.com',
+      appointment_date: futureWeekday(8),
+      appointment_time: '10:00',
+      duration_minutes: 45,
+      end_time: '10:45',
+      service_id: 7
+    });
+
+    const res = await request(app)
+      .patch(`/api/bookings/${serviceBooking.id}/reschedule`)
+      .query({ token: lifecycle.createManageToken(serviceBooking) })
+      .send({ appointmentDate: futureWeekday(8), appointmentTime: '11:00', duration: 90 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('The duration of a service booking is set by the service');
+  });
+
+  test('PATCH /api/bookings/:id/reschedule needs a token for this booking', async () => {
+    const otherToken = lifecycle.createManageToken({ id: booking.id + 1000 });
+
+    const res = await request(app)
+      .patch(`/api/bookings/${booking.id}/reschedule`)
+      .query({ token: otherToken })
+      .send({ appointmentDate: futureWeekday(8), appointmentTime: '16:00' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('POST /api/bookings/:id/cancel cancels once', async () => {
+    const res = await request(app)
+      .post(`/api/bookings/${booking.id}/cancel`)
+      .set('X-Manage-Token', token)
+      .send({ reason: 'Something came up' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'cancelled', cancellation_reason: 'Something came up' });
+
+    const again = await request(app)
+      .post(`/api/bookings/${booking.id}/cancel`)
+      .set('X-Manage-Token', token)
+      .send({});
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('INVALID_TRANSITION');
+  });
+
+  test('queues the confirmation and reminders, and a cancellation stops the reminders', async () => {
+    const admin = await signIn(store, { role: 'admin' });
+    const listJobs = () => request(app).get('/api/jobs').query({ bookingId: booking.id }).set('Authorization', admin.authorization);
+    const listEmails = () => request(app).get('/api/email-outbox').query({ bookingId: booking.id }).set('Authorization', staff.authorization);
+
+    expect((await listEmails()).body.messages.map(message => message.template)).toEqual(['confirmation']);
+    expect((await listJobs()).body.jobs.map(job => job.status)).toEqual(['pending', 'pending', 'pending']);
+
+    await request(app).post(`/api/bookings/${booking.id}/cancel`).set('X-Manage-Token', token).send({}).expect(200);
+
+    expect((await listEmails()).body.messages.map(message => message.template)).toEqual(['cancellation', 'confirmation']);
+    expect((await listJobs()).body.jobs.every(job => job.status === 'cancelled')).toBe(true);
+  });
+
+  test('keeps the job queue to admins', async () => {
+    const res = await request(app).get('/api/jobs').query({ bookingId: booking.id }).set('Authorization', staff.authorization);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+
+  test('keeps a booking\'s emails from staff of other businesses', async () => {
+    const other = await signIn(store, { role: 'staff', email: 'staff-biz-7@example.com', businessId: 7 });
+    const own = await request(app).get('/api/email-outbox').query({ bookingId: booking.id }).set('Authorization', staff.authorization);
+    const [confirmation] = own.body.messages;
+
+    const list = await request(app).get('/api/email-outbox').query({ bookingId: booking.id }).set('Authorization', other.authorization);
+    const detail = await request(app).get(`/api/email-outbox/${confirmation.id}`).set('Authorization', other.authorization);
+
+    expect(list.body).toMatchObject({ messages: [], total: 0, counts: { queued: 0 } });
+    expect(detail.status).toBe(404);
+    expect((await request(app).get(`/api/email-outbox/${confirmation.id}`).set('Authorization', staff.authorization)).status).toBe(200);
+  });
+
+  test('PATCH /api/bookings/:id/status follows the lifecycle', async () => {
+    const completed = await request(app)
+      .patch(`/api/bookings/${booking.id}/status`)
+      .set('Authorization', staff.authorization)
+      .send({ status: 'completed' });
+
+    expect(completed.status).toBe(200);
+    expect(completed.body.booking.status).toBe('completed');
+
+    const reopened = await request(app)
+      .patch(`/api/bookings/${booking.id}/status`)
+      .set('Authorization', staff.authorization)
+      .send({ status: 'confirmed' });
+    expect(reopened.status).toBe(409);
+  });
+
+  test('PATCH /api/bookings/:id/status is limited to staff of the booking\'s business', async () => {
+    const other = await signIn(store, { role: 'staff', email: 'staff-biz-7@example.com', businessId: 7 });
+
+    const res = await request(app)
+      .patch(`/api/bookings/${booking.id}/status`)
+      .set('Authorization', other.authorization)
+      .send({ status: 'completed' });
+    const cancel = await request(app)
+      .post(`/api/bookings/${booking.id}/cancel`)
+      .set('Authorization', other.authorization);
+
+    expect(res.status).toBe(403);
+    expect(cancel.status).toBe(403);
+    expect((await store.bookings.findById(booking.id)).status).toBe('confirmed');
+  });
+
+  test('PATCH /api/bookings/:id/status answers 404 for an unknown booking', async () => {
+    const res = await request(app)
+      .patch('/api/bookings/999999/status')
+      .set('Authorization', staff.authorization)
+      .send({ status: 'cancelled' });
+
+    expect(res.status).toBe(404);
+  });
+});
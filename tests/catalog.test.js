@@ -0,0 +1,52 @@
+const request = require('supertest');
+const { app, store } = require('../app');
+const { futureWeekday, signIn } = require('./helpers/fixtures');
+
+const DATE = futureWeekday(3);
+
+let admin;
+
+beforeAll(async () => {
+  admin = await signIn(store);
+});
+
+function post(path, body, user = admin) {
+  return request(app).post(`/api${path}`).set('Authorization', user.authorization).send(body);
+}
+
+describe('service catalog', () => {
+  test('books a service with one of the staff who offer it', async () => {
+    const { body: { business } } = await post('/businesses', { name: 'Bright Smiles', timezone: 'UTC' }).expect(201);
+    const { body: { service } } = await post(`/businesses/${business.id}/services`, { name: 'Cleaning', durationMinutes: 45 }).expect(201);
+    const { body: { staff } } = await post(`/businesses/${business.id}/staff`, { name: 'Dr. Lee', serviceIds: [service.id] }).expect(201);
+
+    const listed = await request(app).get(`/api/businesses/${business.id}/services`);
+    expect(listed.body.services.map(s => s.name)).toEqual(['Cleaning']);
+
+    const res = await request(app)
+      .post('/api/create-booking')
+      .send({ name: 'Catalog Customer', email: 'catalog@example.com', appointmentDate: DATE, appointmentTime: '10:00', serviceId: service.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ businessId: business.id, serviceId: service.id, staffId: staff.id, duration: 45 });
+  });
+
+  test('rejects a second business with the same slug', async () => {
+    await post('/businesses', { name: 'Twin', slug: 'twin' }).expect(201);
+
+    const res = await post('/businesses', { name: 'Twin Again', slug: 'twin' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('CONFLICT');
+  });
+
+  test('keeps staff to their own business', async () => {
+    const { body: { business } } = await post('/businesses', { name: 'Elsewhere' }).expect(201);
+    const outsider = await signIn(store, { role: 'staff', email: 'outsider@example.com', businessId: business.id + 1 });
+
+    const res = await post(`/businesses/${business.id}/services`, { name: 'Massage', durationMinutes: 60 }, outsider);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+});
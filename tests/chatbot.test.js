@@ -0,0 +1,281 @@
+const request = require('supertest');
+const axios = require('axios');
+const anthropic = require('./helpers/anthropic');
+const { app, store } = require('../app');
+const chatStream = require('../lib/chatStream');
+const chatTools = require('../lib/chatTools');
+const feeds = require('../lib/feeds');
+const { rssFeed, futureWeekday, signIn } = require('./helpers/fixtures');
+
+const FEED = rssFeed([
+  { title: 'New booking flow', description: 'Booking an appointment now takes one message' },
+  { title: 'Team lunch', description: 'Nothing to do with scheduling' }
+]);
+
+// Server-Sent Events as [{ event, data }]
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(chunk => {
+    const [eventLine, dataLine] = chunk.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+// Chats read the posts the refresher has cached
+beforeAll(async () => {
+  axios.get.mockResolvedValue({ data: FEED });
+  await feeds.refreshAll(store);
+});
+
+beforeEach(() => {
+  anthropic.reset();
+  axios.get.mockResolvedValue({ data: FEED });
+});
+
+describe('POST /api/chatbot', () => {
+  test('answers with the model reply', async () => {
+    anthropic.replyWith({
+      content: 'Happy to help you book! 📅',
+      suggestions: ['Book now', 'See services'],
+      action: 'book_appointment',
+      mood: 'excited'
+    });
+
+    const res = await request(app)
+      .post('/api/chatbot')
+      .send({ message: 'Can I book a haircut?', userEmail: 'chat@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.fallback).toBeUndefined();
+    expect(res.body.response).toEqual({
+      content: 'Happy to help you book! 📅',
+      suggestions: ['Book now', 'See services'],
+      action: 'book_appointment',
+      mood: 'excited'
+    });
+    expect(res.body.pendingAction).toBeNull();
+
+    // Customer text and relevant social posts go in as delimited data
+    const [sent] = anthropic.requests;
+    expect(sent.tools.map(tool => tool.name)).toContain('check_availability');
+    expect(sent.messages[0].content).toContain('Can I book a haircut?');
+    expect(sent.messages[0].content).toContain('New booking flow');
+    expect(sent.messages[0].content).not.toContain('Team lunch');
+  });
+
+  test('falls back to a canned reply when the AI fails', async () => {
+    anthropic.replyWith(anthropic.apiError('Overloaded', 529));
+
+    const res = await request(app)
+      .post('/api/chatbot')
+      .send({ message: 'I want to book an appointment' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.fallback).toBe(true);
+    expect(res.body.response.action).toBe('book_appointment');
+    expect(res.body.response.content).toEqual(expect.any(String));
+  });
+
+  test('falls back when the reply is not valid JSON', async () => {
+    anthropic.replyWith('Sure, I can help with that!');
+
+    const res = await request(app)
+      .post('/api/chatbot')
+      .send({ message: 'hello there' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.fallback).toBe(true);
+  });
+
+  test('returns a pending action when the model prepares a booking', async () => {
+    const date = futureWeekday(3);
+    anthropic.replyWith(
+      anthropic.toolUse('create_booking', { name: 'Ada', email: 'ada@example.com', date, time: '10:00' }),
+      { content: 'Shall I book that for you?', suggestions: ['Yes', 'No'], action: null, mood: 'helpful' }
+    );
+
+    const res = await request(app)
+      .post('/api/chatbot')
+      .send({ message: `Book me in on ${date} at 10:00, I'm Ada (ada@example.com)` });
+
+    expect(res.status).toBe(200);
+    expect(res.body.response.action).toBe('confirm_action');
+    expect(res.body.pendingAction).toMatchObject({ tool: 'create_booking', token: expect.any(String) });
+    expect(anthropic.requests).toHaveLength(2);
+
+    // Nothing is booked until the customer confirms
+    const { total } = await store.bookings.list();
+    expect(total).toBe(0);
+  });
+
+  test('reports an invalid booking proposal back to the model', async () => {
+    const outcome = await chatTools.runTool(store, 'create_booking', {
+      name: 'Ada',
+      email: 'not-an-email',
+      date: '2020-01-06',
+      time: '10:00'
+    });
+
+    expect(outcome.isError).toBe(true);
+    expect(outcome.pendingAction).toBeUndefined();
+    expect(outcome.content.error).toMatch(/email/);
+    expect(outcome.content.error).toMatch(/appointmentDate/);
+  });
+
+  test('validates the message', async () => {
+    const res = await request(app).post('/api/chatbot').send({ message: '' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(anthropic.requests).toHaveLength(0);
+  });
+
+  test('keeps a conversation\'s history on the server', async () => {
+    const { authorization } = await signIn(store, { role: 'staff', email: 'transcripts@example.com' });
+    const started = await request(app).post('/api/conversations').send({ userEmail: 'chat@example.com' }).expect(201);
+    const conversationId = started.body.conversation.id;
+
+    anthropic.replyWith(
+      { content: 'We open at 9.', suggestions: [], action: null, mood: 'helpful' },
+      { content: 'Yes, Saturdays too.', suggestions: [], action: null, mood: 'helpful' }
+    );
+    await request(app).post('/api/chatbot').send({ message: 'When do you open?', conversationId }).expect(200);
+    await request(app).post('/api/chatbot').send({ message: 'And on weekends?', conversationId }).expect(200);
+
+    expect(JSON.stringify(anthropic.requests[1].messages)).toContain('When do you open?');
+    const transcript = await request(app).get(`/api/conversations/${conversationId}`).set('Authorization', authorization);
+    expect(transcript.body.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+  });
+
+  test('keeps a conversation from staff of other businesses', async () => {
+    const outsider = await signIn(store, { role: 'staff', email: 'staff-biz-7@example.com', businessId: 7 });
+    const started = await request(app).post('/api/conversations').send({ userEmail: 'private-chat@example.com' }).expect(201);
+    const conversationId = started.body.conversation.id;
+
+    const transcript = await request(app).get(`/api/conversations/${conversationId}`).set('Authorization', outsider.authorization);
+    expect(transcript.status).toBe(404);
+
+    const listed = await request(app).get('/api/conversations').set('Authorization', outsider.authorization);
+    expect(listed.status).toBe(200);
+    expect(listed.body.conversations).toEqual([]);
+  });
+
+  test('interactions show up in the stats', async () => {
+    const { authorization } = await signIn(store, { role: 'staff' });
+    const before = await request(app).get('/api/stats').set('Authorization', authorization);
+
+    anthropic.replyWith({ content: 'Hi!', suggestions: [], action: null, mood: 'helpful' });
+    await request(app).post('/api/chatbot').send({ message: 'hi' });
+
+    const after = await request(app).get('/api/stats').set('Authorization', authorization);
+    expect(after.body.totalChats).toBe(before.body.totalChats + 1);
+  });
+});
+
+describe('POST /api/chatbot/stream', () => {
+  test('streams tokens and then the metadata', async () => {
+    anthropic.replyWith(`Our next free slot is tomorrow morning. Want it?\n${chatStream.META_MARKER}{"suggestions":["Yes please"],"action":"book_appointment","mood":"helpful"}`);
+
+    const res = await request(app)
+      .post('/api/chatbot/stream')
+      .send({ message: 'When is your next free slot?' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const events = parseEvents(res.text);
+    expect(events[0].event).toBe('start');
+
+    const text = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+    expect(text.trim()).toBe('Our next free slot is tomorrow morning. Want it?');
+
+    const done = events[events.length - 1];
+    expect(done.event).toBe('done');
+    expect(done.data.response).toMatchObject({
+      suggestions: ['Yes please'],
+      action: 'book_appointment',
+      mood: 'helpful'
+    });
+  });
+
+  test('sends an error event when the AI fails', async () => {
+    anthropic.replyWith(anthropic.apiError());
+
+    const res = await request(app)
+      .post('/api/chatbot/stream')
+      .send({ message: 'hello' });
+
+    const events = parseEvents(res.text);
+    const last = events[events.length - 1];
+    expect(last.event).toBe('error');
+    expect(last.data.fallback).toBe(true);
+  });
+});
+
+describe('POST /api/chatbot/confirm', () => {
+  test('creates the booking once confirmed', async () => {
+    const date = futureWeekday(4);
+    const actionToken = chatTools.createActionToken('create_booking', {
+      name: 'Grace',
+      email: 'grace@example.com',
+      appointmentDate: date,
+      appointmentTime: '11:00'
+    });
+
+    const res = await request(app)
+      .post('/api/chatbot/confirm')
+      .send({ actionToken, confirmed: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.response.content).toContain('grace@example.com');
+
+    const { bookings } = await store.bookings.list();
+    expect(bookings).toEqual(expect.arrayContaining([
+      expect.objectContaining({ email: 'grace@example.com', appointment_date: date, appointment_time: '11:00:00' })
+    ]));
+  });
+
+  test('carries out a confirmation only once', async () => {
+    const actionToken = chatTools.createActionToken('create_booking', {
+      name: 'Ada',
+      email: 'ada@example.com',
+      appointmentDate: futureWeekday(4),
+      appointmentTime: '15:00'
+    });
+
+    await request(app).post('/api/chatbot/confirm').send({ actionToken, confirmed: true }).expect(200);
+    const again = await request(app).post('/api/chatbot/confirm').send({ actionToken, confirmed: true });
+
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('CONFLICT');
+    const { bookings } = await store.bookings.list();
+    expect(bookings.filter(booking => booking.email === 'ada@example.com')).toHaveLength(1);
+  });
+
+  test('changes nothing when declined', async () => {
+    const actionToken = chatTools.createActionToken('create_booking', {
+      name: 'Linus',
+      email: 'linus@example.com',
+      appointmentDate: futureWeekday(4),
+      appointmentTime: '14:00'
+    });
+
+    const res = await request(app)
+      .post('/api/chatbot/confirm')
+      .send({ actionToken, confirmed: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.response.content).toMatch(/haven't changed anything/);
+    const { bookings } = await store.bookings.list();
+    expect(bookings.map(booking => booking.email)).not.toContain('linus@example.com');
+  });
+
+  test('rejects an invalid token', async () => {
+    const res = await request(app)
+      .post('/api/chatbot/confirm')
+      .send({ actionToken: 'not-a-real-token', confirmed: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,336 @@
+const request = require('supertest');
+const axios = require('axios');
+const anthropic = require('./helpers/anthropic');
+const { app, store } = require('../app');
+const feeds = require('../lib/feeds');
+const { rssFeed, signIn } = require('./helpers/fixtures');
+
+const RSS = rssFeed([
+  { title: 'Booking made easy', description: 'Appointments in one click', link: 'https://blog.test/booking' },
+  { title: 'Holiday hours', description: 'We are closed on Monday' }
+]);
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Studio news</title>
+  <entry>
+    <id>urn:uuid:1</id>
+    <title type="html">New &lt;b&gt;booking&lt;/b&gt; page</title>
+    <link rel="alternate" href="https://studio.test/posts/booking-page"/>
+    <link rel="edit" href="https://studio.test/edit/1"/>
+    <summary>Book your next session online</summary>
+    <author><name>Studio</name></author>
+    <published>2026-03-01T10:00:00Z</published>
+  </entry>
+  <entry>
+    <id>urn:uuid:2</id>
+    <title>Spring sale</title>
+    <link href="https://studio.test/posts/sale"/>
+    <summary>20% off gift cards</summary>
+    <updated>2026-03-05T10:00:00Z</updated>
+  </entry>
+  <entry>
+    <id>urn:uuid:1</id>
+    <title>New booking page (repost)</title>
+    <link href="https://studio.test/posts/booking-page"/>
+  </entry>
+</feed>`;
+
+const JSON_FEED = {
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Clinic updates',
+  items: [
+    { id: 'a', title: 'Appointment reminders by SMS', content_html: '<p>Never miss an <em>appointment</em> again</p>', url: 'https://clinic.test/a', date_published: '2026-02-01T09:00:00Z', authors: [{ name: 'Dr. Who' }] },
+    { id: 'b', content_text: 'Flu shots available, no appointment needed', url: 'https://clinic.test/b', date_published: '2026-02-10T09:00:00Z' },
+    { id: 'c', title: 'Parking update', content_text: 'The car park is closed', url: 'https://clinic.test/c' }
+  ]
+};
+
+// Answer feed requests by URL
+function serveFeeds(documents) {
+  axios.get.mockImplementation(async url => {
+    if (!(url in documents)) throw new Error(`getaddrinfo ENOTFOUND ${new URL(url).host}`);
+    return { data: documents[url] };
+  });
+}
+
+let admin;
+
+beforeAll(async () => {
+  admin = await signIn(store);
+});
+
+beforeEach(() => {
+  anthropic.reset();
+  axios.get.mockReset();
+});
+
+function addFeed(body) {
+  return request(app).post('/api/feeds').set('Authorization', admin.authorization).send(body);
+}
+
+function testFeed(body) {
+  return request(app).post('/api/feeds/test').set('Authorization', admin.authorization).send(body);
+}
+
+function refreshFeeds() {
+  return request(app).post('/api/refresh-social-posts').set('Authorization', admin.authorization);
+}
+
+async function removeAllFeeds() {
+  for (const feed of await store.socialFeeds.list()) {
+    await request(app).delete(`/api/feeds/${feed.id}`).set('Authorization', admin.authorization);
+  }
+  await store.socialCache.remove('feed:env');
+}
+
+describe('POST /api/feeds/test', () => {
+  test('reads Atom, keeping the alternate link and dropping repeated entries', async () => {
+    serveFeeds({ 'https://studio.test/atom.xml': ATOM });
+
+    const res = await testFeed({ url: 'https://studio.test/atom.xml', keywords: [] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, format: 'atom', title: 'Studio news', itemCount: 3, skipped: 1 });
+    expect(res.body.posts.map(post => post.title)).toEqual(['Spring sale', 'New booking page']);
+    expect(res.body.posts[1]).toMatchObject({
+      url: 'https://studio.test/posts/booking-page',
+      summary: 'Book your next session online',
+      author: 'Studio',
+      publishedAt: '2026-03-01T10:00:00.000Z'
+    });
+  });
+
+  test('reads JSON Feed and applies keyword rules', async () => {
+    serveFeeds({ 'https://clinic.test/feed.json': JSON_FEED });
+
+    const res = await testFeed({
+      url: 'https://clinic.test/feed.json',
+      keywords: ['appointment'],
+      excludeKeywords: ['flu']
+    });
+
+    expect(res.body).toMatchObject({ success: true, format: 'json', itemCount: 3, skipped: 2 });
+    expect(res.body.posts).toEqual([expect.objectContaining({
+      title: 'Appointment reminders by SMS',
+      summary: 'Never miss an appointment again',
+      author: 'Dr. Who',
+      relevance: 3
+    })]);
+  });
+
+  test('reads a JSON Feed sent as text', async () => {
+    serveFeeds({ 'https://clinic.test/feed.json': JSON.stringify(JSON_FEED) });
+
+    const res = await testFeed({ url: 'https://clinic.test/feed.json', keywords: [], maxItems: 2 });
+
+    expect(res.body).toMatchObject({ success: true, format: 'json' });
+    // Newest first; an item without a title gets one from its text
+    expect(res.body.posts.map(post => post.title)).toEqual([
+      'Flu shots available, no appointment needed',
+      'Appointment reminders by SMS'
+    ]);
+  });
+
+  test('reports a feed of the wrong format', async () => {
+    serveFeeds({ 'https://studio.test/atom.xml': ATOM });
+
+    const res = await testFeed({ url: 'https://studio.test/atom.xml', format: 'rss' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: false, error: 'Feed is not RSS 2.0' });
+  });
+
+  test('reports a feed that cannot be fetched', async () => {
+    serveFeeds({});
+
+    const res = await testFeed({ url: 'https://gone.test/feed' });
+
+    expect(res.body.success).toBe(false);
+    expect(res.body.error).toMatch(/Could not fetch the feed/);
+  });
+
+  test('needs an http(s) URL', async () => {
+    const res = await testFeed({ url: 'file:///etc/passwd' });
+
+    expect(res.status).toBe(400);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('/api/feeds', () => {
+  test('is admin only', async () => {
+    const staff = await signIn(store, { role: 'staff' });
+
+    const list = await request(app).get('/api/feeds').set('Authorization', staff.authorization);
+    const add = await request(app).post('/api/feeds').set('Authorization', staff.authorization)
+      .send({ name: 'Studio', url: 'https://studio.test/atom.xml' });
+
+    expect(list.status).toBe(403);
+    expect(add.status).toBe(403);
+  });
+
+  test('adds, tests and removes feeds', async () => {
+    serveFeeds({ 'https://studio.test/atom.xml': ATOM });
+
+    const created = await addFeed({ name: 'Studio', url: 'https://studio.test/atom.xml', keywords: ['booking'] });
+    expect(created.status).toBe(201);
+    expect(created.body.feed).toMatchObject({
+      name: 'Studio',
+      business_id: null,
+      format: 'auto',
+      keywords: ['booking'],
+      exclude_keywords: [],
+      max_items: 3,
+      enabled: true
+    });
+    const feedId = created.body.feed.id;
+
+    const duplicate = await addFeed({ name: 'Studio again', url: 'https://studio.test/atom.xml' });
+    expect(duplicate.status).toBe(409);
+
+    const list = await request(app).get('/api/feeds').set('Authorization', admin.authorization);
+    expect(list.body.feeds.map(feed => feed.id)).toEqual([feedId]);
+
+    const tested = await request(app).post(`/api/feeds/${feedId}/test`).set('Authorization', admin.authorization);
+    expect(tested.body).toMatchObject({ success: true, format: 'atom', itemCount: 3 });
+    expect(await store.socialCache.get(`feed:${feedId}`, { maxAgeMinutes: 60 })).toHaveLength(1);
+
+    const removed = await request(app).delete(`/api/feeds/${feedId}`).set('Authorization', admin.authorization);
+    expect(removed.status).toBe(200);
+    expect(await store.socialFeeds.findById(feedId)).toBeNull();
+    expect(await store.socialCache.get(`feed:${feedId}`, { maxAgeMinutes: 60 })).toBeNull();
+
+    const missing = await request(app).delete(`/api/feeds/${feedId}`).set('Authorization', admin.authorization);
+    expect(missing.status).toBe(404);
+  });
+
+  test('business feeds need the catalog database', async () => {
+    const res = await addFeed({ name: 'Clinic', url: 'https://clinic.test/feed.json', businessId: 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('chatbot social context', () => {
+  afterEach(removeAllFeeds);
+
+  test('includes relevant posts from every feed, once each', async () => {
+    serveFeeds({
+      'https://feeds.test/x.rss': RSS,
+      'https://studio.test/atom.xml': ATOM,
+      'https://clinic.test/feed.json': JSON_FEED,
+      'https://mirror.test/feed.xml': rssFeed([
+        { title: 'Booking made easy', description: 'Appointments in one click', link: 'https://blog.test/booking' }
+      ])
+    });
+    await addFeed({ name: 'Studio', url: 'https://studio.test/atom.xml' });
+    await addFeed({ name: 'Clinic', url: 'https://clinic.test/feed.json', excludeKeywords: ['flu'] });
+    await addFeed({ name: 'Mirror', url: 'https://mirror.test/feed.xml' });
+    await addFeed({ name: 'Paused', url: 'https://paused.test/feed.xml', enabled: false });
+    await refreshFeeds();
+    anthropic.replyWith({ content: 'Hi!', suggestions: [], action: null, mood: 'helpful' });
+
+    await request(app).post('/api/chatbot').send({ message: 'What is new?' }).expect(200);
+
+    const prompt = anthropic.requests[0].messages[0].content;
+    expect(prompt).toContain('- X: Booking made easy - Appointments in one click (https://blog.test/booking)');
+    expect(prompt).toContain('- Studio: New booking page');
+    expect(prompt).toContain('- Clinic: Appointment reminders by SMS');
+    expect(prompt).not.toContain('Mirror');
+    expect(prompt).not.toContain('Flu shots');
+    expect(prompt).not.toContain('Holiday hours');
+    expect(axios.get).not.toHaveBeenCalledWith('https://paused.test/feed.xml', expect.anything());
+  });
+
+  test('a failing feed does not stop the others', async () => {
+    serveFeeds({ 'https://studio.test/atom.xml': ATOM });
+    await addFeed({ name: 'Studio', url: 'https://studio.test/atom.xml' });
+    await refreshFeeds();
+    anthropic.replyWith({ content: 'Hi!', suggestions: [], action: null, mood: 'helpful' });
+
+    const res = await request(app).post('/api/chatbot').send({ message: 'Any news?' });
+
+    expect(res.body.fallback).toBeUndefined();
+    expect(anthropic.requests[0].messages[0].content).toContain('- Studio: New booking page');
+  });
+});
+
+describe('background refresh', () => {
+  afterEach(async () => {
+    feeds.stopWorker();
+    delete process.env.SOCIAL_FEED_REFRESH_MINUTES;
+    await removeAllFeeds();
+  });
+
+  test('asks for changes only and keeps the posts on 304 Not Modified', async () => {
+    const { body } = await addFeed({ name: 'Studio', url: 'https://studio.test/atom.xml' });
+    axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"v1"', 'last-modified': 'Sun, 01 Mar 2026 10:00:00 GMT' }, data: ATOM });
+    await feeds.refreshSource(store, body.feed);
+
+    axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+    const result = await feeds.refreshSource(store, body.feed);
+
+    expect(axios.get).toHaveBeenLastCalledWith('https://studio.test/atom.xml', expect.objectContaining({
+      headers: expect.objectContaining({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Sun, 01 Mar 2026 10:00:00 GMT' })
+    }));
+    expect(result).toMatchObject({ notModified: true, itemCount: 3 });
+    expect((await store.socialCache.get(`feed:${body.feed.id}`, { maxAgeMinutes: 1 })).map(post => post.title))
+      .toEqual(['New booking page']);
+  });
+
+  test('backs off a failing feed and reports it in /health', async () => {
+    serveFeeds({ 'https://feeds.test/x.rss': RSS });
+    const { body } = await addFeed({ name: 'Broken', url: 'https://broken.test/feed.xml' });
+
+    await refreshFeeds();
+    // X is fresh and Broken waits out its backoff
+    expect(await feeds.refreshDueSources(store)).toBe(0);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+
+    const res = await request(app).get('/health');
+    const sources = res.body.feeds.sources;
+    expect(res.body.feeds).toMatchObject({ refresher: 'stopped', refreshMinutes: 15 });
+    expect(sources.find(source => source.name === 'X')).toMatchObject({
+      feedId: null,
+      status: 'ok',
+      failures: 0,
+      itemCount: 2,
+      postsCount: 1
+    });
+    expect(sources.find(source => source.feedId === body.feed.id)).toMatchObject({
+      status: 'failing',
+      lastSuccessAt: null,
+      lastError: expect.stringMatching(/ENOTFOUND broken.test/),
+      failures: 1,
+      nextAttemptAt: expect.any(String)
+    });
+  });
+
+  test('answers from stale posts while the refresher fetches new ones', async () => {
+    serveFeeds({ 'https://feeds.test/x.rss': RSS });
+    await refreshFeeds();
+    axios.get.mockClear();
+
+    // Every cached post is now stale; the next fetch waits until released
+    process.env.SOCIAL_FEED_REFRESH_MINUTES = '0';
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    axios.get.mockImplementation(async () => {
+      await gate;
+      return { data: rssFeed([{ title: 'Booking on weekends', description: 'Now open Saturdays' }]) };
+    });
+    feeds.startWorker(store);
+    anthropic.replyWith({ content: 'Hi!', suggestions: [], action: null, mood: 'helpful' });
+
+    await request(app).post('/api/chatbot').send({ message: 'What is new?' }).expect(200);
+    expect(anthropic.requests[0].messages[0].content).toContain('- X: Booking made easy');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+
+    release();
+    await feeds.refreshAll(store);
+    expect((await store.socialCache.get('feed:env', { maxAgeMinutes: 1 })).map(post => post.title))
+      .toEqual(['Booking on weekends']);
+  });
+});
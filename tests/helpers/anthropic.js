@@ -0,0 +1,94 @@
+// Stand-in for @anthropic-ai/sdk. Tests queue the model's replies with
+// replyWith(); every request the app sends is kept in `requests`.
+const queue = [];
+const requests = [];
+const TOOL_USE = Symbol('toolUse');
+
+function textMessage(text) {
+  return {
+    id: 'msg_test',
+    type: 'message',
+    role: 'assistant',
+    model: 'claude-test',
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 12, output_tokens: 34 }
+  };
+}
+
+// A reply asking the app to run one of its tools
+function toolUse(name, input) {
+  return { [TOOL_USE]: { name, input } };
+}
+
+// Each reply is a string, an object (sent as JSON text), a toolUse() or an
+// Error to throw
+function replyWith(...replies) {
+  queue.push(...replies);
+}
+
+function reset() {
+  queue.length = 0;
+  requests.length = 0;
+}
+
+function nextReply(request) {
+  requests.push(request);
+  if (queue.length === 0) {
+    throw new Error('Unexpected Anthropic request (no reply queued)');
+  }
+  const reply = queue.shift();
+  if (reply instanceof Error) throw reply;
+  if (reply[TOOL_USE]) {
+    return {
+      ...textMessage(''),
+      content: [{ type: 'tool_use', id: `toolu_${requests.length}`, ...reply[TOOL_USE] }],
+      stop_reason: 'tool_use'
+    };
+  }
+  return textMessage(typeof reply === 'string' ? reply : JSON.stringify(reply));
+}
+
+// A server error the AI layer treats like a real API failure
+function apiError(message = 'Internal server error', status = 500) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class Anthropic {
+  constructor(options) {
+    this.options = options;
+    this.messages = {
+      create: async request => nextReply(request),
+
+      // Streams the reply's text in a few chunks, like the SDK's MessageStream
+      stream: request => {
+        const listeners = [];
+        return {
+          on(event, listener) {
+            if (event === 'text') listeners.push(listener);
+            return this;
+          },
+          async finalMessage() {
+            const message = nextReply(request);
+            const text = message.content[0].text || '';
+            for (let i = 0; i < text.length; i += 20) {
+              listeners.forEach(listener => listener(text.slice(i, i + 20)));
+            }
+            return message;
+          }
+        };
+      }
+    };
+  }
+}
+
+module.exports = {
+  Anthropic,
+  replyWith,
+  toolUse,
+  reset,
+  requests,
+  apiError
+};
@@ -0,0 +1,47 @@
+// Shared test data: RSS feeds, booking dates and signed-in users
+const auth = require('../../lib/auth');
+
+// RSS document in the shape the X feed returns
+function rssFeed(items) {
+  const entries = items.map((item, index) => `
+    <item>
+      <title>${item.title}</title>
+      <description>${item.description}</description>
+      <link>${item.link || `https://x.test/post/${index + 1}`}</link>
+    </item>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Smart Booking Pro</title>${entries}
+  </channel>
+</rss>`;
+}
+
+// A weekday (YYYY-MM-DD, UTC) at least `daysAhead` days from now, so the
+// default opening hours and minimum notice always allow it
+function futureWeekday(daysAhead = 2) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + daysAhead);
+  while ([0, 6].includes(date.getUTCDay())) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Create an account in the test storage and return it with a Bearer header
+async function signIn(store, { role = 'admin', email = `${role}@example.com`, password = 'correct-horse-battery', businessId } = {}) {
+  const user = await store.users.saveAccount({
+    email,
+    name: `Test ${role}`,
+    passwordHash: await auth.hashPassword(password),
+    role,
+    businessId
+  });
+  return { user, password, authorization: `Bearer ${auth.createAccessToken(user)}` };
+}
+
+module.exports = {
+  rssFeed,
+  futureWeekday,
+  signIn
+};
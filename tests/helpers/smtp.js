@@ -0,0 +1,20 @@
+// Stand-in for nodemailer: transports record messages instead of sending them
+const sent = [];
+
+function createTransport(options) {
+  return {
+    options,
+    async sendMail(message) {
+      sent.push(message);
+      return { messageId: `<test-${sent.length}@smtp.test>`, accepted: [message.to], rejected: [] };
+    },
+    async verify() {
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createTransport,
+  sent
+};
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const axios = require('axios');
+const crypto = require('crypto');
+const { app, store } = require('../app');
+const bookingPayments = require('../lib/bookingPayments');
+const payments = require('../lib/payments');
+const stripe = require('../lib/payments/stripe');
+const { futureWeekday, signIn } = require('./helpers/fixtures');
+
+const DATE = futureWeekday(5);
+
+let staff;
+
+beforeAll(async () => {
+  staff = await signIn(store, { role: 'staff' });
+});
+
+// Without a catalog there are no paid services, so hold a booking the way
+// createBooking does for one
+async function holdBooking(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const booking = await store.bookings.create({
+    name: 'Paying Customer',
+    email: `pay-${hours}@example.com`,
+    appointment_date: DATE,
+    appointment_time: time,
+    duration_minutes: 30,
+    end_time: `${String(hours + (minutes + 30 >= 60 ? 1 : 0)).padStart(2, '0')}:${String((minutes + 30) % 60).padStart(2, '0')}`,
+    starts_at: new Date(`${DATE}T${time}:00Z`),
+    business_timezone: 'UTC',
+    customer_timezone: 'UTC',
+    status: 'pending_payment'
+  });
+  const hold = await payments.createHold(store, booking, { amountCents: 4500, currency: 'USD' });
+  const payment = await payments.openCheckout(store, hold, booking, { description: 'Consultation' });
+  return { booking, payment };
+}
+
+function sendWebhook(type, sessionId) {
+  const { body, headers } = payments.fake.buildWebhook(type, sessionId);
+  return request(app).post('/api/payments/webhook').set(headers).send(body);
+}
+
+function getPayment(bookingId) {
+  return request(app).get(`/api/bookings/${bookingId}/payment`).set('Authorization', staff.authorization);
+}
+
+async function freeStarts() {
+  const res = await request(app).get('/api/availability').query({ date: DATE, duration: 30 });
+  return res.body.slots.map(slot => slot.start);
+}
+
+describe('paid bookings', () => {
+  test('hold the slot and are confirmed by a verified payment webhook', async () => {
+    const { booking, payment } = await holdBooking('09:00');
+    expect(payment).toMatchObject({ provider: 'fake', status: 'pending', checkout_url: expect.stringContaining(payment.provider_session_id) });
+    expect(await freeStarts()).not.toContain('09:00');
+
+    const res = await sendWebhook('paid', payment.provider_session_id);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, handled: true, bookingId: booking.id, status: 'paid' });
+    const status = await getPayment(booking.id);
+    expect(status.body).toMatchObject({
+      status: 'confirmed',
+      paymentRequired: true,
+      payment: { status: 'paid', amountCents: 4500, currency: 'USD', checkoutUrl: null }
+    });
+  });
+
+  test('ignore webhooks that are not signed by the provider', async () => {
+    const { booking, payment } = await holdBooking('10:00');
+    const { body, headers } = payments.fake.buildWebhook('paid', payment.provider_session_id);
+    const forged = body.replace('"paid"', '"paid" ');
+
+    const res = await request(app).post('/api/payments/webhook').set(headers).send(forged);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect((await store.bookings.findById(booking.id)).status).toBe('pending_payment');
+  });
+
+  test('handle a repeated payment webhook once', async () => {
+    const { booking, payment } = await holdBooking('10:30');
+
+    await sendWebhook('paid', payment.provider_session_id).expect(200);
+    const again = await sendWebhook('paid', payment.provider_session_id);
+
+    expect(again.body).toMatchObject({ handled: true, status: 'paid' });
+    expect((await store.payments.findById(payment.id)).status).toBe('paid');
+    expect((await store.bookings.findById(booking.id)).status).toBe('confirmed');
+  });
+
+  test('release the slot when the hold runs out unpaid', async () => {
+    const { booking, payment } = await holdBooking('11:30');
+    const afterHold = new Date(Date.now() + (payments.HOLD_MINUTES + 1) * 60000);
+
+    expect(await bookingPayments.expireHolds(store, new Date())).toBe(0);
+    expect(await bookingPayments.expireHolds(store, afterHold)).toBeGreaterThanOrEqual(1);
+
+    expect((await store.bookings.findById(booking.id)).status).toBe('expired');
+    expect((await store.payments.findById(payment.id)).status).toBe('expired');
+    expect(await freeStarts()).toContain('11:30');
+
+    // A payment that still arrives is sent back
+    const late = await sendWebhook('paid', payment.provider_session_id);
+    expect(late.body).toMatchObject({ handled: true, status: 'refunded' });
+    expect((await store.bookings.findById(booking.id)).status).toBe('expired');
+  });
+
+  test('expire when the checkout fails at the provider', async () => {
+    const { booking, payment } = await holdBooking('13:00');
+
+    await sendWebhook('failed', payment.provider_session_id).expect(200);
+
+    expect((await store.bookings.findById(booking.id)).status).toBe('expired');
+    expect((await store.payments.findById(payment.id)).status).toBe('failed');
+  });
+
+  test('are refunded when cancelled after paying', async () => {
+    const { booking, payment } = await holdBooking('14:00');
+    await sendWebhook('paid', payment.provider_session_id).expect(200);
+
+    await request(app)
+      .patch(`/api/bookings/${booking.id}/status`)
+      .set('Authorization', staff.authorization)
+      .send({ status: 'cancelled', reason: 'Feeling better' })
+      .expect(200);
+
+    expect(await store.payments.findById(payment.id)).toMatchObject({ status: 'refunded', refund_id: `fake_re_${payment.id}` });
+  });
+
+  test('close the checkout when cancelled before paying', async () => {
+    const { booking, payment } = await holdBooking('15:00');
+
+    await request(app)
+      .patch(`/api/bookings/${booking.id}/status`)
+      .set('Authorization', staff.authorization)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect((await store.payments.findById(payment.id)).status).toBe('cancelled');
+    const status = await getPayment(booking.id);
+    expect(status.body.payment.checkoutUrl).toBeNull();
+  });
+
+  test('cannot be confirmed by hand', async () => {
+    const { booking } = await holdBooking('15:30');
+
+    const res = await request(app)
+      .patch(`/api/bookings/${booking.id}/status`)
+      .set('Authorization', staff.authorization)
+      .send({ status: 'confirmed' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('INVALID_TRANSITION');
+  });
+});
+
+describe('free bookings', () => {
+  test('are confirmed straight away', async () => {
+    const res = await request(app)
+      .post('/api/create-booking')
+      .send({ name: 'Free Customer', email: 'free@example.com', appointmentDate: DATE, appointmentTime: '16:30' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentRequired).toBeUndefined();
+    expect(res.body.booking.status).toBe('confirmed');
+    expect((await getPayment(res.body.bookingId)).body).toMatchObject({ paymentRequired: false, payment: null });
+  });
+});
+
+describe('Stripe webhook signatures', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed' });
+  const sign = (timestamp, key = secret) =>
+    crypto.createHmac('sha256', key).update(`${timestamp}.${body}`).digest('hex');
+
+  test('accept any matching v1 signature inside the tolerance', () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    expect(stripe.verifySignature(secret, body, `t=${now},v1=${sign(now, 'whsec_old')},v1=${sign(now)}`)).toBe(true);
+    expect(stripe.verifySignature(secret, body, `t=${now},v1=${sign(now, 'whsec_old')}`)).toBe(false);
+    expect(stripe.verifySignature(secret, body, `t=${now - 600},v1=${sign(now - 600)}`)).toBe(false);
+  });
+});
+
+describe('payment providers', () => {
+  test('fall back to the fake provider only in test and development', () => {
+    expect(payments.getProviderName({ NODE_ENV: 'test' })).toBe('fake');
+    expect(payments.getProviderName({ NODE_ENV: 'development' })).toBe('fake');
+    expect(payments.getProviderName({ NODE_ENV: 'production' })).toBeNull();
+    expect(payments.getProviderName({})).toBeNull();
+    expect(payments.getProviderName({ NODE_ENV: 'production', STRIPE_SECRET_KEY: 'sk_live_x' })).toBe('stripe');
+  });
+
+  test('Stripe refunds look up the payment intent from the checkout session', async () => {
+    axios.get.mockResolvedValueOnce({ data: { id: 'cs_1', payment_intent: 'pi_1' } });
+    axios.post.mockResolvedValueOnce({ data: { id: 're_1' } });
+
+    const result = await stripe.create().refund({ payment: { id: 3, booking_id: 9, provider_payment_id: null, provider_session_id: 'cs_1' } });
+
+    expect(result).toEqual({ refundId: 're_1', paymentId: 'pi_1' });
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.stripe.com/v1/checkout/sessions/cs_1');
+    const [url, body] = axios.post.mock.calls[axios.post.mock.calls.length - 1];
+    expect(url).toBe('https://api.stripe.com/v1/refunds');
+    expect(new URLSearchParams(body).get('payment_intent')).toBe('pi_1');
+  });
+
+  test('Stripe refunds without a payment intent fail with a clear error', async () => {
+    axios.get.mockResolvedValueOnce({ data: { id: 'cs_2', payment_intent: null } });
+    axios.post.mockClear();
+
+    await expect(stripe.create().refund({ payment: { id: 4, booking_id: 9, provider_payment_id: null, provider_session_id: 'cs_2' } }))
+      .rejects.toThrow('No Stripe payment intent for payment #4');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,21 @@
+// Runs before every test file: configure the app for tests and stub the
+// outside services (Anthropic, SMTP and the RSS feed) before it is loaded
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = '';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.MANAGE_TOKEN_SECRET = 'test-manage-secret';
+process.env.AI_PROVIDER = 'anthropic';
+process.env.ANTHROPIC_API_KEY = 'test-key';
+process.env.AI_MAX_RETRIES = '0';
+process.env.AI_REPAIR_ATTEMPTS = '0';
+process.env.ANON_RATE_LIMIT = '1000';
+process.env.BUSINESS_TIMEZONE = 'UTC';
+process.env.X_RSS_FEED_URL = 'https://feeds.test/x.rss';
+delete process.env.TRUST_PROXY;
+delete process.env.SMTP_URL;
+delete process.env.SMTP_HOST;
+
+jest.mock('@anthropic-ai/sdk', () => require('./helpers/anthropic').Anthropic);
+jest.mock('nodemailer', () => require('./helpers/smtp'));
+jest.mock('axios');
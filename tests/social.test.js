@@ -0,0 +1,82 @@
+const request = require('supertest');
+const axios = require('axios');
+const { app, store } = require('../app');
+const { rssFeed, signIn } = require('./helpers/fixtures');
+
+const FEED = rssFeed([
+  { title: 'Calendly vs Smart Booking Pro', description: 'How we compare' },
+  { title: 'Office closed Friday', description: 'Appointment slots move to Monday' },
+  { title: 'Our new logo', description: 'Fresh look for spring' },
+  { title: 'Booking tips', description: 'Book early for Saturdays' },
+  { title: 'Booking reminders', description: 'Now by SMS too' }
+]);
+
+let admin;
+
+beforeAll(async () => {
+  admin = await signIn(store);
+});
+
+beforeEach(() => {
+  axios.get.mockReset();
+});
+
+describe('POST /api/refresh-social-posts', () => {
+  test('fetches the feed and caches the three most relevant posts', async () => {
+    axios.get.mockResolvedValue({ data: FEED });
+
+    const res = await request(app)
+      .post('/api/refresh-social-posts')
+      .set('Authorization', admin.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, postsCount: 3 });
+    expect(res.body.sources).toEqual([
+      { feedId: null, name: 'X', businessId: null, itemCount: 5, postsCount: 3, error: null }
+    ]);
+    expect(axios.get).toHaveBeenCalledWith('https://feeds.test/x.rss', expect.objectContaining({ timeout: 10000 }));
+
+    // Keyword hits in the title outrank those in the description
+    const cached = await store.socialCache.get('feed:env', { maxAgeMinutes: 60 });
+    expect(cached.map(post => post.title)).toEqual([
+      'Calendly vs Smart Booking Pro',
+      'Booking tips',
+      'Booking reminders'
+    ]);
+    expect(cached[0]).toMatchObject({ source: 'X', url: 'https://x.test/post/1', summary: 'How we compare' });
+  });
+
+  test('reports no posts when the feed is down', async () => {
+    axios.get.mockRejectedValue(new Error('getaddrinfo ENOTFOUND feeds.test'));
+
+    const res = await request(app)
+      .post('/api/refresh-social-posts')
+      .set('Authorization', admin.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.postsCount).toBe(0);
+    expect(res.body.sources[0].error).toMatch(/ENOTFOUND/);
+  });
+
+  test('reports no posts when the feed is not RSS', async () => {
+    axios.get.mockResolvedValue({ data: '<html><body>Rate limited</body></html>' });
+
+    const res = await request(app)
+      .post('/api/refresh-social-posts')
+      .set('Authorization', admin.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.postsCount).toBe(0);
+  });
+
+  test('is admin only', async () => {
+    const staff = await signIn(store, { role: 'staff' });
+
+    const res = await request(app)
+      .post('/api/refresh-social-posts')
+      .set('Authorization', staff.authorization);
+
+    expect(res.status).toBe(403);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
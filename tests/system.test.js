@@ -0,0 +1,91 @@
+const request = require('supertest');
+const { app, store } = require('../app');
+const { futureWeekday, signIn } = require('./helpers/fixtures');
+
+describe('GET /health', () => {
+  test('reports the app healthy without a database', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'healthy',
+      storage: 'memory',
+      services: {
+        database: 'not configured',
+        email: 'skipped (development)',
+        ai: 'configured'
+      }
+    });
+    expect(res.body.ai.provider).toBe('anthropic');
+  });
+});
+
+describe('GET /test and GET /', () => {
+  test('/test answers', async () => {
+    const res = await request(app).get('/test');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ database: 'not connected', ai: 'configured' });
+  });
+
+  test('/ lists the endpoints', async () => {
+    const res = await request(app).get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.body.endpoints).toMatchObject({ chatbot: '/api/chatbot', stats: '/api/stats' });
+  });
+});
+
+describe('GET /api/openapi.json', () => {
+  test('describes the routes', async () => {
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toMatch(/^3\./);
+    expect(res.body.paths).toHaveProperty('/api/create-booking');
+    expect(res.body.paths).toHaveProperty('/api/chatbot');
+  });
+});
+
+describe('errors', () => {
+  test('unknown routes get the error envelope', async () => {
+    const res = await request(app).get('/api/nope');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  test('malformed JSON is rejected', async () => {
+    const res = await request(app)
+      .post('/api/chatbot')
+      .set('Content-Type', 'application/json')
+      .send('{"message":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_JSON');
+  });
+});
+
+describe('calendar feeds', () => {
+  test('list a staff member\'s upcoming bookings behind their token', async () => {
+    const { authorization } = await signIn(store, { role: 'staff', email: 'calendar@example.com' });
+    const booked = await request(app)
+      .post('/api/create-booking')
+      .send({ name: 'Feed Customer', email: 'feed@example.com', appointmentDate: futureWeekday(3), appointmentTime: '11:00' })
+      .expect(200);
+    const { body: { feedUrl } } = await request(app).post('/api/calendar/token').set('Authorization', authorization).expect(200);
+
+    const res = await request(app).get(new URL(feedUrl).pathname);
+
+    expect(res.status).toBe(200);
+    expect(res.type).toBe('text/calendar');
+    expect(res.text).toContain(`UID:booking-${booked.body.bookingId}@`);
+  });
+
+  test('answer 404 for an unknown token', async () => {
+    const res = await request(app).get(`/api/calendar/${'ab'.repeat(24)}.ics`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const axios = require('axios');
+const anthropic = require('./helpers/anthropic');
+const { app, store } = require('../app');
+const webhooks = require('../lib/webhooks');
+const { futureWeekday, signIn } = require('./helpers/fixtures');
+
+const DATE = futureWeekday(4);
+
+let admin;
+
+beforeAll(async () => {
+  admin = await signIn(store);
+});
+
+beforeEach(() => {
+  anthropic.reset();
+  axios.post.mockReset();
+  axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+});
+
+afterEach(async () => {
+  for (const endpoint of await store.webhookEndpoints.list()) {
+    await store.webhookEndpoints.remove(endpoint.id);
+  }
+});
+
+function register(body) {
+  return request(app).post('/api/webhooks').set('Authorization', admin.authorization).send(body);
+}
+
+function book(time, email = `hook-${time.slice(0, 2)}@example.com`) {
+  return request(app)
+    .post('/api/create-booking')
+    .send({ name: 'Hook Customer', email, appointmentDate: DATE, appointmentTime: time });
+}
+
+async function listDeliveries(webhookId) {
+  const res = await request(app).get(`/api/webhooks/${webhookId}/deliveries`).set('Authorization', admin.authorization);
+  return res.body.deliveries;
+}
+
+describe('/api/webhooks', () => {
+  test('is admin only', async () => {
+    const staff = await signIn(store, { role: 'staff' });
+
+    const res = await request(app).get('/api/webhooks').set('Authorization', staff.authorization);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('registers endpoints and only shows the secret once', async () => {
+    const created = await register({ url: 'https://crm.test/hooks', events: ['booking.created', 'chat.escalated'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.webhook).toMatchObject({
+      url: 'https://crm.test/hooks',
+      events: ['booking.created', 'chat.escalated'],
+      enabled: true,
+      secret: expect.stringMatching(/^whsec_[0-9a-f]{48}$/)
+    });
+
+    const list = await request(app).get('/api/webhooks').set('Authorization', admin.authorization);
+    expect(list.body.webhooks).toHaveLength(1);
+    expect(list.body.webhooks[0].secret).toBeUndefined();
+    expect(list.body.webhooks[0].secretHint).toBe(`${created.body.webhook.secret.slice(0, 10)}...`);
+  });
+
+  test('rejects unknown events and non-http URLs', async () => {
+    const badEvent = await register({ url: 'https://crm.test/hooks', events: ['booking.deleted'] });
+    const badUrl = await register({ url: 'ftp://crm.test/hooks' });
+
+    expect(badEvent.status).toBe(400);
+    expect(badUrl.status).toBe(400);
+  });
+});
+
+describe('booking webhooks', () => {
+  test('sends a signed booking.created when a booking is made', async () => {
+    const { body } = await register({ url: 'https://crm.test/hooks' });
+
+    const booked = await book('09:00');
+    expect(booked.status).toBe(200);
+    expect(await webhooks.processDeliveries(store)).toBe(1);
+
+    const [url, payload, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://crm.test/hooks');
+    expect(JSON.parse(payload)).toMatchObject({
+      id: expect.stringMatching(/^evt_/),
+      type: 'booking.created',
+      data: { booking: { id: booked.body.booking.id, email: 'hook-09@example.com', status: 'confirmed' } }
+    });
+    expect(options.headers).toMatchObject({ 'Content-Type': 'application/json', 'X-Webhook-Event': 'booking.created' });
+    expect(webhooks.verifySignature(body.webhook.secret, payload, options.headers['X-Webhook-Signature'])).toBe(true);
+    expect(webhooks.verifySignature(body.webhook.secret, `${payload} `, options.headers['X-Webhook-Signature'])).toBe(false);
+
+    const [delivery] = await listDeliveries(body.webhook.id);
+    expect(delivery).toMatchObject({ event_type: 'booking.created', status: 'delivered', attempts: 1, last_status_code: 200 });
+  });
+
+  test('only sends the events an endpoint subscribed to', async () => {
+    const staff = await signIn(store, { role: 'staff' });
+    const { body } = await register({ url: 'https://crm.test/cancellations', events: ['booking.cancelled'] });
+
+    const booked = await book('10:00');
+    await request(app)
+      .patch(`/api/bookings/${booked.body.booking.id}/status`)
+      .set('Authorization', staff.authorization)
+      .send({ status: 'cancelled', reason: 'Changed plans' })
+      .expect(200);
+    await webhooks.processDeliveries(store);
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(axios.post.mock.calls[0][1])).toMatchObject({
+      type: 'booking.cancelled',
+      data: { previousStatus: 'confirmed', booking: { status: 'cancelled', cancellation_reason: 'Changed plans' } }
+    });
+    expect((await listDeliveries(body.webhook.id)).map(delivery => delivery.event_type)).toEqual(['booking.cancelled']);
+  });
+
+  test('retries a failing endpoint later and logs each attempt', async () => {
+    const { body } = await register({ url: 'https://crm.test/down' });
+    axios.post.mockResolvedValue({ status: 503, data: 'Service Unavailable' });
+
+    await book('11:00');
+    await webhooks.processDeliveries(store);
+    // Not due again yet
+    expect(await webhooks.processDeliveries(store)).toBe(0);
+
+    const [listed] = await listDeliveries(body.webhook.id);
+    expect(listed).toMatchObject({ status: 'queued', attempts: 1, last_status_code: 503, last_error: 'Endpoint replied 503' });
+    expect(new Date(listed.next_attempt_at).getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+
+    const detail = await request(app)
+      .get(`/api/webhooks/${body.webhook.id}/deliveries/${listed.id}`)
+      .set('Authorization', admin.authorization);
+    expect(detail.body.delivery.attempt_log).toEqual([
+      expect.objectContaining({ attempt: 1, status_code: 503, response_body: 'Service Unavailable' })
+    ]);
+    expect(webhooks.getRetryDelaySeconds(1)).toBe(60);
+    expect(webhooks.getRetryDelaySeconds(4)).toBe(480);
+    expect(webhooks.getRetryDelaySeconds(20)).toBe(6 * 3600);
+  });
+
+  test('replays a delivery with the same event id', async () => {
+    const { body } = await register({ url: 'https://crm.test/hooks' });
+    await book('13:00');
+    await webhooks.processDeliveries(store);
+    const [original] = await listDeliveries(body.webhook.id);
+
+    const res = await request(app)
+      .post(`/api/webhooks/${body.webhook.id}/deliveries/${original.id}/replay`)
+      .set('Authorization', admin.authorization);
+
+    expect(res.status).toBe(202);
+    expect(res.body.delivery).toMatchObject({ status: 'queued', event_id: original.event_id, replay_of: original.id });
+    await webhooks.processDeliveries(store);
+    expect(axios.post.mock.calls[1][1]).toBe(axios.post.mock.calls[0][1]);
+  });
+});
+
+describe('POST /api/webhooks/:webhookId/ping', () => {
+  test('reports whether the endpoint answered', async () => {
+    const { body } = await register({ url: 'https://crm.test/hooks', events: ['booking.created'] });
+
+    const ok = await request(app).post(`/api/webhooks/${body.webhook.id}/ping`).set('Authorization', admin.authorization);
+    axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const down = await request(app).post(`/api/webhooks/${body.webhook.id}/ping`).set('Authorization', admin.authorization);
+
+    expect(ok.body).toMatchObject({ success: true, statusCode: 200, delivery: { event_type: 'webhook.ping', status: 'delivered' } });
+    // A ping is tried once
+    expect(down.body).toMatchObject({ success: false, statusCode: null, error: 'connect ECONNREFUSED', delivery: { status: 'failed' } });
+  });
+
+  test('answers 404 for an unknown webhook', async () => {
+    const res = await request(app).post('/api/webhooks/999/ping').set('Authorization', admin.authorization);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('chat.escalated', () => {
+  test('fires when the assistant hands the customer to a person', async () => {
+    await register({ url: 'https://support.test/hooks', events: ['chat.escalated'] });
+    anthropic.replyWith({ content: 'A team member will get back to you.', suggestions: [], action: 'escalate', mood: 'professional' });
+
+    await request(app)
+      .post('/api/chatbot')
+      .send({ message: 'I want to talk to a human', userEmail: 'upset@example.com' })
+      .expect(200);
+    await webhooks.processDeliveries(store);
+
+    expect(JSON.parse(axios.post.mock.calls[0][1])).toMatchObject({
+      type: 'chat.escalated',
+      data: { userEmail: 'upset@example.com', message: 'I want to talk to a human', reply: 'A team member will get back to you.' }
+    });
+  });
+});